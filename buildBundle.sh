@@ -6,6 +6,8 @@ set -e
 BUILDER_SRC_DIR="./src/builder"
 DIST_DIR="./dist"
 BUNDLE_JS="$DIST_DIR/bundle.js"
+ENTRY_JS="$DIST_DIR/entry.js"
+ENGINE_TXT="$DIST_DIR/viewerEngine.txt"
 OUT_HTML="$DIST_DIR/storyBuilder.html"
 
 mkdir -p "$DIST_DIR"
@@ -17,25 +19,52 @@ then
     exit 1
 fi
 
+# the built-in viewer templates and the engine they share are bundled as text, so the single-file builder needs no src/viewers
+trap 'rm -f "$ENTRY_JS" "$ENGINE_TXT"' EXIT
+cat > "$ENTRY_JS" <<'ENTRY'
+import ViewerTemplates from "../src/builder/ViewerTemplates.js";
+import simple from "../src/viewers/simpleViewer.html";
+import obfuscated from "../src/viewers/obfuscatedViewer.html";
+import password from "../src/viewers/passwordViewer.html";
+import script from "./viewerEngine.txt";
+import style from "../src/viewers/ViewerEngine.css";
+ViewerTemplates.useSources({ simple, obfuscated, password });
+ViewerTemplates.useEngine({ script, style });
+import "../src/builder/main.js";
+ENTRY
+
+# the engine becomes a plain script for the {{engine}} placeholder, which defines the global ViewerEngine
+esbuild "./src/viewers/ViewerEngine.js" \
+--bundle --minify --charset=utf8 --outfile="$ENGINE_TXT" \
+--format=iife --global-name=ViewerEngine --footer:js="ViewerEngine = ViewerEngine.default;" --platform=browser
+
 # Move all js to a single file
-esbuild "$BUILDER_SRC_DIR/main.js" \
+esbuild "$ENTRY_JS" \
 --bundle --minify --charset=utf8 --outfile="$BUNDLE_JS" \
---format=esm --sourcemap --platform=browser
+--format=esm --sourcemap --platform=browser --loader:.html=text --loader:.txt=text --loader:.css=text
 
-# read css ,js and other html file contents
-CSS=$(<"$BUILDER_SRC_DIR/style.css")
-JS=$(<"$BUNDLE_JS")
+# the viewer templates contain </script>, which would end the inline script
+sed -i 's#</script#<\\/script#g' "$BUNDLE_JS"
 
-# inline everything
-awk -v css="$CSS" -v js="$JS" '
+# inline everything; the files are read with getline, because awk -v would interpret their backslashes
+awk -v cssFile="$BUILDER_SRC_DIR/style.css" -v jsFile="$BUNDLE_JS" '
+function inline(file,    line, sep)
+{
+    sep = ""
+    while ((getline line < file) > 0) {
+        printf "%s%s", sep, line
+        sep = "\n"
+    }
+    close(file)
+}
 {
-    if ($0 ~ /<link rel="stylesheet" type="text\/css" href="style.css">/)
-        print "<style>" css "</style>"
-    else if ($0 ~ /<script src="main.js" type="module"><\/script>/)
-        print "<script>" js "</script>"
-    else
+    if ($0 ~ /<link rel="stylesheet" type="text\/css" href="style.css">/) {
+        printf "<style>"; inline(cssFile); print "</style>"
+    } else if ($0 ~ /<script src="main.js" type="module"><\/script>/) {
+        printf "<script>"; inline(jsFile); print "</script>"
+    } else
         print
 }
 ' "$BUILDER_SRC_DIR/storyBuilder.html" > "$OUT_HTML"
 
-echo "Bundle created: $OUT_HTML"
\ No newline at end of file
+echo "Bundle created: $OUT_HTML"
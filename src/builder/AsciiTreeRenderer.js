@@ -1,6 +1,27 @@
 import Story from "./core/Story.js";
 
 export default class AsciiTreeRenderer {
+    // output element -> function which stops the re-rendering of its story
+    static #observed = new Map();
+
+    /**
+     * Renders the tree of a story and renders it again whenever the story changes.
+     * A story observed before in the same element is no longer rendered there.
+     * @param {Story} story
+     * @param {HTMLElement} parentElement Element inside which the output will be inserted.
+     */
+    static observe(story, parentElement = document.getElementById('tree-output'))
+    {
+        if (!parentElement) return;
+        if (AsciiTreeRenderer.#observed.has(parentElement)) {
+            AsciiTreeRenderer.#observed.get(parentElement)();
+        }
+        const unsubscribe = story.subscribeAll(Object.values(Story.EVENTS),
+            () => AsciiTreeRenderer.generateTreeAscii(story, parentElement));
+        AsciiTreeRenderer.#observed.set(parentElement, unsubscribe);
+        AsciiTreeRenderer.generateTreeAscii(story, parentElement);
+    }
+
     /**
      * Generates the story tree as an ASCII-style string.
      * Marks missing (unresolved) scenes explicitly.
@@ -9,14 +30,14 @@ export default class AsciiTreeRenderer {
      */
     static generateTreeAscii(story,parentElement = document.getElementById('tree-output')) 
     {
-        console.log("StoryTreeRenderer.generateTreeAscii. Parent: " + parentElement.id + " Story: " + story.root.key);
         if (!parentElement) return;
         if (!story || !story.root) {
             parentElement.textContent = '(noch kein Baum erstellt)';
             return;
         }
+        console.log("StoryTreeRenderer.generateTreeAscii. Parent: " + parentElement.id + " Story: " + story.root.key);
 
-        const scenesWithDepth = Story.getScenesDFS(story,story.root);
+        const scenesWithDepth = Story.getScenesDFS(story, story.root, true);
         const outputLines = [];
         for (let i = 0; i < scenesWithDepth.length; i++) {
             let { key, scene, depth } = scenesWithDepth[i];
@@ -0,0 +1,136 @@
+import Feedback from "./Feedback.js";
+import Scene from "./core/Scene.js";
+import Story from "./core/Story.js";
+import History from "./core/History.js";
+
+/**
+ * Lists the media of the story (images and sounds), adds media from files and removes them.
+ * The media are stored as data URLs in the story, so every export contains them.
+ */
+export default class AssetPanel {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    // a medium is embedded in every export, large files make the stories slow to load
+    static MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+    static TYPE_LABELS = Object.freeze({ image: 'Bild', audio: 'Ton' });
+
+    // targetElementId -> function which stops the re-rendering of its story
+    static #observed = new Map();
+
+    /**
+     * Lists the media of a story and lists them again whenever they or the scenes using them change.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static observe(story, targetElementId = 'asset-list')
+    {
+        if (AssetPanel.#observed.has(targetElementId)) {
+            AssetPanel.#observed.get(targetElementId)();
+        }
+        const unsubscribe = story.subscribeAll(
+            [Story.EVENTS.ASSET_CHANGED, Story.EVENTS.SCENE_ADDED, Story.EVENTS.SCENE_EDITED, Story.EVENTS.SCENE_REMOVED, Story.EVENTS.STORY_REPLACED],
+            () => AssetPanel.render(story, targetElementId));
+        AssetPanel.#observed.set(targetElementId, unsubscribe);
+        AssetPanel.render(story, targetElementId);
+    }
+
+    /**
+     * Lists all media with their size, the scenes using them and a delete button each.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static render(story, targetElementId = 'asset-list')
+    {
+        const list = document.getElementById(targetElementId);
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (story.assets.size === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = '(noch keine Medien)';
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const [name, asset] of story.assets) {
+            const users = story.getAssetUsers(name);
+            const li = document.createElement('li');
+            const strong = document.createElement('strong');
+            strong.textContent = name;
+            li.append(strong, ` (${AssetPanel.TYPE_LABELS[asset.type]}, ${AssetPanel.formatSize(asset.data)}) – `
+                + (users.length === 0 ? 'nicht verwendet' : `verwendet in ${users.join(', ')}`));
+
+            const delBtn = document.createElement('button');
+            delBtn.classList.add('tree-delete');
+            delBtn.setAttribute('aria-label', `Medium "${name}" löschen`);
+            delBtn.textContent = '🗑';
+            delBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (users.length > 0 && !confirm(`"${name}" wird in ${users.length} Szene(n) verwendet. Trotzdem löschen?`)) return;
+                History.of(story).execute("Medium löschen", s => s.removeAsset(name));
+            });
+            li.appendChild(delBtn);
+            list.appendChild(li);
+        }
+    }
+
+    /**
+     * Adds a file as medium of the story (undoable). The name is the file name, numbered if it is already used.
+     * @param {import('./core/Story.js').default} story
+     * @param {File} file
+     * @param {HTMLElement} status - Element for error messages.
+     * @param {'image'|'audio'} [type] - Expected type, any of Scene.MEDIA_TYPES if omitted.
+     * @returns {Promise<string|null>} Name of the new asset, or null if the file cannot be used.
+     */
+    static async addFile(story, file, status, type = undefined)
+    {
+        const fileType = Scene.MEDIA_TYPES.find(t => file.type.startsWith(`${t}/`));
+        if (!fileType || (type && fileType !== type)) {
+            const expected = type ? AssetPanel.TYPE_LABELS[type] : 'Bild oder Ton';
+            Feedback.show(`"${file.name}" ist kein ${expected}.`, status, false);
+            return null;
+        }
+        if (file.size > AssetPanel.MAX_FILE_SIZE) {
+            Feedback.show(`"${file.name}" ist zu groß (höchstens ${AssetPanel.MAX_FILE_SIZE / 1024 / 1024} MB).`, status, false);
+            return null;
+        }
+
+        let data;
+        try {
+            data = await AssetPanel.#readAsDataUrl(file);
+        } catch (err) {
+            Feedback.show(`"${file.name}" konnte nicht gelesen werden: ${err.message}`, status, false);
+            return null;
+        }
+        const name = story.uniqueAssetName(file.name);
+        if (!History.of(story).execute("Medium hinzufügen", s => s.setAsset(name, { type: fileType, data }))) {
+            Feedback.show(`"${file.name}" konnte nicht hinzugefügt werden.`, status, false);
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * @param {string} dataUrl - Base64 data URL.
+     * @returns {string} Size of the decoded data, e.g. "120 KB".
+     */
+    static formatSize(dataUrl)
+    {
+        const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        const bytes = Math.floor(base64.length * 3 / 4) - (base64.match(/=*$/)[0].length);
+        return bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    static #readAsDataUrl(file)
+    {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+}
@@ -0,0 +1,382 @@
+import SceneEditor from "./SceneEditor.js";
+import Story from "./core/Story.js";
+import History from "./core/History.js";
+import GraphLayout from "./core/GraphLayout.js";
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Draws the scene graph as SVG: scenes as boxes in rows, choices as labelled arrows (see GraphLayout).
+ * The drawing can be moved by dragging the background and zoomed with the mouse wheel.
+ * Clicking a scene opens the edit popup, dragging from the handle below a scene to another scene adds a choice.
+ * Does not modify the story except for the added choices; keeps only UI state (position and zoom).
+ */
+export default class GraphCanvas {
+    // Keep one instance per target container id to preserve position and zoom across renders
+    static #instances = new Map();
+
+    static MIN_SCALE = 0.2;
+    static MAX_SCALE = 3;
+    // pixels the pointer must move from the handle before dropping it on its own scene adds a loop
+    static MIN_LOOP_DRAG = 12;
+    // free space around the drawing
+    static #PADDING = 40;
+    static #MAX_LABEL_LENGTH = 24;
+
+    static #getInstance(targetElementId)
+    {
+        if (!this.#instances.has(targetElementId)) {
+            this.#instances.set(targetElementId, new GraphCanvas(targetElementId));
+        }
+        return this.#instances.get(targetElementId);
+    }
+
+    /**
+     * Convenience static: delegate to instance to keep state.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static render(story, targetElementId = 'graph-canvas')
+    {
+        GraphCanvas.#getInstance(targetElementId).render(story);
+    }
+
+    /**
+     * Convenience static: renders the story and renders it again whenever it changes.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static observe(story, targetElementId = 'graph-canvas')
+    {
+        GraphCanvas.#getInstance(targetElementId).observe(story);
+    }
+
+    /**
+     * @param {string} targetElementId
+     * @returns {GraphCanvas} The canvas drawing into the element, e.g. to zoom it from buttons.
+     */
+    static of(targetElementId = 'graph-canvas')
+    {
+        return GraphCanvas.#getInstance(targetElementId);
+    }
+
+    constructor(targetElementId)
+    {
+        this.targetElementId = targetElementId;
+        // translation and zoom of the drawing
+        this.view = { x: GraphCanvas.#PADDING, y: GraphCanvas.#PADDING, scale: 1 };
+        // Stops re-rendering the observed story
+        this.unsubscribe = null;
+        this.story = null;
+        this.layout = null;
+        this.viewport = null;
+        // running pointer gesture: pan of the background or a new choice dragged from a scene
+        this.gesture = null;
+        // set after a choice was dragged onto a scene, whose click must not open the editor
+        this.suppressClick = false;
+    }
+
+    /**
+     * Renders the story and subscribes to its events to render it again after every change.
+     * @param {import('./core/Story.js').default} story
+     */
+    observe(story)
+    {
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = story.subscribeAll(Object.values(Story.EVENTS), () => this.render(story));
+        this.render(story);
+    }
+
+    /**
+     * Draws the scene graph of the story. Previous content is removed, position and zoom are kept.
+     * @param {import('./core/Story.js').default} story
+     */
+    render(story)
+    {
+        const container = document.getElementById(this.targetElementId);
+        if (!container) {
+            console.warn(`GraphCanvas: container with id "${this.targetElementId}" not found.`);
+            return;
+        }
+        container.innerHTML = '';
+        this.story = story;
+
+        if (!story || story.scenes.size === 0) {
+            const p = document.createElement('p');
+            p.textContent = 'Noch keine Szenen vorhanden.';
+            container.appendChild(p);
+            return;
+        }
+
+        this.layout = GraphLayout.layout(story);
+        const svg = GraphCanvas.#svgElement('svg', { class: 'graph-svg', role: 'img', 'aria-label': 'Entscheidungsgraph' });
+        svg.appendChild(GraphCanvas.#createArrowMarker());
+
+        this.viewport = GraphCanvas.#svgElement('g', { class: 'graph-viewport' });
+        this.layout.edges.forEach(edge => this.viewport.appendChild(GraphCanvas.#createEdge(edge)));
+        this.layout.nodes.forEach(node => this.viewport.appendChild(this.#createNode(node)));
+        svg.appendChild(this.viewport);
+        this.#applyView();
+
+        svg.addEventListener('pointerdown', (e) => this.#onPointerDown(e, svg));
+        svg.addEventListener('pointermove', (e) => this.#onPointerMove(e, svg));
+        svg.addEventListener('pointerup', (e) => this.#onPointerUp(e, svg));
+        svg.addEventListener('pointercancel', () => this.#endGesture());
+        svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const point = this.#toScreenPoint(e, svg);
+            this.zoom(e.deltaY < 0 ? 1.1 : 1 / 1.1, point);
+        }, { passive: false });
+        container.appendChild(svg);
+    }
+
+    /**
+     * Changes the zoom, keeping a point of the canvas at its place.
+     * @param {number} factor - Greater than 1 zooms in.
+     * @param {{x: number, y: number}} [center] - Point in canvas coordinates, default is the middle of the canvas.
+     */
+    zoom(factor, center = null)
+    {
+        if (!center) {
+            const svg = document.getElementById(this.targetElementId)?.querySelector('svg');
+            const rect = svg ? svg.getBoundingClientRect() : { width: 0, height: 0 };
+            center = { x: rect.width / 2, y: rect.height / 2 };
+        }
+        const scale = Math.min(GraphCanvas.MAX_SCALE, Math.max(GraphCanvas.MIN_SCALE, this.view.scale * factor));
+        const ratio = scale / this.view.scale;
+        this.view = {
+            x: center.x - (center.x - this.view.x) * ratio,
+            y: center.y - (center.y - this.view.y) * ratio,
+            scale
+        };
+        this.#applyView();
+    }
+
+    /**
+     * Scales and moves the drawing so that it fits into the canvas.
+     */
+    fit()
+    {
+        const container = document.getElementById(this.targetElementId);
+        const svg = container && container.querySelector('svg');
+        if (!svg || !this.layout) return;
+
+        const padding = GraphCanvas.#PADDING;
+        const { width, height } = svg.getBoundingClientRect();
+        if (width === 0 || height === 0) return;
+        const scale = Math.min(GraphCanvas.MAX_SCALE, Math.max(GraphCanvas.MIN_SCALE,
+            Math.min((width - 2 * padding) / Math.max(this.layout.width, 1), (height - 2 * padding) / Math.max(this.layout.height, 1))));
+        this.view = {
+            x: (width - this.layout.width * scale) / 2,
+            y: padding,
+            scale
+        };
+        this.#applyView();
+    }
+
+    #applyView()
+    {
+        if (!this.viewport) return;
+        this.viewport.setAttribute('transform', `translate(${this.view.x} ${this.view.y}) scale(${this.view.scale})`);
+    }
+
+    /**
+     * @param {import('./core/GraphLayout.js').LayoutNode} node
+     * @returns {SVGGElement}
+     */
+    #createNode(node)
+    {
+        const classes = ['graph-node'];
+        if (node.isStart) classes.push('graph-node-start');
+        if (node.isEnding) classes.push('graph-node-ending');
+        if (node.isMissing) classes.push('graph-node-missing');
+        if (node.inCycle) classes.push('graph-node-cycle');
+
+        const g = GraphCanvas.#svgElement('g', {
+            class: classes.join(' '),
+            transform: `translate(${node.x} ${node.y})`,
+            'data-key': node.key,
+            tabindex: '0'
+        });
+        const title = GraphCanvas.#svgElement('title');
+        title.textContent = node.isMissing ? `${node.key} (Szene fehlt, zum Anlegen klicken)` : node.key;
+        g.appendChild(title);
+        g.appendChild(GraphCanvas.#svgElement('rect', { width: node.width, height: node.height, rx: 8 }));
+
+        const text = GraphCanvas.#svgElement('text', { x: node.width / 2, y: node.height / 2, 'dominant-baseline': 'middle', 'text-anchor': 'middle' });
+        text.textContent = GraphCanvas.#shorten(node.key);
+        g.appendChild(text);
+
+        const open = () => {
+            if (node.isMissing) {
+                SceneEditor.openCreator(node.key);
+            } else {
+                SceneEditor.openEditor(this.story, node.key);
+            }
+        };
+        g.addEventListener('click', () => {
+            if (!this.suppressClick) open();
+            this.suppressClick = false;
+        });
+        g.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') open();
+        });
+
+        if (!node.isMissing) {
+            const handle = GraphCanvas.#svgElement('circle', { class: 'graph-handle', cx: node.width / 2, cy: node.height, r: 6 });
+            const handleTitle = GraphCanvas.#svgElement('title');
+            handleTitle.textContent = 'Zu einer anderen Szene ziehen, um eine Auswahl anzulegen';
+            handle.appendChild(handleTitle);
+            g.appendChild(handle);
+        }
+        return g;
+    }
+
+    /**
+     * @param {import('./core/GraphLayout.js').LayoutEdge} edge
+     * @returns {SVGGElement}
+     */
+    static #createEdge(edge)
+    {
+        const classes = ['graph-edge'];
+        if (edge.inCycle) classes.push('graph-edge-cycle');
+        const g = GraphCanvas.#svgElement('g', { class: classes.join(' ') });
+
+        const [p0, p1, p2, p3] = edge.points;
+        g.appendChild(GraphCanvas.#svgElement('path', {
+            d: `M ${p0.x} ${p0.y} C ${p1.x} ${p1.y}, ${p2.x} ${p2.y}, ${p3.x} ${p3.y}`,
+            'marker-end': 'url(#graph-arrow)'
+        }));
+        const label = GraphCanvas.#svgElement('text', { class: 'graph-edge-label', x: edge.labelAt.x, y: edge.labelAt.y, 'text-anchor': 'middle' });
+        label.textContent = GraphCanvas.#shorten(edge.label.split('\n')[0]);
+        const title = GraphCanvas.#svgElement('title');
+        title.textContent = edge.label;
+        label.appendChild(title);
+        g.appendChild(label);
+        return g;
+    }
+
+    static #createArrowMarker()
+    {
+        const defs = GraphCanvas.#svgElement('defs');
+        const marker = GraphCanvas.#svgElement('marker', {
+            id: 'graph-arrow', viewBox: '0 0 10 10', refX: 10, refY: 5, markerWidth: 8, markerHeight: 8, orient: 'auto-start-reverse'
+        });
+        marker.appendChild(GraphCanvas.#svgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z' }));
+        defs.appendChild(marker);
+        return defs;
+    }
+
+    #onPointerDown(e, svg)
+    {
+        if (e.button !== 0) return;
+        this.suppressClick = false;
+        const point = this.#toScreenPoint(e, svg);
+        const handle = e.target.closest('.graph-handle');
+        if (handle) {
+            e.preventDefault();
+            const from = handle.closest('.graph-node').getAttribute('data-key');
+            // the line must not catch the pointer, so the scene below it gets the pointerup
+            const line = GraphCanvas.#svgElement('line', { class: 'graph-new-choice', 'pointer-events': 'none' });
+            const start = this.#toGraphPoint(point);
+            this.#setLine(line, start, start);
+            this.viewport.appendChild(line);
+            this.gesture = { type: 'connect', from, start, line, origin: point, dragged: false };
+            return;
+        }
+        if (!e.target.closest('.graph-node')) {
+            svg.setPointerCapture?.(e.pointerId);
+            this.gesture = { type: 'pan', last: point };
+        }
+    }
+
+    #onPointerMove(e, svg)
+    {
+        if (!this.gesture) return;
+        const point = this.#toScreenPoint(e, svg);
+        if (this.gesture.type === 'pan') {
+            this.view.x += point.x - this.gesture.last.x;
+            this.view.y += point.y - this.gesture.last.y;
+            this.gesture.last = point;
+            this.#applyView();
+        } else {
+            const { origin } = this.gesture;
+            if (Math.hypot(point.x - origin.x, point.y - origin.y) >= GraphCanvas.MIN_LOOP_DRAG) this.gesture.dragged = true;
+            this.#setLine(this.gesture.line, this.gesture.start, this.#toGraphPoint(point));
+        }
+    }
+
+    #onPointerUp(e, svg)
+    {
+        const gesture = this.gesture;
+        this.#endGesture();
+        if (!gesture || gesture.type !== 'connect') return;
+
+        const target = e.target.closest && e.target.closest('.graph-node');
+        if (!target) return;
+        const to = target.getAttribute('data-key');
+        // a click on the handle is no loop from the scene to itself
+        if (to === gesture.from && !gesture.dragged) return;
+        // the click following the pointerup must not open the editor
+        this.suppressClick = true;
+        this.#addChoice(gesture.from, to);
+    }
+
+    #endGesture()
+    {
+        if (this.gesture && this.gesture.line) this.gesture.line.remove();
+        this.gesture = null;
+    }
+
+    /**
+     * Asks for the text of a new choice and adds it.
+     * @param {string} from - Key of the scene which gets the choice.
+     * @param {string} to - Key of the next scene.
+     * @returns {boolean} True if added.
+     */
+    #addChoice(from, to)
+    {
+        const scene = this.story.getScene(from);
+        if (!scene) return false;
+        if (scene.choices.has(to)) {
+            alert(`Die Szene "${from}" hat bereits eine Auswahl zu "${to}".`);
+            return false;
+        }
+        const text = prompt(`Text der Auswahl von "${from}" zu "${to}":`, to);
+        if (text === null || text.trim() === '') return false;
+        return History.of(this.story).execute("Auswahl hinzufügen", s => s.addChoice(from, text.trim(), to));
+    }
+
+    #toScreenPoint(e, svg)
+    {
+        const rect = svg.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    #toGraphPoint(point)
+    {
+        return { x: (point.x - this.view.x) / this.view.scale, y: (point.y - this.view.y) / this.view.scale };
+    }
+
+    #setLine(line, from, to)
+    {
+        line.setAttribute('x1', from.x);
+        line.setAttribute('y1', from.y);
+        line.setAttribute('x2', to.x);
+        line.setAttribute('y2', to.y);
+    }
+
+    static #shorten(text)
+    {
+        return text.length > GraphCanvas.#MAX_LABEL_LENGTH ? text.slice(0, GraphCanvas.#MAX_LABEL_LENGTH - 1) + '…' : text;
+    }
+
+    static #svgElement(name, attributes = {})
+    {
+        const element = document.createElementNS(SVG_NS, name);
+        for (const [attribute, value] of Object.entries(attributes)) {
+            element.setAttribute(attribute, String(value));
+        }
+        return element;
+    }
+}
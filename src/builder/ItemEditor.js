@@ -0,0 +1,91 @@
+import Feedback from "./Feedback.js";
+import Story from "./core/Story.js";
+import History from "./core/History.js";
+
+/**
+ * Form to define the items of the inventory, which choices give and take with `give` and `take`
+ * and require with `has()` in their conditions.
+ */
+export default class ItemEditor {
+    // targetElementId -> function which stops the re-rendering of its story
+    static #observed = new Map();
+
+    /**
+     * Lists the items of a story and lists them again whenever they change.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static observe(story, targetElementId = 'item-list')
+    {
+        if (ItemEditor.#observed.has(targetElementId)) {
+            ItemEditor.#observed.get(targetElementId)();
+        }
+        const unsubscribe = story.subscribeAll([Story.EVENTS.ITEM_CHANGED, Story.EVENTS.STORY_REPLACED],
+            () => ItemEditor.render(story, targetElementId));
+        ItemEditor.#observed.set(targetElementId, unsubscribe);
+        ItemEditor.render(story, targetElementId);
+    }
+
+    /**
+     * Lists all items with their description and a delete button each.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static render(story, targetElementId = 'item-list')
+    {
+        const list = document.getElementById(targetElementId);
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (!story || story.items.size === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = '(noch keine Gegenstände)';
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const [id, item] of story.items) {
+            const li = document.createElement('li');
+            const strong = document.createElement('strong');
+            strong.textContent = id;
+            li.append(strong, `: ${item.name}` + (item.description ? ` – ${item.description}` : ''));
+
+            const delBtn = document.createElement('button');
+            delBtn.classList.add('tree-delete');
+            delBtn.setAttribute('aria-label', `Gegenstand "${id}" löschen`);
+            delBtn.textContent = '🗑';
+            delBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                History.of(story).execute("Gegenstand löschen", s => s.removeItem(id));
+            });
+            li.appendChild(delBtn);
+            list.appendChild(li);
+        }
+    }
+
+    /**
+     * Defines the item entered in the form, an item with the same id gets the new name and description.
+     * @param {import('./core/Story.js').default} story
+     * @returns void
+     */
+    static addItem(story)
+    {
+        const idInput = document.getElementById('item-id');
+        const nameInput = document.getElementById('item-name');
+        const descriptionInput = document.getElementById('item-description');
+        const status = document.getElementById('item-status');
+
+        const id = idInput.value.trim();
+        const name = nameInput.value.trim() || id;
+        const description = descriptionInput.value.trim();
+        if (!History.of(story).execute("Gegenstand speichern", s => s.setItem(id, { name, description }))) {
+            Feedback.show("Ungültige Kennung: erlaubt sind Buchstaben (auch Umlaute), Ziffern und _, keine Ziffer am Anfang.", status, false);
+            return;
+        }
+
+        idInput.value = '';
+        nameInput.value = '';
+        descriptionInput.value = '';
+        Feedback.show(`Gegenstand "${id}" wurde gespeichert.`, status, true);
+    }
+}
@@ -0,0 +1,82 @@
+import Markdown from "./core/Markdown.js";
+
+/**
+ * Renders the Markdown of scene and choice texts to DOM nodes. Text is only inserted as text nodes,
+ * so a story cannot add elements or attributes other than those of the Markdown subset.
+ */
+export default class MarkdownRenderer {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    /**
+     * @param {string} text - Markdown source, e.g. the text of a scene.
+     * @returns {DocumentFragment} Paragraphs and lists.
+     */
+    static render(text)
+    {
+        const fragment = document.createDocumentFragment();
+        for (const block of Markdown.parse(text)) {
+            if (block.type === 'list') {
+                const list = document.createElement(block.ordered ? 'ol' : 'ul');
+                if (block.ordered && block.start !== 1) list.start = block.start;
+                for (const item of block.items) {
+                    const li = document.createElement('li');
+                    MarkdownRenderer.#appendInline(li, item, true);
+                    list.appendChild(li);
+                }
+                fragment.appendChild(list);
+            } else {
+                const paragraph = document.createElement('p');
+                MarkdownRenderer.#appendInline(paragraph, block.children, true);
+                fragment.appendChild(paragraph);
+            }
+        }
+        return fragment;
+    }
+
+    /**
+     * @param {string} text - Markdown source of a single paragraph, e.g. the text of a choice.
+     * @param {boolean} [withLinks] - False for texts within buttons, links are rendered as their text then.
+     * @returns {DocumentFragment}
+     */
+    static renderInline(text, withLinks = true)
+    {
+        const fragment = document.createDocumentFragment();
+        MarkdownRenderer.#appendInline(fragment, Markdown.parseInline(String(text ?? '')), withLinks);
+        return fragment;
+    }
+
+    /**
+     * @param {Node} parent
+     * @param {Array<import('./core/Markdown.js').InlineNode>} nodes
+     * @param {boolean} withLinks
+     */
+    static #appendInline(parent, nodes, withLinks)
+    {
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                parent.appendChild(document.createTextNode(node.text));
+            } else if (node.type === 'break') {
+                parent.appendChild(document.createElement('br'));
+            } else if (node.type === 'code') {
+                const code = document.createElement('code');
+                code.textContent = node.text;
+                parent.appendChild(code);
+            } else if (node.type === 'link' && withLinks) {
+                const link = document.createElement('a');
+                link.href = node.href;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                MarkdownRenderer.#appendInline(link, node.children, false);
+                parent.appendChild(link);
+            } else if (node.type === 'link') {
+                MarkdownRenderer.#appendInline(parent, node.children, false);
+            } else {
+                const element = document.createElement(node.type);
+                MarkdownRenderer.#appendInline(element, node.children, withLinks);
+                parent.appendChild(element);
+            }
+        }
+    }
+}
@@ -0,0 +1,64 @@
+import Story from "./core/Story.js";
+import History from "./core/History.js";
+
+/**
+ * Form for the descriptive data of the story (title, author, language) and the settings of the player.
+ * Each field is an input with the id `meta-<field>`, each setting a checkbox with the id `setting-<name>`.
+ */
+export default class MetaEditor {
+    // story whose data is shown, and the function which stops following it
+    static #observed = null;
+
+    /**
+     * Shows the data of a story in the form, keeps it up to date and stores changed fields and settings.
+     * @param {import('./core/Story.js').default} story
+     */
+    static observe(story)
+    {
+        if (MetaEditor.#observed) MetaEditor.#observed();
+
+        const listeners = [];
+        for (const field of Story.META_FIELDS) {
+            const input = document.getElementById(`meta-${field}`);
+            if (!input) continue;
+            const onChange = () => {
+                History.of(story).execute("Angaben ändern", s => s.setMeta({ [field]: input.value.trim() }));
+            };
+            input.addEventListener('change', onChange);
+            listeners.push([input, onChange]);
+        }
+        for (const name of Object.keys(Story.DEFAULT_SETTINGS)) {
+            const checkbox = document.getElementById(`setting-${name}`);
+            if (!checkbox) continue;
+            const onChange = () => {
+                History.of(story).execute("Einstellungen ändern", s => s.setSettings({ [name]: checkbox.checked }));
+            };
+            checkbox.addEventListener('change', onChange);
+            listeners.push([checkbox, onChange]);
+        }
+        const unsubscribe = story.subscribeAll(
+            [Story.EVENTS.META_CHANGED, Story.EVENTS.SETTINGS_CHANGED, Story.EVENTS.STORY_REPLACED],
+            () => MetaEditor.render(story));
+        MetaEditor.#observed = () => {
+            unsubscribe();
+            listeners.forEach(([input, onChange]) => input.removeEventListener('change', onChange));
+        };
+        MetaEditor.render(story);
+    }
+
+    /**
+     * Fills the form with the data of a story.
+     * @param {import('./core/Story.js').default} story
+     */
+    static render(story)
+    {
+        for (const field of Story.META_FIELDS) {
+            const input = document.getElementById(`meta-${field}`);
+            if (input) input.value = story.meta[field];
+        }
+        for (const name of Object.keys(Story.DEFAULT_SETTINGS)) {
+            const checkbox = document.getElementById(`setting-${name}`);
+            if (checkbox) checkbox.checked = story.settings[name];
+        }
+    }
+}
@@ -0,0 +1,86 @@
+import SceneEditor from "./SceneEditor.js";
+import Story from "./core/Story.js";
+import StoryValidator from "./core/StoryValidator.js";
+
+/**
+ * Lists the problems found by the StoryValidator. Clicking a problem opens its scene in the edit popup.
+ */
+export default class ProblemsPanel {
+    // targetElementId -> function which stops the re-rendering of its story
+    static #observed = new Map();
+
+    static #SEVERITY_LABELS = {
+        error: 'Fehler',
+        warning: 'Warnung',
+        info: 'Hinweis'
+    };
+
+    /**
+     * Lists the problems of a story and checks it again whenever it changes.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static observe(story, targetElementId = 'problems-list')
+    {
+        if (ProblemsPanel.#observed.has(targetElementId)) {
+            ProblemsPanel.#observed.get(targetElementId)();
+        }
+        const unsubscribe = story.subscribeAll(Object.values(Story.EVENTS),
+            () => ProblemsPanel.render(story, targetElementId));
+        ProblemsPanel.#observed.set(targetElementId, unsubscribe);
+        ProblemsPanel.render(story, targetElementId);
+    }
+
+    /**
+     * Validates the story and lists its problems.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static render(story, targetElementId = 'problems-list')
+    {
+        const list = document.getElementById(targetElementId);
+        if (!list) return;
+        list.innerHTML = '';
+
+        const diagnostics = StoryValidator.validate(story);
+        if (diagnostics.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = '(keine Probleme gefunden)';
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const diagnostic of diagnostics) {
+            list.appendChild(ProblemsPanel.#createItem(story, diagnostic));
+        }
+    }
+
+    /**
+     * @param {import('./core/Story.js').default} story
+     * @param {import('./core/StoryValidator.js').Diagnostic} diagnostic
+     * @returns {HTMLLIElement}
+     */
+    static #createItem(story, diagnostic)
+    {
+        const li = document.createElement('li');
+        li.classList.add('problem', `problem-${diagnostic.severity}`);
+
+        const severity = document.createElement('strong');
+        severity.textContent = ProblemsPanel.#SEVERITY_LABELS[diagnostic.severity] + ': ';
+        li.appendChild(severity);
+
+        if (diagnostic.sceneKey && story.getScene(diagnostic.sceneKey)) {
+            const link = document.createElement('button');
+            link.classList.add('problem-scene');
+            link.setAttribute('aria-label', `Szene "${diagnostic.sceneKey}" bearbeiten`);
+            link.textContent = diagnostic.sceneKey;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                SceneEditor.openEditor(story, diagnostic.sceneKey);
+            });
+            li.append(link, ' ');
+        }
+        li.append(diagnostic.message);
+        return li;
+    }
+}
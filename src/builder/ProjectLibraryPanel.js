@@ -0,0 +1,277 @@
+import Scene from "./core/Scene.js";
+import Story from "./core/Story.js";
+import History from "./core/History.js";
+import SaveLoad from "./SaveLoad.js";
+import SnapshotPanel from "./SnapshotPanel.js";
+
+/**
+ * Project list of the builder. The story in the builder is the open project, every change of it is saved to the library.
+ * Other projects can be opened, duplicated, renamed, exported and deleted from the list.
+ */
+export default class ProjectLibraryPanel {
+    // localStorage key of the project which was open in the last session
+    static CURRENT_PROJECT_KEY = 'tadv.currentProject';
+
+    static #story = null;
+    static #library = null;
+    static #storage = null;
+    static #targetElementId = 'project-list';
+    static #currentId = null;
+    // the library operations run one after the other, so a new project is created only once
+    static #queue = Promise.resolve();
+    // true while the story is replaced by an opened project, which must not be saved again
+    static #opening = false;
+
+    /**
+     * Saves the story to the library on every change and lists the projects.
+     * An empty builder opens the project of the last session again, a story which is already in the builder
+     * is saved to that project.
+     * @param {Story} story
+     * @param {import('./core/ProjectLibrary.js').default} library
+     * @param {string} targetElementId
+     * @param {Storage} storage - Remembers the open project.
+     * @returns {Promise<void>}
+     */
+    static async observe(story, library, targetElementId = 'project-list', storage = localStorage)
+    {
+        ProjectLibraryPanel.#story = story;
+        ProjectLibraryPanel.#library = library;
+        ProjectLibraryPanel.#storage = storage;
+        ProjectLibraryPanel.#targetElementId = targetElementId;
+
+        story.subscribeAll(Object.values(Story.EVENTS), () => {
+            if (!ProjectLibraryPanel.#opening) ProjectLibraryPanel.#enqueue(() => ProjectLibraryPanel.#saveCurrent());
+        });
+
+        const lastId = Number(storage.getItem(ProjectLibraryPanel.CURRENT_PROJECT_KEY));
+        const projects = await library.list();
+        if (story.scenes.size > 0) {
+            ProjectLibraryPanel.#setCurrentId(projects.some(p => p.id === lastId) ? lastId : null);
+            await ProjectLibraryPanel.#enqueue(() => ProjectLibraryPanel.#saveCurrent());
+        } else if (projects.some(p => p.id === lastId)) {
+            await ProjectLibraryPanel.openProject(lastId);
+        } else {
+            await ProjectLibraryPanel.render();
+        }
+    }
+
+    /**
+     * @returns {number|null} Id of the open project, null if the story in the builder was not saved yet.
+     */
+    static get currentId()
+    {
+        return ProjectLibraryPanel.#currentId;
+    }
+
+    /**
+     * Starts a new, empty project. The open project stays in the library.
+     * @returns {Promise<void>}
+     */
+    static async createProject()
+    {
+        await ProjectLibraryPanel.detach();
+        ProjectLibraryPanel.#replaceStory(new Story(Scene));
+        await ProjectLibraryPanel.render();
+    }
+
+    /**
+     * Closes the open project without changing the story, so the next change saves the story as new project.
+     * Used before an import, which must not overwrite the open project.
+     * @returns {Promise<void>}
+     */
+    static async detach()
+    {
+        if (!ProjectLibraryPanel.#library) return;
+        await ProjectLibraryPanel.#queue;
+        ProjectLibraryPanel.#setCurrentId(null);
+    }
+
+    /**
+     * Opens a project in the builder.
+     * @param {number} id
+     * @returns {Promise<boolean>} False if the project cannot be loaded.
+     */
+    static async openProject(id)
+    {
+        await ProjectLibraryPanel.#queue;
+        const loaded = await ProjectLibraryPanel.#library.load(id);
+        if (!loaded) {
+            alert('Das Projekt konnte nicht geladen werden.');
+            return false;
+        }
+        ProjectLibraryPanel.#setCurrentId(id);
+        ProjectLibraryPanel.#opening = true;
+        try {
+            ProjectLibraryPanel.#replaceStory(loaded);
+        } finally {
+            ProjectLibraryPanel.#opening = false;
+        }
+        await ProjectLibraryPanel.render();
+        return true;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    static async duplicateProject(id)
+    {
+        await ProjectLibraryPanel.#enqueue(() => ProjectLibraryPanel.#library.duplicate(id));
+        await ProjectLibraryPanel.render();
+    }
+
+    /**
+     * Asks for a new title. The title of the open project is changed in the story, so it can be undone.
+     * @param {number} id
+     * @param {string} oldTitle
+     * @returns {Promise<void>}
+     */
+    static async renameProject(id, oldTitle)
+    {
+        const title = prompt('Neuer Titel der Geschichte:', oldTitle);
+        if (title === null || title.trim() === '') return;
+
+        if (id === ProjectLibraryPanel.#currentId) {
+            History.of(ProjectLibraryPanel.#story).execute("Angaben ändern", s => s.setMeta({ title: title.trim() }));
+            await ProjectLibraryPanel.#queue;
+            return;
+        }
+        await ProjectLibraryPanel.#enqueue(() => ProjectLibraryPanel.#library.rename(id, title));
+        await ProjectLibraryPanel.render();
+    }
+
+    /**
+     * Deletes a project after asking. The story of a deleted open project stays in the builder, but is no project anymore.
+     * @param {number} id
+     * @param {string} title
+     * @returns {Promise<void>}
+     */
+    static async removeProject(id, title)
+    {
+        if (!confirm(`Soll das Projekt "${title}" endgültig gelöscht werden?`)) return;
+        await ProjectLibraryPanel.#enqueue(() => ProjectLibraryPanel.#library.remove(id));
+        if (id === ProjectLibraryPanel.#currentId) ProjectLibraryPanel.#setCurrentId(null);
+        await ProjectLibraryPanel.render();
+    }
+
+    /**
+     * Exports a project without opening it.
+     * @param {number} id
+     * @param {'json'|'html'} format
+     * @returns {Promise<boolean>}
+     */
+    static async exportProject(id, format)
+    {
+        await ProjectLibraryPanel.#queue;
+        const project = await ProjectLibraryPanel.#library.load(id);
+        if (!project) return false;
+        return format === 'html'
+            ? SaveLoad.saveToHtml(project, SaveLoad.filenameFor(project, 'html'))
+            : SaveLoad.saveToJson(project, SaveLoad.filenameFor(project, 'json'));
+    }
+
+    /**
+     * Lists the projects of the library, the open one is marked.
+     * @returns {Promise<void>}
+     */
+    static async render()
+    {
+        const list = document.getElementById(ProjectLibraryPanel.#targetElementId);
+        if (!list || !ProjectLibraryPanel.#library) return;
+        const projects = await ProjectLibraryPanel.#library.list();
+        list.innerHTML = '';
+
+        if (projects.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = '(noch keine Projekte)';
+            list.appendChild(empty);
+            return;
+        }
+        for (const project of projects) {
+            list.appendChild(ProjectLibraryPanel.#createItem(project));
+        }
+    }
+
+    /**
+     * @param {import('./core/ProjectLibrary.js').ProjectInfo} project
+     * @returns {HTMLLIElement}
+     */
+    static #createItem(project)
+    {
+        const li = document.createElement('li');
+        const isOpen = project.id === ProjectLibraryPanel.#currentId;
+        if (isOpen) li.classList.add('project-open');
+
+        const title = document.createElement('strong');
+        title.textContent = project.title + (isOpen ? ' (geöffnet)' : '');
+        li.append(title, ` – ${project.sceneCount} ${project.sceneCount === 1 ? 'Szene' : 'Szenen'}, `
+            + `geändert ${SnapshotPanel.formatTime(project.modifiedAt)} `);
+
+        const actions = [
+            ['Öffnen', () => ProjectLibraryPanel.openProject(project.id), isOpen],
+            ['Duplizieren', () => ProjectLibraryPanel.duplicateProject(project.id)],
+            ['Umbenennen', () => ProjectLibraryPanel.renameProject(project.id, project.title)],
+            ['JSON', () => ProjectLibraryPanel.exportProject(project.id, 'json')],
+            ['HTML', () => ProjectLibraryPanel.exportProject(project.id, 'html')],
+            ['Löschen', () => ProjectLibraryPanel.removeProject(project.id, project.title)]
+        ];
+        for (const [label, action, disabled] of actions) {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.disabled = !!disabled;
+            button.addEventListener('click', action);
+            li.append(button, ' ');
+        }
+        return li;
+    }
+
+    /**
+     * Saves the story to the open project, or as new project if none is open. Empty stories are not saved as new project.
+     * @returns {Promise<void>}
+     */
+    static async #saveCurrent()
+    {
+        const story = ProjectLibraryPanel.#story;
+        if (ProjectLibraryPanel.#currentId === null) {
+            if (story.scenes.size === 0) return;
+            ProjectLibraryPanel.#setCurrentId(await ProjectLibraryPanel.#library.create(story));
+        } else if (!await ProjectLibraryPanel.#library.save(ProjectLibraryPanel.#currentId, story)) {
+            ProjectLibraryPanel.#setCurrentId(await ProjectLibraryPanel.#library.create(story));
+        }
+        await ProjectLibraryPanel.render();
+    }
+
+    /**
+     * Replaces the story in the builder. Switching projects cannot be undone, so the history is cleared.
+     * @param {Story} other
+     */
+    static #replaceStory(other)
+    {
+        ProjectLibraryPanel.#story.replaceWith(other);
+        History.of(ProjectLibraryPanel.#story).clear();
+    }
+
+    static #setCurrentId(id)
+    {
+        ProjectLibraryPanel.#currentId = id;
+        if (id === null) {
+            ProjectLibraryPanel.#storage.removeItem(ProjectLibraryPanel.CURRENT_PROJECT_KEY);
+        } else {
+            ProjectLibraryPanel.#storage.setItem(ProjectLibraryPanel.CURRENT_PROJECT_KEY, String(id));
+        }
+    }
+
+    /**
+     * Appends an operation to the queue of library operations. Failures are reported and do not stop the queue.
+     * @param {function(): Promise<*>} operation
+     * @returns {Promise<*>} The result of the operation, undefined if it failed.
+     */
+    static #enqueue(operation)
+    {
+        const result = ProjectLibraryPanel.#queue.then(operation).catch(e => {
+            console.warn('Project library operation failed: ' + e.message);
+        });
+        ProjectLibraryPanel.#queue = result;
+        return result;
+    }
+}
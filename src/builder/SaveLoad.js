@@ -1,4 +1,9 @@
 import Story from "./core/Story.js";
+import StoryCrypto from "./core/StoryCrypto.js";
+import Twee from "./core/Twee.js";
+import GraphExport from "./core/GraphExport.js";
+import StoryPackage from "./core/StoryPackage.js";
+import ViewerTemplates from "./ViewerTemplates.js";
 
 export default class SaveLoad {
     constructor() {
@@ -33,6 +38,174 @@ export default class SaveLoad {
         return Story.fromJson(data);
     }
 
+    /**
+     * Builds a story from a `.tadv` package, see StoryPackage.
+     * @param {string} filename
+     * @returns {Promise<import('./core/StoryPackage.js').UnpackedStory | null>} The story with the viewer settings of the package,
+     * or null if the file cannot be loaded.
+     * @throws {Error} If the package is damaged or incomplete, e.g. an asset is missing.
+     */
+    static async loadFromPackage(filename)
+    {
+        if (!filename || typeof filename !== 'string') {
+            return null;
+        }
+        let bytes = null;
+        try {
+            const response = await fetch(filename);
+            if (!response.ok) {
+                return null;
+            }
+            bytes = await response.arrayBuffer();
+        } catch (e) {
+            return null;
+        }
+        return StoryPackage.unpack(bytes);
+    }
+
+    /**
+     * Saves a story as `.tadv` package with its assets and the viewer settings, see StoryPackage.
+     * @param {Story} story
+     * @param {string} filename
+     * @param {import('./core/StoryPackage.js').ViewerSettings} [viewer]
+     * @returns {Promise<boolean>}
+     * @throws {Error} If a scene refers to an asset the story does not have.
+     */
+    static async saveToPackage(story, filename, viewer = undefined)
+    {
+        if (!story || !filename || typeof filename !== 'string') {
+            console.error("Ungültige Eingabeparameter in saveToPackage: story = ", story, ", filename = ", filename);
+            return false;
+        }
+        const bytes = await StoryPackage.pack(story, viewer);
+        try {
+            SaveLoad.#download(bytes, StoryPackage.MIME_TYPE, filename);
+            console.log("Story saved to package");
+            return true;
+        } catch(e) {
+            console.error("Failed to save story to package: " + e);
+            return false;
+        }
+    }
+
+    /**
+     * Builds a story from a Twee 3 file, the text format of Twine.
+     * @param {string} filename
+     * @returns {Promise<import('./core/Twee.js').TweeImport | null>} The story with the constructs which were not imported,
+     * or null if loading fails.
+     */
+    static async loadFromTwee(filename)
+    {
+        if (!filename || typeof filename !== 'string') {
+            return null;
+        }
+        let text = null;
+        try {
+            const response = await fetch(filename);
+            if (!response.ok) {
+                return null;
+            }
+            text = await response.text();
+        } catch (e) {
+            return null;
+        }
+        return Twee.parse(text);
+    }
+
+    /**
+     * Saves a story as Twee 3 file, which can be imported into Twine.
+     * @param {Story} story
+     * @param {string} filename
+     * @returns {Promise<Array<string> | null>} The data which is missing in the file, or null if saving fails.
+     */
+    static async saveToTwee(story, filename)
+    {
+        if (!story || !filename || typeof filename !== 'string') {
+            console.error("Ungültige Eingabeparameter in saveToTwee: story = ", story, ", filename = ", filename);
+            return null;
+        }
+
+        try {
+            const { text, warnings } = Twee.stringify(story);
+            SaveLoad.#download(text, 'text/plain', filename);
+            console.log("Story saved to Twee");
+            return warnings;
+        } catch(e) {
+            console.error("Failed to save story to Twee: " + e);
+            return null;
+        }
+    }
+
+    /**
+     * Saves the scene graph of a story as Graphviz DOT file, e.g. for design reviews.
+     * @param {Story} story
+     * @param {string} filename
+     * @returns {Promise<boolean>}
+     */
+    static async saveToDot(story, filename)
+    {
+        return SaveLoad.#saveDiagram(story, filename, 'DOT', GraphExport.toDot);
+    }
+
+    /**
+     * Saves the scene graph of a story as Mermaid flowchart, which e.g. GitHub and GitLab render in Markdown.
+     * @param {Story} story
+     * @param {string} filename
+     * @returns {Promise<boolean>}
+     */
+    static async saveToMermaid(story, filename)
+    {
+        return SaveLoad.#saveDiagram(story, filename, 'Mermaid', GraphExport.toMermaid);
+    }
+
+    static #saveDiagram(story, filename, formatName, toText)
+    {
+        if (!story || !filename || typeof filename !== 'string') {
+            console.error(`Ungültige Eingabeparameter in saveTo${formatName}: story = `, story, ", filename = ", filename);
+            return false;
+        }
+        try {
+            SaveLoad.#download(toText(story), 'text/plain', filename);
+            console.log(`Story graph saved to ${formatName}`);
+            return true;
+        } catch(e) {
+            console.error(`Failed to save story graph to ${formatName}: ` + e);
+            return false;
+        }
+    }
+
+    /**
+     * Offers a text or binary data as file download.
+     * @param {string|Uint8Array} content
+     * @param {string} type - MIME type.
+     * @param {string} filename
+     */
+    static #download(content, type, filename)
+    {
+        const fileBlob = new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(fileBlob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Suggests a file name for an export, derived from the title of the story.
+     * @param {Story} story
+     * @param {string} extension - Without dot, e.g. 'json'.
+     * @returns {string} E.g. "die-scherbe.json", or "story.json" for stories without title.
+     */
+    static filenameFor(story, extension)
+    {
+        const name = (story.meta.title || '')
+            .toLowerCase()
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        return `${name || 'story'}.${extension}`;
+    }
+
     /**
      * Saves the story tree as JSON text.
      * @param {Story} story
@@ -48,18 +221,7 @@ export default class SaveLoad {
 
         const data = story.toJSON();
         try {
-            let jsonStory = JSON.stringify(data)
-            const fileBlob = new Blob([jsonStory], { type: 'text/json' });
-
-            // Create a temporary link element
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(fileBlob);
-            link.download = filename;
-            // Programmatically click the link to trigger the download
-            link.click();
-            // Clean up the URL object
-            URL.revokeObjectURL(link.href);
-
+            SaveLoad.#download(JSON.stringify(data), 'application/json', filename);
             console.log("Story saved to Json");
         }catch(e){
             console.error("Failed to save story to Json:" + e);
@@ -70,98 +232,139 @@ export default class SaveLoad {
 
     /**
      * Saves a story as an executable HTML/CSS/JS file with which the story can be played in a browser.
-     * @param {string} filename
      * @param {Story} story
-     * @returns {boolean | Promise<boolean>}
+     * @param {string} filename
+     * @param {ViewerOptions} [options]
+     * @returns {Promise<boolean>}
      */
-    static async saveToHtml(story, filename)
+    static async saveToHtml(story, filename, options = {})
     {
         if (!story || !filename || typeof filename !== 'string') {
             console.error("Ungültige Eingabeparameter in saveToHtml: story = ", story, ", filename = ", filename);
             return false;
         }
+        const storyData = SaveLoad.#toScriptValue(story.toJSON());
+        return SaveLoad.#saveViewer(story, filename, 'none', { storyData }, options);
+    }
 
-        // base64 encoded viewer code parts, without encoding storing them as string without unintended escaping is hard
-        // ------------------------------------------- VIEWER TEMPLATE PART 1
-        const viewerPart1 = 'PCFET0NUWVBFIGh0bWw+CjxodG1sIGxhbmc9ImRlIj4KPGhlYWQ+CiAgICA8bWV0YSBjaGFyc2V0PSJVVEYtOCI+CiAgICA8dGl0bGU+U3RvcnktVmlld2VyPC90aXRsZT4KICAgIDxzdHlsZT4KICAgICAgICBib2R5IHsKICAgICAgICAgICAgZm9udC1mYW1pbHk6IHN5c3RlbS11aSwgc2Fucy1zZXJpZjsKICAgICAgICB9CiAgICAgICAgaDIgewogICAgICAgICAgICBjb2xvcjogIzBmMTcyYTsKICAgICAgICAgICAgbWFyZ2luLWJvdHRvbTogMC4yNXJlbTsKICAgICAgICB9CiAgICAgICAgI2dhbWUgewogICAgICAgICAgICBiYWNrZ3JvdW5kOiAjZjFmNWY5OwogICAgICAgICAgICBib3JkZXI6IDFweCBzb2xpZCAjY2JkNWUxOwogICAgICAgICAgICBwYWRkaW5nOiAxcmVtOwogICAgICAgICAgICBib3JkZXItcmFkaXVzOiA4cHg7CiAgICAgICAgICAgIG1hcmdpbjogMCBhdXRvOwogICAgICAgICAgICBtYXgtd2lkdGg6IDgwMHB4OwogICAgICAgICAgICB3aGl0ZS1zcGFjZTogcHJlLXdyYXA7CiAgICAgICAgICAgIGJveC1zaGFkb3c6IDAgNHB4IDEycHggcmdiYSgwLDAsMCwwLjA2KTsKICAgICAgICB9CiAgICAgICAgI2dhbWUgYnV0dG9uIHsKICAgICAgICAgICAgYmFja2dyb3VuZC1jb2xvcjogIzNiODJmNjsKICAgICAgICAgICAgd2lkdGg6IDEwMCU7CiAgICAgICAgICAgIGNvbG9yOiB3aGl0ZTsKICAgICAgICAgICAgYm9yZGVyOiBub25lOwogICAgICAgICAgICBwYWRkaW5nOiAwLjZyZW0gMXJlbTsKICAgICAgICAgICAgYm9yZGVyLXJhZGl1czogNnB4OwogICAgICAgICAgICBjdXJzb3I6IHBvaW50ZXI7CiAgICAgICAgICAgIG1hcmdpbi10b3A6IDAuNXJlbTsKICAgICAgICAgICAgZm9udC13ZWlnaHQ6IDUwMDsKICAgICAgICB9CiAgICA8L3N0eWxlPgo8L2hlYWQ+Cjxib2R5Pgo8ZGl2IGlkPSJnYW1lIj48L2Rpdj4KCjxzY3JpcHQ+CiAgICBjb25zdCBzdG9yeSA9IHsKICAgICAgICAvLyBJTlNFUlQgSlNPTiBTVE9SWSBIRVJFCg==';
-        // ------------------------------------------- VIEWER TEMPLATE PART 2
-        const viewerPart2 = 'ICAgIH07CgogICAgZnVuY3Rpb24gc2hvd1NjZW5lKGtleSkKICAgIHsKICAgICAgICBjb25zdCBzY2VuZSA9IHN0b3J5W2tleV07CiAgICAgICAgaWYgKCFzY2VuZSkgcmV0dXJuOwoKICAgICAgICBjb25zdCBjb250YWluZXIgPSBkb2N1bWVudC5nZXRFbGVtZW50QnlJZCgiZ2FtZSIpOwogICAgICAgIGNvbnRhaW5lci5pbm5lckhUTUwgPSAiIjsgLy8gZGVsZXRlIHByZXZpb3VzIGNvbnRlbnQvc2NlbmUKCiAgICAgICAgY29uc3QgdGl0bGUgPSBkb2N1bWVudC5jcmVhdGVFbGVtZW50KCJoMiIpOwogICAgICAgIHRpdGxlLnRleHRDb250ZW50ID0ga2V5OyBjb250YWluZXIuYXBwZW5kQ2hpbGQodGl0bGUpOwoKICAgICAgICBjb25zdCB0ZXh0ID0gZG9jdW1lbnQuY3JlYXRlRWxlbWVudCgicCIpOwogICAgICAgIHRleHQudGV4dENvbnRlbnQgPSBzY2VuZS50ZXh0OyBjb250YWluZXIuYXBwZW5kQ2hpbGQodGV4dCk7CgogICAgICAgIGlmICghc2NlbmUuY2hvaWNlcyB8fCBzY2VuZS5jaG9pY2VzLmxlbmd0aCA9PT0gMCkgcmV0dXJuOwoKICAgICAgICBmb3IgKGNvbnN0IGMgb2Ygc2NlbmUuY2hvaWNlcykgewogICAgICAgICAgICBjb25zdCBidXR0b24gPSBkb2N1bWVudC5jcmVhdGVFbGVtZW50KCJidXR0b24iKTsKICAgICAgICAgICAgYnV0dG9uLnRleHRDb250ZW50ID0gYy50ZXh0OwogICAgICAgICAgICBidXR0b24uYWRkRXZlbnRMaXN0ZW5lcigiY2xpY2siLCAoKSA9PiBzaG93U2NlbmUoYy5uZXh0KSk7CiAgICAgICAgICAgIGNvbnRhaW5lci5hcHBlbmRDaGlsZChidXR0b24pOwogICAgICAgICAgICBjb250YWluZXIuYXBwZW5kQ2hpbGQoZG9jdW1lbnQuY3JlYXRlRWxlbWVudCgiYnIiKSk7CiAgICAgICAgfQogICAgfQoKICAgIHNob3dTY2VuZSgic3RhcnQiKTsKPC9zY3JpcHQ+CjwvYm9keT4KPC9odG1sPg==';
+    /**
+     * Saves a story as an HTML file with obfuscation against scraping.
+     * This is no protection: the key is stored in the file. Use saveToPasswordHtml() to protect a story.
+     * @param {Story} story
+     * @param {string} filename
+     * @param {string} encryptionKey - Key for the XOR obfuscation, stored in the file
+     * @param {ViewerOptions} [options]
+     * @returns {Promise<boolean>}
+     */
+    static async saveToEncryptedHtml(story, filename, encryptionKey, options = {})
+    {
+        if (!story || !filename || typeof filename !== 'string' || !encryptionKey) {
+            console.error("Ungültige Parameter in saveToEncryptedHtml");
+            return false;
+        }
+        const encryptedStory = SaveLoad.#encryptStory(JSON.stringify(story.toJSON()), encryptionKey);
+        return SaveLoad.#saveViewer(story, filename, 'obfuscated', {
+            storyData: SaveLoad.#toScriptValue(encryptedStory),
+            decryptionKey: SaveLoad.#toScriptValue(encryptionKey)
+        }, options);
+    }
 
-        const jsonObject = story.toJSON();
-        let jsonText = JSON.stringify(jsonObject);
-        jsonText = jsonText.slice(1,-1)
+    /**
+     * Saves a story as an HTML file which can only be played with the password.
+     * The story is encrypted with AES-GCM, the key is derived from the password (see StoryCrypto), the password is not stored.
+     * @param {Story} story
+     * @param {string} filename
+     * @param {string} password - At least StoryCrypto.MIN_PASSWORD_LENGTH characters
+     * @param {ViewerOptions} [options]
+     * @returns {Promise<boolean>}
+     */
+    static async saveToPasswordHtml(story, filename, password, options = {})
+    {
+        if (!story || !filename || typeof filename !== 'string') {
+            console.error("Ungültige Parameter in saveToPasswordHtml");
+            return false;
+        }
 
+        let payload;
         try {
-            const htmlText = window.atob(viewerPart1) + jsonText + window.atob(viewerPart2);
-            const fileBlob = new Blob([htmlText], { type: 'text/html' });
-
-            // Create a temporary link element
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(fileBlob);
-            link.download = filename;
-            // Programmatically click the link to trigger the download
-            link.click();
-            // Clean up the URL object
-            URL.revokeObjectURL(link.href);
-
-            console.log("Story saved to Html");
-        }catch(e){
-            console.error("Failed to save story to Json:" + e);
+            payload = await StoryCrypto.encrypt(JSON.stringify(story.toJSON()), password);
+        } catch(e) {
+            console.error("Failed to save password protected story: " + e);
             return false;
         }
-        return true;
+        // the title is not written into the file, it is shown after the story was unlocked
+        return SaveLoad.#saveViewer(story, filename, 'password', { storyData: SaveLoad.#toScriptValue(payload) }, options);
     }
 
     /**
-     * Saves a story as an encrypted HTML file with obfuscation against scraping.
+     * Fills a viewer template with the story and offers the result as download.
      * @param {Story} story
      * @param {string} filename
-     * @param {string} encryptionKey - Password for XOR encryption
-     * @returns {boolean | Promise<boolean>}
+     * @param {import('./ViewerTemplates.js').Protection} protection - Protection the template must have.
+     * @param {{storyData: string, decryptionKey?: string}} storyValues - The story in the form for the protection.
+     * @param {ViewerOptions} options
+     * @returns {Promise<boolean>}
      */
-    static async saveToEncryptedHtml(story, filename, encryptionKey)
+    static async #saveViewer(story, filename, protection, storyValues, options)
     {
-        if (!story || !filename || typeof filename !== 'string' || !encryptionKey) {
-            console.error("Ungültige Parameter in saveToEncryptedHtml");
+        const templateName = options.template || ViewerTemplates.DEFAULTS[protection];
+        const template = ViewerTemplates.get(templateName);
+        if (!template || template.protection !== protection) {
+            console.error(`Viewer template ${templateName} cannot be used for protection ${protection}`);
             return false;
         }
-
-        // obfuscatedViewer-Template-Parts (base64)
-        const encryptedViewerPart1 = 'PCFET0NUWVBFIGh0bWw+CjxodG1sIGxhbmc9ImRlIj4KPGhlYWQ+CiAgICA8bWV0YSBjaGFyc2V0PSJVVEYtOCI+CiAgICA8dGl0bGU+T2JmdXNjYXRlZCBTdG9yeS1WaWV3ZXI8L3RpdGxlPgogICAgPHN0eWxlPgogICAgICAgIGJvZHkgewogICAgICAgICAgICBmb250LWZhbWlseTogc3lzdGVtLXVpLCBzYW5zLXNlcmlmOwogICAgICAgIH0KICAgICAgICBoMiB7CiAgICAgICAgICAgIGNvbG9yOiAjMGYxNzJhOwogICAgICAgICAgICBtYXJnaW4tYm90dG9tOiAwLjI1cmVtOwogICAgICAgIH0KICAgICAgICAjZ2FtZSB7CiAgICAgICAgICAgIGJhY2tncm91bmQ6ICNmMWY1Zjk7CiAgICAgICAgICAgIGJvcmRlcjogMXB4IHNvbGlkICNjYmQ1ZTE7CiAgICAgICAgICAgIHBhZGRpbmc6IDFyZW07CiAgICAgICAgICAgIGJvcmRlci1yYWRpdXM6IDhweDsKICAgICAgICAgICAgbWFyZ2luOiAwIGF1dG87CiAgICAgICAgICAgIG1heC13aWR0aDogODAwcHg7CiAgICAgICAgICAgIHdoaXRlLXNwYWNlOiBwcmUtd3JhcDsKICAgICAgICAgICAgYm94LXNoYWRvdzogMCA0cHggMTJweCByZ2JhKDAsMCwwLDAuMDYpOwogICAgICAgIH0KICAgICAgICAjZ2FtZSBidXR0b24gewogICAgICAgICAgICBiYWNrZ3JvdW5kLWNvbG9yOiAjM2I4MmY2OwogICAgICAgICAgICB3aWR0aDogMTAwJTsKICAgICAgICAgICAgY29sb3I6IHdoaXRlOwogICAgICAgICAgICBib3JkZXI6IG5vbmU7CiAgICAgICAgICAgIHBhZGRpbmc6IDAuNnJlbSAxcmVtOwogICAgICAgICAgICBib3JkZXItcmFkaXVzOiA2cHg7CiAgICAgICAgICAgIGN1cnNvcjogcG9pbnRlcjsKICAgICAgICAgICAgbWFyZ2luLXRvcDogMC41cmVtOwogICAgICAgICAgICBmb250LXdlaWdodDogNTAwOwogICAgICAgIH0KICAgIDwvc3R5bGU+CjwvaGVhZD4KPGJvZHk+CjxkaXYgaWQ9ImdhbWUiPjwvZGl2PgoKPHNjcmlwdD4KICAgIC8vID09PSBjb25maWcgPT09CiAgICBjb25zdCBFTkNSWVBURURfU1RPUlkgPSAi';
-        const encryptedViewerPart2 = 'IjsKICAgIGNvbnN0IERFQ1JZUFRJT05fS0VZID0gIg=='; // part after "ENCRYPTED_STORY"
-        const encryptedViewerPart3 = 'IjsKCiAgICBsZXQgc3RvcnkgPSBudWxsOwoKICAgIGZ1bmN0aW9uIHNob3dTY2VuZShrZXkpCiAgICB7CiAgICAgICAgY29uc3Qgc2NlbmUgPSBzdG9yeVtrZXldOwogICAgICAgIGlmICghc2NlbmUpIHJldHVybjsKCiAgICAgICAgY29uc3QgY29udGFpbmVyID0gZG9jdW1lbnQuZ2V0RWxlbWVudEJ5SWQoImdhbWUiKTsKICAgICAgICBjb250YWluZXIuaW5uZXJIVE1MID0gIiI7IC8vIGRlbGV0ZSBwcmV2aW91cyBjb250ZW50L3NjZW5lCgogICAgICAgIGNvbnN0IHRpdGxlID0gZG9jdW1lbnQuY3JlYXRlRWxlbWVudCgiaDIiKTsKICAgICAgICB0aXRsZS50ZXh0Q29udGVudCA9IGtleTsgY29udGFpbmVyLmFwcGVuZENoaWxkKHRpdGxlKTsKCiAgICAgICAgY29uc3QgdGV4dCA9IGRvY3VtZW50LmNyZWF0ZUVsZW1lbnQoInAiKTsKICAgICAgICB0ZXh0LnRleHRDb250ZW50ID0gc2NlbmUudGV4dDsgY29udGFpbmVyLmFwcGVuZENoaWxkKHRleHQpOwoKICAgICAgICBpZiAoIXNjZW5lLmNob2ljZXMgfHwgc2NlbmUuY2hvaWNlcy5sZW5ndGggPT09IDApIHJldHVybjsKCiAgICAgICAgZm9yIChjb25zdCBjIG9mIHNjZW5lLmNob2ljZXMpIHsKICAgICAgICAgICAgY29uc3QgYnV0dG9uID0gZG9jdW1lbnQuY3JlYXRlRWxlbWVudCgiYnV0dG9uIik7CiAgICAgICAgICAgIGJ1dHRvbi50ZXh0Q29udGVudCA9IGMudGV4dDsKICAgICAgICAgICAgYnV0dG9uLmFkZEV2ZW50TGlzdGVuZXIoImNsaWNrIiwgKCkgPT4gc2hvd1NjZW5lKGMubmV4dCkpOwogICAgICAgICAgICBjb250YWluZXIuYXBwZW5kQ2hpbGQoYnV0dG9uKTsKICAgICAgICAgICAgY29udGFpbmVyLmFwcGVuZENoaWxkKGRvY3VtZW50LmNyZWF0ZUVsZW1lbnQoImJyIikpOwogICAgICAgIH0KICAgIH0KCiAgICAvLyBYT1IgZGVjcnlwdGlvbiB3aXRoIHBvc2l0aW9uIG1peGluZwogICAgZnVuY3Rpb24gZGVjcnlwdFN0b3J5KGVuY3J5cHRlZEhleCwga2V5KSB7CiAgICAgICAgaWYoIWVuY3J5cHRlZEhleCB8fCBlbmNyeXB0ZWRIZXgubGVuZ3RoID09PSAwKSB7CiAgICAgICAgICAgIGNvbnNvbGUuZXJyb3IoIkVuY3J5cHRlZCBzdG9yeSBvciBrZXkgbm90IGZvdW5kLiIpOwogICAgICAgICAgICByZXR1cm4gbnVsbDsKICAgICAgICB9CiAgICAgICAgdHJ5IHsKICAgICAgICAgICAgLy8gSGV4IGRlY29kZQogICAgICAgICAgICBjb25zdCBlbmNyeXB0ZWQgPSBuZXcgVWludDhBcnJheShlbmNyeXB0ZWRIZXgubGVuZ3RoIC8gMik7CiAgICAgICAgICAgIGxldCBieXRlSW5kZXggPSAwOwogICAgICAgICAgICBmb3IgKGxldCBpID0gMDsgaSA8IGVuY3J5cHRlZEhleC5sZW5ndGg7IGkgKz0gMikgewogICAgICAgICAgICAgICAgZW5jcnlwdGVkW2J5dGVJbmRleCsrXSA9IHBhcnNlSW50KGVuY3J5cHRlZEhleC5zbGljZShpLCBpICsgMiksIDE2KTsKICAgICAgICAgICAgfQoKICAgICAgICAgICAgY29uc3Qga2V5Qnl0ZXMgPSBuZXcgVGV4dEVuY29kZXIoKS5lbmNvZGUoa2V5KTsKCiAgICAgICAgICAgIGNvbnN0IGRlY3J5cHRlZCA9IG5ldyBVaW50OEFycmF5KGVuY3J5cHRlZC5sZW5ndGgpOwogICAgICAgICAgICBmb3IgKGxldCBpID0gMDsgaSA8IGVuY3J5cHRlZC5sZW5ndGg7IGkrKykgewogICAgICAgICAgICAgICAgZGVjcnlwdGVkW2ldID0gZW5jcnlwdGVkW2ldIF4ga2V5Qnl0ZXNbaSAlIGtleUJ5dGVzLmxlbmd0aF0gXiAoaSAmIDB4RkYpOwogICAgICAgICAgICB9CgogICAgICAgICAgICBjb25zdCBqc29uU3RyaW5nID0gbmV3IFRleHREZWNvZGVyKCkuZGVjb2RlKGRlY3J5cHRlZCk7CiAgICAgICAgICAgIHJldHVybiBKU09OLnBhcnNlKGpzb25TdHJpbmcpOwogICAgICAgIH0gY2F0Y2ggKGUpIHsKICAgICAgICAgICAgY29uc29sZS5lcnJvcigiRGVjcnlwdGlvbiBvZiBzdG9yeSBmYWlsZWQ6IiwgZSk7CiAgICAgICAgICAgIHJldHVybiBudWxsOwogICAgICAgIH0KICAgIH0KCiAgICAvLyBJbml0aWFsaXplIGdhbWUgd2l0aCBhc3luYy9hd2FpdAogICAgYXN5bmMgZnVuY3Rpb24gaW5pdGlhbGl6ZUdhbWUoKSB7CiAgICAgICAgY29uc29sZS5sb2coIkluaXRpYWxpemluZyBnYW1lLi4uIik7CgogICAgICAgIHN0b3J5ID0gYXdhaXQgZGVjcnlwdFN0b3J5KEVOQ1JZUFRFRF9TVE9SWSwgREVDUllQVElPTl9LRVkpOwogICAgICAgIHN0b3J5ID0gSlNPTi5wYXJzZShzdG9yeSk7CiAgICAgICAgCiAgICAgICAgaWYgKCFzdG9yeSkgewogICAgICAgICAgICBjb25zdCBjb250YWluZXIgPSBkb2N1bWVudC5nZXRFbGVtZW50QnlJZCgiZ2FtZSIpOwogICAgICAgICAgICBjb250YWluZXIuaW5uZXJIVE1MID0gIjxwPkVycm9yOiBDb3VsZCBub3QgbG9hZCB0aGUgc3RvcnkuPC9wPiI7CiAgICAgICAgICAgIHJldHVybjsKICAgICAgICB9CgogICAgICAgIGNvbnNvbGUubG9nKCJEaXNwbGF5aW5nIGZpcnN0IHNjZW5lLi4uIik7CiAgICAgICAgc2hvd1NjZW5lKCJzdGFydCIpOwogICAgfQoKICAgIGRvY3VtZW50LmFkZEV2ZW50TGlzdGVuZXIoJ0RPTUNvbnRlbnRMb2FkZWQnLCAoKSA9PiB7CiAgICAgICAgaW5pdGlhbGl6ZUdhbWUoKS5jYXRjaChlcnJvciA9PiB7CiAgICAgICAgICAgIGNvbnNvbGUuZXJyb3IoIkVycm9yIGluaXRpYWxpemluZyBnYW1lOiIsIGVycm9yKTsKICAgICAgICAgICAgY29uc3QgY29udGFpbmVyID0gZG9jdW1lbnQuZ2V0RWxlbWVudEJ5SWQoImdhbWUiKTsKICAgICAgICAgICAgY29udGFpbmVyLmlubmVySFRNTCA9ICI8cD5BbiBlcnJvciBvY2N1cnJlZC4gUGxlYXNlIGNoZWNrIHRoZSBjb25zb2xlIGZvciBkZXRhaWxzLjwvcD4iOwogICAgICAgIH0pOwogICAgfSk7CgogICAgc3RvcnkgPSBkZWNyeXB0U3RvcnkoRU5DUllQVEVEX1NUT1JZLCBERUNSWVBUSU9OX0tFWSk7CiAgICBzaG93U2NlbmUoInN0YXJ0Iik7Cjwvc2NyaXB0Pgo8L2JvZHk+CjwvaHRtbD4='; // part after "DECRYPTION_KEY"
-
-        const jsonObject = story.toJSON();
-        const jsonString = JSON.stringify(jsonObject);
-        const encryptedStory = SaveLoad.#encryptStory(jsonString, encryptionKey);
+        const source = await ViewerTemplates.loadSource(templateName);
+        if (source === null) return false;
+        // templates with their own player need no engine
+        const engine = /\{\{engine(Style)?\}\}/.test(source) ? await ViewerTemplates.loadEngine() : { script: '', style: '' };
+        if (engine === null) return false;
 
         try {
-            // Construct html story file
-            const htmlText =
-                window.atob(encryptedViewerPart1) +
-                `${encryptedStory}` +  // Encrypted Hex-String
-                window.atob(encryptedViewerPart2) +
-                `${encryptionKey}` +   // Key
-                window.atob(encryptedViewerPart3);
-
-            const fileBlob = new Blob([htmlText], { type: 'text/html' });
-            const link = document.createElement('a');
-            link.href = URL.createObjectURL(fileBlob);
-            link.download = filename;
-            link.click();
-            URL.revokeObjectURL(link.href);
-
-            console.log("Encrypted story saved to HTML");
+            const htmlText = ViewerTemplates.fill(source, {
+                title: SaveLoad.#escapeHtml(story.meta.title || 'Story-Viewer'),
+                language: SaveLoad.#escapeHtml(story.meta.language || 'de'),
+                startScene: SaveLoad.#toScriptValue(story.root ? story.root.key : null),
+                theme: (options.theme || '').replace(/<\//g, '<\\/'),
+                options: SaveLoad.#toScriptValue({ saveGames: options.saveGames !== false }),
+                engine: engine.script.replace(/<\/script/gi, '<\\/script'),
+                engineStyle: engine.style,
+                ...storyValues
+            });
+            SaveLoad.#download(htmlText, 'text/html', filename);
+            console.log(`Story saved to HTML with viewer template ${templateName}`);
             return true;
         } catch(e) {
-            console.error("Failed to save encrypted story: " + e);
+            console.error("Failed to save story to HTML: " + e);
             return false;
         }
     }
 
-    static #encryptStory(storyObject, key) 
+    /**
+     * Converts a value to JavaScript source for a <script> element. "<" is escaped, so texts like "</script>" cannot end it.
+     * @param {*} value - JSON compatible value.
+     * @returns {string}
+     */
+    static #toScriptValue(value)
+    {
+        return JSON.stringify(value)
+            .replace(/</g, '\\u003c')
+            .replace(/\u2028/g, '\\u2028')
+            .replace(/\u2029/g, '\\u2029');
+    }
+
+    static #escapeHtml(text)
+    {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * XOR obfuscation of the story JSON, hex encoded.
+     * @param {string} jsonString - The story as JSON text.
+     * @param {string} key
+     * @returns {string}
+     */
+    static #encryptStory(jsonString, key)
     {
-        const jsonString = JSON.stringify(storyObject);
         const utf8Bytes = new TextEncoder().encode(jsonString);
         const keyBytes = new TextEncoder().encode(key);
 
@@ -177,4 +380,10 @@ export default class SaveLoad {
         }
         return hexString;
     }
-}
\ No newline at end of file
+}
+/**
+ * @typedef {Object} ViewerOptions
+ * @property {string} [template] - Name of the viewer template, see ViewerTemplates. Defaults to the standard viewer of the protection.
+ * @property {string} [theme] - CSS added to the viewer.
+ * @property {boolean} [saveGames] - Readers can save their progress, default true.
+ */
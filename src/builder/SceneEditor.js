@@ -1,9 +1,12 @@
-import AsciiTreeRenderer from "./AsciiTreeRenderer.js";
 import Feedback from "./Feedback.js";
-import SceneRenderer from "./SceneRenderer.js";
 import Scene from "./core/Scene.js";
+import Effects from "./core/Effects.js";
+import Condition from "./core/Condition.js";
+import TextTemplate from "./core/TextTemplate.js";
 import Story from "./core/Story.js";
-import TreeEditor from "./TreeEditor.js";
+import History from "./core/History.js";
+import MarkdownRenderer from "./MarkdownRenderer.js";
+import AssetPanel from "./AssetPanel.js";
 
 /**
  * Editor used by the form-based story builder.
@@ -33,37 +36,41 @@ export default class SceneEditor {
             Feedback.show("Bitte Schlüssel und Text ausfüllen.", editorSection, false);
             return;
         }
+        const textError = TextTemplate.validate(text);
+        if (textError) {
+            Feedback.show(`Szenentext: ${textError}`, editorSection, false);
+            return;
+        }
 
         const creatorChoicesContainer = document.getElementById('creator-choices-container');
-        const choiceElements = Array.from(creatorChoicesContainer.querySelectorAll('.choice-inputs'));
-        const choices = new Map();
-        choiceElements.forEach(el => {
-            const textInput = el.querySelector('.choice-text');
-            const nextInput = el.querySelector('.choice-next');
-            if(! nextInput) {
-                console.log("No input for next scene key found. ");
-            }
-            const text = textInput.value.trim();
-            const next = nextInput.value.trim();
-            if (text && next) choices.set(next, text);
-        });
+        let choices, effects, conditions;
+        try {
+            ({ choices, effects, conditions } = SceneEditor.#readChoices(creatorChoicesContainer));
+        } catch (e) {
+            Feedback.show(e.message, editorSection, false);
+            return;
+        }
 
-        if (!story.addScene(new Scene(sceneKey, text, null, choices))) {
+        const scene = new Scene(sceneKey, text, null, choices);
+        scene.setMedia(SceneEditor.#readMedia('creator'));
+        for (const [next, choiceEffects] of effects) {
+            scene.setChoiceEffects(next, choiceEffects);
+        }
+        for (const [next, condition] of conditions) {
+            scene.setChoiceCondition(next, condition.expression, condition.showDisabled);
+        }
+        if (!History.of(story).execute("Szene anlegen", s => s.addScene(scene))) {
             Feedback.show("Scene could not be added to story, key already exists.", editorSection, false);
             return;
         }
-        SceneRenderer.render(story, sceneKey);
-        AsciiTreeRenderer.generateTreeAscii(story);
-        TreeEditor.render(story);
 
         // Eingabefelder leeren
         document.getElementById('creator-scene-key').value = "";
         document.getElementById('creator-scene-text').value = "";
-        const choicesContainer = document.getElementById('creator-choices-container');
-        choicesContainer.innerHTML = `<div class="choice-inputs">
-    <input type="text" class="choice-text" placeholder="Entscheidungstext">
-    <input type="text" class="choice-next" placeholder="Nächste Szene (Schlüssel)">
-    </div>`;
+        creatorChoicesContainer.innerHTML = '';
+        creatorChoicesContainer.appendChild(SceneEditor.createChoiceField());
+        SceneEditor.renderMediaSelects(story, 'creator', { image: null, audio: null });
+        SceneEditor.renderPreview('creator');
 
         Feedback.show(`Szene wurde gespeichert.`, editorSection, true)
     }
@@ -74,40 +81,220 @@ export default class SceneEditor {
     static editScene(story) 
     {
         const keyInput = document.getElementById("editor-scene-key");
+        const newKeyInput = document.getElementById("editor-scene-newkey");
         const status = document.getElementById("editor-scene-status");
         const textInput = document.getElementById("editor-scene-text");
         const choicesContainer = document.getElementById("editor-choices-container");
         const key = keyInput.value.trim();
+        const newKey = newKeyInput ? newKeyInput.value.trim() : '';
         const text = textInput.value.trim();
 
         if (!key) {
             Feedback.show("Bitte gib den Schlüssel der zu bearbeitenden Szene ein.", status, false);
             return;
         }
+        const textError = TextTemplate.validate(text);
+        if (textError) {
+            Feedback.show(`Szenentext: ${textError}`, status, false);
+            return;
+        }
+        const isRename = newKey !== '' && newKey !== key;
+        if (isRename) {
+            const error = SceneEditor.checkNewKey(story, newKey);
+            if (error) {
+                Feedback.show(error, status, false);
+                return;
+            }
+        }
 
-        let choices = new Map();
-        for (const el of choicesContainer.children) {
-            if (!el.classList.contains('choice-inputs')) continue;
+        let choices, effects, conditions;
+        try {
+            ({ choices, effects, conditions } = SceneEditor.#readChoices(choicesContainer));
+        } catch (e) {
+            Feedback.show(e.message, status, false);
+            return;
+        }
 
-            let choiceTextInput = el.querySelector(".choice-text");
-            let choiceKeyInput = el.querySelector(".choice-next");
+        // content, media and key are changed in one step, so undo reverts all of them
+        const media = SceneEditor.#readMedia('editor');
+        let success = History.of(story).execute("Szene bearbeiten", s => {
+            const edited = s.editScene(key, text, choices, effects, conditions);
+            const mediaChanged = s.setSceneMedia(key, media);
+            const renamed = isRename && s.renameScene(key, newKey);
+            return edited || mediaChanged || renamed;
+        });
+        if (success) {
+            if (isRename) {
+                keyInput.value = newKey;
+                newKeyInput.value = '';
+            }
+            Feedback.show(`Szene wurde erfolgreich bearbeitet.`, status, true);
+        }
+    }
 
-            if (!choiceTextInput || !choiceKeyInput
-                || !(choiceTextInput instanceof HTMLInputElement) || !(choiceKeyInput instanceof HTMLInputElement)) {
-                console.log("Error in editScene: Invalid choice input elements. Skipping choice.");
-                continue;
+    /**
+     * Opens the popup for a new scene, e.g. for a scene which a choice leads to but which does not exist yet.
+     * @param {string} sceneKey - Key filled into the form.
+     */
+    static openCreator(sceneKey = '')
+    {
+        document.getElementById("creator-scene-key").value = sceneKey;
+        document.getElementById("create-scene-popup").style.display = "block";
+    }
+
+    /**
+     * Opens the edit popup filled with the existing content of a scene.
+     * @param {Story} story
+     * @param {string} sceneKey
+     * @returns {boolean} True if opened, false if the scene does not exist.
+     */
+    static openEditor(story, sceneKey)
+    {
+        const scene = story.getScene(sceneKey);
+        if (!scene) {
+            console.warn(`Scene ${sceneKey} not found`);
+            return false;
+        }
+
+        // insert existing content
+        document.getElementById("editor-scene-key").value = sceneKey;
+        document.getElementById("editor-scene-newkey").value = '';
+        document.getElementById("editor-scene-text").value = scene.text;
+        const choicesContainer = document.getElementById("editor-choices-container");
+        choicesContainer.innerHTML = '';
+        for (const [next, choiceText] of scene.choices) {
+            choicesContainer.appendChild(SceneEditor.createChoiceField(choiceText, next, scene.getChoiceEffects(next), scene.getChoiceCondition(next)));
+        }
+
+        SceneEditor.renderMediaSelects(story, 'editor', { image: scene.image, audio: scene.audio });
+
+        document.getElementById("edit-scene-popup").style.display = "block";
+        SceneEditor.renderPreview('editor');
+        return true;
+    }
+
+    /**
+     * Lets the preview button of a popup show and hide the rendered scene text and choices.
+     * The preview follows the input while it is shown.
+     * @param {'creator'|'editor'} prefix - Prefix of the element ids of the popup.
+     */
+    static initPreview(prefix)
+    {
+        const button = document.getElementById(`${prefix}-preview-btn`);
+        const preview = document.getElementById(`${prefix}-scene-preview`);
+        if (!button || !preview) return;
+
+        button.addEventListener('click', () => {
+            preview.hidden = !preview.hidden;
+            button.textContent = preview.hidden ? 'Vorschau anzeigen' : 'Vorschau ausblenden';
+            button.setAttribute('aria-pressed', String(!preview.hidden));
+            SceneEditor.renderPreview(prefix);
+        });
+        const onInput = () => SceneEditor.renderPreview(prefix);
+        document.getElementById(`${prefix}-scene-text`).addEventListener('input', onInput);
+        document.getElementById(`${prefix}-choices-container`).addEventListener('input', onInput);
+    }
+
+    /**
+     * Renders the text and the choices of a popup into its preview, if the preview is shown.
+     * @param {'creator'|'editor'} prefix - Prefix of the element ids of the popup.
+     */
+    static renderPreview(prefix)
+    {
+        const preview = document.getElementById(`${prefix}-scene-preview`);
+        if (!preview || preview.hidden) return;
+
+        preview.innerHTML = '';
+        preview.appendChild(MarkdownRenderer.render(document.getElementById(`${prefix}-scene-text`).value));
+        for (const input of document.getElementById(`${prefix}-choices-container`).querySelectorAll('.choice-text')) {
+            if (!input.value.trim()) continue;
+            const choice = document.createElement('button');
+            choice.type = 'button';
+            choice.tabIndex = -1;
+            choice.appendChild(MarkdownRenderer.renderInline(input.value.trim(), false));
+            preview.appendChild(choice);
+        }
+    }
+
+    /**
+     * Lets the file inputs of a popup add media to the story and keeps the media selections up to date.
+     * @param {Story} story
+     * @param {'creator'|'editor'} prefix - Prefix of the element ids of the popup.
+     */
+    static initMedia(story, prefix)
+    {
+        const status = document.getElementById(`${prefix}-scene-status`);
+        for (const type of Scene.MEDIA_TYPES) {
+            const fileInput = document.getElementById(`${prefix}-${type}-file`);
+            if (!fileInput) continue;
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+                const name = await AssetPanel.addFile(story, file, status, type);
+                if (name) document.getElementById(`${prefix}-scene-${type}`).value = name;
+            });
+        }
+        story.subscribeAll([Story.EVENTS.ASSET_CHANGED, Story.EVENTS.STORY_REPLACED], () => SceneEditor.renderMediaSelects(story, prefix));
+        SceneEditor.renderMediaSelects(story, prefix);
+    }
+
+    /**
+     * Fills the media selections of a popup with the assets of the story.
+     * @param {Story} story
+     * @param {'creator'|'editor'} prefix - Prefix of the element ids of the popup.
+     * @param {{image?: string|null, audio?: string|null}} [selected] - Asset names to select, the current selection is kept if omitted.
+     */
+    static renderMediaSelects(story, prefix, selected = {})
+    {
+        const emptyLabels = { image: '(kein Bild)', audio: '(kein Ton)' };
+        for (const type of Scene.MEDIA_TYPES) {
+            const select = document.getElementById(`${prefix}-scene-${type}`);
+            if (!select) continue;
+            let value = selected[type] !== undefined ? selected[type] || '' : select.value;
+            // a removed asset is removed from the scenes too, so it is not kept as missing
+            if (selected[type] === undefined && !story.assets.has(value) && !select.selectedOptions[0]?.dataset.missing) value = '';
+            select.innerHTML = '';
+            select.appendChild(new Option(emptyLabels[type], ''));
+            for (const [name, asset] of story.assets) {
+                if (asset.type === type) select.appendChild(new Option(name, name));
             }
-            let choiceKey = choiceKeyInput.value.trim();
-            let choiceText = choiceTextInput.value.trim();
-            if( !choiceKey ) continue;
-            choices.set(choiceKey, choiceText);
+            // a scene may refer to a missing asset, it stays selected so saving keeps it
+            if (value && !story.assets.has(value)) {
+                const missing = new Option(`${value} (fehlt)`, value);
+                missing.dataset.missing = 'true';
+                select.appendChild(missing);
+            }
+            select.value = value;
         }
+    }
 
-        let success = story.editScene(key, text, choices);
-        if (success) {
-            SceneRenderer.render(story, key);
-            Feedback.show(`Szene wurde erfolgreich bearbeitet.`, status, true);
+    /**
+     * @param {'creator'|'editor'} prefix
+     * @returns {{image?: string|null, audio?: string|null}} Selected asset names, null for none.
+     */
+    static #readMedia(prefix)
+    {
+        const media = {};
+        for (const type of Scene.MEDIA_TYPES) {
+            const select = document.getElementById(`${prefix}-scene-${type}`);
+            if (select) media[type] = select.value || null;
         }
+        return media;
+    }
+
+    /**
+     * Checks whether a scene can be renamed to a key.
+     * @param {Story} story
+     * @param {string} newKey
+     * @returns {string|null} Error message, or null if the key can be used.
+     */
+    static checkNewKey(story, newKey)
+    {
+        if (!newKey) return "Der Schlüssel darf nicht leer sein.";
+        if (Story.isReservedKey(newKey)) return `Schlüssel, die mit "${Story.RESERVED_PREFIX}" beginnen, sind reserviert.`;
+        if (story.getScene(newKey)) return `Es gibt bereits eine Szene mit dem Schlüssel "${newKey}".`;
+        return null;
     }
 
     /**
@@ -122,14 +309,86 @@ export default class SceneEditor {
             return;
         }
 
+        parentElement.appendChild(SceneEditor.createChoiceField());
+    }
+
+    /**
+     * Creates the input fields for one choice, optionally filled with existing values.
+     * @param {string} text - Choice text.
+     * @param {string} next - Key of the next scene.
+     * @param {Array<import('./core/Effects.js').Effect>} effects - Effects of the choice.
+     * @param {import('./core/Scene.js').ChoiceCondition|null} condition - Condition of the choice.
+     * @returns {HTMLDivElement}
+     */
+    static createChoiceField(text = '', next = '', effects = [], condition = null)
+    {
         const container = document.createElement('div');
         container.className = 'choice-inputs';
         container.innerHTML = `
         <input type="text" class="choice-text" placeholder="Entscheidungstext">
         <input type="text" class="choice-next" placeholder="Nächste Szene (Schlüssel)">
+        <input type="text" class="choice-effects" placeholder="Effekte, z. B. gold += 10; hatSchlüssel = true">
+        <input type="text" class="choice-condition" placeholder="Bedingung, z. B. gold >= 10 && visited(keller)">
+        <label class="checkbox-container"><input type="checkbox" class="choice-show-disabled"> ausgegraut anzeigen, wenn die Bedingung nicht erfüllt ist</label>
       `;
+        container.querySelector('.choice-text').value = text;
+        container.querySelector('.choice-next').value = next;
+        container.querySelector('.choice-effects').value = Effects.stringify(effects);
+        container.querySelector('.choice-condition').value = condition ? condition.expression : '';
+        container.querySelector('.choice-show-disabled').checked = !!(condition && condition.showDisabled);
         container.appendChild(SceneEditor.#createDeleteButton(container));
-        parentElement.appendChild(container);
+        return container;
+    }
+
+    /**
+     * Reads all choice input fields of a container.
+     * Choices without a next scene key are skipped.
+     * @param {HTMLElement} choicesContainer
+     * @returns {{choices: Map<string, string>, effects: Map<string, Array<import('./core/Effects.js').Effect>>, conditions: Map<string, import('./core/Scene.js').ChoiceCondition>}}
+     * @throws {Error} If the text, the effects or the condition of a choice cannot be parsed.
+     */
+    static #readChoices(choicesContainer)
+    {
+        const choices = new Map();
+        const effects = new Map();
+        const conditions = new Map();
+        for (const el of choicesContainer.children) {
+            if (!el.classList.contains('choice-inputs')) continue;
+
+            let choiceTextInput = el.querySelector(".choice-text");
+            let choiceKeyInput = el.querySelector(".choice-next");
+
+            if (!choiceTextInput || !choiceKeyInput
+                || !(choiceTextInput instanceof HTMLInputElement) || !(choiceKeyInput instanceof HTMLInputElement)) {
+                console.log("Error in readChoices: Invalid choice input elements. Skipping choice.");
+                continue;
+            }
+            let choiceKey = choiceKeyInput.value.trim();
+            let choiceText = choiceTextInput.value.trim();
+            if( !choiceKey ) continue;
+            const textError = TextTemplate.validate(choiceText);
+            if (textError) throw new Error(`Entscheidung "${choiceKey}": ungültiger Text: ${textError}`);
+            choices.set(choiceKey, choiceText);
+
+            const effectsInput = el.querySelector(".choice-effects");
+            if (effectsInput && effectsInput.value.trim()) {
+                try {
+                    effects.set(choiceKey, Effects.parse(effectsInput.value));
+                } catch (e) {
+                    throw new Error(`Entscheidung "${choiceKey}": ${e.message}`);
+                }
+            }
+
+            const conditionInput = el.querySelector(".choice-condition");
+            const expression = conditionInput ? conditionInput.value.trim() : '';
+            if (expression) {
+                const error = Condition.validate(expression);
+                if (error) throw new Error(`Entscheidung "${choiceKey}": ungültige Bedingung: ${error}`);
+                const showDisabledInput = el.querySelector(".choice-show-disabled");
+                conditions.set(choiceKey, { expression, showDisabled: !!(showDisabledInput && showDisabledInput.checked) });
+            }
+        }
+        return { choices, effects, conditions };
     }
 
     /**
@@ -1,18 +1,153 @@
+import Effects from "./core/Effects.js";
+import Condition from "./core/Condition.js";
+import Story from "./core/Story.js";
+import TextTemplate from "./core/TextTemplate.js";
+import MarkdownRenderer from "./MarkdownRenderer.js";
+
 /**
  * Responsible for rendering a scene to the play area.
+ * Keeps the state of the running story (variables, inventory and visited scenes) per target element,
+ * together with the path of scenes shown so far, so the player can go back or start again.
+ *
+ * @typedef {Object} PathEntry
+ * @property {string} key - Key of the shown scene.
+ * @property {Object<string, number|boolean|string>} variables - Variable values when the scene was shown.
+ * @property {Object<string, number>} inventory - Item id -> count when the scene was shown.
+ * @property {Array<string>} visited - Keys of the visited scenes when the scene was shown.
  */
 export default class SceneRenderer {
+    // targetElementId -> { variables, inventory, visited, current, startKey, path } of the running story
+    static #states = new Map();
+    // targetElementId -> function which stops following the changes of its story
+    static #observed = new Map();
+
+    /**
+     * Follows the changes of a story by rendering the current scene again.
+     * Editing never moves the player, only starting the story and choosing a choice do.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static observe(story, targetElementId = 'play-area')
+    {
+        if (SceneRenderer.#observed.has(targetElementId)) {
+            SceneRenderer.#observed.get(targetElementId)();
+        }
+        const unsubscribe = story.subscribeAll(Object.values(Story.EVENTS), (event) => {
+            if (event.type === Story.EVENTS.SCENE_RENAMED) {
+                SceneRenderer.#renameInState(targetElementId, event.oldKey, event.key);
+                SceneRenderer.refresh(story, targetElementId);
+            } else if (event.type !== Story.EVENTS.VARIABLE_CHANGED) {
+                SceneRenderer.refresh(story, targetElementId);
+            }
+        });
+        SceneRenderer.#observed.set(targetElementId, unsubscribe);
+    }
+
+    /**
+     * Starts the story at a scene with fresh variable values, an empty inventory and no visited scenes.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} [key] - Key of the first scene, defaults to the start scene of the story.
+     * @param {string} targetElementId
+     */
+    static start(story, key = story.root ? story.root.key : null, targetElementId = 'play-area')
+    {
+        const state = SceneRenderer.#createState(story);
+        state.startKey = key;
+        SceneRenderer.#states.set(targetElementId, state);
+        SceneRenderer.render(story, key, targetElementId);
+    }
+
+    /**
+     * Starts the running story again at the scene where it was started.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static restart(story, targetElementId = 'play-area')
+    {
+        const state = SceneRenderer.#states.get(targetElementId);
+        const startKey = state && state.startKey ? state.startKey : undefined;
+        SceneRenderer.start(story, startKey, targetElementId);
+    }
+
+    /**
+     * Goes back to an earlier scene of the path, with the variable values, inventory and visited scenes at that time.
+     * Does nothing if the story does not allow going back.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     * @param {number} [index] - Position of the scene in the path, defaults to the previous scene.
+     * @returns {boolean} True if the story went back.
+     */
+    static back(story, targetElementId = 'play-area', index = undefined)
+    {
+        const state = SceneRenderer.#states.get(targetElementId);
+        if (!state || !story.settings.backtracking) return false;
+        const target = index === undefined ? state.path.length - 2 : index;
+        if (target < 0 || target >= state.path.length - 1) return false;
+
+        state.path.length = target + 1;
+        const entry = state.path[target];
+        state.variables = { ...entry.variables };
+        state.inventory = { ...entry.inventory };
+        state.visited = new Set(entry.visited);
+        state.current = entry.key;
+        SceneRenderer.#draw(story, targetElementId);
+        return true;
+    }
+
     /**
-     * Render a scene by key.
-     * @param {import('./Story.js').default} story
+     * @param {string} targetElementId
+     * @returns {Array<string>} Keys of the scenes shown since the story was started, the current scene last.
+     */
+    static getPath(targetElementId = 'play-area')
+    {
+        const state = SceneRenderer.#states.get(targetElementId);
+        return state ? state.path.map(entry => entry.key) : [];
+    }
+
+    /**
+     * Render a scene by key. Showing another scene than the current one adds it to the path.
+     * @param {import('./core/Story.js').default} story
      * @param {string} key
      * @param {string} targetElementId
      */
-    static render(story, key, targetElementId = 'play-area') 
+    static render(story, key, targetElementId = 'play-area')
+    {
+        if (!SceneRenderer.#states.has(targetElementId)) {
+            SceneRenderer.#states.set(targetElementId, SceneRenderer.#createState(story));
+        }
+        const state = SceneRenderer.#states.get(targetElementId);
+        const last = state.path[state.path.length - 1];
+        SceneRenderer.#enter(story, key, state, !!last && last.key === key);
+        SceneRenderer.#draw(story, targetElementId);
+    }
+
+    /**
+     * Makes a scene the current one and records it in the path.
+     * @param {boolean} replace - Updates the last entry of the path instead of adding one, e.g. for a preview of the current scene.
+     */
+    static #enter(story, key, state, replace)
+    {
+        state.current = key;
+        if (!story.getScene(key)) return;
+        state.visited.add(key);
+        const entry = { key, variables: { ...state.variables }, inventory: { ...state.inventory }, visited: Array.from(state.visited) };
+        if (replace && state.path.length > 0) {
+            state.path[state.path.length - 1] = entry;
+        } else {
+            state.path.push(entry);
+        }
+    }
+
+    /**
+     * Renders the current scene with its choices, the navigation, the inventory and the variables.
+     */
+    static #draw(story, targetElementId)
     {
         const area = document.getElementById(targetElementId);
         if (!area) return;
 
+        const state = SceneRenderer.#states.get(targetElementId);
+        const key = state.current;
         const scene = story.getScene(key);
         area.innerHTML = '';
 
@@ -23,22 +158,221 @@ export default class SceneRenderer {
             errorMessage.appendChild(em);
             area.textContent = '';
             area.appendChild(errorMessage);
+            SceneRenderer.#renderNavigation(story, state, area, targetElementId);
             return;
         }
 
+        SceneRenderer.#renderNavigation(story, state, area, targetElementId);
+
         const sceneTitle = document.createElement('p');
         const sceneKeyStrong = document.createElement('strong');
         sceneKeyStrong.textContent = key;
-        sceneTitle.append(sceneKeyStrong, ": " + scene.text);
-
+        sceneTitle.appendChild(sceneKeyStrong);
         area.appendChild(sceneTitle);
+        SceneRenderer.#renderImage(story, scene, area);
+
+        const sceneText = document.createElement('div');
+        sceneText.classList.add('play-text');
+        sceneText.appendChild(MarkdownRenderer.render(TextTemplate.render(scene.text, state)));
+        area.appendChild(sceneText);
+        SceneRenderer.#renderAudio(story, scene, area);
 
         for (const [next, text] of scene.choices.entries()) {
+            const condition = scene.getChoiceCondition(next);
+            const available = !condition || SceneRenderer.#isFulfilled(condition, state);
+            if (!available && !condition.showDisabled) continue;
+
             const button = document.createElement('button');
-            button.textContent = text;
-            button.onclick = () => SceneRenderer.render(story, next, targetElementId);
+            button.appendChild(MarkdownRenderer.renderInline(TextTemplate.render(text, state), false));
+            button.disabled = !available;
+            button.onclick = () => {
+                Effects.apply(state.variables, scene.getChoiceEffects(next), state.inventory);
+                SceneRenderer.#enter(story, next, state, false);
+                SceneRenderer.#draw(story, targetElementId);
+            };
             area.appendChild(button);
             area.appendChild(document.createElement('br'));
         }
+
+        SceneRenderer.#renderInventory(story, state.inventory, area);
+        SceneRenderer.#renderState(state.variables, area);
+    }
+
+    static #renderImage(story, scene, area)
+    {
+        const asset = scene.image ? story.assets.get(scene.image) : null;
+        if (!asset) return;
+        const image = document.createElement('img');
+        image.classList.add('play-image');
+        image.src = asset.data;
+        // an illustration of the text, which the text describes
+        image.alt = '';
+        area.appendChild(image);
+    }
+
+    /**
+     * Plays the sound of the scene in a loop, with controls to pause it.
+     */
+    static #renderAudio(story, scene, area)
+    {
+        const asset = scene.audio ? story.assets.get(scene.audio) : null;
+        if (!asset) return;
+        const audio = document.createElement('audio');
+        audio.classList.add('play-audio');
+        audio.src = asset.data;
+        audio.controls = true;
+        audio.loop = true;
+        audio.autoplay = true;
+        area.appendChild(audio);
+    }
+
+    /**
+     * Renders the current scene again, e.g. after the story was changed. Does nothing if no story was started.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static refresh(story, targetElementId = 'play-area')
+    {
+        const state = SceneRenderer.#states.get(targetElementId);
+        if (!state || !state.current) return;
+        SceneRenderer.#draw(story, targetElementId);
+    }
+
+    /**
+     * Keeps the running story at its scene and its visited scenes after a scene was renamed.
+     * @param {string} targetElementId
+     * @param {string} oldKey
+     * @param {string} newKey
+     */
+    static #renameInState(targetElementId, oldKey, newKey)
+    {
+        const state = SceneRenderer.#states.get(targetElementId);
+        if (!state) return;
+        if (state.current === oldKey) state.current = newKey;
+        if (state.startKey === oldKey) state.startKey = newKey;
+        if (state.visited.delete(oldKey)) state.visited.add(newKey);
+        for (const entry of state.path) {
+            if (entry.key === oldKey) entry.key = newKey;
+            entry.visited = entry.visited.map(key => key === oldKey ? newKey : key);
+        }
+    }
+
+    static #createState(story)
+    {
+        return { variables: story.getInitialState(), inventory: {}, visited: new Set(), current: null, startKey: null, path: [] };
+    }
+
+    /**
+     * Shows the path of scenes so far and the buttons for going back and starting again, depending on the settings of the story.
+     * Earlier scenes in the path can be clicked to go back to them.
+     */
+    static #renderNavigation(story, state, area, targetElementId)
+    {
+        const { backtracking, breadcrumb } = story.settings;
+        const navigation = document.createElement('nav');
+        navigation.classList.add('play-navigation');
+
+        if (breadcrumb && state.path.length > 0) {
+            const list = document.createElement('ol');
+            list.classList.add('play-breadcrumb');
+            list.setAttribute('aria-label', 'Bisheriger Weg');
+            state.path.forEach((entry, index) => {
+                const item = document.createElement('li');
+                if (backtracking && index < state.path.length - 1) {
+                    const link = document.createElement('a');
+                    link.href = '#';
+                    link.textContent = entry.key;
+                    link.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        SceneRenderer.back(story, targetElementId, index);
+                    });
+                    item.appendChild(link);
+                } else {
+                    item.textContent = entry.key;
+                }
+                list.appendChild(item);
+            });
+            navigation.appendChild(list);
+        }
+
+        if (backtracking) {
+            const backButton = document.createElement('button');
+            backButton.textContent = 'Zurück';
+            backButton.disabled = state.path.length < 2;
+            backButton.onclick = () => SceneRenderer.back(story, targetElementId);
+            navigation.appendChild(backButton);
+        }
+        const restartButton = document.createElement('button');
+        restartButton.textContent = 'Neu starten';
+        restartButton.onclick = () => SceneRenderer.restart(story, targetElementId);
+        navigation.appendChild(restartButton);
+
+        area.appendChild(navigation);
+    }
+
+    /**
+     * Evaluates a choice condition, malformed conditions count as not fulfilled.
+     * @param {import('./core/Scene.js').ChoiceCondition} condition
+     * @param {{variables: Object, inventory: Object<string, number>, visited: Set<string>}} state
+     * @returns {boolean}
+     */
+    static #isFulfilled(condition, state)
+    {
+        try {
+            return Condition.test(condition.expression, state);
+        } catch (e) {
+            console.warn(`Invalid condition "${condition.expression}": ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Lists the items the player carries with their count and description.
+     * Items without definition are shown with their id, so authors notice them.
+     * @param {import('./core/Story.js').default} story
+     * @param {Object<string, number>} inventory
+     * @param {HTMLElement} area
+     */
+    static #renderInventory(story, inventory, area)
+    {
+        const entries = Object.entries(inventory).filter(([, count]) => count > 0);
+        if (entries.length === 0) return;
+
+        const panel = document.createElement('section');
+        panel.classList.add('play-inventory');
+        panel.setAttribute('aria-label', 'Inventar');
+        const title = document.createElement('strong');
+        title.textContent = 'Inventar';
+        const list = document.createElement('ul');
+        for (const [id, count] of entries) {
+            const item = story.items.get(id);
+            const li = document.createElement('li');
+            li.textContent = (item ? item.name : id) + (count > 1 ? ` (${count})` : '');
+            if (item && item.description) {
+                const description = document.createElement('span');
+                description.classList.add('play-inventory-description');
+                description.textContent = item.description;
+                li.appendChild(description);
+            }
+            list.appendChild(li);
+        }
+        panel.append(title, list);
+        area.appendChild(panel);
+    }
+
+    /**
+     * Shows the current variable values below the scene, so authors can follow the effects of their choices.
+     * @param {Object<string, number|boolean|string>} state
+     * @param {HTMLElement} area
+     */
+    static #renderState(state, area)
+    {
+        const entries = Object.entries(state);
+        if (entries.length === 0) return;
+
+        const stateInfo = document.createElement('p');
+        stateInfo.classList.add('play-variables');
+        stateInfo.textContent = 'Variablen: ' + entries.map(([name, value]) => `${name} = ${value}`).join(', ');
+        area.appendChild(stateInfo);
     }
 }
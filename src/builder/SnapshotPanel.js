@@ -0,0 +1,76 @@
+import AutoSave from "./core/AutoSave.js";
+import History from "./core/History.js";
+
+/**
+ * Lists the stored snapshots of the story. A snapshot can be restored (undoable) or removed.
+ */
+export default class SnapshotPanel {
+    /**
+     * Lists the snapshots, newest first.
+     * @param {import('./core/Story.js').default} story - The story which a restored snapshot replaces.
+     * @param {string} targetElementId
+     * @param {Storage} storage
+     */
+    static render(story, targetElementId = 'snapshot-list', storage = localStorage)
+    {
+        const list = document.getElementById(targetElementId);
+        if (!list) return;
+        list.innerHTML = '';
+
+        const snapshots = AutoSave.listSnapshots(storage);
+        if (snapshots.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = '(noch keine Schnappschüsse)';
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const snapshot of snapshots) {
+            const li = document.createElement('li');
+            const sceneCount = Object.keys(snapshot.document.scenes || {}).length;
+            li.textContent = `${SnapshotPanel.formatTime(snapshot.savedAt)} – ${snapshot.label} `
+                + `(${sceneCount} ${sceneCount === 1 ? 'Szene' : 'Szenen'}) `;
+
+            const restore = document.createElement('button');
+            restore.textContent = 'Wiederherstellen';
+            restore.addEventListener('click', () => SnapshotPanel.restore(story, snapshot.id, storage));
+
+            const remove = document.createElement('button');
+            remove.textContent = 'Löschen';
+            remove.addEventListener('click', () => {
+                AutoSave.removeSnapshot(snapshot.id, storage);
+                SnapshotPanel.render(story, targetElementId, storage);
+            });
+
+            li.append(restore, ' ', remove);
+            list.appendChild(li);
+        }
+    }
+
+    /**
+     * Replaces the story with a snapshot, as an undoable operation.
+     * @param {import('./core/Story.js').default} story
+     * @param {number} id
+     * @param {Storage} storage
+     * @returns {boolean} False if the snapshot cannot be loaded.
+     */
+    static restore(story, id, storage = localStorage)
+    {
+        const stored = AutoSave.loadSnapshot(id, storage, story.assets);
+        if (!stored) {
+            alert('Der Schnappschuss konnte nicht geladen werden.');
+            return false;
+        }
+        History.of(story).execute("Schnappschuss wiederherstellen", s => s.replaceWith(stored));
+        return true;
+    }
+
+    /**
+     * @param {number} time - Milliseconds since 1970.
+     * @returns {string} Date and time in German notation.
+     */
+    static formatTime(time)
+    {
+        return new Date(time).toLocaleString('de-DE');
+    }
+}
@@ -0,0 +1,63 @@
+import Story from "./core/Story.js";
+import History from "./core/History.js";
+
+/**
+ * Select box to choose the start scene of the story.
+ */
+export default class StartSceneSelector {
+    // selectElementId -> function which stops the re-rendering of its story
+    static #observed = new Map();
+
+    /**
+     * Fills the select box with the scenes of a story, keeps it up to date and changes the start scene on selection.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} selectElementId
+     */
+    static observe(story, selectElementId = 'start-scene-select')
+    {
+        const select = document.getElementById(selectElementId);
+        if (!select) return;
+
+        if (StartSceneSelector.#observed.has(selectElementId)) {
+            StartSceneSelector.#observed.get(selectElementId)();
+        }
+        const onChange = () => {
+            History.of(story).execute("Startszene ändern", s => s.setStartScene(select.value));
+        };
+        select.addEventListener('change', onChange);
+        const unsubscribe = story.subscribeAll(Object.values(Story.EVENTS),
+            () => StartSceneSelector.render(story, selectElementId));
+        StartSceneSelector.#observed.set(selectElementId, () => {
+            unsubscribe();
+            select.removeEventListener('change', onChange);
+        });
+        StartSceneSelector.render(story, selectElementId);
+    }
+
+    /**
+     * Lists all scenes as options, the start scene is selected.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} selectElementId
+     */
+    static render(story, selectElementId = 'start-scene-select')
+    {
+        const select = document.getElementById(selectElementId);
+        if (!select) return;
+        select.innerHTML = '';
+
+        if (!story.root) {
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = '(keine Startszene)';
+            select.appendChild(none);
+        }
+        for (const key of story.scenes.keys()) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = key;
+            select.appendChild(option);
+        }
+        select.value = story.root ? story.root.key : '';
+        select.disabled = story.scenes.size === 0;
+    }
+}
@@ -1,6 +1,12 @@
+import SceneEditor from "./SceneEditor.js";
+import Story from "./core/Story.js";
+import History from "./core/History.js";
+
 /**
  * Renders an HTML tree of the story structure with expandable/collapsible nodes.
- * Does not modify the story; maintains only UI state (expanded nodes).
+ * Scenes can be dragged onto other scenes to move them with everything below them,
+ * and choices can be dragged within their scene to change the order of the buttons in the player.
+ * All changes go through the History, the editor itself maintains only UI state (expanded nodes).
  */
 export default class TreeEditor {
     // Keep one instance per target container id to preserve expand/collapse state across renders
@@ -25,11 +31,47 @@ export default class TreeEditor {
         inst.render(story);
     }
 
+    /**
+     * Convenience static: renders the story and renders it again whenever it changes.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static observe(story, targetElementId = 'tree-html-area')
+    {
+        const inst = TreeEditor.#getInstance(targetElementId);
+        inst.observe(story);
+    }
+
     constructor(targetElementId) 
     {
         this.targetElementId = targetElementId;
         // Track expanded scene keys. Root will be expanded on first render.
         this.expanded = new Set();
+        // Stops re-rendering the observed story
+        this.unsubscribe = null;
+        // Scene or choice being dragged: {sceneKey, parentKey} or {sceneKey, next}
+        this.dragged = null;
+    }
+
+    /**
+     * Renders the story and subscribes to its events to render it again after every change.
+     * A previously observed story is no longer rendered.
+     * @param {import('./core/Story.js').default} story
+     */
+    observe(story)
+    {
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = story.subscribeAll(Object.values(Story.EVENTS), (event) => {
+            // Cleanup expansion state of removed nodes
+            if (event.type === Story.EVENTS.SCENE_REMOVED) {
+                event.removed.forEach(key => this.expanded.delete(key));
+            }
+            if (event.type === Story.EVENTS.SCENE_RENAMED && this.expanded.delete(event.oldKey)) {
+                this.expanded.add(event.key);
+            }
+            this.render(story);
+        });
+        this.render(story);
     }
 
     /**
@@ -52,7 +94,7 @@ export default class TreeEditor {
         this.#ensureRootExpanded(story);
 
         const ul = this.#createRootList();
-        this.#renderNode(story.root.key, ul, story, new Set());
+        this.#renderNode(story.root.key, ul, story, new Set(), new Set());
         container.appendChild(ul);
     }
 
@@ -80,7 +122,7 @@ export default class TreeEditor {
     #appendNoRootMessage(container) 
     {
         const p = document.createElement('p');
-        p.textContent = 'Keine Startszene gefunden. Lege zuerst eine Szene mit dem Schlüssel "start" an.';
+        p.textContent = 'Keine Startszene festgelegt. Lege zuerst eine Szene an oder wähle eine Startszene aus.';
         container.appendChild(p);
     }
 
@@ -98,7 +140,17 @@ export default class TreeEditor {
         return ul;
     }
 
-    #renderNode(sceneKey, parentUl, story, path) 
+    /**
+     * Renders a scene and, if expanded, its choices recursively.
+     * A scene reached on several paths is only rendered in full at its first position.
+     * @param {string} sceneKey
+     * @param {HTMLUListElement} parentUl
+     * @param {import('./core/Story.js').default} story
+     * @param {Set<string>} path - Scene keys from the root to this scene, to detect loops.
+     * @param {Set<string>} rendered - Scene keys already rendered with their choices, to detect merges.
+     * @param {string|null} parentKey - Scene whose choice leads to this position, null for the root.
+     */
+    #renderNode(sceneKey, parentUl, story, path, rendered, parentKey = null) 
     {
         const li = document.createElement('li');
         const scene = story.getScene(sceneKey);
@@ -112,7 +164,7 @@ export default class TreeEditor {
             return;
         }
 
-        const header = this.#createNodeHeader(sceneKey, scene, story);
+        const header = this.#createNodeHeader(sceneKey, scene, story, parentKey);
         li.appendChild(header);
         parentUl.appendChild(li);
 
@@ -124,10 +176,19 @@ export default class TreeEditor {
             return;
         }
 
+        // Converging paths: the choices are already shown at the first position of the scene
+        if (rendered.has(sceneKey)) {
+            const mergeNote = document.createElement('em');
+            mergeNote.textContent = ' (Zusammenführung, siehe oben)';
+            li.appendChild(mergeNote);
+            return;
+        }
+
         if (!this.#hasChildren(scene)) return;
 
         const isExpanded = this.#isExpanded(sceneKey);
         if (!isExpanded) return; // collapsed
+        rendered.add(sceneKey);
 
         const childUl = document.createElement('ul');
         li.appendChild(childUl);
@@ -135,26 +196,33 @@ export default class TreeEditor {
         const nextPath = new Set(path);
         nextPath.add(sceneKey);
 
-        for (const [nextKey, choiceText] of scene.choices.entries()) {
+        const choiceCount = scene.choices.size;
+        Array.from(scene.choices.entries()).forEach(([nextKey, choiceText], index) => {
             const edgeLi = document.createElement('li');
-            const edgeLabel = document.createElement('span');
-            edgeLabel.classList.add('tree-edge');
-            edgeLabel.textContent = `→ ${choiceText}`;
-            edgeLi.appendChild(edgeLabel);
+            const edgeRow = document.createElement('span');
+            edgeRow.classList.add('tree-edge-row');
+            edgeRow.appendChild(this.#createEdgeLabel(sceneKey, nextKey, choiceText, index, story));
+            if (choiceCount > 1) {
+                edgeRow.appendChild(this.#createMoveChoiceButton(sceneKey, nextKey, choiceText, index, -1, choiceCount, story));
+                edgeRow.appendChild(this.#createMoveChoiceButton(sceneKey, nextKey, choiceText, index, 1, choiceCount, story));
+            }
+            edgeLi.appendChild(edgeRow);
 
             const nestedUl = document.createElement('ul');
             edgeLi.appendChild(nestedUl);
             childUl.appendChild(edgeLi);
 
-            this.#renderNode(nextKey, nestedUl, story, nextPath);
-        }
+            this.#renderNode(nextKey, nestedUl, story, nextPath, rendered, sceneKey);
+        });
     }
 
-    #createNodeHeader(sceneKey, scene, story) 
+    #createNodeHeader(sceneKey, scene, story, parentKey) 
     {
         const header = document.createElement('div');
         header.classList.add('tree-node-header');
         const isRoot = story && story.root && story.root.key === sceneKey;
+        if (!isRoot && parentKey) this.#makeSceneDraggable(header, sceneKey, parentKey);
+        this.#makeSceneDropTarget(header, sceneKey, story);
 
         // Toggle only for non-root nodes that have children
         if (!isRoot && this.#hasChildren(scene)) {
@@ -164,11 +232,12 @@ export default class TreeEditor {
             header.appendChild(this.#createToggleSpacer());
         }
 
-        const label = this.#createLabel(sceneKey, scene);
+        const label = this.#createLabel(sceneKey, scene, story);
         header.appendChild(label);
 
         const editBtn = this.#createEditButton(sceneKey, story);
         header.appendChild(editBtn);
+        label.appendChild(this.#createRenameButton(sceneKey, story));
         // Delete button (non-root only)
         if (!isRoot) {
             const delBtn = this.#createDeleteButton(sceneKey, story);
@@ -177,6 +246,130 @@ export default class TreeEditor {
         return header;
     }
 
+    /**
+     * The scene is moved together with the choice of the scene above it in the tree.
+     */
+    #makeSceneDraggable(header, sceneKey, parentKey)
+    {
+        header.draggable = true;
+        header.title = 'Auf eine andere Szene ziehen, um die Szene dorthin zu verschieben';
+        header.addEventListener('dragstart', (e) => {
+            e.stopPropagation();
+            this.dragged = { sceneKey, parentKey };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', sceneKey);
+            header.classList.add('tree-dragging');
+        });
+        header.addEventListener('dragend', () => {
+            this.dragged = null;
+            header.classList.remove('tree-dragging');
+        });
+    }
+
+    #makeSceneDropTarget(header, sceneKey, story)
+    {
+        const accepts = () => this.dragged && this.dragged.next === undefined
+            && this.#checkSceneMove(story, this.dragged.sceneKey, sceneKey, this.dragged.parentKey) === null;
+        header.addEventListener('dragover', (e) => {
+            if (!accepts()) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            header.classList.add('tree-drop-target');
+        });
+        header.addEventListener('dragleave', () => header.classList.remove('tree-drop-target'));
+        header.addEventListener('drop', (e) => {
+            e.preventDefault();
+            header.classList.remove('tree-drop-target');
+            if (!this.dragged || this.dragged.next !== undefined) return;
+            const { sceneKey: movedKey, parentKey } = this.dragged;
+            this.dragged = null;
+
+            const error = this.#checkSceneMove(story, movedKey, sceneKey, parentKey);
+            if (error) {
+                alert(error);
+                return;
+            }
+            // show the moved scene at its new position, the tree is rendered again by the parentChanged event
+            this.expanded.add(sceneKey);
+            History.of(story).execute("Szene verschieben", s => s.changeSceneParent(movedKey, sceneKey, parentKey));
+        });
+    }
+
+    /**
+     * @returns {string|null} Why the scene cannot be moved below the target, null if it can.
+     */
+    #checkSceneMove(story, sceneKey, targetKey, parentKey)
+    {
+        if (story.root && story.root.key === sceneKey) return 'Die Startszene kann nicht verschoben werden.';
+        if (targetKey === parentKey) return `Die Szene "${sceneKey}" liegt bereits unter "${targetKey}".`;
+        if (story.isDescendant(targetKey, sceneKey)) {
+            return `Die Szene "${sceneKey}" kann nicht unter "${targetKey}" verschoben werden, das ergäbe einen Zyklus.`;
+        }
+        const target = story.getScene(targetKey);
+        if (target && target.choices.has(sceneKey)) return `Die Szene "${targetKey}" führt bereits zu "${sceneKey}".`;
+        return null;
+    }
+
+    /**
+     * Label of a choice, which can be dragged onto another choice of the same scene to take its position.
+     */
+    #createEdgeLabel(sceneKey, nextKey, choiceText, index, story)
+    {
+        const label = document.createElement('span');
+        label.classList.add('tree-edge');
+        label.textContent = `→ ${choiceText}`;
+        label.draggable = true;
+        label.title = 'Innerhalb der Szene ziehen, um die Reihenfolge zu ändern';
+
+        label.addEventListener('dragstart', (e) => {
+            e.stopPropagation();
+            this.dragged = { sceneKey, next: nextKey };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', choiceText);
+            label.classList.add('tree-dragging');
+        });
+        label.addEventListener('dragend', () => {
+            this.dragged = null;
+            label.classList.remove('tree-dragging');
+        });
+
+        const accepts = () => this.dragged && this.dragged.sceneKey === sceneKey
+            && this.dragged.next !== undefined && this.dragged.next !== nextKey;
+        label.addEventListener('dragover', (e) => {
+            if (!accepts()) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            label.classList.add('tree-drop-target');
+        });
+        label.addEventListener('dragleave', () => label.classList.remove('tree-drop-target'));
+        label.addEventListener('drop', (e) => {
+            e.preventDefault();
+            label.classList.remove('tree-drop-target');
+            if (!accepts()) return;
+            const movedNext = this.dragged.next;
+            this.dragged = null;
+            History.of(story).execute("Auswahl verschieben", s => s.moveChoice(sceneKey, movedNext, index));
+        });
+        return label;
+    }
+
+    /**
+     * Moves a choice one position up (-1) or down (1), for changing the order without dragging.
+     */
+    #createMoveChoiceButton(sceneKey, nextKey, choiceText, index, direction, choiceCount, story)
+    {
+        const btn = document.createElement('button');
+        btn.classList.add('tree-move');
+        btn.setAttribute('aria-label', `Auswahl "${choiceText}" ${direction < 0 ? 'nach oben' : 'nach unten'} verschieben`);
+        btn.textContent = direction < 0 ? '↑' : '↓';
+        btn.disabled = index + direction < 0 || index + direction >= choiceCount;
+        btn.addEventListener('click', (e) => {
+            e.preventDefault(); e.stopPropagation();
+            History.of(story).execute("Auswahl verschieben", s => s.moveChoice(sceneKey, nextKey, index + direction));
+        });
+        return btn;
+    }
+
     #createToggleButton(sceneKey, story) 
     {
         const isExpanded = this.#isExpanded(sceneKey);
@@ -196,13 +389,23 @@ export default class TreeEditor {
         return spacer;
     }
 
-    #createLabel(sceneKey, scene) 
+    #createLabel(sceneKey, scene, story) 
     {
         const label = document.createElement('span');
         label.classList.add('tree-node');
         const strong = document.createElement('strong');
         strong.textContent = sceneKey;
         label.appendChild(strong);
+
+        // scenes reached from several scenes show where they can be reached from
+        const referrers = story.getReferrers(sceneKey);
+        if (referrers.length > 1) {
+            const badge = document.createElement('span');
+            badge.classList.add('tree-node-preview');
+            badge.textContent = `⇐ ${referrers.length}`;
+            badge.title = 'Erreichbar von: ' + referrers.join(', ');
+            label.appendChild(badge);
+        }
         return label;
     }
 
@@ -214,17 +417,38 @@ export default class TreeEditor {
         btn.textContent = '🗑';
         btn.addEventListener('click', (e) => {
             e.preventDefault(); e.stopPropagation();
-            const ok = confirm(`Soll die Szene "${sceneKey}" wirklich gelöscht werden?`);
+            const ok = confirm(`Soll die Szene "${sceneKey}" wirklich gelöscht werden? `
+                + `Nachfolgende Szenen, die danach nicht mehr erreichbar sind, werden ebenfalls gelöscht.`);
             if (!ok) return;
-            const success = story.removeScene(sceneKey);
+            // the tree is rendered again by the sceneRemoved event
+            const success = History.of(story).execute("Szene löschen", s => s.removeScene(sceneKey));
             if (!success) {
                 console.warn(`TreeEditor: Szene "${sceneKey}" konnte nicht gelöscht werden.`);
+            }
+        });
+        return btn;
+    }
+
+    #createRenameButton(sceneKey, story)
+    {
+        const btn = document.createElement('button');
+        btn.classList.add('tree-rename');
+        btn.setAttribute('aria-label', `Szene "${sceneKey}" umbenennen`);
+        btn.textContent = '🏷';
+        btn.addEventListener('click', (e) => {
+            e.preventDefault(); e.stopPropagation();
+            const input = prompt(`Neuer Schlüsselname für die Szene "${sceneKey}":`, sceneKey);
+            if (input === null) return;
+            const newKey = input.trim();
+            if (newKey === sceneKey) return;
+
+            const error = SceneEditor.checkNewKey(story, newKey);
+            if (error) {
+                alert(error);
                 return;
             }
-            // Cleanup expansion state of the removed node
-            this.expanded.delete(sceneKey);
-            // Re-render tree after deletion
-            this.render(story);
+            // the tree is rendered again by the sceneRenamed event
+            History.of(story).execute("Szene umbenennen", s => s.renameScene(sceneKey, newKey));
         });
         return btn;
     }
@@ -246,28 +470,7 @@ export default class TreeEditor {
         btn.innerHTML = '&#x270F;&#xFE0F;';
         btn.addEventListener('click', (e) => {
             e.preventDefault(); e.stopPropagation();
-
-            // insert existing content
-            const sceneKeyTextfield = document.getElementById("editor-scene-key");
-            sceneKeyTextfield.value = sceneKey;
-            const sceneTextfield = document.getElementById("editor-scene-text");
-            sceneTextfield.value = scene.text;
-            const choicesContainer = document.getElementById("editor-choices-container");
-            choicesContainer.innerHTML = '';
-            for (const [next, choiceText] of scene.choices){
-                let choiceDiv = document.createElement('div');
-                choiceDiv.classList.add('choice-inputs');
-                let textInput = document.createElement('input');
-                let nextInput = document.createElement('input');
-                textInput.classList.add('choice-text'); nextInput.classList.add('choice-next');
-                textInput.type = 'text'; nextInput.type = 'text';
-                textInput.value = choiceText; nextInput.value = next;
-                choiceDiv.appendChild(textInput); choiceDiv.appendChild(nextInput);
-                choicesContainer.appendChild(choiceDiv);
-            }
-
-            const popup = document.getElementById("edit-scene-popup");
-            popup.style.display = "block";
+            SceneEditor.openEditor(story, sceneKey);
         })
         return btn;
     }
@@ -281,10 +484,7 @@ export default class TreeEditor {
         btn.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            const sceneKeyTextfield = document.getElementById("creator-scene-key");
-            sceneKeyTextfield.value = sceneKey;
-            const popup = document.getElementById("create-scene-popup");
-            popup.style.display = "block";
+            SceneEditor.openCreator(sceneKey);
         });
         return btn;
     }
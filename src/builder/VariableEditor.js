@@ -0,0 +1,119 @@
+import Feedback from "./Feedback.js";
+import Story from "./core/Story.js";
+import History from "./core/History.js";
+
+/**
+ * Form to declare story variables and their initial values.
+ */
+export default class VariableEditor {
+    // targetElementId -> function which stops the re-rendering of its story
+    static #observed = new Map();
+
+    /**
+     * Lists the variables of a story and lists them again whenever they change.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static observe(story, targetElementId = 'variables-list')
+    {
+        if (VariableEditor.#observed.has(targetElementId)) {
+            VariableEditor.#observed.get(targetElementId)();
+        }
+        const unsubscribe = story.subscribeAll([Story.EVENTS.VARIABLE_CHANGED, Story.EVENTS.STORY_REPLACED],
+            () => VariableEditor.render(story, targetElementId));
+        VariableEditor.#observed.set(targetElementId, unsubscribe);
+        VariableEditor.render(story, targetElementId);
+    }
+
+    /**
+     * Lists all declared variables with a delete button each.
+     * @param {import('./core/Story.js').default} story
+     * @param {string} targetElementId
+     */
+    static render(story, targetElementId = 'variables-list')
+    {
+        const list = document.getElementById(targetElementId);
+        if (!list) return;
+        list.innerHTML = '';
+
+        if (!story || story.variables.size === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = '(noch keine Variablen)';
+            list.appendChild(empty);
+            return;
+        }
+
+        for (const [name, value] of story.variables) {
+            const li = document.createElement('li');
+            const strong = document.createElement('strong');
+            strong.textContent = name;
+            li.append(strong, ` = ${JSON.stringify(value)} (${VariableEditor.#typeLabel(value)})`);
+
+            const delBtn = document.createElement('button');
+            delBtn.classList.add('tree-delete');
+            delBtn.setAttribute('aria-label', `Variable "${name}" löschen`);
+            delBtn.textContent = '🗑';
+            delBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                History.of(story).execute("Variable löschen", s => s.removeVariable(name));
+            });
+            li.appendChild(delBtn);
+            list.appendChild(li);
+        }
+    }
+
+    /**
+     * Declares the variable entered in the form.
+     * @param {import('./core/Story.js').default} story
+     * @returns void
+     */
+    static addVariable(story)
+    {
+        const nameInput = document.getElementById('variable-name');
+        const typeSelect = document.getElementById('variable-type');
+        const valueInput = document.getElementById('variable-value');
+        const status = document.getElementById('variables-status');
+
+        const name = nameInput.value.trim();
+        const value = VariableEditor.#convertValue(valueInput.value.trim(), typeSelect.value);
+        if (value === null) {
+            Feedback.show("Der Startwert passt nicht zum gewählten Typ.", status, false);
+            return;
+        }
+        if (!History.of(story).execute("Variable speichern", s => s.setVariable(name, value))) {
+            Feedback.show("Ungültiger Name: erlaubt sind Buchstaben (auch Umlaute), Ziffern und _, keine Ziffer am Anfang.", status, false);
+            return;
+        }
+
+        nameInput.value = '';
+        valueInput.value = '';
+        Feedback.show(`Variable "${name}" wurde gespeichert.`, status, true);
+    }
+
+    /**
+     * Converts the text of the value input into the selected type.
+     * @param {string} text
+     * @param {string} type - 'number', 'boolean' or 'string'
+     * @returns {number|boolean|string|null} The value, or null if the text does not match the type.
+     */
+    static #convertValue(text, type)
+    {
+        if (type === 'number') {
+            const number = Number(text || 0);
+            return Number.isFinite(number) ? number : null;
+        }
+        if (type === 'boolean') {
+            if (text === '' || text === 'false') return false;
+            if (text === 'true') return true;
+            return null;
+        }
+        return text;
+    }
+
+    static #typeLabel(value)
+    {
+        if (typeof value === 'number') return 'Zahl';
+        if (typeof value === 'boolean') return 'Wahrheitswert';
+        return 'Text';
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * Registry of the viewer templates for the HTML export. A template is the HTML source of a player
+ * with named placeholders `{{name}}`, which are filled when a story is exported:
+ * - `{{storyData}}` (required): the story as JavaScript expression. Its form depends on the protection of the template:
+ *   the story document for 'none', a string of hex digits for 'obfuscated', the encrypted payload object for 'password'.
+ * - `{{decryptionKey}}`: only for 'obfuscated', the key of the obfuscation as JavaScript string.
+ * - `{{title}}`, `{{language}}`: from the descriptive data of the story, escaped for HTML.
+ * - `{{startScene}}`: key of the start scene as JavaScript string.
+ * - `{{theme}}`: CSS of the theme.
+ * - `{{options}}`: export options as JavaScript object, e.g. `{ saveGames: true }`.
+ * - `{{engine}}`: script of the player shared by all templates (src/viewers/ViewerEngine.js), which defines `ViewerEngine`.
+ * - `{{engineStyle}}`: CSS of the player (src/viewers/ViewerEngine.css).
+ *
+ * The built-in templates are the files in src/viewers, which only read or decrypt the story and start the engine.
+ * During development templates and engine are loaded from there, the build bundles their sources into the builder
+ * (see buildBundle.sh, useSources() and useEngine()).
+ * Teams can register templates with their own layout, either in code or by loading a file in the export section.
+ *
+ * @typedef {'none'|'obfuscated'|'password'} Protection
+ *
+ * @typedef {Object} ViewerTemplate
+ * @property {string} name - Unique name in the registry.
+ * @property {string} label - Name shown in the export section.
+ * @property {Protection} protection - How the story is stored in the file.
+ * @property {string} [source] - The HTML source, loaded from `url` if missing.
+ * @property {string} [url] - Where to load the source from, relative to the builder page.
+ */
+export default class ViewerTemplates {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    static PROTECTIONS = Object.freeze(['none', 'obfuscated', 'password']);
+
+    static PLACEHOLDERS = Object.freeze(['storyData', 'decryptionKey', 'title', 'language', 'startScene', 'theme', 'options',
+        'engine', 'engineStyle']);
+
+    /**
+     * Where the engine is loaded from during development, relative to the builder page.
+     */
+    static ENGINE_URLS = Object.freeze({ script: '../viewers/ViewerEngine.js', style: '../viewers/ViewerEngine.css' });
+
+    /**
+     * Name of the template used for each protection if none is chosen.
+     */
+    static DEFAULTS = Object.freeze({ none: 'simple', obfuscated: 'obfuscated', password: 'password' });
+
+    /** @type {Map<string, ViewerTemplate>} */
+    static #templates = new Map([
+        ['simple', { name: 'simple', label: 'Standard', protection: 'none', url: '../viewers/simpleViewer.html' }],
+        ['obfuscated', { name: 'obfuscated', label: 'Standard (verschleiert)', protection: 'obfuscated', url: '../viewers/obfuscatedViewer.html' }],
+        ['password', { name: 'password', label: 'Standard (Passwort)', protection: 'password', url: '../viewers/passwordViewer.html' }]
+    ]);
+
+    /** @type {{script: string, style: string}|null} */
+    static #engine = null;
+
+    /**
+     * Adds a template or replaces the template with the same name.
+     * @param {string} name
+     * @param {{label?: string, protection?: Protection, source?: string, url?: string}} template - Needs a source or an url.
+     * @returns {boolean} False if the template is invalid.
+     */
+    static register(name, { label = name, protection = 'none', source = undefined, url = undefined } = {})
+    {
+        if (!name || typeof name !== 'string') {
+            console.warn('Viewer template needs a name');
+            return false;
+        }
+        if (!ViewerTemplates.PROTECTIONS.includes(protection)) {
+            console.warn(`Viewer template ${name}: unknown protection ${protection}`);
+            return false;
+        }
+        if (typeof source !== 'string' && !url) {
+            console.warn(`Viewer template ${name} has neither source nor url`);
+            return false;
+        }
+        if (typeof source === 'string' && !ViewerTemplates.#hasStoryData(source)) {
+            console.warn(`Viewer template ${name} has no {{storyData}} placeholder`);
+            return false;
+        }
+        ViewerTemplates.#templates.set(name, { name, label, protection, source, url });
+        return true;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean} True if the template was registered.
+     */
+    static unregister(name)
+    {
+        return ViewerTemplates.#templates.delete(name);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {ViewerTemplate|null}
+     */
+    static get(name)
+    {
+        const template = ViewerTemplates.#templates.get(name);
+        return template ? { ...template } : null;
+    }
+
+    /**
+     * @param {Protection} [protection] - Only templates with this protection, all if omitted.
+     * @returns {Array<ViewerTemplate>} Templates in the order of registration.
+     */
+    static list(protection = undefined)
+    {
+        return Array.from(ViewerTemplates.#templates.values())
+            .filter(template => protection === undefined || template.protection === protection)
+            .map(template => ({ ...template }));
+    }
+
+    /**
+     * Sets the sources of registered templates, so they need not be loaded. Used by the build for the built-in templates.
+     * @param {Object<string, string>} sources - Template name -> HTML source.
+     */
+    static useSources(sources)
+    {
+        for (const [name, source] of Object.entries(sources)) {
+            const template = ViewerTemplates.#templates.get(name);
+            if (template) template.source = source;
+        }
+    }
+
+    /**
+     * Sets script and CSS of the engine, so they need not be loaded. Used by the build.
+     * @param {{script: string, style: string}} engine - The script defines the global `ViewerEngine`.
+     */
+    static useEngine({ script, style })
+    {
+        ViewerTemplates.#engine = { script, style };
+    }
+
+    /**
+     * Returns script and CSS of the engine for the placeholders `{{engine}}` and `{{engineStyle}}`, loading them on first use.
+     * The engine module and the modules it imports become one plain script, which defines the global `ViewerEngine`.
+     * @returns {Promise<{script: string, style: string}|null>} Null if the engine cannot be loaded.
+     */
+    static async loadEngine()
+    {
+        if (ViewerTemplates.#engine) return { ...ViewerTemplates.#engine };
+        try {
+            const [script, style] = await Promise.all([
+                ViewerTemplates.#bundleModules(new URL(ViewerTemplates.ENGINE_URLS.script, document.baseURI).href),
+                ViewerTemplates.#fetchText(ViewerTemplates.ENGINE_URLS.style)
+            ]);
+            ViewerTemplates.#engine = { script, style };
+            return { ...ViewerTemplates.#engine };
+        } catch (e) {
+            console.warn(`Viewer engine could not be loaded: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Returns the source of a template, loading it from its url on first use.
+     * @param {string} name
+     * @returns {Promise<string|null>} Null if the template is unknown or cannot be loaded.
+     */
+    static async loadSource(name)
+    {
+        const template = ViewerTemplates.#templates.get(name);
+        if (!template) {
+            console.warn(`Viewer template ${name} not found`);
+            return null;
+        }
+        if (typeof template.source === 'string') return template.source;
+
+        try {
+            const source = await ViewerTemplates.#fetchText(template.url);
+            if (!ViewerTemplates.#hasStoryData(source)) throw new Error('no {{storyData}} placeholder');
+            template.source = source;
+            return source;
+        } catch (e) {
+            console.warn(`Viewer template ${name} could not be loaded from ${template.url}: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Replaces the placeholders of a template source. Placeholders without value become empty,
+     * other text in double braces is kept, so templates may use it for their own purposes.
+     * The values are inserted as they are; escaping is up to the caller.
+     * @param {string} source
+     * @param {Object<string, string>} values - Placeholder name -> text to insert.
+     * @returns {string}
+     */
+    static fill(source, values)
+    {
+        return source.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+            if (!ViewerTemplates.PLACEHOLDERS.includes(name)) return match;
+            return values[name] === undefined ? '' : String(values[name]);
+        });
+    }
+
+    /**
+     * Joins a module and the modules it imports into a script, as the build does with esbuild.
+     * Supports the form of the modules in this repository: default imports and one `export default class` each.
+     * @param {string} url - Absolute url of the module.
+     * @returns {Promise<string>} Script which defines a global variable named after the class of the module.
+     * @throws {Error} If a module cannot be loaded or has other exports.
+     */
+    static async #bundleModules(url)
+    {
+        const IMPORT = /^import\s+\w+\s+from\s+["']([^"']+)["'];?[ \t]*$/gm;
+        // module url -> its code without imports and exports, each module after the modules it imports
+        const modules = new Map();
+        const add = async (moduleUrl) => {
+            if (modules.has(moduleUrl)) return;
+            modules.set(moduleUrl, null);
+            const source = await ViewerTemplates.#fetchText(moduleUrl);
+            for (const [, path] of source.matchAll(IMPORT)) {
+                await add(new URL(path, moduleUrl).href);
+            }
+            const code = source.replace(IMPORT, '').replace(/^export default class /m, 'class ');
+            if (/^export\s/m.test(code)) throw new Error(`${moduleUrl}: only "export default class" is supported`);
+            modules.delete(moduleUrl);
+            modules.set(moduleUrl, code);
+        };
+        await add(url);
+
+        const name = /^class (\w+)/m.exec(modules.get(url))[1];
+        return `var ${name} = (() => {\n${Array.from(modules.values()).join('\n')}\nreturn ${name};\n})();\n`;
+    }
+
+    static async #fetchText(url)
+    {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text();
+    }
+
+    static #hasStoryData(source)
+    {
+        return source.includes('{{storyData}}');
+    }
+}
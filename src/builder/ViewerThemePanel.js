@@ -0,0 +1,162 @@
+import ViewerThemes from "./core/ViewerThemes.js";
+import Feedback from "./Feedback.js";
+
+/**
+ * Controls in the export section for the design of the exported viewer: a built-in theme, whose font and colors
+ * can be changed, a background image and additional CSS. The play area shows the chosen design as preview.
+ */
+export default class ViewerThemePanel {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    // colors of the theme with a color input `export-theme-<name>`
+    static COLOR_FIELDS = Object.freeze(['text', 'background', 'panel', 'accent']);
+
+    // the image is embedded in every exported file
+    static MAX_IMAGE_SIZE = 1024 * 1024;
+
+    /** @type {string} data URL of the chosen background image */
+    static #backgroundImage = '';
+
+    /**
+     * Fills the selections, follows the controls and shows the preview.
+     */
+    static init()
+    {
+        const themeSelect = document.getElementById('export-theme');
+        const fontSelect = document.getElementById('export-theme-font');
+        if (!themeSelect || !fontSelect) return;
+
+        for (const [name, theme] of Object.entries(ViewerThemes.THEMES)) {
+            themeSelect.appendChild(new Option(theme.label, name));
+        }
+        for (const [name, font] of Object.entries(ViewerThemes.FONTS)) {
+            fontSelect.appendChild(new Option(font.label, name));
+        }
+
+        themeSelect.addEventListener('change', () => ViewerThemePanel.#showPreset(themeSelect.value));
+        fontSelect.addEventListener('change', () => ViewerThemePanel.render());
+        for (const name of ViewerThemePanel.COLOR_FIELDS) {
+            document.getElementById(`export-theme-${name}`).addEventListener('input', () => ViewerThemePanel.render());
+        }
+        document.getElementById('export-theme-image').addEventListener('change', (e) => ViewerThemePanel.#loadImage(e.target));
+        document.getElementById('export-theme-image-remove').addEventListener('click', () => {
+            ViewerThemePanel.#backgroundImage = '';
+            ViewerThemePanel.render();
+        });
+
+        ViewerThemePanel.#showPreset(themeSelect.value);
+    }
+
+    /**
+     * @returns {import('./core/ViewerThemes.js').ViewerTheme} The theme as set in the controls.
+     */
+    static current()
+    {
+        const colors = {};
+        for (const name of ViewerThemePanel.COLOR_FIELDS) {
+            colors[name] = document.getElementById(`export-theme-${name}`).value;
+        }
+        return ViewerThemes.create(document.getElementById('export-theme').value, {
+            colors,
+            font: document.getElementById('export-theme-font').value,
+            backgroundImage: ViewerThemePanel.#backgroundImage,
+            css: document.getElementById('export-theme-css').value
+        });
+    }
+
+    /**
+     * Sets the controls to a theme, e.g. to the theme saved in a story package.
+     * @param {import('./core/ViewerThemes.js').ViewerTheme} theme
+     * @returns {boolean} False if the theme is not derived from a built-in theme.
+     */
+    static apply(theme)
+    {
+        const text = (value) => typeof value === 'string' ? value : '';
+        const checked = theme && ViewerThemes.create(theme.base, {
+            colors: theme.colors || {},
+            font: theme.font,
+            backgroundImage: text(theme.backgroundImage),
+            css: text(theme.css)
+        });
+        if (!checked) {
+            console.warn(`Unknown viewer theme ${theme && theme.base}`);
+            return false;
+        }
+        document.getElementById('export-theme').value = checked.base;
+        document.getElementById('export-theme-font').value = checked.font;
+        for (const name of ViewerThemePanel.COLOR_FIELDS) {
+            document.getElementById(`export-theme-${name}`).value = checked.colors[name];
+        }
+        document.getElementById('export-theme-css').value = checked.css;
+        ViewerThemePanel.#backgroundImage = checked.backgroundImage;
+        ViewerThemePanel.render();
+        return true;
+    }
+
+    /**
+     * @returns {string} CSS of the current theme for the `{{theme}}` placeholder of the viewer templates.
+     */
+    static css()
+    {
+        return ViewerThemes.toCss(ViewerThemePanel.current());
+    }
+
+    /**
+     * Applies the current theme to the preview in the play area.
+     */
+    static render()
+    {
+        let style = document.getElementById('viewer-theme-preview');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'viewer-theme-preview';
+            document.head.appendChild(style);
+        }
+        style.textContent = ViewerThemes.toCss(ViewerThemePanel.current(), '#play-stage', false);
+        document.getElementById('export-theme-image-remove').disabled = !ViewerThemePanel.#backgroundImage;
+    }
+
+    /**
+     * Sets font and colors to those of a built-in theme.
+     */
+    static #showPreset(name)
+    {
+        const preset = ViewerThemes.THEMES[name];
+        document.getElementById('export-theme-font').value = preset.font;
+        for (const field of ViewerThemePanel.COLOR_FIELDS) {
+            document.getElementById(`export-theme-${field}`).value = preset.colors[field];
+        }
+        ViewerThemePanel.render();
+    }
+
+    static async #loadImage(fileInput)
+    {
+        const status = document.getElementById('import-status');
+        const file = fileInput.files[0];
+        if (!file) return;
+        try {
+            if (file.size > ViewerThemePanel.MAX_IMAGE_SIZE) {
+                Feedback.show(`Das Hintergrundbild ist zu groß (höchstens ${ViewerThemePanel.MAX_IMAGE_SIZE / 1024 / 1024} MB), es wird in jede exportierte Datei eingebettet.`, status, false);
+                return;
+            }
+            ViewerThemePanel.#backgroundImage = await ViewerThemePanel.#readAsDataUrl(file);
+            ViewerThemePanel.render();
+        } catch (err) {
+            Feedback.show("Fehler beim Laden des Hintergrundbilds: " + err.message, status, false);
+        } finally {
+            fileInput.value = '';
+        }
+    }
+
+    static #readAsDataUrl(file)
+    {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+}
@@ -0,0 +1,241 @@
+import Story from "./Story.js";
+
+/**
+ * Keeps the work of the author in the browser storage (localStorage by default):
+ * a draft which is written on every change of the story, and a list of timestamped snapshots to roll back to.
+ * Stories are stored in the file format of Story.toJSON(), so stored data of older versions is migrated on load.
+ * The data of the assets is left out, it would fill the storage quickly: stored assets keep only their type,
+ * and get their data from the story in the builder when they are loaded, which the project library saves with its media.
+ * @typedef {Object} Draft
+ * @property {number} savedAt - Time of the last change, in milliseconds since 1970.
+ * @property {boolean} exported - True if the draft was exported after its last change.
+ * @property {import('./StoryFormat.js').StoryDocument} document - The story.
+ *
+ * @typedef {Object} StoredSnapshot
+ * @property {number} id - Unique number of the snapshot.
+ * @property {number} savedAt - Time the snapshot was taken, in milliseconds since 1970.
+ * @property {string} label - Description shown to the user.
+ * @property {import('./StoryFormat.js').StoryDocument} document - The story.
+ */
+export default class AutoSave {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    static DRAFT_KEY = 'tadv.draft';
+    static SNAPSHOTS_KEY = 'tadv.snapshots';
+
+    /**
+     * Number of snapshots kept, older ones are removed.
+     */
+    static MAX_SNAPSHOTS = 20;
+
+    /**
+     * Minimum time between two automatic snapshots, in milliseconds.
+     */
+    static SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+
+    /**
+     * Saves the story as draft whenever it changes, and takes an automatic snapshot at most every SNAPSHOT_INTERVAL.
+     * @param {Story} story
+     * @param {Storage} storage
+     * @param {function(boolean): void} [onSaved] - Called after each save with false if the draft could not be stored,
+     *     e.g. to update a snapshot list.
+     * @returns {function(): void} Stops the saving.
+     */
+    static watch(story, storage = localStorage, onSaved = null)
+    {
+        return story.subscribeAll(Object.values(Story.EVENTS), () => {
+            const saved = AutoSave.saveDraft(story, storage);
+            const latest = AutoSave.listSnapshots(storage)[0];
+            if (!latest || Date.now() - latest.savedAt >= AutoSave.SNAPSHOT_INTERVAL) {
+                AutoSave.createSnapshot(story, 'Automatisch', storage);
+            }
+            if (onSaved) onSaved(saved);
+        });
+    }
+
+    /**
+     * Stores the story as draft.
+     * @param {Story} story
+     * @param {Storage} storage
+     * @returns {boolean} False if the storage is full or not available.
+     */
+    static saveDraft(story, storage = localStorage)
+    {
+        /** @type {Draft} */
+        const draft = { savedAt: Date.now(), exported: false, document: AutoSave.#toDocument(story) };
+        return AutoSave.#write(storage, AutoSave.DRAFT_KEY, draft);
+    }
+
+    /**
+     * Reads the stored draft.
+     * @param {Storage} storage
+     * @param {Map<string, import('./Story.js').Asset>} [assets] - Assets which give the draft the data of its assets.
+     * @returns {{savedAt: number, exported: boolean, story: Story}|null} Null if there is no readable draft with scenes.
+     */
+    static loadDraft(storage = localStorage, assets = new Map())
+    {
+        const draft = AutoSave.#read(storage, AutoSave.DRAFT_KEY);
+        if (!draft) return null;
+        const story = AutoSave.#toStory(draft.document, assets);
+        if (!story) return null;
+        return { savedAt: draft.savedAt, exported: draft.exported === true, story };
+    }
+
+    /**
+     * Remembers that the draft was exported, so it is not offered for recovery on the next start.
+     * @param {Storage} storage
+     * @returns {boolean} False if there is no draft.
+     */
+    static markExported(storage = localStorage)
+    {
+        const draft = AutoSave.#read(storage, AutoSave.DRAFT_KEY);
+        if (!draft) return false;
+        draft.exported = true;
+        return AutoSave.#write(storage, AutoSave.DRAFT_KEY, draft);
+    }
+
+    /**
+     * Removes the stored draft.
+     * @param {Storage} storage
+     */
+    static clearDraft(storage = localStorage)
+    {
+        storage.removeItem(AutoSave.DRAFT_KEY);
+    }
+
+    /**
+     * Stores a snapshot of the story. If there are more than MAX_SNAPSHOTS, the oldest ones are removed.
+     * @param {Story} story
+     * @param {string} label
+     * @param {Storage} storage
+     * @returns {StoredSnapshot|null} The snapshot, or null if the storage is full or not available.
+     */
+    static createSnapshot(story, label, storage = localStorage)
+    {
+        const snapshots = AutoSave.listSnapshots(storage);
+        /** @type {StoredSnapshot} */
+        const snapshot = {
+            id: snapshots.reduce((max, s) => Math.max(max, s.id), 0) + 1,
+            savedAt: Date.now(),
+            label,
+            document: AutoSave.#toDocument(story)
+        };
+        snapshots.unshift(snapshot);
+        snapshots.length = Math.min(snapshots.length, AutoSave.MAX_SNAPSHOTS);
+
+        // a full storage drops the oldest snapshots until the new one fits
+        while (!AutoSave.#write(storage, AutoSave.SNAPSHOTS_KEY, snapshots)) {
+            if (snapshots.length <= 1) return null;
+            snapshots.pop();
+        }
+        return snapshot;
+    }
+
+    /**
+     * @param {Storage} storage
+     * @returns {Array<StoredSnapshot>} The stored snapshots, newest first.
+     */
+    static listSnapshots(storage = localStorage)
+    {
+        const snapshots = AutoSave.#read(storage, AutoSave.SNAPSHOTS_KEY);
+        return Array.isArray(snapshots) ? snapshots : [];
+    }
+
+    /**
+     * Builds the story of a stored snapshot.
+     * @param {number} id
+     * @param {Storage} storage
+     * @param {Map<string, import('./Story.js').Asset>} [assets] - Assets which give the snapshot the data of its assets.
+     * @returns {Story|null} Null if there is no such snapshot or it cannot be read.
+     */
+    static loadSnapshot(id, storage = localStorage, assets = new Map())
+    {
+        const snapshot = AutoSave.listSnapshots(storage).find(s => s.id === id);
+        if (!snapshot) {
+            console.warn(`Snapshot ${id} not found`);
+            return null;
+        }
+        return AutoSave.#toStory(snapshot.document, assets);
+    }
+
+    /**
+     * @param {number} id
+     * @param {Storage} storage
+     * @returns {boolean} False if there is no such snapshot.
+     */
+    static removeSnapshot(id, storage = localStorage)
+    {
+        const snapshots = AutoSave.listSnapshots(storage);
+        const remaining = snapshots.filter(s => s.id !== id);
+        if (remaining.length === snapshots.length) return false;
+        return AutoSave.#write(storage, AutoSave.SNAPSHOTS_KEY, remaining);
+    }
+
+    /**
+     * @param {Story} story
+     * @returns {import('./StoryFormat.js').StoryDocument} The story without the data of its assets.
+     */
+    static #toDocument(story)
+    {
+        const document = story.toJSON();
+        if (document.assets) {
+            document.assets = Object.fromEntries(Object.entries(document.assets).map(([name, { type }]) => [name, { type }]));
+        }
+        return document;
+    }
+
+    /**
+     * Builds a stored story. Assets without data (older versions stored it) take it from the asset with the same name
+     * and type in `assets`, or are left out, the scenes referring to them show a problem.
+     * @param {import('./StoryFormat.js').StoryDocument} document
+     * @param {Map<string, import('./Story.js').Asset>} assets
+     * @returns {Story|null}
+     */
+    static #toStory(document, assets)
+    {
+        const stored = document && document.assets;
+        if (stored && typeof stored === 'object') {
+            const found = {};
+            for (const [name, asset] of Object.entries(stored)) {
+                const current = assets.get(name);
+                if (asset && asset.data) {
+                    found[name] = asset;
+                } else if (asset && current && current.type === asset.type) {
+                    found[name] = { type: current.type, data: current.data };
+                }
+            }
+            document = { ...document, assets: found };
+        }
+        try {
+            return Story.fromJson(document);
+        } catch (e) {
+            console.warn('Stored story cannot be read: ' + e.message);
+            return null;
+        }
+    }
+
+    static #read(storage, key)
+    {
+        try {
+            const text = storage.getItem(key);
+            return text ? JSON.parse(text) : null;
+        } catch (e) {
+            console.warn(`Failed to read ${key} from storage: ${e.message}`);
+            return null;
+        }
+    }
+
+    static #write(storage, key, value)
+    {
+        try {
+            storage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (e) {
+            // QuotaExceededError, or storage disabled by the browser
+            console.warn(`Failed to write ${key} to storage: ${e.message}`);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,316 @@
+/**
+ * Small expression language for choice conditions, e.g. `gold >= 10 && !metGuard`, `visited(trautesheim)` or `has(schlüssel)`.
+ * Expressions are parsed into a syntax tree and evaluated without eval(), so stories cannot run arbitrary code.
+ *
+ * Grammar:
+ *   or         := and ("||" and)*
+ *   and        := not ("&&" not)*
+ *   not        := "!" not | comparison
+ *   comparison := primary (("==" | "!=" | "<" | "<=" | ">" | ">=") primary)?
+ *   primary    := number | string | "true" | "false" | name | name "(" argument ")" | "(" or ")"
+ *
+ * @typedef {Object} ConditionNode
+ * @property {string} type - One of 'literal', 'variable', 'not', 'and', 'or', 'compare', 'call'.
+ */
+export default class Condition {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    /**
+     * Functions which can be called in expressions: `visited(sceneKey)` and `has(itemId)`,
+     * which is true while the player has at least one of the item.
+     */
+    static FUNCTIONS = Object.freeze(['visited', 'has']);
+
+    // functions whose argument is a scene key, rewritten when a scene is renamed
+    static #SCENE_FUNCTIONS = ['visited'];
+
+    static #OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '!', '(', ')'];
+
+    static #NAME_PATTERN = '[\\p{L}_][\\p{L}\\p{N}_]*';
+    static #NAME_START = new RegExp(`^${Condition.#NAME_PATTERN}`, 'u');
+
+    /**
+     * Names of variables and items, and scene keys which need no quotes: letters of any language, digits and _,
+     * no digit at the start. Effects and text placeholders use the same rule.
+     */
+    static NAME = new RegExp(`^${Condition.#NAME_PATTERN}$`, 'u');
+
+    /**
+     * Checks whether a string can name a variable or an item.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    static isValidName(name)
+    {
+        return typeof name === 'string' && Condition.NAME.test(name);
+    }
+
+    /**
+     * Parses an expression into a syntax tree.
+     * @param {string} source
+     * @returns {ConditionNode}
+     * @throws {Error} If the expression is malformed.
+     */
+    static parse(source)
+    {
+        if (typeof source !== 'string' || source.trim() === '') {
+            throw new Error('Die Bedingung ist leer.');
+        }
+        const tokens = Condition.#tokenize(source);
+        const parser = { tokens, pos: 0 };
+        const node = Condition.#parseOr(parser);
+        if (parser.pos < tokens.length) {
+            throw new Error(`Unerwartetes "${tokens[parser.pos].value}" an Position ${tokens[parser.pos].pos + 1}.`);
+        }
+        return node;
+    }
+
+    /**
+     * Checks an expression for syntax errors.
+     * @param {string} source
+     * @returns {string|null} Error message, or null if the expression is valid.
+     */
+    static validate(source)
+    {
+        try {
+            Condition.parse(source);
+            return null;
+        } catch (e) {
+            return e.message;
+        }
+    }
+
+    /**
+     * Evaluates a syntax tree.
+     * @param {ConditionNode} node
+     * @param {{variables: Object<string, number|boolean|string>, visited: Set<string>, inventory?: Object<string, number>}} context
+     * @returns {boolean}
+     */
+    static evaluate(node, context)
+    {
+        return !!Condition.#evaluateNode(node, context);
+    }
+
+    /**
+     * Parses and evaluates an expression.
+     * @param {string} source
+     * @param {{variables: Object<string, number|boolean|string>, visited: Set<string>, inventory?: Object<string, number>}} context
+     * @returns {boolean}
+     * @throws {Error} If the expression is malformed.
+     */
+    static test(source, context)
+    {
+        return Condition.evaluate(Condition.parse(source), context);
+    }
+
+    /**
+     * Rewrites the scene key in all `visited()` calls of an expression, e.g. `visited(alt)` to `visited(neu)`.
+     * The rest of the expression is kept as written.
+     * @param {string} source
+     * @param {string} oldKey
+     * @param {string} newKey
+     * @returns {string} The rewritten expression, unchanged if it is malformed or does not use the key.
+     */
+    static renameScene(source, oldKey, newKey)
+    {
+        let tokens;
+        try {
+            tokens = Condition.#tokenize(source);
+        } catch (e) {
+            return source;
+        }
+        // keys which are no valid names have to be quoted
+        let replacement = newKey;
+        if (!Condition.isValidName(newKey)) {
+            replacement = newKey.includes('"') ? `'${newKey}'` : `"${newKey}"`;
+        }
+
+        let result = source;
+        // replace from the end, so the positions of the earlier tokens stay valid
+        for (let i = tokens.length - 2; i >= 2; i--) {
+            const argument = tokens[i];
+            const isCall = tokens[i - 1].value === '(' && tokens[i + 1].value === ')'
+                && tokens[i - 2].type === 'name' && Condition.#SCENE_FUNCTIONS.includes(tokens[i - 2].value);
+            if (!isCall || argument.type === 'operator' || argument.value !== oldKey) continue;
+
+            const length = argument.type === 'string' ? argument.value.length + 2 : argument.value.length;
+            result = result.slice(0, argument.pos) + replacement + result.slice(argument.pos + length);
+        }
+        return result;
+    }
+
+    static #evaluateNode(node, context)
+    {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'variable':
+                return context.variables && Object.hasOwn(context.variables, node.name) ? context.variables[node.name] : undefined;
+            case 'not':
+                return !Condition.#evaluateNode(node.operand, context);
+            case 'and':
+                return Condition.#evaluateNode(node.left, context) && Condition.#evaluateNode(node.right, context);
+            case 'or':
+                return Condition.#evaluateNode(node.left, context) || Condition.#evaluateNode(node.right, context);
+            case 'compare': {
+                const left = Condition.#evaluateNode(node.left, context);
+                const right = Condition.#evaluateNode(node.right, context);
+                switch (node.operator) {
+                    case '==': return left === right;
+                    case '!=': return left !== right;
+                    case '<': return left < right;
+                    case '<=': return left <= right;
+                    case '>': return left > right;
+                    case '>=': return left >= right;
+                }
+                return false;
+            }
+            case 'call':
+                if (node.name === 'visited') return !!context.visited && context.visited.has(node.argument);
+                if (node.name === 'has') {
+                    return !!context.inventory && Object.hasOwn(context.inventory, node.argument) && context.inventory[node.argument] > 0;
+                }
+                return false;
+            default:
+                return false;
+        }
+    }
+
+    static #tokenize(source)
+    {
+        const tokens = [];
+        let i = 0;
+        while (i < source.length) {
+            const rest = source.slice(i);
+            const space = rest.match(/^\s+/);
+            if (space) {
+                i += space[0].length;
+                continue;
+            }
+
+            const number = rest.match(/^\d+(\.\d+)?/);
+            if (number) {
+                tokens.push({ type: 'number', value: number[0], pos: i });
+                i += number[0].length;
+                continue;
+            }
+
+            const name = rest.match(Condition.#NAME_START);
+            if (name) {
+                tokens.push({ type: 'name', value: name[0], pos: i });
+                i += name[0].length;
+                continue;
+            }
+
+            if (rest[0] === '"' || rest[0] === "'") {
+                const end = source.indexOf(rest[0], i + 1);
+                if (end < 0) throw new Error(`Nicht geschlossener Text an Position ${i + 1}.`);
+                tokens.push({ type: 'string', value: source.slice(i + 1, end), pos: i });
+                i = end + 1;
+                continue;
+            }
+
+            const operator = Condition.#OPERATORS.find(op => rest.startsWith(op));
+            if (operator) {
+                tokens.push({ type: 'operator', value: operator, pos: i });
+                i += operator.length;
+                continue;
+            }
+            throw new Error(`Unerwartetes Zeichen "${rest[0]}" an Position ${i + 1}.`);
+        }
+        return tokens;
+    }
+
+    static #peek(parser, value)
+    {
+        const token = parser.tokens[parser.pos];
+        return !!token && token.type === 'operator' && token.value === value;
+    }
+
+    static #expect(parser, value)
+    {
+        if (!Condition.#peek(parser, value)) {
+            const token = parser.tokens[parser.pos];
+            throw new Error(token
+                ? `"${value}" erwartet an Position ${token.pos + 1}.`
+                : `"${value}" erwartet am Ende der Bedingung.`);
+        }
+        parser.pos++;
+    }
+
+    static #parseOr(parser)
+    {
+        let left = Condition.#parseAnd(parser);
+        while (Condition.#peek(parser, '||')) {
+            parser.pos++;
+            left = { type: 'or', left, right: Condition.#parseAnd(parser) };
+        }
+        return left;
+    }
+
+    static #parseAnd(parser)
+    {
+        let left = Condition.#parseNot(parser);
+        while (Condition.#peek(parser, '&&')) {
+            parser.pos++;
+            left = { type: 'and', left, right: Condition.#parseNot(parser) };
+        }
+        return left;
+    }
+
+    static #parseNot(parser)
+    {
+        if (Condition.#peek(parser, '!')) {
+            parser.pos++;
+            return { type: 'not', operand: Condition.#parseNot(parser) };
+        }
+        return Condition.#parseComparison(parser);
+    }
+
+    static #parseComparison(parser)
+    {
+        const left = Condition.#parsePrimary(parser);
+        const token = parser.tokens[parser.pos];
+        if (token && token.type === 'operator' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+            parser.pos++;
+            return { type: 'compare', operator: token.value, left, right: Condition.#parsePrimary(parser) };
+        }
+        return left;
+    }
+
+    static #parsePrimary(parser)
+    {
+        const token = parser.tokens[parser.pos];
+        if (!token) throw new Error('Unerwartetes Ende der Bedingung.');
+        parser.pos++;
+
+        if (token.type === 'number') return { type: 'literal', value: Number(token.value) };
+        if (token.type === 'string') return { type: 'literal', value: token.value };
+        if (token.type === 'operator' && token.value === '(') {
+            const node = Condition.#parseOr(parser);
+            Condition.#expect(parser, ')');
+            return node;
+        }
+        if (token.type === 'name') {
+            if (token.value === 'true') return { type: 'literal', value: true };
+            if (token.value === 'false') return { type: 'literal', value: false };
+            if (!Condition.#peek(parser, '(')) return { type: 'variable', name: token.value };
+
+            if (!Condition.FUNCTIONS.includes(token.value)) {
+                throw new Error(`Unbekannte Funktion "${token.value}" an Position ${token.pos + 1}.`);
+            }
+            parser.pos++;
+            const argument = parser.tokens[parser.pos];
+            if (!argument || argument.type === 'operator') {
+                const expected = Condition.#SCENE_FUNCTIONS.includes(token.value) ? 'Szenenschlüssel' : 'Gegenstand';
+                throw new Error(`${expected} erwartet nach "${token.value}(".`);
+            }
+            parser.pos++;
+            Condition.#expect(parser, ')');
+            return { type: 'call', name: token.value, argument: argument.value };
+        }
+        throw new Error(`Unerwartetes "${token.value}" an Position ${token.pos + 1}.`);
+    }
+}
@@ -0,0 +1,210 @@
+import Condition from "./Condition.js";
+
+/**
+ * Helpers for choice effects, which modify story variables or the inventory of the player when a choice is taken.
+ * An effect is a plain object, so it can be stored in the story JSON as is.
+ * @typedef {Object} Effect
+ * @property {string} type - One of Effects.TYPES.
+ * @property {string} [variable] - Name of the story variable to modify (SET, INCREMENT, TOGGLE).
+ * @property {number|boolean|string} [value] - New value (SET) or amount (INCREMENT). Unused for TOGGLE.
+ * @property {string} [item] - Id of the item the player gets or loses (GIVE, TAKE).
+ * @property {number} [amount] - Number of items for GIVE and TAKE, 1 if omitted.
+ */
+export default class Effects {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    static TYPES = Object.freeze({
+        SET: 'set',
+        INCREMENT: 'increment',
+        TOGGLE: 'toggle',
+        GIVE: 'give',
+        TAKE: 'take'
+    });
+
+    /**
+     * Types of the effects which change the inventory instead of a variable.
+     */
+    static ITEM_TYPES = Object.freeze([Effects.TYPES.GIVE, Effects.TYPES.TAKE]);
+
+    /**
+     * Checks whether a string can be used as variable name or item id, see Condition.NAME.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    static isValidVariableName(name)
+    {
+        return Condition.isValidName(name);
+    }
+
+    /**
+     * Checks whether a value can be stored in a story variable.
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isValidValue(value)
+    {
+        return typeof value === 'string' || typeof value === 'boolean'
+            || (typeof value === 'number' && Number.isFinite(value));
+    }
+
+    /**
+     * Checks the structure of a single effect.
+     * @param {Effect} effect
+     * @returns {boolean} True if the effect can be applied.
+     */
+    static isValid(effect)
+    {
+        if (!effect || typeof effect !== 'object') return false;
+        if (Effects.ITEM_TYPES.includes(effect.type)) {
+            return Effects.isValidVariableName(effect.item)
+                && (effect.amount === undefined || (Number.isInteger(effect.amount) && effect.amount > 0));
+        }
+        if (!Effects.isValidVariableName(effect.variable)) return false;
+
+        switch (effect.type) {
+            case Effects.TYPES.SET:
+                return Effects.isValidValue(effect.value);
+            case Effects.TYPES.INCREMENT:
+                return typeof effect.value === 'number' && Number.isFinite(effect.value);
+            case Effects.TYPES.TOGGLE:
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Applies effects to a variable state and an inventory in place.
+     * Missing variables count as 0 for INCREMENT and as false for TOGGLE.
+     * TAKE removes at most the items the player has, items with a count of 0 are removed from the inventory.
+     * @param {Object<string, number|boolean|string>} state - Current variable values.
+     * @param {Array<Effect>} effects
+     * @param {Object<string, number>} [inventory] - Item id -> count, item effects are skipped without it.
+     * @returns {Object<string, number|boolean|string>} The modified state.
+     */
+    static apply(state, effects, inventory = undefined)
+    {
+        if (!Array.isArray(effects)) return state;
+
+        for (const effect of effects) {
+            if (!Effects.isValid(effect)) continue;
+            if (Effects.ITEM_TYPES.includes(effect.type)) {
+                if (inventory) Effects.#changeItem(inventory, effect);
+                continue;
+            }
+            const name = effect.variable;
+            if (effect.type === Effects.TYPES.SET) {
+                state[name] = effect.value;
+            } else if (effect.type === Effects.TYPES.INCREMENT) {
+                state[name] = (Number(state[name]) || 0) + effect.value;
+            } else if (effect.type === Effects.TYPES.TOGGLE) {
+                state[name] = !state[name];
+            }
+        }
+        return state;
+    }
+
+    /**
+     * Changes the count of an item by a GIVE or TAKE effect.
+     * @param {Object<string, number>} inventory
+     * @param {Effect} effect
+     */
+    static #changeItem(inventory, effect)
+    {
+        const amount = effect.amount === undefined ? 1 : effect.amount;
+        const current = Object.hasOwn(inventory, effect.item) ? Number(inventory[effect.item]) || 0 : 0;
+        const count = effect.type === Effects.TYPES.GIVE ? current + amount : current - amount;
+        if (count > 0) inventory[effect.item] = count;
+        else delete inventory[effect.item];
+    }
+
+    /**
+     * Parses the short effect notation used in the scene editor.
+     * Effects are separated by ";", e.g. "gold += 10; hasKey = true; toggle lampOn; give lampe; take pfeil 3".
+     * @param {string} text
+     * @returns {Array<Effect>} The parsed effects.
+     * @throws {Error} If a part of the text is not a valid effect.
+     */
+    static parse(text)
+    {
+        const effects = [];
+        if (typeof text !== 'string') return effects;
+
+        for (const part of text.split(';')) {
+            const source = part.trim();
+            if (!source) continue;
+
+            let match = source.match(/^toggle\s+(\S+)$/);
+            if (match) {
+                effects.push({ type: Effects.TYPES.TOGGLE, variable: match[1] });
+            } else if ((match = source.match(/^(give|take)\s+([^\s=+-]\S*)(?:\s+(\S+))?$/))) {
+                const effect = { type: match[1] === 'give' ? Effects.TYPES.GIVE : Effects.TYPES.TAKE, item: match[2] };
+                if (match[3] !== undefined) {
+                    if (!/^\d+$/.test(match[3]) || Number(match[3]) < 1) {
+                        throw new Error(`"${source}": Die Anzahl muss eine ganze Zahl größer als 0 sein.`);
+                    }
+                    effect.amount = Number(match[3]);
+                }
+                effects.push(effect);
+            } else if ((match = source.match(/^(\S+)\s*([+-])=\s*(.+)$/))) {
+                const amount = Number(match[3]);
+                if (match[3].trim() === '' || !Number.isFinite(amount)) {
+                    throw new Error(`"${source}": Der Wert muss eine Zahl sein.`);
+                }
+                effects.push({ type: Effects.TYPES.INCREMENT, variable: match[1], value: match[2] === '-' ? -amount : amount });
+            } else if ((match = source.match(/^(\S+)\s*=\s*(.+)$/))) {
+                effects.push({ type: Effects.TYPES.SET, variable: match[1], value: Effects.#parseValue(match[2].trim()) });
+            } else {
+                throw new Error(`"${source}" ist kein gültiger Effekt.`);
+            }
+
+            const { variable, item } = effects[effects.length - 1];
+            if (item !== undefined && !Effects.isValidVariableName(item)) {
+                throw new Error(`"${item}" ist kein gültiger Gegenstand.`);
+            }
+            if (item === undefined && !Effects.isValidVariableName(variable)) {
+                throw new Error(`"${variable}" ist kein gültiger Variablenname.`);
+            }
+        }
+        return effects;
+    }
+
+    /**
+     * Converts effects back to the short notation understood by parse().
+     * @param {Array<Effect>} effects
+     * @returns {string}
+     */
+    static stringify(effects)
+    {
+        if (!Array.isArray(effects)) return '';
+
+        return effects.filter(e => Effects.isValid(e)).map(e => {
+            if (e.type === Effects.TYPES.TOGGLE) return `toggle ${e.variable}`;
+            if (Effects.ITEM_TYPES.includes(e.type)) {
+                return e.amount === undefined || e.amount === 1 ? `${e.type} ${e.item}` : `${e.type} ${e.item} ${e.amount}`;
+            }
+            if (e.type === Effects.TYPES.INCREMENT) {
+                return e.value < 0 ? `${e.variable} -= ${-e.value}` : `${e.variable} += ${e.value}`;
+            }
+            return `${e.variable} = ${typeof e.value === 'string' ? JSON.stringify(e.value) : e.value}`;
+        }).join('; ');
+    }
+
+    /**
+     * Converts a literal of the short notation into a variable value.
+     * @param {string} literal
+     * @returns {number|boolean|string}
+     */
+    static #parseValue(literal)
+    {
+        if (literal === 'true') return true;
+        if (literal === 'false') return false;
+        if (/^-?\d+(\.\d+)?$/.test(literal)) return Number(literal);
+        if (literal.length >= 2 && literal.startsWith('"') && literal.endsWith('"')) {
+            return literal.slice(1, -1);
+        }
+        return literal;
+    }
+}
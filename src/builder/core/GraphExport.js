@@ -0,0 +1,157 @@
+import StoryValidator from "./StoryValidator.js";
+
+/**
+ * Exports the scene graph of a story as diagram text, for Graphviz (DOT) and Mermaid flowcharts.
+ * Scenes are nodes and choices are edges labelled with the choice text. The start scene, endings (scenes without choices),
+ * missing scenes and cycles are styled differently.
+ * @typedef {Object} GraphNode
+ * @property {string} key - Scene key.
+ * @property {boolean} isStart - The start scene of the story.
+ * @property {boolean} isEnding - A scene without choices.
+ * @property {boolean} isMissing - A choice leads to this key, but there is no such scene.
+ * @property {boolean} inCycle - Part of a cycle of the scene graph.
+ *
+ * @typedef {Object} GraphEdge
+ * @property {string} from - Key of the scene with the choice.
+ * @property {string} to - Key of the next scene.
+ * @property {string} label - Choice text, followed by the condition of the choice in brackets.
+ * @property {boolean} inCycle - Both scenes are part of the same cycle.
+ */
+export default class GraphExport {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    static COLORS = Object.freeze({
+        START: '#c6f6d5',
+        ENDING: '#e2e8f0',
+        MISSING: '#9b2c2c',
+        CYCLE: '#d97706'
+    });
+
+    /**
+     * @param {import('./Story.js').default} story
+     * @returns {string} The graph in the DOT language of Graphviz.
+     */
+    static toDot(story)
+    {
+        const { nodes, edges } = GraphExport.analyze(story);
+        const quote = (text) => '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+
+        const lines = [
+            `digraph ${quote(story.meta.title || 'story')} {`,
+            '    rankdir=TB;',
+            '    node [shape=box, style="rounded"];'
+        ];
+        for (const node of nodes) {
+            const attributes = [`label=${quote(node.isMissing ? `${node.key} (fehlt)` : node.key)}`];
+            const styles = ['rounded'];
+            if (node.isStart) {
+                styles.push('filled', 'bold');
+                attributes.push(`fillcolor="${GraphExport.COLORS.START}"`);
+            } else if (node.isEnding) {
+                styles.push('filled');
+                attributes.push(`fillcolor="${GraphExport.COLORS.ENDING}"`, 'peripheries=2');
+            }
+            if (node.isMissing) {
+                styles.push('dashed');
+                attributes.push(`color="${GraphExport.COLORS.MISSING}"`, `fontcolor="${GraphExport.COLORS.MISSING}"`);
+            } else if (node.inCycle) {
+                attributes.push(`color="${GraphExport.COLORS.CYCLE}"`, 'penwidth=2');
+            }
+            attributes.push(`style="${styles.join(',')}"`);
+            lines.push(`    ${quote(node.key)} [${attributes.join(', ')}];`);
+        }
+        for (const edge of edges) {
+            const attributes = [`label=${quote(edge.label)}`];
+            if (edge.inCycle) attributes.push(`color="${GraphExport.COLORS.CYCLE}"`, 'penwidth=2');
+            lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)} [${attributes.join(', ')}];`);
+        }
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @param {import('./Story.js').default} story
+     * @returns {string} The graph as Mermaid flowchart.
+     */
+    static toMermaid(story)
+    {
+        const { nodes, edges } = GraphExport.analyze(story);
+        // Mermaid ids must be simple names, the scene keys are only used as labels
+        const ids = new Map(nodes.map((node, i) => [node.key, `n${i}`]));
+        const quote = (text) => '"' + text.replace(/"/g, '#quot;').replace(/\n/g, '<br>') + '"';
+
+        const lines = ['flowchart TD'];
+        for (const node of nodes) {
+            const id = ids.get(node.key);
+            if (node.isMissing) {
+                lines.push(`    ${id}[${quote(`${node.key} (fehlt)`)}]`);
+            } else if (node.isStart) {
+                lines.push(`    ${id}([${quote(node.key)}])`);
+            } else if (node.isEnding) {
+                lines.push(`    ${id}[[${quote(node.key)}]]`);
+            } else {
+                lines.push(`    ${id}(${quote(node.key)})`);
+            }
+        }
+        edges.forEach(edge => lines.push(`    ${ids.get(edge.from)} -->|${quote(edge.label)}| ${ids.get(edge.to)}`));
+
+        lines.push(
+            `    classDef start fill:${GraphExport.COLORS.START},stroke-width:2px`,
+            `    classDef ending fill:${GraphExport.COLORS.ENDING}`,
+            `    classDef missing stroke:${GraphExport.COLORS.MISSING},color:${GraphExport.COLORS.MISSING},stroke-dasharray:5 5`,
+            `    classDef cycle stroke:${GraphExport.COLORS.CYCLE},stroke-width:2px`
+        );
+        const classes = { start: 'isStart', ending: 'isEnding', missing: 'isMissing', cycle: 'inCycle' };
+        for (const [className, property] of Object.entries(classes)) {
+            const members = nodes.filter(node => node[property]).map(node => ids.get(node.key));
+            if (members.length > 0) lines.push(`    class ${members.join(',')} ${className}`);
+        }
+        const cycleEdges = edges.map((edge, i) => edge.inCycle ? i : -1).filter(i => i >= 0);
+        if (cycleEdges.length > 0) {
+            lines.push(`    linkStyle ${cycleEdges.join(',')} stroke:${GraphExport.COLORS.CYCLE},stroke-width:2px`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Collects the nodes and edges of the scene graph, in the order of the scenes and their choices.
+     * Missing scenes follow after the existing ones.
+     * @param {import('./Story.js').default} story
+     * @returns {{nodes: Array<GraphNode>, edges: Array<GraphEdge>}}
+     */
+    static analyze(story)
+    {
+        // scene key -> number of its cycle
+        const cycleOf = new Map();
+        StoryValidator.findCycles(story).forEach((cycle, i) => cycle.forEach(key => cycleOf.set(key, i)));
+
+        const nodes = [];
+        const edges = [];
+        const missing = new Set();
+        for (const [key, scene] of story.scenes.entries()) {
+            nodes.push({
+                key,
+                isStart: story.root === scene,
+                isEnding: scene.choices.size === 0,
+                isMissing: false,
+                inCycle: cycleOf.has(key)
+            });
+            for (const [next, text] of scene.choices.entries()) {
+                const condition = scene.getChoiceCondition(next);
+                edges.push({
+                    from: key,
+                    to: next,
+                    label: condition ? `${text}\n[${condition.expression}]` : text,
+                    inCycle: cycleOf.has(key) && cycleOf.get(key) === cycleOf.get(next)
+                });
+                if (!story.scenes.has(next)) missing.add(next);
+            }
+        }
+        for (const key of missing) {
+            nodes.push({ key, isStart: false, isEnding: false, isMissing: true, inCycle: false });
+        }
+        return { nodes, edges };
+    }
+}
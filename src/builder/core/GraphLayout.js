@@ -0,0 +1,194 @@
+import GraphExport from "./GraphExport.js";
+
+/**
+ * Layered layout of the scene graph for drawing: scenes are boxes placed in rows by their distance from the start scene,
+ * choices are arrows. Arrows to scenes in a lower row are drawn straight, arrows back up or within a row as curves
+ * at the side, so cycles and converging paths stay readable.
+ * @typedef {Object} LayoutNode
+ * @property {string} key - Scene key.
+ * @property {number} layer - Row, 0 for the start scene.
+ * @property {number} x - Left edge.
+ * @property {number} y - Top edge.
+ * @property {number} width
+ * @property {number} height
+ * @property {boolean} isStart
+ * @property {boolean} isEnding
+ * @property {boolean} isMissing
+ * @property {boolean} inCycle
+ *
+ * @typedef {{x: number, y: number}} Point
+ *
+ * @typedef {Object} LayoutEdge
+ * @property {string} from - Key of the scene with the choice.
+ * @property {string} to - Key of the next scene.
+ * @property {string} label - Choice text, followed by the condition of the choice.
+ * @property {boolean} inCycle
+ * @property {boolean} isBackEdge - The arrow goes up or stays within its row.
+ * @property {Array<Point>} points - Start, two control points and end of a cubic Bézier curve.
+ * @property {Point} labelAt - Center of the label.
+ *
+ * @typedef {Object} Layout
+ * @property {Map<string, LayoutNode>} nodes
+ * @property {Array<LayoutEdge>} edges
+ * @property {number} width - Width of the area covering all nodes.
+ * @property {number} height - Height of the area covering all nodes.
+ */
+export default class GraphLayout {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    static NODE_WIDTH = 150;
+    static NODE_HEIGHT = 44;
+    static HORIZONTAL_GAP = 50;
+    static VERTICAL_GAP = 90;
+
+    // top-down passes which reorder a row by the positions of the scenes leading to it
+    static #ORDERING_PASSES = 3;
+
+    /**
+     * Computes the positions of all scenes and the curves of all choices.
+     * @param {import('./Story.js').default} story
+     * @returns {Layout}
+     */
+    static layout(story)
+    {
+        const { nodes: graphNodes, edges: graphEdges } = GraphExport.analyze(story);
+        const layers = GraphLayout.#assignLayers(story, graphNodes, graphEdges);
+        const rows = GraphLayout.#orderRows(graphNodes, graphEdges, layers);
+
+        const rowWidth = (row) => row.length * GraphLayout.NODE_WIDTH + (row.length - 1) * GraphLayout.HORIZONTAL_GAP;
+        const width = Math.max(0, ...rows.map(rowWidth));
+
+        /** @type {Map<string, LayoutNode>} */
+        const nodes = new Map();
+        const byKey = new Map(graphNodes.map(node => [node.key, node]));
+        rows.forEach((row, layer) => {
+            // rows are centered below each other
+            const left = (width - rowWidth(row)) / 2;
+            row.forEach((key, i) => {
+                nodes.set(key, {
+                    ...byKey.get(key),
+                    layer,
+                    x: left + i * (GraphLayout.NODE_WIDTH + GraphLayout.HORIZONTAL_GAP),
+                    y: layer * (GraphLayout.NODE_HEIGHT + GraphLayout.VERTICAL_GAP),
+                    width: GraphLayout.NODE_WIDTH,
+                    height: GraphLayout.NODE_HEIGHT
+                });
+            });
+        });
+
+        const edges = graphEdges.map(edge => GraphLayout.#routeEdge(edge, nodes.get(edge.from), nodes.get(edge.to)));
+        const height = rows.length === 0 ? 0
+            : rows.length * GraphLayout.NODE_HEIGHT + (rows.length - 1) * GraphLayout.VERTICAL_GAP;
+        return { nodes, edges, width, height };
+    }
+
+    /**
+     * Breadth-first search from the start scene, so each scene gets the row of its shortest path.
+     * Scenes which cannot be reached start their own search at row 0.
+     * @returns {Map<string, number>} Scene key -> row.
+     */
+    static #assignLayers(story, graphNodes, graphEdges)
+    {
+        const successors = new Map(graphNodes.map(node => [node.key, []]));
+        graphEdges.forEach(edge => successors.get(edge.from).push(edge.to));
+
+        const layers = new Map();
+        const search = (startKey) => {
+            layers.set(startKey, 0);
+            const queue = [startKey];
+            while (queue.length > 0) {
+                const key = queue.shift();
+                for (const next of successors.get(key)) {
+                    if (layers.has(next)) continue;
+                    layers.set(next, layers.get(key) + 1);
+                    queue.push(next);
+                }
+            }
+        };
+        if (story.root) search(story.root.key);
+        for (const node of graphNodes) {
+            if (!layers.has(node.key)) search(node.key);
+        }
+        return layers;
+    }
+
+    /**
+     * Orders the scenes within their rows to reduce crossing arrows (barycenter heuristic):
+     * each scene moves towards the average position of the scenes in the row above which lead to it.
+     * @returns {Array<Array<string>>} Scene keys per row.
+     */
+    static #orderRows(graphNodes, graphEdges, layers)
+    {
+        const rows = [];
+        for (const node of graphNodes) {
+            const layer = layers.get(node.key);
+            while (rows.length <= layer) rows.push([]);
+            rows[layer].push(node.key);
+        }
+
+        const predecessors = new Map(graphNodes.map(node => [node.key, []]));
+        graphEdges.forEach(edge => {
+            if (layers.get(edge.from) === layers.get(edge.to) - 1) predecessors.get(edge.to).push(edge.from);
+        });
+
+        for (let pass = 0; pass < GraphLayout.#ORDERING_PASSES; pass++) {
+            for (let layer = 1; layer < rows.length; layer++) {
+                const above = new Map(rows[layer - 1].map((key, i) => [key, i]));
+                const position = new Map(rows[layer].map((key, i) => {
+                    const parents = predecessors.get(key);
+                    if (parents.length === 0) return [key, i];
+                    return [key, parents.reduce((sum, parent) => sum + above.get(parent), 0) / parents.length];
+                }));
+                // Array.sort is stable, so scenes with the same position keep their order
+                rows[layer].sort((a, b) => position.get(a) - position.get(b));
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * @param {import('./GraphExport.js').GraphEdge} edge
+     * @param {LayoutNode} from
+     * @param {LayoutNode} to
+     * @returns {LayoutEdge}
+     */
+    static #routeEdge(edge, from, to)
+    {
+        const isBackEdge = to.layer <= from.layer;
+        let points;
+        if (from === to) {
+            // loop at the right side of the box
+            const right = from.x + from.width;
+            const top = from.y + from.height * 0.25;
+            const bottom = from.y + from.height * 0.75;
+            points = [{ x: right, y: top }, { x: right + 50, y: top - 25 }, { x: right + 50, y: bottom + 25 }, { x: right, y: bottom }];
+        } else if (isBackEdge) {
+            // curve along the right sides, bulging out further the more rows it spans
+            const start = { x: from.x + from.width, y: from.y + from.height / 2 };
+            const end = { x: to.x + to.width, y: to.y + to.height / 2 };
+            const bulge = 40 + 20 * (from.layer - to.layer);
+            points = [start, { x: start.x + bulge, y: start.y }, { x: end.x + bulge, y: end.y }, end];
+        } else {
+            const start = { x: from.x + from.width / 2, y: from.y + from.height };
+            const end = { x: to.x + to.width / 2, y: to.y };
+            const middle = (start.y + end.y) / 2;
+            points = [start, { x: start.x, y: middle }, { x: end.x, y: middle }, end];
+        }
+
+        return {
+            ...edge,
+            isBackEdge,
+            points,
+            labelAt: GraphLayout.#bezierPoint(points, 0.5)
+        };
+    }
+
+    static #bezierPoint([p0, p1, p2, p3], t)
+    {
+        const u = 1 - t;
+        const at = (a, b, c, d) => u * u * u * a + 3 * u * u * t * b + 3 * u * t * t * c + t * t * t * d;
+        return { x: at(p0.x, p1.x, p2.x, p3.x), y: at(p0.y, p1.y, p2.y, p3.y) };
+    }
+}
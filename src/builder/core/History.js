@@ -0,0 +1,113 @@
+/**
+ * Undo/redo history for the editing operations on a story.
+ * Every operation is executed as a command which stores a snapshot of the story before and after it,
+ * so undo also restores everything an operation changed indirectly, e.g. the descendants removed by removeScene.
+ * @typedef {Object} Command
+ * @property {string} label - Description of the operation, shown to the user.
+ * @property {import('./Story.js').StorySnapshot} before - Story state before the operation.
+ * @property {import('./Story.js').StorySnapshot} after - Story state after the operation.
+ */
+export default class History {
+    static DEFAULT_LIMIT = 100;
+
+    // One history per story, so every editor can reach it without passing it around
+    static #histories = new WeakMap();
+
+    /**
+     * Returns the history of a story, creating it on first use.
+     * @param {import('./Story.js').default} story
+     * @returns {History}
+     */
+    static of(story)
+    {
+        if (!History.#histories.has(story)) {
+            History.#histories.set(story, new History(story));
+        }
+        return History.#histories.get(story);
+    }
+
+    /**
+     * @param {import('./Story.js').default} story - The story whose operations are recorded.
+     * @param {number} limit - Maximum number of commands which can be undone.
+     */
+    constructor(story, limit = History.DEFAULT_LIMIT)
+    {
+        this.story = story;
+        this.limit = limit;
+        /** @type {Array<Command>} */
+        this.undoStack = [];
+        /** @type {Array<Command>} */
+        this.redoStack = [];
+    }
+
+    /**
+     * Executes an operation on the story and records it, if it changed something.
+     * @param {string} label - Description of the operation.
+     * @param {function(import('./Story.js').default): *} operation - Mutates the story, returning false means nothing changed.
+     * @returns {*} The result of the operation.
+     */
+    execute(label, operation)
+    {
+        const before = this.story.createSnapshot();
+        const result = operation(this.story);
+        if (result === false) return result;
+
+        this.undoStack.push({ label, before, after: this.story.createSnapshot() });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        return result;
+    }
+
+    /**
+     * Reverts the last recorded operation.
+     * @returns {string|null} Label of the reverted operation, or null if there is nothing to undo.
+     */
+    undo()
+    {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        this.story.restoreSnapshot(command.before);
+        this.redoStack.push(command);
+        return command.label;
+    }
+
+    /**
+     * Repeats the last reverted operation.
+     * @returns {string|null} Label of the repeated operation, or null if there is nothing to redo.
+     */
+    redo()
+    {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        this.story.restoreSnapshot(command.after);
+        this.undoStack.push(command);
+        return command.label;
+    }
+
+    /**
+     * @returns {boolean} True if there is an operation to undo.
+     */
+    canUndo()
+    {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} True if there is an operation to redo.
+     */
+    canRedo()
+    {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forgets all recorded operations.
+     */
+    clear()
+    {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * A minimal Markdown subset for scene and choice texts. The texts keep their source, the players render it:
+ * - paragraphs are separated by empty lines, a single line break stays a line break
+ * - `*emphasis*` or `_emphasis_`, `**strong**` or `__strong__`, `` `code` ``
+ * - lists with lines starting with `- `, `* ` or `1. `
+ * - links `[text](url)` to http, https, mailto and relative urls, other links become text
+ * - a backslash keeps the next character from being markup, e.g. `\*`
+ * Anything else, including HTML, is text.
+ *
+ * @typedef {{type: 'text', text: string}
+ *     | {type: 'break'}
+ *     | {type: 'code', text: string}
+ *     | {type: 'em'|'strong', children: Array<InlineNode>}
+ *     | {type: 'link', href: string, children: Array<InlineNode>}} InlineNode
+ *
+ * @typedef {{type: 'paragraph', children: Array<InlineNode>}
+ *     | {type: 'list', ordered: boolean, start: number, items: Array<Array<InlineNode>>}} BlockNode
+ */
+export default class Markdown {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    static SAFE_SCHEMES = Object.freeze(['http', 'https', 'mailto']);
+
+    static #LIST_ITEM = /^\s*([-*]|\d+\.)\s+(.*)$/;
+
+    // groups: escaped character, code, strong (** or __), emphasis (* or _), link text and url; or a line break
+    static #INLINE = /\\([\\`*_[\]()~#+\-.!>])|`([^`\n]+)`|\*\*(?=\S)([\s\S]*?\S)\*\*|(?<!\w)__(?=\S)([\s\S]*?\S)__(?!\w)|\*(?=\S)([\s\S]*?\S)\*|(?<!\w)_(?=\S)([\s\S]*?\S)_(?!\w)|\[([^\]\n]*)\]\(([^()\s]*)\)|\n/g;
+
+    /**
+     * @param {string} text
+     * @returns {Array<BlockNode>}
+     */
+    static parse(text)
+    {
+        const blocks = [];
+        let current = null;
+        for (const line of String(text ?? '').replace(/\r\n?/g, '\n').split('\n')) {
+            if (!line.trim()) {
+                current = null;
+                continue;
+            }
+            const item = Markdown.#LIST_ITEM.exec(line);
+            if (item) {
+                const ordered = item[1] !== '-' && item[1] !== '*';
+                if (!current || current.type !== 'list' || current.ordered !== ordered) {
+                    current = { type: 'list', ordered, start: ordered ? parseInt(item[1], 10) : 1, items: [] };
+                    blocks.push(current);
+                }
+                current.items.push([item[2]]);
+            } else if (current && current.type === 'list') {
+                // continues the last item
+                current.items[current.items.length - 1].push(line.trim());
+            } else {
+                if (!current) {
+                    current = { type: 'paragraph', lines: [] };
+                    blocks.push(current);
+                }
+                current.lines.push(line.trim());
+            }
+        }
+        return blocks.map(block => block.type === 'list'
+            ? { ...block, items: block.items.map(lines => Markdown.parseInline(lines.join('\n'))) }
+            : { type: 'paragraph', children: Markdown.parseInline(block.lines.join('\n')) });
+    }
+
+    /**
+     * Parses the markup within a paragraph, e.g. of a choice text.
+     * @param {string} text
+     * @returns {Array<InlineNode>}
+     */
+    static parseInline(text)
+    {
+        const nodes = [];
+        const append = (node) => {
+            const last = nodes[nodes.length - 1];
+            if (node.type !== 'text') nodes.push(node);
+            else if (!node.text) return;
+            else if (last && last.type === 'text') last.text += node.text;
+            else nodes.push(node);
+        };
+
+        // a copy, the search is recursive
+        const pattern = new RegExp(Markdown.#INLINE);
+        let end = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            append({ type: 'text', text: text.slice(end, match.index) });
+            end = pattern.lastIndex;
+            const [, escaped, code, strong, strongUnderscore, em, emUnderscore, label, href] = match;
+            if (escaped !== undefined) {
+                append({ type: 'text', text: escaped });
+            } else if (code !== undefined) {
+                append({ type: 'code', text: code });
+            } else if ((strong ?? strongUnderscore) !== undefined) {
+                append({ type: 'strong', children: Markdown.parseInline(strong ?? strongUnderscore) });
+            } else if ((em ?? emUnderscore) !== undefined) {
+                append({ type: 'em', children: Markdown.parseInline(em ?? emUnderscore) });
+            } else if (label !== undefined) {
+                const children = Markdown.parseInline(label);
+                if (href && Markdown.isSafeUrl(href)) append({ type: 'link', href, children });
+                else children.forEach(append);
+            } else {
+                append({ type: 'break' });
+            }
+        }
+        append({ type: 'text', text: text.slice(end) });
+        return nodes;
+    }
+
+    /**
+     * @param {string} url
+     * @returns {boolean} True for relative urls and urls with a scheme in Markdown.SAFE_SCHEMES.
+     */
+    static isSafeUrl(url)
+    {
+        // browsers ignore control characters, e.g. in "java\tscript:"
+        if (/[\u0000-\u001f\u007f]/.test(url)) return false;
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+        return !scheme || Markdown.SAFE_SCHEMES.includes(scheme[1].toLowerCase());
+    }
+}
@@ -0,0 +1,195 @@
+import Story from "./Story.js";
+
+/**
+ * Library of the stories of the author, stored in the IndexedDB of the browser.
+ * Each project keeps the story in the file format of Story.toJSON() together with the data shown in the project list.
+ * @typedef {Object} ProjectInfo
+ * @property {number} id - Unique number of the project.
+ * @property {string} title - Title of the story, or DEFAULT_TITLE.
+ * @property {number} sceneCount - Number of scenes.
+ * @property {number} modifiedAt - Time of the last change, in milliseconds since 1970.
+ */
+export default class ProjectLibrary {
+    static DB_NAME = 'tadv-library';
+    static DEFAULT_TITLE = 'Unbenannte Geschichte';
+
+    static #DB_VERSION = 1;
+    static #STORE = 'projects';
+
+    /**
+     * Opens the library, creating the database on first use.
+     * @param {string} name - Name of the database.
+     * @param {IDBFactory} factory
+     * @returns {Promise<ProjectLibrary>}
+     * @throws {Error} If the browser does not allow IndexedDB.
+     */
+    static async open(name = ProjectLibrary.DB_NAME, factory = globalThis.indexedDB)
+    {
+        if (!factory) throw new Error('Der Browser unterstützt keine IndexedDB.');
+        const request = factory.open(name, ProjectLibrary.#DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(ProjectLibrary.#STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        return new ProjectLibrary(await ProjectLibrary.#promise(request));
+    }
+
+    /**
+     * @param {IDBDatabase} db - Use ProjectLibrary.open() to get one.
+     */
+    constructor(db)
+    {
+        this.db = db;
+    }
+
+    /**
+     * Closes the database connection.
+     */
+    close()
+    {
+        this.db.close();
+    }
+
+    /**
+     * @returns {Promise<Array<ProjectInfo>>} All projects, the last changed first.
+     */
+    async list()
+    {
+        const records = await this.#request('readonly', store => store.getAll());
+        return records
+            .map(({ id, title, sceneCount, modifiedAt }) => ({ id, title, sceneCount, modifiedAt }))
+            .sort((a, b) => b.modifiedAt - a.modifiedAt);
+    }
+
+    /**
+     * Stores a story as new project.
+     * @param {Story} story
+     * @returns {Promise<number>} Id of the new project.
+     */
+    async create(story)
+    {
+        return this.#request('readwrite', store => store.add(ProjectLibrary.#toRecord(story.toJSON())));
+    }
+
+    /**
+     * Replaces the story of a project.
+     * @param {number} id
+     * @param {Story} story
+     * @returns {Promise<boolean>} False if there is no such project.
+     */
+    async save(id, story)
+    {
+        if (!await this.#get(id)) {
+            console.warn(`Project ${id} not found`);
+            return false;
+        }
+        await this.#request('readwrite', store => store.put({ ...ProjectLibrary.#toRecord(story.toJSON()), id }));
+        return true;
+    }
+
+    /**
+     * Builds the story of a project.
+     * @param {number} id
+     * @returns {Promise<Story|null>} Null if there is no such project or its story cannot be read.
+     */
+    async load(id)
+    {
+        const record = await this.#get(id);
+        if (!record) {
+            console.warn(`Project ${id} not found`);
+            return null;
+        }
+        try {
+            return Story.fromJson(record.document);
+        } catch (e) {
+            console.warn(`Project ${id} cannot be read: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Copies a project, the copy gets the title "<title> (Kopie)".
+     * @param {number} id
+     * @returns {Promise<number|null>} Id of the copy, or null if there is no such project.
+     */
+    async duplicate(id)
+    {
+        const record = await this.#get(id);
+        if (!record) return null;
+        const document = structuredClone(record.document);
+        document.meta = { ...document.meta, title: `${record.title} (Kopie)` };
+        return this.#request('readwrite', store => store.add(ProjectLibrary.#toRecord(document)));
+    }
+
+    /**
+     * Changes the title of a project, which is the title of its story.
+     * @param {number} id
+     * @param {string} title
+     * @returns {Promise<boolean>} False if there is no such project.
+     */
+    async rename(id, title)
+    {
+        const record = await this.#get(id);
+        if (!record) return false;
+        const document = { ...record.document, meta: { ...record.document.meta, title: title.trim() } };
+        await this.#request('readwrite', store => store.put({ ...ProjectLibrary.#toRecord(document), id }));
+        return true;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<boolean>} False if there is no such project.
+     */
+    async remove(id)
+    {
+        if (!await this.#get(id)) return false;
+        await this.#request('readwrite', store => store.delete(id));
+        return true;
+    }
+
+    async #get(id)
+    {
+        return this.#request('readonly', store => store.get(id));
+    }
+
+    /**
+     * Runs one request on the project store and waits until its transaction is finished.
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBObjectStore): IDBRequest} createRequest
+     * @returns {Promise<*>} The result of the request.
+     */
+    async #request(mode, createRequest)
+    {
+        const transaction = this.db.transaction(ProjectLibrary.#STORE, mode);
+        const request = createRequest(transaction.objectStore(ProjectLibrary.#STORE));
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        const result = await ProjectLibrary.#promise(request);
+        await done;
+        return result;
+    }
+
+    static #promise(request)
+    {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * @param {import('./StoryFormat.js').StoryDocument} document
+     * @returns {Object} Record without id.
+     */
+    static #toRecord(document)
+    {
+        return {
+            title: document.meta.title || ProjectLibrary.DEFAULT_TITLE,
+            sceneCount: Object.keys(document.scenes).length,
+            modifiedAt: Date.now(),
+            document
+        };
+    }
+}
@@ -1,3 +1,7 @@
+import Effects from "./Effects.js";
+import Condition from "./Condition.js";
+import TextTemplate from "./TextTemplate.js";
+
 /**
  * Represents a single scene (node) in the story tree.
  * Each scene has narrative text, a list of choices (edges to other scenes),
@@ -6,14 +10,23 @@
  * @property {string} text - Narrative text for the scene.
  * @property {Scene|null} parent - Reference to the parent scene, or null for root.
  * @property {Map<string, string>} choices - Map of next scene keys to their descriptions.
+ * @property {Map<string, Array<Effect>>} effects - Map of next scene keys to the effects of that choice.
+ * @property {Map<string, ChoiceCondition>} conditions - Map of next scene keys to the condition of that choice.
+ * @property {string|null} image - Name of the image asset of the story shown with the scene, or null.
+ * @property {string|null} audio - Name of the audio asset of the story played during the scene, or null.
  */
 export default class Scene {
+    /**
+     * Kinds of media a scene can have, each is a property with the asset name.
+     */
+    static MEDIA_TYPES = Object.freeze(['image', 'audio']);
+
     /**
      * Root scene constructor.
      * @param {string} key - Unique scene identifier.
      * @param {string} text - Narrative text.
      * @param {Scene|null} parent - Parent scene, or null for root.
-     * @param {Array<{text: string, next: string}>|Map<string, string>|null} choices - List of choices or null for leaf.
+     * @param {Array<{text: string, next: string, effects?: Array<Effect>, condition?: string, showDisabled?: boolean}>|Map<string, string>|null} choices - List of choices or null for leaf.
      */
     constructor(key, text = '', parent = null, choices = null)
     {
@@ -21,6 +34,10 @@ export default class Scene {
         this.text = text;
         this.parent = parent;
         this.choices = new Map();
+        this.effects = new Map();
+        this.conditions = new Map();
+        this.image = null;
+        this.audio = null;
 
         if (choices instanceof Map) {
             for (const [next, choiceText] of choices) {
@@ -28,7 +45,8 @@ export default class Scene {
             }
         } else if (Array.isArray(choices)) {
             for (const c of choices) {
-                if (c.next && c.text) this.choices.set(c.next, c.text);
+                if (!c.next || !c.text || !this.addChoice(c.text, c.next, c.effects)) continue;
+                if (c.condition) this.setChoiceCondition(c.next, c.condition, c.showDisabled);
             }
         }
     }
@@ -38,38 +56,141 @@ export default class Scene {
      * Adds a new choice (link) to another scene.
      * @param {string} text - Description of the choice.
      * @param {string} next - ID of the next scene.
+     * @param {Array<Effect>} [effects] - Effects applied when the choice is taken.
      * @returns {boolean} True if added successfully, false if duplicate key exists.
      */
-    addChoice(text, next)
+    addChoice(text, next, effects = [])
     {
         if (this.choices.has(next)) return false;
         this.choices.set(next, text);
+        this.setChoiceEffects(next, effects);
+        return true;
+    }
+
+    /**
+     * Replaces the effects of an existing choice.
+     * @param {string} next - Target scene ID.
+     * @param {Array<Effect>} effects - New effects, an empty array removes all effects.
+     * @returns {boolean} True if set, false if the choice was not found.
+     */
+    setChoiceEffects(next, effects)
+    {
+        if (!this.choices.has(next)) return false;
+        if (Array.isArray(effects) && effects.length > 0) {
+            this.effects.set(next, effects.map(e => ({ ...e })));
+        } else {
+            this.effects.delete(next);
+        }
+        return true;
+    }
+
+    /**
+     * Returns the effects of a choice.
+     * @param {string} next - Target scene ID.
+     * @returns {Array<Effect>} Effects of the choice, empty if it has none.
+     */
+    getChoiceEffects(next)
+    {
+        return this.effects.get(next) || [];
+    }
+
+    /**
+     * Sets or removes the condition of an existing choice.
+     * @param {string} next - Target scene ID.
+     * @param {string|null} expression - Condition expression, empty or null removes the condition.
+     * @param {boolean} [showDisabled] - Show the choice as disabled instead of hiding it while the condition is false.
+     * @returns {boolean} True if set, false if the choice was not found.
+     */
+    setChoiceCondition(next, expression, showDisabled = false)
+    {
+        if (!this.choices.has(next)) return false;
+        if (typeof expression === 'string' && expression.trim() !== '') {
+            this.conditions.set(next, { expression: expression.trim(), showDisabled: !!showDisabled });
+        } else {
+            this.conditions.delete(next);
+        }
         return true;
     }
 
+    /**
+     * Returns the condition of a choice.
+     * @param {string} next - Target scene ID.
+     * @returns {ChoiceCondition|null} The condition, or null if the choice is always available.
+     */
+    getChoiceCondition(next)
+    {
+        return this.conditions.get(next) || null;
+    }
+
+    /**
+     * Sets or removes the media of the scene. The names are not checked against the assets of the story.
+     * @param {{image?: string|null, audio?: string|null}} media - Asset names, null or '' removes a medium, undefined keeps it.
+     * @returns {boolean} True if a medium was changed.
+     */
+    setMedia(media)
+    {
+        let changed = false;
+        for (const type of Scene.MEDIA_TYPES) {
+            if (media[type] === undefined) continue;
+            const name = media[type] || null;
+            if (name === this[type]) continue;
+            this[type] = name;
+            changed = true;
+        }
+        return changed;
+    }
+
     /**
      * Edits the content of the scene, including the scene text and the choice texts.
      * @param {string} newText The new scene text.
      * @param {Map<string, string> | null} newChoices A map of choice keys to new choice texts. null means no choices.
+     * @param {Map<string, Array<Effect>>} [newEffects] A map of choice keys to their effects. undefined keeps the current effects.
+     * @param {Map<string, ChoiceCondition>} [newConditions] A map of choice keys to their conditions. undefined keeps the current conditions.
      * @returns {boolean} True if content was edited successfully, otherwise false.
      */
-    updateContent(newText, newChoices = null) 
+    updateContent(newText, newChoices = null, newEffects = undefined, newConditions = undefined)
     {
         let edited = false;
-        if (typeof newText === 'string' && newText.trim() !== '') {
+        if (typeof newText === 'string' && newText.trim() !== '' && newText !== this.text) {
             this.text = newText;
             edited = true;
         }
 
-        if(this.choicesAreEqual(newChoices)) {return edited;}
+        if (!this.choicesAreEqual(newChoices)) {
+            if (newChoices instanceof Map && newChoices) {
+                this.choices = newChoices;
+                edited = true;
+            } else if(newChoices === null) {
+                this.choices.clear();
+                edited = true;
+            }
+        }
 
-        if (newChoices instanceof Map && newChoices) {
-            this.choices = newChoices;
+        if (newEffects instanceof Map && !this.#effectsAreEqual(newEffects)) {
+            this.effects = new Map();
+            for (const [next, effects] of newEffects) {
+                if (Array.isArray(effects) && effects.length > 0) this.effects.set(next, effects);
+            }
             edited = true;
-        } else if(newChoices === null) {
-            this.choices.clear();
+        }
+
+        if (newConditions instanceof Map && !this.#conditionsAreEqual(newConditions)) {
+            this.conditions = new Map();
+            for (const [next, condition] of newConditions) {
+                if (condition && condition.expression) {
+                    this.conditions.set(next, { expression: condition.expression, showDisabled: !!condition.showDisabled });
+                }
+            }
             edited = true;
         }
+
+        // drop effects and conditions of choices that no longer exist
+        for (const next of this.effects.keys()) {
+            if (!this.choices.has(next)) this.effects.delete(next);
+        }
+        for (const next of this.conditions.keys()) {
+            if (!this.choices.has(next)) this.conditions.delete(next);
+        }
         return edited;
     }
 
@@ -86,6 +207,24 @@ export default class Scene {
         return true;
     }
 
+    /**
+     * Moves a choice to another position, keeping its text, effects and condition.
+     * @param {string} next - Target scene ID.
+     * @param {number} index - New position, counted from 0. Positions beyond the end move the choice to the end.
+     * @returns {boolean} True if moved, false if not found or already at that position.
+     */
+    moveChoice(next, index)
+    {
+        if (!this.choices.has(next)) return false;
+        const entries = Array.from(this.choices);
+        const from = entries.findIndex(([key]) => key === next);
+        const to = Math.max(0, Math.min(index, entries.length - 1));
+        if (from === to) return false;
+        entries.splice(to, 0, ...entries.splice(from, 1));
+        this.choices = new Map(entries);
+        return true;
+    }
+
     /**
      * Removes a choice by its next key.
      * @param {string} next - Target scene ID.
@@ -93,16 +232,72 @@ export default class Scene {
      */
     removeChoice(next) 
     { 
+        this.effects.delete(next);
+        this.conditions.delete(next);
         return this.choices.delete(next); 
     }
 
+    /**
+     * Replaces a scene key in the choices of this scene after the scene was renamed:
+     * the choice leading to it keeps its position, text, effects and condition, and `visited()` calls in conditions
+     * and in the placeholders of the texts are rewritten.
+     * If this scene already has a choice leading to the new key, the choice to the old key is dropped.
+     * @param {string} oldKey
+     * @param {string} newKey
+     * @returns {boolean} True if anything was changed.
+     */
+    renameSceneReferences(oldKey, newKey)
+    {
+        let changed = false;
+        if (this.choices.has(oldKey)) {
+            if (this.choices.has(newKey)) {
+                this.removeChoice(oldKey);
+            } else {
+                this.choices = Scene.#renameMapKey(this.choices, oldKey, newKey);
+                this.effects = Scene.#renameMapKey(this.effects, oldKey, newKey);
+                this.conditions = Scene.#renameMapKey(this.conditions, oldKey, newKey);
+            }
+            changed = true;
+        }
+
+        for (const condition of this.conditions.values()) {
+            const expression = Condition.renameScene(condition.expression, oldKey, newKey);
+            if (expression === condition.expression) continue;
+            condition.expression = expression;
+            changed = true;
+        }
+
+        const text = TextTemplate.renameScene(this.text, oldKey, newKey);
+        if (text !== this.text) {
+            this.text = text;
+            changed = true;
+        }
+        for (const [next, choiceText] of this.choices) {
+            const renamed = TextTemplate.renameScene(choiceText, oldKey, newKey);
+            if (renamed === choiceText) continue;
+            this.choices.set(next, renamed);
+            changed = true;
+        }
+        return changed;
+    }
+
+    /**
+     * Copies a map with one key renamed, keeping the order of the entries.
+     */
+    static #renameMapKey(map, oldKey, newKey)
+    {
+        return new Map(Array.from(map, ([key, value]) => [key === oldKey ? newKey : key, value]));
+    }
+
     /**
      * Returns all choices as an array of plain objects.
-     * @returns {Array<{text: string, next: string}>} List of choices.
+     * @returns {Array<{text: string, next: string, effects: Array<Effect>, condition: ChoiceCondition|null}>} List of choices.
      */
     getAllChoices()
     {
-        return Array.from(this.choices, ([next, text]) => ({ text, next }));
+        return Array.from(this.choices, ([next, text]) => ({
+            text, next, effects: this.getChoiceEffects(next), condition: this.getChoiceCondition(next)
+        }));
     }
 
     /**
@@ -122,11 +317,48 @@ export default class Scene {
         return true;
     }
 
+    /**
+     * Compares the scene's choice effects with a new set of effects.
+     * @param {Map<string, Array<Effect>>} newEffects
+     * @returns {boolean} true if the effects are the same, false otherwise.
+     */
+    #effectsAreEqual(newEffects)
+    {
+        const keys = new Set([...this.effects.keys(), ...newEffects.keys()]);
+        for (const next of keys) {
+            const a = this.effects.get(next) || [];
+            const b = newEffects.get(next) || [];
+            if (JSON.stringify(a) !== JSON.stringify(b)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Compares the scene's choice conditions with a new set of conditions.
+     * @param {Map<string, ChoiceCondition>} newConditions
+     * @returns {boolean} true if the conditions are the same, false otherwise.
+     */
+    #conditionsAreEqual(newConditions)
+    {
+        const keys = new Set([...this.conditions.keys(), ...newConditions.keys()]);
+        for (const next of keys) {
+            const a = this.conditions.get(next);
+            const b = newConditions.get(next);
+            if (!a || !b) {
+                if ((a && a.expression) || (b && b.expression)) return false;
+                continue;
+            }
+            if (a.expression !== b.expression || a.showDisabled !== !!b.showDisabled) return false;
+        }
+        return true;
+    }
+
     /**
      * Creates a new Scene instance from a JSON text.
      * @returns {Scene | null} New Scene instance or null if parsing fails.
      * @param {string} key
      * @param {object|string} json
+     * @throws {Error} If a choice contains malformed effects or conditions.
      */
     static fromJson(key,json)
     {
@@ -155,11 +387,32 @@ export default class Scene {
 
         const scene = new Scene(key, parsedObject.text, null,[]);
 
+        for (const type of Scene.MEDIA_TYPES) {
+            if (parsedObject[type] === undefined) continue;
+            if (typeof parsedObject[type] !== 'string') {
+                throw new Error(`Szene "${key}": ungültiger Verweis auf ein Medium (${type}).`);
+            }
+            scene[type] = parsedObject[type] || null;
+        }
+
         // handle optional choices (leaf scenes may have none)
         if (Array.isArray(parsedObject.choices)) {
             for (const c of parsedObject.choices) {
                 if (!c || typeof c.text !== 'string' || typeof c.next !== 'string') continue;
-                scene.addChoice(c.text, c.next);
+                if (c.effects !== undefined
+                    && (!Array.isArray(c.effects) || !c.effects.every(e => Effects.isValid(e)))) {
+                    throw new Error(`Szene "${key}", Entscheidung "${c.next}": ungültige Effekte.`);
+                }
+                if (c.condition !== undefined) {
+                    const error = typeof c.condition === 'string'
+                        ? Condition.validate(c.condition)
+                        : 'Die Bedingung muss ein Text sein.';
+                    if (error) {
+                        throw new Error(`Szene "${key}", Entscheidung "${c.next}": ungültige Bedingung: ${error}`);
+                    }
+                }
+                if (!scene.addChoice(c.text, c.next, c.effects)) continue;
+                scene.setChoiceCondition(c.next, c.condition, c.showDisabled);
             }
         }
 
@@ -168,18 +421,28 @@ export default class Scene {
 
     /**
      * Converts the scene into a plain JSON-compatible object.
-     * @returns {{text: string, choices: Array<{text: string, next: string}>}}
+     * @returns {{text: string, image?: string, audio?: string, choices?: Array<{text: string, next: string, effects?: Array<Effect>, condition?: string, showDisabled?: boolean}>}}
      */
     toJSON()
     {
+        const json = { text: this.text };
+        for (const type of Scene.MEDIA_TYPES) {
+            if (this[type]) json[type] = this[type];
+        }
         const choicesArray = [];
         for (const [next, text] of this.choices.entries()) {
-            choicesArray.push({ text, next });
-        }
-        if(choicesArray.length === 0){
-            return { text: this.text };
+            const choice = { text, next };
+            const effects = this.getChoiceEffects(next);
+            if (effects.length > 0) choice.effects = effects;
+            const condition = this.getChoiceCondition(next);
+            if (condition) {
+                choice.condition = condition.expression;
+                if (condition.showDisabled) choice.showDisabled = true;
+            }
+            choicesArray.push(choice);
         }
-        return { text: this.text, choices: choicesArray };
+        if (choicesArray.length > 0) json.choices = choicesArray;
+        return json;
     }
 }
 
@@ -188,4 +451,14 @@ export default class Scene {
  * @property {Scene|null} scene - The referenced Scene instance, or null if missing.
  * @property {string} key - The scene key (ID)
  * @property {number} depth - Depth in the DFS traversal of the story tree, starting at 0 for the root scene.
+ */
+
+/**
+ * @typedef {import('./Effects.js').Effect} Effect
+ */
+
+/**
+ * @typedef {Object} ChoiceCondition
+ * @property {string} expression - Condition in the syntax of Condition.parse().
+ * @property {boolean} showDisabled - If true, the choice is shown disabled instead of hidden while the condition is false.
  */
\ No newline at end of file
@@ -1,11 +1,18 @@
 import Scene from "./Scene.js";
+import Effects from "./Effects.js";
+import StoryFormat from "./StoryFormat.js";
 
 /**
- * Represents the entire story as an object-oriented tree of scenes.
- * Controls all scenes and ensures proper parent-child relationships.
- * Each scene (except the root) must have exactly one parent.
+ * Represents the entire story as a directed graph of scenes.
+ * Choices are the edges, so paths may converge on a scene and loop back to earlier scenes.
+ * Incoming edges are indexed in `referrers`; `Scene.parent` only keeps the first referrer for tree views.
+ * The index is maintained by the Story methods, after changing choices of a Scene directly call rebuildReferrers().
+ * Views subscribe to the change events of the story instead of being refreshed by the editors.
  */
 export default class Story {
+    // event name -> Set of listeners
+    #listeners = new Map();
+
     /**
      * @constructor
      */
@@ -13,20 +20,144 @@ export default class Story {
     {
         this.scenes = new Map(); // key -> Scene
         this.root = null;        // start scene
+        this.variables = new Map(); // variable name -> initial value
+        this.referrers = new Map(); // scene key -> Set of keys of the scenes with a choice leading to it
+        this.meta = { title: '', author: '', language: '' }; // descriptive data, see Story.META_FIELDS
+        this.settings = { ...Story.DEFAULT_SETTINGS }; // how the story is played, see Story.DEFAULT_SETTINGS
+        this.assets = new Map(); // asset name -> Asset, the media the scenes refer to
+        this.items = new Map(); // item id -> Item, the things the player can carry
+    }
+
+    /**
+     * Fields of the descriptive data in `meta`.
+     */
+    static META_FIELDS = Object.freeze(['title', 'author', 'language']);
+
+    /**
+     * Settings of the player, chosen by the author:
+     * `backtracking` allows going back to earlier scenes, switched off for "hardcore" stories,
+     * `breadcrumb` shows the keys of the scenes on the way to the current one.
+     */
+    static DEFAULT_SETTINGS = Object.freeze({ backtracking: true, breadcrumb: true });
+
+    /**
+     * Names of the events emitted after the story was changed.
+     */
+    static EVENTS = Object.freeze({
+        SCENE_ADDED: 'sceneAdded',
+        SCENE_EDITED: 'sceneEdited',
+        SCENE_REMOVED: 'sceneRemoved',
+        SCENE_RENAMED: 'sceneRenamed',
+        START_CHANGED: 'startChanged',
+        META_CHANGED: 'metaChanged',
+        SETTINGS_CHANGED: 'settingsChanged',
+        PARENT_CHANGED: 'parentChanged',
+        VARIABLE_CHANGED: 'variableChanged',
+        ASSET_CHANGED: 'assetChanged',
+        ITEM_CHANGED: 'itemChanged',
+        STORY_REPLACED: 'storyReplaced'
+    });
+
+    /**
+     * Registers a listener for an event.
+     * @param {string} eventName - One of Story.EVENTS.
+     * @param {function(StoryEvent): void} listener
+     * @returns {function(): boolean} Function which unsubscribes the listener again.
+     */
+    subscribe(eventName, listener)
+    {
+        if (!Object.values(Story.EVENTS).includes(eventName)) {
+            console.warn(`Unknown story event ${eventName}`);
+            return () => false;
+        }
+        if (!this.#listeners.has(eventName)) this.#listeners.set(eventName, new Set());
+        this.#listeners.get(eventName).add(listener);
+        return () => this.unsubscribe(eventName, listener);
+    }
+
+    /**
+     * Registers one listener for several events.
+     * @param {Array<string>} eventNames - Names from Story.EVENTS.
+     * @param {function(StoryEvent): void} listener
+     * @returns {function(): void} Function which unsubscribes the listener from all events again.
+     */
+    subscribeAll(eventNames, listener)
+    {
+        const unsubscribers = eventNames.map(eventName => this.subscribe(eventName, listener));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Removes a listener registered with subscribe().
+     * @param {string} eventName
+     * @param {function(StoryEvent): void} listener
+     * @returns {boolean} True if removed, false if the listener was not registered.
+     */
+    unsubscribe(eventName, listener)
+    {
+        const listeners = this.#listeners.get(eventName);
+        return !!listeners && listeners.delete(listener);
+    }
+
+    /**
+     * Calls all listeners of an event. A failing listener does not keep the others from being called.
+     * @param {string} eventName
+     * @param {Object} [detail] - Additional event properties, e.g. the scene key.
+     */
+    #emit(eventName, detail = {})
+    {
+        const listeners = this.#listeners.get(eventName);
+        if (!listeners) return;
+        const event = { type: eventName, story: this, ...detail };
+        for (const listener of Array.from(listeners)) {
+            try {
+                listener(event);
+            } catch (e) {
+                console.warn(`Listener of story event ${eventName} failed: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Keys with this prefix are reserved for story-level data in flat story files (format version 0) and cannot be used as scene keys.
+     */
+    static RESERVED_PREFIX = '$';
+
+    /**
+     * Key of the start scene in files which do not store their start scene.
+     */
+    static DEFAULT_START_KEY = 'start';
+
+    /**
+     * Checks whether a key is reserved for story-level data.
+     * @param {string} key
+     * @returns {boolean}
+     */
+    static isReservedKey(key)
+    {
+        return typeof key === 'string' && key.startsWith(Story.RESERVED_PREFIX);
     }
 
     /**
      * Adds an existing Scene instance to the story.
+     * If no scene leads to the new scene yet, a choice from its parent or the root is added.
      * @param {Scene} scene - Scene object to add.
-     * @returns {boolean} True if added, false if duplicate Key.
+     * @param {boolean} [linkToParent=true] - False adds the scene without creating a choice leading to it.
+     * @returns {boolean} True if added, false if duplicate or reserved Key.
      */
-    addScene(scene)
+    addScene(scene, linkToParent = true)
     {
         if (this.scenes.has(scene.key)) return false;
+        if (Story.isReservedKey(scene.key)) {
+            console.warn(`Scene key ${scene.key} is reserved`);
+            return false;
+        }
 
         this.scenes.set(scene.key, scene);
+        this.#indexChoices(scene);
         if (!this.root) {
             this.root = scene;
+            this.#emit(Story.EVENTS.SCENE_ADDED, { key: scene.key });
             return true;
         } // first scene becomes root
 
@@ -34,22 +165,149 @@ export default class Story {
             const parent = this.findParent(scene.key);
             if (parent) {
                 scene.parent = parent;
-                parent.addChoice(scene.text || `to ${scene.key}`, scene.key);
-            } else {
-                this.root.addChoice(scene.text || `to ${scene.key}`, scene.key);
+            } else if (linkToParent) {
+                this.#link(this.root, scene.text || `to ${scene.key}`, scene.key);
                 scene.parent = this.root;
             }
         }
 
         // ensure parent linkage integrity
-        if (scene.parent && this.scenes.has(scene.parent.key)) {
+        if (linkToParent && scene.parent && this.scenes.has(scene.parent.key)) {
             const parent = this.scenes.get(scene.parent.key);
-            parent.addChoice(scene.text || `to ${scene.key}`, scene.key);
+            this.#link(parent, scene.text || `to ${scene.key}`, scene.key);
         }
 
+        this.#emit(Story.EVENTS.SCENE_ADDED, { key: scene.key });
+        return true;
+    }
+
+    /**
+     * Adds a choice to a scene.
+     * @param {string} key - Key of the scene which gets the choice.
+     * @param {string} text - Choice text.
+     * @param {string} next - Key of the target scene.
+     * @returns {boolean} True if added, false if the scene is missing or already has a choice to next.
+     */
+    addChoice(key, text, next)
+    {
+        const scene = this.scenes.get(key);
+        if (!scene) {
+            console.warn(`Scene ${key} not found`);
+            return false;
+        }
+        if (!this.#link(scene, text, next)) return false;
+        const target = this.scenes.get(next);
+        if (target) this.#updateParent(target);
+        this.#emit(Story.EVENTS.SCENE_EDITED, { key });
         return true;
     }
 
+    /**
+     * Removes a choice from a scene. The target scene is kept, even if nothing leads to it anymore.
+     * @param {string} key - Key of the scene with the choice.
+     * @param {string} next - Key of the target scene.
+     * @returns {boolean} True if removed, false if the scene or the choice is missing.
+     */
+    removeChoice(key, next)
+    {
+        const scene = this.scenes.get(key);
+        if (!scene || !scene.choices.has(next)) return false;
+        this.#unlink(scene, next);
+        const target = this.scenes.get(next);
+        if (target) this.#updateParent(target);
+        this.#emit(Story.EVENTS.SCENE_EDITED, { key });
+        return true;
+    }
+
+    /**
+     * Returns the keys of all scenes with a choice leading to the given scene.
+     * @param {string} sceneKey
+     * @returns {Array<string>} Keys of the referring scenes in insertion order.
+     */
+    getReferrers(sceneKey)
+    {
+        return Array.from(this.referrers.get(sceneKey) || []);
+    }
+
+    /**
+     * Rebuilds the referrer index from the choices of all scenes.
+     * Needed after choices of a scene were changed without using the Story methods.
+     */
+    rebuildReferrers()
+    {
+        this.referrers.clear();
+        for (const scene of this.scenes.values()) {
+            this.#indexChoices(scene);
+        }
+    }
+
+    /**
+     * Adds a choice from one scene to another and records the edge in the referrer index.
+     * @param {Scene} scene - Scene which gets the choice.
+     * @param {string} text - Choice text.
+     * @param {string} next - Key of the target scene.
+     * @returns {boolean} True if added, false if the scene already has a choice to next.
+     */
+    #link(scene, text, next)
+    {
+        if (!scene.addChoice(text, next)) return false;
+        this.#addReferrer(next, scene.key);
+        return true;
+    }
+
+    /**
+     * Removes a choice from one scene to another and its entry in the referrer index.
+     * @param {Scene} scene
+     * @param {string} next
+     */
+    #unlink(scene, next)
+    {
+        scene.removeChoice(next);
+        this.#removeReferrer(next, scene.key);
+    }
+
+    #indexChoices(scene)
+    {
+        for (const next of scene.choices.keys()) {
+            this.#addReferrer(next, scene.key);
+        }
+    }
+
+    #unindexChoices(scene)
+    {
+        for (const next of scene.choices.keys()) {
+            this.#removeReferrer(next, scene.key);
+        }
+    }
+
+    #addReferrer(targetKey, referrerKey)
+    {
+        if (!this.referrers.has(targetKey)) this.referrers.set(targetKey, new Set());
+        this.referrers.get(targetKey).add(referrerKey);
+    }
+
+    #removeReferrer(targetKey, referrerKey)
+    {
+        const keys = this.referrers.get(targetKey);
+        if (!keys) return;
+        keys.delete(referrerKey);
+        if (keys.size === 0) this.referrers.delete(targetKey);
+    }
+
+    /**
+     * Sets Scene.parent to the first remaining referrer, or null if nothing leads to the scene anymore.
+     * @param {Scene} scene
+     */
+    #updateParent(scene)
+    {
+        if (scene.parent && this.scenes.get(scene.parent.key) === scene.parent
+            && scene.parent.choices.has(scene.key)) {
+            return;
+        }
+        const parentKey = this.getReferrers(scene.key).find(key => this.scenes.has(key));
+        scene.parent = parentKey ? this.scenes.get(parentKey) : null;
+    }
+
     /**
      * Finds the parent Scene whose choices reference the given scene key.
      * @param {string} sceneKey - Key of the scene to find a parent for.
@@ -57,10 +315,9 @@ export default class Story {
      */
     findParent(sceneKey) 
     {
-        for (const scene of this.scenes.values()) {
-            if (scene.choices instanceof Map && scene.choices.has(sceneKey)) {
-                return scene;
-            }
+        for (const key of this.getReferrers(sceneKey)) {
+            const scene = this.scenes.get(key);
+            if (scene && scene.choices.has(sceneKey)) return scene;
         }
         return null;
     }
@@ -77,22 +334,32 @@ export default class Story {
     }
 
     /**
-     * Depth of a scene relative to the root scene.
+     * Depth of a scene as the shortest number of choices from the root scene.
      * @param {Map<string, Scene>} scenes - The map of scenes in the story (Key -> Scene).
      * @param {Scene} scene - The scene whose depth needs to be calculated.
-     * @returns {number} The depth of the scene, -1 if the scene is not found.
+     * @param {Scene} [root] - The root scene, defaults to the first scene of the map.
+     * @returns {number} The depth of the scene, -1 if the scene is not found or not reachable from the root.
      */
-    static getSceneDepth(scenes, scene) 
+    static getSceneDepth(scenes, scene, root = scenes.values().next().value)
     {
-        if(! scenes.has(scene.key)){ return -1; }
+        if(! scenes.has(scene.key) || !root){ return -1; }
+
+        // breadth-first search, the first visit of a scene is on a shortest path
+        const depths = new Map([[root.key, 0]]);
+        const queue = [root];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            const depth = depths.get(current.key);
+            if (current.key === scene.key) return depth;
 
-        let depth = 0;
-        let current = scene;
-        while (current && current.parent) {
-            depth++;
-            current = current.parent;
+            for (const nextKey of current.choices.keys()) {
+                const next = scenes.get(nextKey);
+                if (!next || depths.has(nextKey)) continue;
+                depths.set(nextKey, depth + 1);
+                queue.push(next);
+            }
         }
-        return depth;
+        return -1;
     }
 
     /**
@@ -100,9 +367,10 @@ export default class Story {
      * starting from the given scene (defaults to root).
      * @param {Story} story - The story instance containing the scenes.
      * @param {Scene} [startScene=this.root]
+     * @param {boolean} [includeMissing=false] - True also returns choices to missing scenes, with scene null.
      * @returns {Array<SceneRef>} Array of { key, scene, depth }
      */
-    static getScenesDFS(story, startScene = story.root)
+    static getScenesDFS(story, startScene = story.root, includeMissing = false)
     {
         if (!story || !startScene) return [];
         /** @type {Array<SceneRef>} */
@@ -112,13 +380,17 @@ export default class Story {
 
         let baseDepth = 0;
         if (startScene !== story.root) {
-            baseDepth = Story.getSceneDepth(story.scenes,startScene);
+            baseDepth = Math.max(0, Story.getSceneDepth(story.scenes, startScene, story.root));
         }
         stack.push({ scene: startScene, depth: baseDepth });
 
         // Use stack-based DFS traversal
         while (stack.length > 0) {
-            const { scene, depth } = stack.pop();
+            const { scene, depth, missingKey } = stack.pop();
+            if (missingKey) {
+                result.push({ key: missingKey, scene: null, depth: depth });
+                continue;
+            }
 
             // Skip already visited scenes to avoid revisiting and infloop
             if(visited.has(scene.key)){ continue; }
@@ -126,12 +398,15 @@ export default class Story {
             result.push({ key: scene.key, scene: scene,depth: depth });
 
             // Add children to the stack in reverse order to maintain DFS order
-            const children = Array.from(scene.choices.keys())
-                .map(key => story.getScene(key))
-                .filter(child => child && !visited.has(child.key));
+            const children = [];
+            for (const key of scene.choices.keys()) {
+                const child = story.getScene(key);
+                if (child && !visited.has(key)) children.push({ scene: child, depth: depth + 1 });
+                else if (!child && includeMissing) children.push({ missingKey: key, depth: depth + 1 });
+            }
             // Push in reverse order
             for (let i = children.length - 1; i >= 0; i--) {
-                stack.push({ scene: children[i], depth: depth + 1 });
+                stack.push(children[i]);
             }
         }
         return result;
@@ -139,32 +414,31 @@ export default class Story {
 
     /**
      * Checks if the story has a circle in the scene graph.
+     * Converging paths (a scene reached from several scenes) are no circle.
      * @param {Story} story - The story instance containing the scenes.
      * @returns {boolean} True if a cycle is found, false otherwise.
      */
     static hasCircle(story)
     {
-        const visited = new Set();  // Set to track fully visited nodes
-        const scenes = Story.getScenesDFS(story);
+        const finished = new Set(); // scenes whose descendants are fully explored
+        const onPath = new Set();   // scenes on the current DFS path
 
-        // Iterate over the DFS results
-        for (const { scene } of scenes) {
-            if (!scene) continue;
-
-            // Check each scene's choices to see if we revisit a scene in the same DFS path
+        const visit = (scene) => {
+            onPath.add(scene.key);
             for (const nextKey of scene.choices.keys()) {
-                const nextScene = story.getScene(nextKey);
-                if (nextScene && visited.has(nextScene.key)) {
-                    // Cycle detected: revisited a scene already fully visited
-                    return true;
-                }
+                // an edge back to a scene on the current path closes a circle
+                if (onPath.has(nextKey)) return true;
+                const next = story.getScene(nextKey);
+                if (next && !finished.has(nextKey) && visit(next)) return true;
             }
+            onPath.delete(scene.key);
+            finished.add(scene.key);
+            return false;
+        };
 
-            // Mark the current scene as fully visited
-            visited.add(scene.key);
+        for (const scene of story.scenes.values()) {
+            if (!finished.has(scene.key) && visit(scene)) return true;
         }
-
-        // No cycles found
         return false;
     }
 
@@ -173,47 +447,412 @@ export default class Story {
      * @param {string} key - The key of the scene to edit.
      * @param {string} newText - The new scene text.
      * @param {Map<string, string>} newChoices - A map of choice keys to new choice texts.
+     * @param {Map<string, Array<Effect>>} [newEffects] - A map of choice keys to their effects, undefined keeps them.
+     * @param {Map<string, import('./Scene.js').ChoiceCondition>} [newConditions] - A map of choice keys to their conditions, undefined keeps them.
      * @returns {boolean} true if the content was edited, false if no changes were made.
      */
-    editScene(key, newText, newChoices) 
+    editScene(key, newText, newChoices, newEffects = undefined, newConditions = undefined) 
     {
         let scene = this.scenes.get(key);
         if (!scene) {
             console.warn(`Scene ${key} not found`);
             return false;
         }
-        return scene.updateContent(newText,newChoices);
+        const oldTargets = Array.from(scene.choices.keys());
+        this.#unindexChoices(scene);
+        const edited = scene.updateContent(newText,newChoices,newEffects,newConditions);
+        this.#indexChoices(scene);
+
+        for (const targetKey of [...oldTargets, ...scene.choices.keys()]) {
+            const target = this.scenes.get(targetKey);
+            if (target) this.#updateParent(target);
+        }
+        if (edited) this.#emit(Story.EVENTS.SCENE_EDITED, { key });
+        return edited;
+    }
+
+    /**
+     * Changes the key of a scene. Every choice leading to the scene and every `visited()` condition using the key is rewritten,
+     * the position of the scene in the story and its parent links are kept.
+     * @param {string} oldKey - Current key of the scene.
+     * @param {string} newKey - New key, must not be used by another scene.
+     * @returns {boolean} True if renamed, false if the scene is missing or the new key is empty, reserved or taken.
+     */
+    renameScene(oldKey, newKey)
+    {
+        const scene = this.scenes.get(oldKey);
+        if (!scene) {
+            console.warn(`Scene ${oldKey} not found`);
+            return false;
+        }
+        if (typeof newKey !== 'string' || newKey.trim() === '' || newKey === oldKey) return false;
+        if (this.scenes.has(newKey)) {
+            console.warn(`Scene ${newKey} already exists`);
+            return false;
+        }
+        if (Story.isReservedKey(newKey)) {
+            console.warn(`Scene key ${newKey} is reserved`);
+            return false;
+        }
+
+        // rebuild the map in place to keep the order of the scenes
+        const entries = Array.from(this.scenes);
+        this.scenes.clear();
+        for (const [key, s] of entries) {
+            this.scenes.set(key === oldKey ? newKey : key, s);
+        }
+        scene.key = newKey;
+
+        for (const s of this.scenes.values()) {
+            s.renameSceneReferences(oldKey, newKey);
+        }
+        this.rebuildReferrers();
+        for (const s of this.scenes.values()) {
+            this.#updateParent(s);
+        }
+        this.#emit(Story.EVENTS.SCENE_RENAMED, { key: newKey, oldKey });
+        return true;
+    }
+
+    /**
+     * Makes a scene the start scene of the story.
+     * @param {string} key - Key of the new start scene.
+     * @returns {boolean} True if changed, false if the scene is missing or already the start scene.
+     */
+    setStartScene(key)
+    {
+        const scene = this.scenes.get(key);
+        if (!scene) {
+            console.warn(`Scene ${key} not found`);
+            return false;
+        }
+        if (scene === this.root) return false;
+        const oldKey = this.root ? this.root.key : null;
+        this.root = scene;
+        this.#emit(Story.EVENTS.START_CHANGED, { key, oldKey });
+        return true;
+    }
+
+    /**
+     * Changes the descriptive data of the story, e.g. the title. Unknown fields and non-string values are ignored.
+     * @param {{title?: string, author?: string, language?: string}} changes
+     * @returns {boolean} True if a field was changed.
+     */
+    setMeta(changes)
+    {
+        let changed = false;
+        for (const field of Story.META_FIELDS) {
+            const value = changes[field];
+            if (typeof value !== 'string' || value === this.meta[field]) continue;
+            this.meta[field] = value;
+            changed = true;
+        }
+        if (changed) this.#emit(Story.EVENTS.META_CHANGED);
+        return changed;
+    }
+
+    /**
+     * Changes the settings of the player. Unknown settings and non-boolean values are ignored.
+     * @param {{backtracking?: boolean, breadcrumb?: boolean}} changes
+     * @returns {boolean} True if a setting was changed.
+     */
+    setSettings(changes)
+    {
+        let changed = false;
+        for (const name of Object.keys(Story.DEFAULT_SETTINGS)) {
+            const value = changes[name];
+            if (typeof value !== 'boolean' || value === this.settings[name]) continue;
+            this.settings[name] = value;
+            changed = true;
+        }
+        if (changed) this.#emit(Story.EVENTS.SETTINGS_CHANGED);
+        return changed;
+    }
+
+    /**
+     * Declares a story variable or changes its initial value.
+     * @param {string} name - Variable name, must be a valid identifier.
+     * @param {number|boolean|string} initialValue - Value at the start of the story.
+     * @returns {boolean} True if declared, false if name or value are invalid.
+     */
+    setVariable(name, initialValue)
+    {
+        if (!Effects.isValidVariableName(name) || !Effects.isValidValue(initialValue)) {
+            console.warn(`Invalid variable ${name}`);
+            return false;
+        }
+        this.variables.set(name, initialValue);
+        this.#emit(Story.EVENTS.VARIABLE_CHANGED, { name });
+        return true;
+    }
+
+    /**
+     * Removes a story variable declaration.
+     * @param {string} name
+     * @returns {boolean} True if removed, false if not declared.
+     */
+    removeVariable(name)
+    {
+        if (!this.variables.delete(name)) return false;
+        this.#emit(Story.EVENTS.VARIABLE_CHANGED, { name });
+        return true;
+    }
+
+    /**
+     * Creates the variable state at the start of the story.
+     * @returns {Object<string, number|boolean|string>} Variable name -> initial value
+     */
+    getInitialState()
+    {
+        return Object.fromEntries(this.variables);
+    }
+
+    /**
+     * Checks an item definition: the name must not be empty, the description is optional.
+     * @param {Item} item
+     * @returns {boolean}
+     */
+    static isValidItem(item)
+    {
+        return !!item && typeof item === 'object' && typeof item.name === 'string' && item.name.trim() !== ''
+            && (item.description === undefined || typeof item.description === 'string');
+    }
+
+    /**
+     * Defines an item or changes its name and description.
+     * @param {string} id - Id the effects and conditions refer to, must be a valid identifier.
+     * @param {Item} item
+     * @returns {boolean} True if defined, false if id or item are invalid.
+     */
+    setItem(id, item)
+    {
+        if (!Effects.isValidVariableName(id) || !Story.isValidItem(item)) {
+            console.warn(`Invalid item ${id}`);
+            return false;
+        }
+        this.items.set(id, { name: item.name.trim(), description: item.description || '' });
+        this.#emit(Story.EVENTS.ITEM_CHANGED, { name: id });
+        return true;
+    }
+
+    /**
+     * Removes an item definition. Effects and conditions using the item are kept, the validator reports them.
+     * @param {string} id
+     * @returns {boolean} True if removed, false if not defined.
+     */
+    removeItem(id)
+    {
+        if (!this.items.delete(id)) return false;
+        this.#emit(Story.EVENTS.ITEM_CHANGED, { name: id });
+        return true;
+    }
+
+    /**
+     * Checks an asset: the type must be one of Scene.MEDIA_TYPES and the data a base64 data URL of that type.
+     * @param {Asset} asset
+     * @returns {boolean}
+     */
+    static isValidAsset(asset)
+    {
+        if (!asset || typeof asset !== 'object' || !Scene.MEDIA_TYPES.includes(asset.type)) return false;
+        return typeof asset.data === 'string'
+            && new RegExp(`^data:${asset.type}/[\\w.+-]+(;[\\w.+-]+=[\\w.+-]+)*;base64,[A-Za-z0-9+/]*={0,2}$`).test(asset.data);
+    }
+
+    /**
+     * Adds an asset or replaces the asset with the same name.
+     * @param {string} name - Name the scenes refer to, e.g. the file name.
+     * @param {Asset} asset
+     * @returns {boolean} False if name or asset are invalid.
+     */
+    setAsset(name, asset)
+    {
+        if (typeof name !== 'string' || !name.trim() || !Story.isValidAsset(asset)) {
+            console.warn(`Invalid asset ${name}`);
+            return false;
+        }
+        this.assets.set(name, { type: asset.type, data: asset.data });
+        this.#emit(Story.EVENTS.ASSET_CHANGED, { name });
+        return true;
+    }
+
+    /**
+     * Removes an asset, the scenes referring to it lose their image or audio.
+     * @param {string} name
+     * @returns {boolean} True if removed, false if there is no such asset.
+     */
+    removeAsset(name)
+    {
+        const asset = this.assets.get(name);
+        if (!asset) return false;
+        this.assets.delete(name);
+        for (const key of this.getAssetUsers(name)) {
+            this.scenes.get(key)[asset.type] = null;
+        }
+        this.#emit(Story.EVENTS.ASSET_CHANGED, { name });
+        return true;
+    }
+
+    /**
+     * @param {string} name - Asset name.
+     * @returns {Array<string>} Keys of the scenes showing or playing the asset.
+     */
+    getAssetUsers(name)
+    {
+        return Array.from(this.scenes.values())
+            .filter(scene => Scene.MEDIA_TYPES.some(type => scene[type] === name))
+            .map(scene => scene.key);
+    }
+
+    /**
+     * Returns a name for a new asset which is not used yet, e.g. "wald (2).jpg" if there is an asset "wald.jpg".
+     * @param {string} name - Wanted name.
+     * @returns {string}
+     */
+    uniqueAssetName(name)
+    {
+        if (!this.assets.has(name)) return name;
+        const dot = name.lastIndexOf('.');
+        const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+        let number = 2;
+        while (this.assets.has(`${base} (${number})${extension}`)) number++;
+        return `${base} (${number})${extension}`;
+    }
+
+    /**
+     * Changes the image or audio of a scene.
+     * @param {string} key - Scene key.
+     * @param {{image?: string|null, audio?: string|null}} media - Asset names, null or '' removes a medium, undefined keeps it.
+     * @returns {boolean} True if changed, false if nothing changed, the scene is not found or a new asset is missing or of another type.
+     */
+    setSceneMedia(key, media)
+    {
+        const scene = this.scenes.get(key);
+        if (!scene) {
+            console.warn(`Scene ${key} not found`);
+            return false;
+        }
+        for (const type of Scene.MEDIA_TYPES) {
+            const name = media[type];
+            // an unchanged reference to a missing asset is kept, the validator reports it
+            if (!name || name === scene[type]) continue;
+            const asset = this.assets.get(name);
+            if (!asset || asset.type !== type) {
+                console.warn(`Scene ${key}: ${name} is no ${type} asset`);
+                return false;
+            }
+        }
+        if (!scene.setMedia(media)) return false;
+        this.#emit(Story.EVENTS.SCENE_EDITED, { key });
+        return true;
     }
 
     /**
-     * Changes the parent of a scene.
+     * Changes the parent of a scene: the choice of the current parent is moved to the new parent,
+     * together with its effects and condition, so the scene and everything below it moves to the new parent.
+     * Choices of other scenes leading to this scene are kept.
+     * The start scene cannot be moved, and a scene cannot be moved below itself or below one of its descendants.
+     * If the new parent does not exist, the scene is detached: the choice of its parent is removed and it has no parent.
      * @param {string} key - Scene key to change.
      * @param {string} newParentKey - New parent key.
-     * @returns {boolean} True if parent changed successfully, false if not found or invalid parent.
-     */
-    changeSceneParent(key, newParentKey)
-     {
-         let scene = this.scenes.get(key);
-         if(!scene){
-             console.warn(`Scene ${key} not found`);
-         }
-
-         let oldParentChoiceText = scene.parent.choices.get(scene.key).text;
-         scene.parent.removeChoice(scene.key);
-
-         const newParent = this.scenes.get(newParentKey);
-         if(! newParent){
-             scene.parent = null;
-             return false;
-         }
-         scene.parent = newParent;
-         newParent.addChoice(oldParentChoiceText || `to ${scene.key}`, scene.key);
-         return true;
-     }
-
-    /**
-     * Deletes a scene by key. Also deletes parent scene choices referencing this scene
-     * and recursively removes child scenes of this scene.
+     * @param {string} [oldParentKey] - Scene whose choice is moved, the current parent if omitted.
+     * @returns {boolean} True if the parent changed or the scene was detached, false if nothing changed.
+     */
+    changeSceneParent(key, newParentKey, oldParentKey = undefined)
+    {
+        const scene = this.scenes.get(key);
+        if (!scene) {
+            console.warn(`Scene ${key} not found`);
+            return false;
+        }
+        if (scene === this.root) {
+            console.warn(`The start scene ${key} cannot be moved`);
+            return false;
+        }
+        if (this.isDescendant(newParentKey, key)) {
+            console.warn(`Scene ${key} cannot be moved below ${newParentKey}, this would create a cycle`);
+            return false;
+        }
+
+        const oldParent = oldParentKey === undefined ? scene.parent : this.scenes.get(oldParentKey);
+        if (oldParentKey !== undefined && !(oldParent && oldParent.choices.has(key))) {
+            console.warn(`Scene ${oldParentKey} has no choice leading to ${key}`);
+            return false;
+        }
+        const newParent = this.scenes.get(newParentKey);
+        if (oldParent === newParent || (!newParent && !oldParent)) return false;
+        if (newParent && newParent.choices.has(key)) {
+            console.warn(`Scene ${newParentKey} already has a choice leading to ${key}`);
+            return false;
+        }
+
+        let choiceText = null;
+        let effects = [];
+        let condition = null;
+        if (oldParent) {
+            choiceText = oldParent.choices.get(key);
+            effects = oldParent.getChoiceEffects(key);
+            condition = oldParent.getChoiceCondition(key);
+            this.#unlink(oldParent, key);
+        }
+        const oldParentName = oldParent ? oldParent.key : null;
+
+        if (!newParent) {
+            scene.parent = null;
+            this.#updateParent(scene);
+            this.#emit(Story.EVENTS.PARENT_CHANGED, { key, oldParent: oldParentName, newParent: null });
+            return true;
+        }
+        this.#link(newParent, choiceText || `to ${scene.key}`, scene.key);
+        if (effects.length > 0) newParent.setChoiceEffects(key, effects);
+        if (condition) newParent.setChoiceCondition(key, condition.expression, condition.showDisabled);
+        scene.parent = newParent;
+        this.#emit(Story.EVENTS.PARENT_CHANGED, { key, oldParent: oldParentName, newParent: newParentKey });
+        return true;
+    }
+
+    /**
+     * Checks whether a scene lies below another one in the tree of parents.
+     * A scene counts as its own descendant.
+     * @param {string} key - Scene key to check.
+     * @param {string} ancestorKey
+     * @returns {boolean}
+     */
+    isDescendant(key, ancestorKey)
+    {
+        const visited = new Set();
+        let scene = this.scenes.get(key);
+        while (scene && !visited.has(scene)) {
+            if (scene.key === ancestorKey) return true;
+            visited.add(scene);
+            scene = scene.parent;
+        }
+        return false;
+    }
+
+    /**
+     * Moves a choice to another position within its scene. The player shows the choices in this order.
+     * @param {string} key - Key of the scene with the choice.
+     * @param {string} next - Key of the target scene of the choice.
+     * @param {number} index - New position of the choice, counted from 0.
+     * @returns {boolean} True if moved, false if the scene or the choice is missing or the position did not change.
+     */
+    moveChoice(key, next, index)
+    {
+        const scene = this.scenes.get(key);
+        if (!scene) {
+            console.warn(`Scene ${key} not found`);
+            return false;
+        }
+        if (!scene.moveChoice(next, index)) return false;
+        this.#emit(Story.EVENTS.SCENE_EDITED, { key });
+        return true;
+    }
+
+    /**
+     * Deletes a scene by key. Also deletes the choices of all scenes referencing this scene
+     * and the descendants which become orphaned, i.e. can no longer be reached from the root or from other scenes.
+     * Descendants which are still reachable on another path are kept.
      * @param {string} key
      * @returns {boolean} True if found and deleted, else False
      */
@@ -225,57 +864,263 @@ export default class Story {
             return false;
         }
 
-        if(scene.parent){ scene.parent.removeChoice(scene.key); }
-
         // Get all scenes below this scene (inclusive this one)
-        const allScenesBelow = Story.getScenesDFS(this, scene);
+        const removed = new Set(Story.getScenesDFS(this, scene).map(ref => ref.key));
 
-        // in dfs order, parents come before children
-        // To be sure that child scenes are removed before parent, we use a reverse loop:
-        for (let i = allScenesBelow.length - 1; i >= 0; i--) {
-            const { key } = allScenesBelow[i];
-            this.scenes.delete(key);
+        // Keep every descendant which can be reached without passing the removed scene
+        const stack = Array.from(this.scenes.values()).filter(s => !removed.has(s.key));
+        if (this.root && this.root.key !== key) stack.push(this.root);
+        const reachable = new Set();
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (reachable.has(current.key)) continue;
+            reachable.add(current.key);
+            for (const nextKey of current.choices.keys()) {
+                const next = this.scenes.get(nextKey);
+                if (next && nextKey !== key && !reachable.has(nextKey)) stack.push(next);
+            }
+        }
+        for (const reachableKey of reachable) {
+            removed.delete(reachableKey);
+        }
+
+        for (const removedKey of removed) {
+            // remove choices of remaining scenes leading into the removed part
+            for (const referrerKey of this.getReferrers(removedKey)) {
+                const referrer = this.scenes.get(referrerKey);
+                if (referrer && !removed.has(referrerKey)) this.#unlink(referrer, removedKey);
+            }
+            this.#unindexChoices(this.scenes.get(removedKey));
         }
+        for (const removedKey of removed) {
+            this.scenes.delete(removedKey);
+        }
+        for (const remaining of this.scenes.values()) {
+            this.#updateParent(remaining);
+        }
+        if (this.root && removed.has(this.root.key)) {
+            this.root = null;
+        }
+        this.#emit(Story.EVENTS.SCENE_REMOVED, { key, removed: Array.from(removed) });
         return true;
     }
 
     /**
-     * Converts the entire story into a JSON-compatible structure.
-     * Each scene key maps to an object with `text` and `choices` array.
-     * @returns {Object<string, {text: string, choices: Array<{text: string, next: string}>}>}
+     * Creates a deep copy of the story state, e.g. for undo.
+     * @returns {StorySnapshot}
+     */
+    createSnapshot()
+    {
+        return {
+            root: this.root ? this.root.key : null,
+            meta: { ...this.meta },
+            settings: { ...this.settings },
+            variables: this.getInitialState(),
+            assets: Story.#copyAssets(this.assets),
+            items: Story.#copyItems(this.items),
+            scenes: Array.from(this.scenes.values(), scene => ({
+                key: scene.key,
+                parent: scene.parent ? scene.parent.key : null,
+                data: JSON.parse(JSON.stringify(scene.toJSON()))
+            }))
+        };
+    }
+
+    /**
+     * Replaces the state of this story with a snapshot. The Story instance itself is kept.
+     * @param {StorySnapshot} snapshot - Snapshot created by createSnapshot().
+     */
+    restoreSnapshot(snapshot)
+    {
+        this.scenes.clear();
+        for (const { key, data } of snapshot.scenes) {
+            const scene = new Scene(key, data.text);
+            for (const c of data.choices || []) {
+                scene.addChoice(c.text, c.next, c.effects);
+                scene.setChoiceCondition(c.next, c.condition, c.showDisabled);
+            }
+            scene.setMedia(data);
+            this.scenes.set(key, scene);
+        }
+        for (const { key, parent } of snapshot.scenes) {
+            this.scenes.get(key).parent = parent ? this.scenes.get(parent) || null : null;
+        }
+        this.root = snapshot.root ? this.scenes.get(snapshot.root) || null : null;
+        this.meta = { ...snapshot.meta };
+        // snapshots saved before there were settings use the defaults
+        this.settings = { ...Story.DEFAULT_SETTINGS, ...snapshot.settings };
+        this.variables = new Map(Object.entries(snapshot.variables));
+        this.assets = new Map(Object.entries(Story.#copyAssets(snapshot.assets || {})));
+        this.items = new Map(Object.entries(Story.#copyItems(snapshot.items || {})));
+        this.rebuildReferrers();
+        this.#emit(Story.EVENTS.STORY_REPLACED);
+    }
+
+    /**
+     * Replaces the content of this story with the content of another story, e.g. after an import.
+     * The Story instance itself is kept, so its listeners stay subscribed.
+     * @param {Story} other
+     */
+    replaceWith(other)
+    {
+        this.restoreSnapshot(other.createSnapshot());
+    }
+
+    /**
+     * Converts the entire story into a story document of the current format version.
+     * @returns {import('./StoryFormat.js').StoryDocument}
      */
     toJSON()
     {
-        const result = {};
+        const scenes = {};
         for (const [key, scene] of this.scenes.entries()) {
-            result[key] = scene.toJSON();
+            scenes[key] = scene.toJSON();
         }
-        return result;
+        const document = {
+            format: StoryFormat.FORMAT,
+            version: StoryFormat.VERSION,
+            meta: { ...this.meta },
+            settings: { ...this.settings },
+            start: this.root ? this.root.key : null,
+            variables: this.getInitialState(),
+            scenes
+        };
+        // stories without media keep the files they had before there were assets
+        if (this.assets.size > 0) document.assets = Story.#copyAssets(this.assets);
+        if (this.items.size > 0) document.items = Story.#copyItems(this.items);
+        return document;
     }
 
     /**
-     * Creates a new Story instance from a JSON Object.
+     * @param {Map<string, Asset>|Object<string, Asset>} assets
+     * @returns {Object<string, Asset>} Copy as plain object. The data strings are shared, they are immutable.
+     */
+    static #copyAssets(assets)
+    {
+        const entries = assets instanceof Map ? Array.from(assets) : Object.entries(assets);
+        return Object.fromEntries(entries.map(([name, asset]) => [name, { type: asset.type, data: asset.data }]));
+    }
+
+    /**
+     * @param {Map<string, Item>|Object<string, Item>} items
+     * @returns {Object<string, Item>} Copy as plain object.
+     */
+    static #copyItems(items)
+    {
+        const entries = items instanceof Map ? Array.from(items) : Object.entries(items);
+        return Object.fromEntries(entries.map(([id, item]) => [id, { name: item.name, description: item.description }]));
+    }
+
+    /**
+     * Creates a new Story instance from a parsed story file.
+     * Files of older format versions, including the legacy flat format, are migrated first.
      * @param {Object} parsedJson
      * @returns {Story | null} New Scene instance or null if parsing fails.
+     * @throws {Error} If the file has an unknown format or version, or a scene contains malformed choice data.
      */
     static fromJson(parsedJson) 
     {
         if (!parsedJson || typeof parsedJson !== 'object') { return null; }
 
+        const document = StoryFormat.migrate(parsedJson);
+        if (!document.scenes || typeof document.scenes !== 'object') {
+            console.warn('No scenes found in JSON');
+            return null;
+        }
+
         let story = new Story(Scene);
-        for (const [key, value] of Object.entries(parsedJson)) {
+        if (document.meta && typeof document.meta === 'object') {
+            story.setMeta(document.meta);
+        }
+        if (document.settings && typeof document.settings === 'object') {
+            story.setSettings(document.settings);
+        }
+        const variables = document.variables;
+        if (variables && typeof variables === 'object') {
+            for (const [name, value] of Object.entries(variables)) {
+                if (!story.setVariable(name, value)) {
+                    console.warn(`Failed to load variable ${name}`);
+                    return null;
+                }
+            }
+        }
+
+        if (document.assets && typeof document.assets === 'object') {
+            for (const [name, asset] of Object.entries(document.assets)) {
+                // the scenes referring to it show a problem, the rest of the story can still be used
+                if (!story.setAsset(name, asset)) console.warn(`Failed to load asset ${name}`);
+            }
+        }
+
+        if (document.items && typeof document.items === 'object') {
+            for (const [id, item] of Object.entries(document.items)) {
+                // effects and conditions using it are reported by the validator
+                if (!story.setItem(id, item)) console.warn(`Failed to load item ${id}`);
+            }
+        }
+
+        for (const [key, value] of Object.entries(document.scenes)) {
             const scene = Scene.fromJson(key, value);
-            if (scene) {
-                story.addScene(scene);
-            }else{
-                console.warn(`Failed to load scene ${key}`);
-                return null;
+            if (scene && story.addScene(scene, false)) {
+                // the file contains all choices, scenes referenced later in the file must not get extra ones
+                continue;
             }
+            console.warn(`Failed to load scene ${key}`);
+            return null;
         }
         if (story.scenes.size === 0) {
             console.warn('No scenes found in JSON');
             return null;
         }
+
+        if (document.start !== null && document.start !== undefined && !story.scenes.has(document.start)) {
+            console.warn(`Start scene ${document.start} not found`);
+        }
+        story.root = story.getScene(document.start) || story.root;
+        for (const scene of story.scenes.values()) {
+            story.#updateParent(scene);
+        }
         return story;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * @typedef {import('./Effects.js').Effect} Effect
+ */
+
+/**
+ * @typedef {Object} StorySnapshot
+ * @property {string|null} root - Key of the root scene.
+ * @property {{title: string, author: string, language: string}} meta - Descriptive data of the story.
+ * @property {{backtracking: boolean, breadcrumb: boolean}} settings - Settings of the player.
+ * @property {Object<string, number|boolean|string>} variables - Declared variables with their initial values.
+ * @property {Object<string, Asset>} assets - Asset name -> asset.
+ * @property {Object<string, Item>} items - Item id -> item.
+ * @property {Array<{key: string, parent: string|null, data: Object}>} scenes - Scenes in the format of Scene.toJSON().
+ */
+
+/**
+ * A medium of the story, stored in the story itself, so exports are self-contained.
+ * @typedef {Object} Asset
+ * @property {'image'|'audio'} type - One of Scene.MEDIA_TYPES.
+ * @property {string} data - Base64 data URL, e.g. "data:image/png;base64,...".
+ */
+
+/**
+ * A thing the player can carry, given and taken by choice effects, required by `has()` in choice conditions.
+ * @typedef {Object} Item
+ * @property {string} name - Name shown in the inventory.
+ * @property {string} [description] - Text shown below the name.
+ */
+
+/**
+ * @typedef {Object} StoryEvent
+ * @property {string} type - Name of the event, one of Story.EVENTS.
+ * @property {Story} story - The changed story.
+ * @property {string} [key] - Key of the added, edited, removed, renamed or moved scene.
+ * @property {string} [oldKey] - sceneRenamed, startChanged: previous key of the scene or start scene.
+ * @property {Array<string>} [removed] - sceneRemoved: keys of all removed scenes, including orphaned descendants.
+ * @property {string|null} [oldParent] - parentChanged: key of the previous parent.
+ * @property {string|null} [newParent] - parentChanged: key of the new parent.
+ * @property {string} [name] - variableChanged, assetChanged, itemChanged: name of the variable or asset, id of the item.
+ */
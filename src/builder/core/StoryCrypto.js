@@ -0,0 +1,104 @@
+/**
+ * Password based encryption of stories with the WebCrypto API:
+ * the key is derived from the password with PBKDF2 (SHA-256) and a random salt, the text is encrypted with AES-GCM.
+ * Only the salt, the IV and the iteration count are stored with the encrypted data, never the password or the key.
+ * @typedef {Object} EncryptedPayload
+ * @property {string} algorithm - Always 'AES-GCM'.
+ * @property {string} kdf - Always 'PBKDF2-SHA-256'.
+ * @property {number} iterations - PBKDF2 iterations.
+ * @property {string} salt - Base64 encoded salt for the key derivation.
+ * @property {string} iv - Base64 encoded initialization vector.
+ * @property {string} data - Base64 encoded cipher text including the authentication tag.
+ */
+export default class StoryCrypto {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    static ALGORITHM = 'AES-GCM';
+    static KDF = 'PBKDF2-SHA-256';
+
+    /**
+     * PBKDF2 iterations for new exports, as recommended by OWASP for PBKDF2-HMAC-SHA256.
+     */
+    static DEFAULT_ITERATIONS = 600000;
+    static MIN_PASSWORD_LENGTH = 8;
+
+    static #SALT_LENGTH = 16;
+    static #IV_LENGTH = 12;
+
+    /**
+     * Encrypts a text with a password.
+     * @param {string} plainText
+     * @param {string} password
+     * @param {number} [iterations] - PBKDF2 iterations.
+     * @returns {Promise<EncryptedPayload>}
+     * @throws {Error} If the password is too short.
+     */
+    static async encrypt(plainText, password, iterations = StoryCrypto.DEFAULT_ITERATIONS)
+    {
+        if (typeof password !== 'string' || password.length < StoryCrypto.MIN_PASSWORD_LENGTH) {
+            throw new Error(`Das Passwort muss mindestens ${StoryCrypto.MIN_PASSWORD_LENGTH} Zeichen lang sein.`);
+        }
+        const salt = crypto.getRandomValues(new Uint8Array(StoryCrypto.#SALT_LENGTH));
+        const iv = crypto.getRandomValues(new Uint8Array(StoryCrypto.#IV_LENGTH));
+        const key = await StoryCrypto.#deriveKey(password, salt, iterations, 'encrypt');
+        const cipherText = await crypto.subtle.encrypt({ name: StoryCrypto.ALGORITHM, iv }, key, new TextEncoder().encode(plainText));
+
+        return {
+            algorithm: StoryCrypto.ALGORITHM,
+            kdf: StoryCrypto.KDF,
+            iterations,
+            salt: StoryCrypto.#toBase64(salt),
+            iv: StoryCrypto.#toBase64(iv),
+            data: StoryCrypto.#toBase64(new Uint8Array(cipherText))
+        };
+    }
+
+    /**
+     * Decrypts a payload created by encrypt().
+     * @param {EncryptedPayload} payload
+     * @param {string} password
+     * @returns {Promise<string>} The plain text.
+     * @throws {Error} If the password is wrong, the data was changed or the payload uses another algorithm.
+     */
+    static async decrypt(payload, password)
+    {
+        if (!payload || payload.algorithm !== StoryCrypto.ALGORITHM || payload.kdf !== StoryCrypto.KDF) {
+            throw new Error('Unbekanntes Verschlüsselungsverfahren.');
+        }
+        const key = await StoryCrypto.#deriveKey(password, StoryCrypto.#fromBase64(payload.salt), payload.iterations, 'decrypt');
+        try {
+            const plainText = await crypto.subtle.decrypt({ name: StoryCrypto.ALGORITHM, iv: StoryCrypto.#fromBase64(payload.iv) },
+                key, StoryCrypto.#fromBase64(payload.data));
+            return new TextDecoder().decode(plainText);
+        } catch (e) {
+            // AES-GCM cannot tell a wrong key from changed data
+            throw new Error('Falsches Passwort oder beschädigte Daten.');
+        }
+    }
+
+    static async #deriveKey(password, salt, iterations, usage)
+    {
+        const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            baseKey,
+            { name: StoryCrypto.ALGORITHM, length: 256 },
+            false,
+            [usage]
+        );
+    }
+
+    static #toBase64(bytes)
+    {
+        let binary = '';
+        for (const byte of bytes) binary += String.fromCharCode(byte);
+        return btoa(binary);
+    }
+
+    static #fromBase64(text)
+    {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
@@ -0,0 +1,108 @@
+import Story from "./Story.js";
+
+/**
+ * The story file format: a versioned document which wraps the scenes together with the story-level data.
+ * Documents written by earlier versions are upgraded step by step by a chain of migrations, so old files keep loading.
+ *
+ * Version 0 is the legacy flat format: an object of scene keys, with `$start` and `$variables` as reserved keys.
+ * Version 1 is `{ format, version, meta: {title, author, language}, settings, start, variables, scenes, assets }`,
+ * where `settings` is optional and missing settings keep their defaults. `assets` is optional, too: the media
+ * the scenes refer to by name with their `image` and `audio` properties. So is `items`: the things the player can carry,
+ * which choice effects give and take and choice conditions require with `has()`.
+ *
+ * @typedef {Object} StoryDocument
+ * @property {string} format - Always StoryFormat.FORMAT.
+ * @property {number} version - Format version of the document.
+ * @property {{title: string, author: string, language: string}} meta - Descriptive data of the story.
+ * @property {{backtracking?: boolean, breadcrumb?: boolean}} [settings] - Settings of the player, see Story.DEFAULT_SETTINGS.
+ * @property {string|null} start - Key of the start scene.
+ * @property {Object<string, number|boolean|string>} variables - Declared variables with their initial values.
+ * @property {Object<string, Object>} scenes - Scene key -> scene in the format of Scene.toJSON().
+ * @property {Object<string, import('./Story.js').Asset>} [assets] - Asset name -> asset.
+ * @property {Object<string, import('./Story.js').Item>} [items] - Item id -> item.
+ */
+export default class StoryFormat {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    static FORMAT = 'tadv-story';
+
+    /**
+     * Version written by this builder.
+     */
+    static VERSION = 1;
+
+    // MIGRATIONS[n] upgrades a document of version n to version n + 1
+    static #MIGRATIONS = [
+        (document) => StoryFormat.#migrateFlatDocument(document)
+    ];
+
+    /**
+     * Detects the format version of a parsed story file.
+     * @param {Object} json
+     * @returns {number} The version, 0 for the legacy flat format.
+     * @throws {Error} If the file has another format or an invalid version.
+     */
+    static getVersion(json)
+    {
+        if (json.format === undefined) return 0;
+        if (json.format !== StoryFormat.FORMAT) {
+            throw new Error(`Unbekanntes Dateiformat "${json.format}".`);
+        }
+        if (!Number.isInteger(json.version) || json.version < 1) {
+            throw new Error(`Ungültige Formatversion "${json.version}".`);
+        }
+        return json.version;
+    }
+
+    /**
+     * Upgrades a parsed story file to the current version. The passed object is not modified.
+     * @param {Object} json
+     * @returns {StoryDocument} Document of version StoryFormat.VERSION.
+     * @throws {Error} If the file has another format or was written by a newer version.
+     */
+    static migrate(json)
+    {
+        let version = StoryFormat.getVersion(json);
+        if (version > StoryFormat.VERSION) {
+            throw new Error(`Die Datei hat die Formatversion ${version}, unterstützt wird bis Version ${StoryFormat.VERSION}. `
+                + 'Bitte eine neuere Version des Builders verwenden.');
+        }
+
+        let document = json;
+        while (version < StoryFormat.VERSION) {
+            document = StoryFormat.#MIGRATIONS[version](document);
+            version = document.version;
+        }
+        return document;
+    }
+
+    /**
+     * Version 0 -> 1: moves the scenes and the reserved keys of the flat format into the wrapped document.
+     * Flat files without `$start` were made for viewers which always start at the scene "start".
+     * @param {Object} flat
+     * @returns {StoryDocument}
+     */
+    static #migrateFlatDocument(flat)
+    {
+        const scenes = {};
+        for (const [key, value] of Object.entries(flat)) {
+            if (!Story.isReservedKey(key)) scenes[key] = value;
+        }
+
+        let start = typeof flat.$start === 'string' && scenes[flat.$start] ? flat.$start : null;
+        if (!start) {
+            start = scenes[Story.DEFAULT_START_KEY] ? Story.DEFAULT_START_KEY : (Object.keys(scenes)[0] || null);
+        }
+
+        return {
+            format: StoryFormat.FORMAT,
+            version: 1,
+            meta: { title: '', author: '', language: '' },
+            start,
+            variables: flat.$variables && typeof flat.$variables === 'object' ? { ...flat.$variables } : {},
+            scenes
+        };
+    }
+}
@@ -0,0 +1,250 @@
+import Story from "./Story.js";
+import Scene from "./Scene.js";
+import ZipArchive from "./ZipArchive.js";
+
+/**
+ * The `.tadv` package: a zip archive with everything needed to continue working on a story or to export it again.
+ * - `manifest.json`: format and version of the package, the assets with their files, the viewer settings
+ *   and the size and SHA-256 hash of every other file
+ * - `story.json`: the story in the format of Story.toJSON(), without the data of the assets
+ * - `assets/`: one file per asset, in its original format
+ * - `viewer/`: files of the viewer settings, e.g. the background image of the theme
+ *
+ * @typedef {Object} PackageManifest
+ * @property {string} format - Always StoryPackage.FORMAT.
+ * @property {number} version - Version of the package format.
+ * @property {string} title - Title of the story, for tools listing packages.
+ * @property {string} story - Path of the story file.
+ * @property {Object<string, {type: 'image'|'audio', mimeType: string, path: string}>} assets - Asset name -> file.
+ * @property {ViewerSettings} [viewer] - Export settings, the background image of the theme is a path.
+ * @property {Object<string, {size: number, sha256: string}>} files - Path -> size and hash of the content.
+ *
+ * @typedef {Object} ViewerSettings
+ * @property {'none'|'obfuscated'|'password'} [protection] - Protection of the HTML export, the password is never stored.
+ * @property {string} [template] - Name of the viewer template, see ViewerTemplates.
+ * @property {boolean} [saveGames] - Readers can save their progress.
+ * @property {import('./ViewerThemes.js').ViewerTheme} [theme] - Design of the viewer.
+ *
+ * @typedef {Object} UnpackedStory
+ * @property {Story} story
+ * @property {ViewerSettings|null} viewer - Null if the package has no viewer settings.
+ */
+export default class StoryPackage {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    static FORMAT = 'tadv-package';
+    static VERSION = 1;
+    static EXTENSION = 'tadv';
+    static MIME_TYPE = 'application/zip';
+
+    static MANIFEST = 'manifest.json';
+    static STORY = 'story.json';
+    static ASSET_FOLDER = 'assets/';
+    static VIEWER_FOLDER = 'viewer/';
+
+    /**
+     * Writes a story with its assets and the viewer settings into a package.
+     * @param {Story} story
+     * @param {ViewerSettings} [viewer]
+     * @returns {Promise<Uint8Array>} The zip archive.
+     * @throws {Error} If a scene refers to an asset the story does not have.
+     */
+    static async pack(story, viewer = undefined)
+    {
+        StoryPackage.#checkAssetReferences(story);
+        const encoder = new TextEncoder();
+        const document = story.toJSON();
+        delete document.assets;
+
+        const entries = [{ name: StoryPackage.STORY, data: encoder.encode(JSON.stringify(document, null, 2)) }];
+        const assets = {};
+        for (const [name, asset] of story.assets) {
+            const { mimeType, bytes } = StoryPackage.#fromDataUrl(asset.data);
+            const path = StoryPackage.#uniquePath(StoryPackage.ASSET_FOLDER, name, entries);
+            entries.push({ name: path, data: bytes, compress: false });
+            assets[name] = { type: asset.type, mimeType, path };
+        }
+
+        const manifest = {
+            format: StoryPackage.FORMAT,
+            version: StoryPackage.VERSION,
+            title: story.meta.title,
+            story: StoryPackage.STORY,
+            assets
+        };
+        if (viewer) manifest.viewer = StoryPackage.#packViewer(viewer, entries);
+
+        manifest.files = {};
+        for (const entry of entries) {
+            manifest.files[entry.name] = { size: entry.data.length, sha256: await StoryPackage.#sha256(entry.data) };
+        }
+        entries.unshift({ name: StoryPackage.MANIFEST, data: encoder.encode(JSON.stringify(manifest, null, 2)) });
+        return ZipArchive.create(entries);
+    }
+
+    /**
+     * Reads a package. Every file listed in the manifest must be present and match its size and hash.
+     * @param {Uint8Array|ArrayBuffer} bytes - The zip archive.
+     * @returns {Promise<UnpackedStory>}
+     * @throws {Error} With a message for the author if the package is damaged, incomplete or from a newer version.
+     */
+    static async unpack(bytes)
+    {
+        const files = await ZipArchive.read(bytes);
+        const manifest = StoryPackage.#readJson(files, StoryPackage.MANIFEST);
+        if (!manifest || manifest.format !== StoryPackage.FORMAT) {
+            throw new Error('Die Datei ist kein tadv-Paket.');
+        }
+        if (!Number.isInteger(manifest.version) || manifest.version > StoryPackage.VERSION) {
+            throw new Error(`Das Paket hat die Version ${manifest.version}, unterstützt wird bis Version ${StoryPackage.VERSION}.`);
+        }
+
+        const listed = manifest.files || {};
+        for (const path of StoryPackage.#referencedPaths(manifest)) {
+            if (!Object.hasOwn(listed, path)) throw new Error(`Die Datei "${path}" fehlt in der Liste der Prüfsummen.`);
+        }
+        for (const [path, { size, sha256 }] of Object.entries(listed)) {
+            const data = files.get(path);
+            if (!data) throw new Error(`Die Datei "${path}" fehlt im Paket.`);
+            if (data.length !== size || await StoryPackage.#sha256(data) !== sha256) {
+                throw new Error(`Die Datei "${path}" ist beschädigt (Prüfsumme stimmt nicht).`);
+            }
+        }
+
+        const document = StoryPackage.#readJson(files, manifest.story || StoryPackage.STORY);
+        if (!document) throw new Error('Das Paket enthält keine Geschichte.');
+        document.assets = {};
+        for (const [name, { type, mimeType, path }] of Object.entries(manifest.assets || {})) {
+            const data = files.get(path);
+            if (!data) throw new Error(`Das Medium "${name}" fehlt im Paket (${path}).`);
+            document.assets[name] = { type, data: StoryPackage.#toDataUrl(mimeType, data) };
+        }
+
+        const story = Story.fromJson(document);
+        if (!story) throw new Error('Die Geschichte im Paket konnte nicht gelesen werden.');
+        StoryPackage.#checkAssetReferences(story);
+        return { story, viewer: manifest.viewer ? StoryPackage.#unpackViewer(manifest.viewer, files) : null };
+    }
+
+    /**
+     * Paths of all files the manifest refers to, each of them must have a checksum in `manifest.files`.
+     * @param {Object} manifest
+     * @returns {Array<string>}
+     */
+    static #referencedPaths(manifest)
+    {
+        const paths = [manifest.story || StoryPackage.STORY];
+        for (const { path } of Object.values(manifest.assets || {})) paths.push(path);
+        const image = manifest.viewer && manifest.viewer.theme && manifest.viewer.theme.backgroundImage;
+        if (image && image.startsWith(StoryPackage.VIEWER_FOLDER)) paths.push(image);
+        return paths;
+    }
+
+    /**
+     * @param {Story} story
+     * @throws {Error} Naming the first scene which refers to a missing asset.
+     */
+    static #checkAssetReferences(story)
+    {
+        const labels = { image: 'Bild', audio: 'Ton' };
+        for (const scene of story.scenes.values()) {
+            for (const type of Scene.MEDIA_TYPES) {
+                const asset = scene[type] ? story.assets.get(scene[type]) : null;
+                if (scene[type] && (!asset || asset.type !== type)) {
+                    throw new Error(`Szene "${scene.key}": ${labels[type]} "${scene[type]}" fehlt in den Medien der Geschichte.`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Moves a background image given as data URL into a file of the package.
+     * @param {ViewerSettings} viewer
+     * @param {Array<import('./ZipArchive.js').ZipEntry>} entries - The image is added here.
+     * @returns {ViewerSettings} Copy of the settings, which refers to the image by its path.
+     */
+    static #packViewer(viewer, entries)
+    {
+        const settings = { ...viewer };
+        const image = viewer.theme && viewer.theme.backgroundImage;
+        if (image && /^data:[^,]*;base64,/.test(image)) {
+            const { mimeType, bytes } = StoryPackage.#fromDataUrl(image);
+            const extension = mimeType.split('/')[1].replace(/\+.*$/, '');
+            const path = StoryPackage.#uniquePath(StoryPackage.VIEWER_FOLDER, `background.${extension}`, entries);
+            entries.push({ name: path, data: bytes, compress: false });
+            settings.theme = { ...viewer.theme, backgroundImage: path };
+        }
+        return settings;
+    }
+
+    static #unpackViewer(viewer, files)
+    {
+        const settings = { ...viewer };
+        const image = viewer.theme && viewer.theme.backgroundImage;
+        if (image && image.startsWith(StoryPackage.VIEWER_FOLDER)) {
+            const data = files.get(image);
+            if (!data) throw new Error(`Das Hintergrundbild fehlt im Paket (${image}).`);
+            const extension = image.slice(image.lastIndexOf('.') + 1);
+            const mimeType = `image/${extension === 'svg' ? 'svg+xml' : extension}`;
+            settings.theme = { ...viewer.theme, backgroundImage: StoryPackage.#toDataUrl(mimeType, data) };
+        }
+        return settings;
+    }
+
+    /**
+     * @returns {Object|null} The parsed file, null if it is missing or no JSON object.
+     */
+    static #readJson(files, path)
+    {
+        const data = files.get(path);
+        if (!data) return null;
+        try {
+            const value = JSON.parse(new TextDecoder().decode(data));
+            return value && typeof value === 'object' ? value : null;
+        } catch (e) {
+            throw new Error(`"${path}" ist kein gültiges JSON: ${e.message}`);
+        }
+    }
+
+    /**
+     * Derives a path in a folder from a name, e.g. "assets/Wald_Nacht.png" for "Wald Nacht.png".
+     * Only ASCII characters are kept, as not every zip program reads other names correctly.
+     */
+    static #uniquePath(folder, name, entries)
+    {
+        const safeName = name.replace(/[^A-Za-z0-9._()-]+/g, '_').replace(/^\.+/, '') || 'datei';
+        const taken = (path) => entries.some(entry => entry.name === path);
+        let path = folder + safeName;
+        for (let number = 2; taken(path); number++) path = `${folder}${number}-${safeName}`;
+        return path;
+    }
+
+    /**
+     * @param {string} dataUrl - Base64 data URL, as required by Story.isValidAsset().
+     * @returns {{mimeType: string, bytes: Uint8Array}}
+     */
+    static #fromDataUrl(dataUrl)
+    {
+        const comma = dataUrl.indexOf(',');
+        const mimeType = dataUrl.slice('data:'.length, comma).split(';')[0];
+        return { mimeType, bytes: Uint8Array.from(atob(dataUrl.slice(comma + 1)), char => char.charCodeAt(0)) };
+    }
+
+    static #toDataUrl(mimeType, bytes)
+    {
+        let binary = '';
+        // in chunks, String.fromCharCode takes a limited number of arguments
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return `data:${mimeType};base64,${btoa(binary)}`;
+    }
+
+    static async #sha256(data)
+    {
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+        return Array.from(hash, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
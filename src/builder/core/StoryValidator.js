@@ -0,0 +1,325 @@
+import TextTemplate from "./TextTemplate.js";
+import Condition from "./Condition.js";
+import Effects from "./Effects.js";
+
+/**
+ * Checks a story for structural problems, e.g. choices leading to missing scenes or scenes the player can never reach.
+ * Does not modify the story.
+ * @typedef {Object} Diagnostic
+ * @property {string} severity - One of StoryValidator.SEVERITY.
+ * @property {string} type - One of StoryValidator.TYPES.
+ * @property {string|null} sceneKey - Key of the affected scene, null if the problem concerns the whole story.
+ * @property {string|null} choice - Next key of the affected choice, null if the problem concerns the whole scene.
+ * @property {string} message - Description for the author.
+ */
+export default class StoryValidator {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    static SEVERITY = Object.freeze({
+        ERROR: 'error',
+        WARNING: 'warning',
+        INFO: 'info'
+    });
+
+    static TYPES = Object.freeze({
+        NO_START: 'noStart',
+        DANGLING_CHOICE: 'danglingChoice',
+        UNREACHABLE: 'unreachable',
+        DEAD_END: 'deadEnd',
+        ENDING: 'ending',
+        DUPLICATE_LABEL: 'duplicateLabel',
+        EMPTY_TEXT: 'emptyText',
+        TRAP_CYCLE: 'trapCycle',
+        MISSING_ASSET: 'missingAsset',
+        TEMPLATE_ERROR: 'templateError',
+        UNKNOWN_ITEM: 'unknownItem'
+    });
+
+    static #SEVERITY_ORDER = ['error', 'warning', 'info'];
+
+    /**
+     * Runs all checks on a story.
+     * @param {import('./Story.js').default} story
+     * @returns {Array<Diagnostic>} Diagnostics ordered by severity, errors first.
+     */
+    static validate(story)
+    {
+        if (!story || story.scenes.size === 0) return [];
+
+        const diagnostics = [
+            ...StoryValidator.#checkStart(story),
+            ...StoryValidator.#checkChoices(story),
+            ...StoryValidator.#checkTexts(story),
+            ...StoryValidator.#checkPlaceholders(story),
+            ...StoryValidator.#checkMedia(story),
+            ...StoryValidator.#checkItems(story),
+            ...StoryValidator.#checkReachability(story),
+            ...StoryValidator.#checkEnds(story),
+            ...StoryValidator.#checkTrapCycles(story)
+        ];
+        // Array.sort is stable, so diagnostics of the same severity keep the scene order
+        return diagnostics.sort((a, b) => StoryValidator.#SEVERITY_ORDER.indexOf(a.severity)
+            - StoryValidator.#SEVERITY_ORDER.indexOf(b.severity));
+    }
+
+    static #diagnostic(severity, type, sceneKey, choice, message)
+    {
+        return { severity, type, sceneKey, choice, message };
+    }
+
+    static #checkStart(story)
+    {
+        if (story.root) return [];
+        return [StoryValidator.#diagnostic(StoryValidator.SEVERITY.ERROR, StoryValidator.TYPES.NO_START, null, null,
+            'Die Geschichte hat keine Startszene.')];
+    }
+
+    /**
+     * Choices leading to missing scenes and choices of a scene with the same label.
+     */
+    static #checkChoices(story)
+    {
+        const diagnostics = [];
+        for (const scene of story.scenes.values()) {
+            const labels = new Map(); // normalized label -> next key of the first choice
+            for (const [next, text] of scene.choices) {
+                if (!story.scenes.has(next)) {
+                    diagnostics.push(StoryValidator.#diagnostic(StoryValidator.SEVERITY.ERROR, StoryValidator.TYPES.DANGLING_CHOICE,
+                        scene.key, next, `Die Entscheidung "${text}" führt zur fehlenden Szene "${next}".`));
+                }
+
+                const label = (text || '').trim().toLowerCase();
+                if (!label) continue;
+                if (labels.has(label)) {
+                    diagnostics.push(StoryValidator.#diagnostic(StoryValidator.SEVERITY.WARNING, StoryValidator.TYPES.DUPLICATE_LABEL,
+                        scene.key, next, `Die Entscheidungen zu "${labels.get(label)}" und "${next}" haben denselben Text "${text}".`));
+                } else {
+                    labels.set(label, next);
+                }
+            }
+        }
+        return diagnostics;
+    }
+
+    static #checkTexts(story)
+    {
+        const diagnostics = [];
+        for (const scene of story.scenes.values()) {
+            if (!scene.text || !scene.text.trim()) {
+                diagnostics.push(StoryValidator.#diagnostic(StoryValidator.SEVERITY.WARNING, StoryValidator.TYPES.EMPTY_TEXT,
+                    scene.key, null, 'Die Szene hat keinen Text.'));
+            }
+            for (const [next, text] of scene.choices) {
+                if (!text || !text.trim()) {
+                    diagnostics.push(StoryValidator.#diagnostic(StoryValidator.SEVERITY.WARNING, StoryValidator.TYPES.EMPTY_TEXT,
+                        scene.key, next, `Die Entscheidung zu "${next}" hat keinen Text.`));
+                }
+            }
+        }
+        return diagnostics;
+    }
+
+    /**
+     * Malformed placeholders in scene and choice texts, e.g. an {if} without {/if}. The players show such texts unchanged.
+     */
+    static #checkPlaceholders(story)
+    {
+        const diagnostics = [];
+        for (const scene of story.scenes.values()) {
+            const error = TextTemplate.validate(scene.text);
+            if (error) {
+                diagnostics.push(StoryValidator.#diagnostic(StoryValidator.SEVERITY.ERROR, StoryValidator.TYPES.TEMPLATE_ERROR,
+                    scene.key, null, `Szenentext: ${error}`));
+            }
+            for (const [next, text] of scene.choices) {
+                const choiceError = TextTemplate.validate(text);
+                if (!choiceError) continue;
+                diagnostics.push(StoryValidator.#diagnostic(StoryValidator.SEVERITY.ERROR, StoryValidator.TYPES.TEMPLATE_ERROR,
+                    scene.key, next, `Text der Entscheidung zu "${next}": ${choiceError}`));
+            }
+        }
+        return diagnostics;
+    }
+
+    /**
+     * Images and sounds of scenes which are not among the assets of the story.
+     */
+    static #checkMedia(story)
+    {
+        const labels = { image: 'Bild', audio: 'Ton' };
+        const diagnostics = [];
+        for (const scene of story.scenes.values()) {
+            for (const type of Object.keys(labels)) {
+                if (!scene[type]) continue;
+                const asset = story.assets.get(scene[type]);
+                if (asset && asset.type === type) continue;
+                diagnostics.push(StoryValidator.#diagnostic(StoryValidator.SEVERITY.WARNING, StoryValidator.TYPES.MISSING_ASSET,
+                    scene.key, null, `${labels[type]} "${scene[type]}" fehlt in den Medien der Geschichte.`));
+            }
+        }
+        return diagnostics;
+    }
+
+    /**
+     * Items given, taken or required by choices which are not defined in the story. The players show them with their id.
+     */
+    static #checkItems(story)
+    {
+        const diagnostics = [];
+        for (const scene of story.scenes.values()) {
+            for (const next of scene.choices.keys()) {
+                const used = new Set();
+                for (const effect of scene.getChoiceEffects(next)) {
+                    if (Effects.ITEM_TYPES.includes(effect.type)) used.add(effect.item);
+                }
+                const condition = scene.getChoiceCondition(next);
+                if (condition) {
+                    try {
+                        StoryValidator.#collectItems(Condition.parse(condition.expression), used);
+                    } catch (e) {
+                        // malformed conditions are rejected by the scene editor
+                    }
+                }
+                for (const id of used) {
+                    if (story.items.has(id)) continue;
+                    diagnostics.push(StoryValidator.#diagnostic(StoryValidator.SEVERITY.WARNING, StoryValidator.TYPES.UNKNOWN_ITEM,
+                        scene.key, next, `Die Entscheidung zu "${next}" verwendet den Gegenstand "${id}", der nicht angelegt ist.`));
+                }
+            }
+        }
+        return diagnostics;
+    }
+
+    /**
+     * Adds the arguments of all `has()` calls of a condition to a set.
+     * @param {import('./Condition.js').ConditionNode} node
+     * @param {Set<string>} items
+     */
+    static #collectItems(node, items)
+    {
+        if (node.type === 'call' && node.name === 'has') items.add(node.argument);
+        for (const child of [node.operand, node.left, node.right]) {
+            if (child) StoryValidator.#collectItems(child, items);
+        }
+    }
+
+    /**
+     * Scenes which cannot be reached from the start scene by any path.
+     */
+    static #checkReachability(story)
+    {
+        if (!story.root) return [];
+        const reachable = new Set([story.root.key]);
+        const queue = [story.root];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            for (const nextKey of current.choices.keys()) {
+                const next = story.getScene(nextKey);
+                if (!next || reachable.has(nextKey)) continue;
+                reachable.add(nextKey);
+                queue.push(next);
+            }
+        }
+
+        const diagnostics = [];
+        for (const key of story.scenes.keys()) {
+            if (reachable.has(key)) continue;
+            diagnostics.push(StoryValidator.#diagnostic(StoryValidator.SEVERITY.WARNING, StoryValidator.TYPES.UNREACHABLE,
+                key, null, 'Die Szene ist von der Startszene aus nicht erreichbar.'));
+        }
+        return diagnostics;
+    }
+
+    /**
+     * Scenes without choices end the story, which is reported as a hint so unintended endings are noticed.
+     * Scenes whose choices all have conditions can become dead ends when none of them is fulfilled.
+     */
+    static #checkEnds(story)
+    {
+        const diagnostics = [];
+        for (const scene of story.scenes.values()) {
+            if (scene.choices.size === 0) {
+                diagnostics.push(StoryValidator.#diagnostic(StoryValidator.SEVERITY.INFO, StoryValidator.TYPES.ENDING,
+                    scene.key, null, 'Die Szene hat keine Entscheidungen und beendet die Geschichte.'));
+                continue;
+            }
+            const allConditional = Array.from(scene.choices.keys()).every(next => scene.getChoiceCondition(next));
+            if (allConditional) {
+                diagnostics.push(StoryValidator.#diagnostic(StoryValidator.SEVERITY.WARNING, StoryValidator.TYPES.DEAD_END,
+                    scene.key, null, 'Alle Entscheidungen haben Bedingungen. Ist keine erfüllt, geht es hier nicht weiter.'));
+            }
+        }
+        return diagnostics;
+    }
+
+    /**
+     * Finds the cycles of the scene graph: groups of scenes which can all be reached from each other,
+     * and scenes with a choice leading to themselves. The groups are the strongly connected components (Tarjan's algorithm).
+     * @param {import('./Story.js').default} story
+     * @returns {Array<Array<string>>} The scene keys of each cycle.
+     */
+    static findCycles(story)
+    {
+        const index = new Map();
+        const lowLink = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const components = [];
+
+        const connect = (scene) => {
+            index.set(scene.key, index.size);
+            lowLink.set(scene.key, index.get(scene.key));
+            stack.push(scene.key);
+            onStack.add(scene.key);
+
+            for (const nextKey of scene.choices.keys()) {
+                const next = story.getScene(nextKey);
+                if (!next) continue;
+                if (!index.has(nextKey)) {
+                    connect(next);
+                    lowLink.set(scene.key, Math.min(lowLink.get(scene.key), lowLink.get(nextKey)));
+                } else if (onStack.has(nextKey)) {
+                    lowLink.set(scene.key, Math.min(lowLink.get(scene.key), index.get(nextKey)));
+                }
+            }
+
+            if (lowLink.get(scene.key) === index.get(scene.key)) {
+                const component = [];
+                let key;
+                do {
+                    key = stack.pop();
+                    onStack.delete(key);
+                    component.push(key);
+                } while (key !== scene.key);
+                components.push(component);
+            }
+        };
+
+        for (const scene of story.scenes.values()) {
+            if (!index.has(scene.key)) connect(scene);
+        }
+        return components.filter(component => component.length > 1 || story.getScene(component[0]).choices.has(component[0]));
+    }
+
+    /**
+     * Cycles which have no choice leaving them, so the player can never reach an ending.
+     */
+    static #checkTrapCycles(story)
+    {
+        const diagnostics = [];
+        for (const component of StoryValidator.findCycles(story)) {
+            const members = new Set(component);
+            const hasExit = component.some(key => Array.from(story.getScene(key).choices.keys())
+                .some(next => !members.has(next) && story.scenes.has(next)));
+            if (hasExit) continue;
+
+            // report at the scene of the group which comes first in the story
+            const keys = Array.from(story.scenes.keys()).filter(key => members.has(key));
+            diagnostics.push(StoryValidator.#diagnostic(StoryValidator.SEVERITY.ERROR, StoryValidator.TYPES.TRAP_CYCLE,
+                keys[0], null, `Die Szenen ${keys.join(', ')} führen nur zueinander: Aus diesem Kreislauf gibt es keinen Ausgang.`));
+        }
+        return diagnostics;
+    }
+}
@@ -0,0 +1,193 @@
+import Condition from "./Condition.js";
+
+/**
+ * Placeholders in scene and choice texts, filled in with the state of the running story:
+ * - `{gold}` inserts the value of a variable, unknown variables insert nothing
+ * - `{if hasKey}Die Tür ist offen.{elseif gold > 10}Bestich die Wache.{else}Verschlossen.{/if}` shows one part,
+ *   the conditions have the syntax of Condition.parse(), conditional parts can be nested
+ * - `\{` and `\}` are braces without meaning
+ * Placeholders are filled in before the Markdown of the text is rendered.
+ *
+ * @typedef {{type: 'text', text: string}
+ *     | {type: 'variable', name: string}
+ *     | {type: 'if', branches: Array<{expression: string, condition: import('./Condition.js').ConditionNode, children: Array<TemplateNode>}>,
+ *        otherwise: Array<TemplateNode>|null}} TemplateNode
+ */
+export default class TextTemplate {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    // groups: escaped brace, content of a placeholder; or a brace which is never closed
+    static #TAG = /\\([{}])|\{((?:[^{}"'\n]|"[^"\n]*"|'[^'\n]*')*)\}|\{/g;
+    static #CONDITIONAL = /^(if|elseif)(?:\s+([\s\S]*))?$/;
+
+    /**
+     * Parses a text with placeholders.
+     * @param {string} source
+     * @returns {Array<TemplateNode>}
+     * @throws {Error} If a placeholder is malformed or a conditional part is not closed.
+     */
+    static parse(source)
+    {
+        const root = [];
+        // open conditional parts, innermost last, with the position of their {if}
+        const open = [];
+        let children = root;
+        const pattern = new RegExp(TextTemplate.#TAG);
+        const text = String(source ?? '');
+        let end = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            TextTemplate.#appendText(children, text.slice(end, match.index));
+            end = pattern.lastIndex;
+            const [tag, escaped, content] = match;
+            const position = match.index + 1;
+            if (escaped !== undefined) {
+                TextTemplate.#appendText(children, escaped);
+                continue;
+            }
+            if (content === undefined) throw new Error(`Die Klammer "{" an Position ${position} wird nicht geschlossen.`);
+
+            const trimmed = content.trim();
+            const conditional = TextTemplate.#CONDITIONAL.exec(trimmed);
+            const current = open[open.length - 1];
+            if (conditional) {
+                const [, keyword, expression = ''] = conditional;
+                let condition;
+                try {
+                    condition = Condition.parse(expression);
+                } catch (e) {
+                    throw new Error(`Bedingung von "${tag}" an Position ${position}: ${e.message}`);
+                }
+                const branch = { expression: expression.trim(), condition, children: [] };
+                if (keyword === 'if') {
+                    const node = { type: 'if', branches: [branch], otherwise: null };
+                    children.push(node);
+                    open.push({ node, position });
+                } else {
+                    if (!current || current.node.otherwise) throw new Error(`"${tag}" an Position ${position} steht nicht nach "{if …}".`);
+                    current.node.branches.push(branch);
+                }
+                children = branch.children;
+            } else if (trimmed === 'else') {
+                if (!current || current.node.otherwise) throw new Error(`"${tag}" an Position ${position} steht nicht nach "{if …}".`);
+                current.node.otherwise = [];
+                children = current.node.otherwise;
+            } else if (trimmed === '/if') {
+                if (!current) throw new Error(`Zu "${tag}" an Position ${position} gibt es kein "{if …}".`);
+                open.pop();
+                children = TextTemplate.#childrenOf(open[open.length - 1], root);
+            } else if (Condition.isValidName(trimmed)) {
+                children.push({ type: 'variable', name: trimmed });
+            } else {
+                throw new Error(`Unbekannter Platzhalter "${tag}" an Position ${position}.`);
+            }
+        }
+        TextTemplate.#appendText(children, text.slice(end));
+        if (open.length > 0) {
+            throw new Error(`"{if …}" an Position ${open[open.length - 1].position} wird nicht mit "{/if}" geschlossen.`);
+        }
+        return root;
+    }
+
+    /**
+     * Checks a text for malformed placeholders.
+     * @param {string} source
+     * @returns {string|null} Error message, or null if the text is valid.
+     */
+    static validate(source)
+    {
+        try {
+            TextTemplate.parse(source);
+            return null;
+        } catch (e) {
+            return e.message;
+        }
+    }
+
+    /**
+     * @param {string} source
+     * @returns {boolean} True if the text contains placeholders, malformed ones included.
+     */
+    static hasPlaceholders(source)
+    {
+        try {
+            return TextTemplate.parse(source).some(node => node.type !== 'text');
+        } catch (e) {
+            return true;
+        }
+    }
+
+    /**
+     * Fills in the placeholders of a text.
+     * @param {string} source
+     * @param {{variables: Object<string, number|boolean|string>, visited: Set<string>, inventory?: Object<string, number>}} context - State of the running story.
+     * @returns {string} The text for the player. A malformed text is returned unchanged, so the author sees the mistake.
+     */
+    static render(source, context)
+    {
+        let nodes;
+        try {
+            nodes = TextTemplate.parse(source);
+        } catch (e) {
+            console.warn(`Invalid placeholders in "${source}": ${e.message}`);
+            return String(source ?? '');
+        }
+        return TextTemplate.#renderNodes(nodes, context);
+    }
+
+    /**
+     * Rewrites the scene key in the conditions of a text, e.g. `{if visited(alt)}` to `{if visited(neu)}`.
+     * @param {string} source
+     * @param {string} oldKey
+     * @param {string} newKey
+     * @returns {string} The rewritten text, unchanged if it does not use the key.
+     */
+    static renameScene(source, oldKey, newKey)
+    {
+        return source.replace(new RegExp(TextTemplate.#TAG), (tag, escaped, content) => {
+            const conditional = content !== undefined && /^(\s*(?:if|elseif)\s+)([\s\S]*?)(\s*)$/.exec(content);
+            if (!conditional) return tag;
+            const [, start, expression, space] = conditional;
+            return `{${start}${Condition.renameScene(expression, oldKey, newKey)}${space}}`;
+        });
+    }
+
+    static #renderNodes(nodes, context)
+    {
+        let result = '';
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                result += node.text;
+            } else if (node.type === 'variable') {
+                const variables = context.variables || {};
+                const value = Object.hasOwn(variables, node.name) ? variables[node.name] : undefined;
+                if (value !== undefined && value !== null) result += String(value);
+            } else {
+                const branch = node.branches.find(b => Condition.evaluate(b.condition, context));
+                const children = branch ? branch.children : node.otherwise;
+                if (children) result += TextTemplate.#renderNodes(children, context);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @returns {Array<TemplateNode>} The list new nodes are added to after a conditional part was closed.
+     */
+    static #childrenOf(parent, root)
+    {
+        if (!parent) return root;
+        const { node } = parent;
+        return node.otherwise || node.branches[node.branches.length - 1].children;
+    }
+
+    static #appendText(children, text)
+    {
+        if (!text) return;
+        const last = children[children.length - 1];
+        if (last && last.type === 'text') last.text += text;
+        else children.push({ type: 'text', text });
+    }
+}
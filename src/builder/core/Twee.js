@@ -0,0 +1,322 @@
+import Story from "./Story.js";
+import StoryFormat from "./StoryFormat.js";
+import TextTemplate from "./TextTemplate.js";
+
+/**
+ * Conversion between stories and Twee 3, the text format of Twine (https://github.com/iftechfoundation/twine-specs).
+ * Passages become scenes, links become choices. Whatever has no counterpart on the other side is reported as warning
+ * instead of being dropped silently.
+ * @typedef {Object} TweeImport
+ * @property {Story|null} story - The story, or null if the text contains no passages.
+ * @property {Array<string>} warnings - Constructs which were not imported or changed.
+ *
+ * @typedef {Object} TweeExport
+ * @property {string} text - The story in Twee 3.
+ * @property {Array<string>} warnings - Data of the story which is missing in the text.
+ */
+export default class Twee {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    /**
+     * Passage which Twine shows first if StoryData names none.
+     */
+    static DEFAULT_START = 'Start';
+
+    /**
+     * Text of scenes made from passages without text.
+     */
+    static EMPTY_TEXT = '…';
+
+    // passages with these names carry story data instead of text
+    static #STORY_TITLE = 'StoryTitle';
+    static #STORY_DATA = 'StoryData';
+    // passages with these tags contain code for the story format
+    static #CODE_TAGS = ['script', 'stylesheet'];
+
+    // as in Twine, a link ends at the first "]]"
+    static #LINK = /\[\[(.*?)\]\]/g;
+
+    /**
+     * Builds a story from Twee 3 text.
+     * @param {string} text
+     * @returns {TweeImport}
+     */
+    static parse(text)
+    {
+        const warnings = [];
+        /** @type {import('./StoryFormat.js').StoryDocument} */
+        const document = {
+            format: StoryFormat.FORMAT,
+            version: StoryFormat.VERSION,
+            meta: { title: '', author: '', language: '' },
+            start: null,
+            variables: {},
+            scenes: {}
+        };
+        let startName = null;
+
+        const passages = Twee.#splitPassages(text);
+        // passage names which are no valid scene keys get another key, links to them are changed too
+        const keys = new Map();
+        const names = new Set(passages.map(passage => passage.name));
+        for (const passage of passages) {
+            if (Story.isReservedKey(passage.name)) {
+                const base = passage.name.replace(/^\$+/, '_');
+                let key = base;
+                for (let number = 2; names.has(key); number++) key = `${base}-${number}`;
+                names.add(key);
+                warnings.push(`Passage "${passage.name}": Namen mit "${Story.RESERVED_PREFIX}" sind reserviert, die Szene heißt "${key}".`);
+                keys.set(passage.name, key);
+            }
+        }
+        const keyOf = (name) => keys.get(name) || name;
+
+        for (const passage of passages) {
+            if (passage.name === Twee.#STORY_TITLE) {
+                document.meta.title = passage.text.trim();
+                continue;
+            }
+            if (passage.name === Twee.#STORY_DATA) {
+                try {
+                    startName = JSON.parse(passage.text).start || null;
+                } catch (e) {
+                    warnings.push(`StoryData ist kein gültiges JSON und wird ignoriert.`);
+                }
+                continue;
+            }
+            if (passage.tags.some(tag => Twee.#CODE_TAGS.includes(tag))) {
+                warnings.push(`Passage "${passage.name}" enthält Code (${passage.tags.join(', ')}) und wird nicht übernommen.`);
+                continue;
+            }
+            const key = keyOf(passage.name);
+            if (document.scenes[key]) {
+                warnings.push(`Passage "${passage.name}" ist doppelt vorhanden, nur die erste wird übernommen.`);
+                continue;
+            }
+            if (passage.tags.length > 0) {
+                warnings.push(`Passage "${passage.name}": Tags (${passage.tags.join(', ')}) werden nicht übernommen.`);
+            }
+            document.scenes[key] = Twee.#parsePassageText(passage, keyOf, warnings);
+        }
+
+        if (Object.keys(document.scenes).length === 0) {
+            warnings.push('Der Text enthält keine Passagen.');
+            return { story: null, warnings };
+        }
+
+        if (startName && document.scenes[keyOf(startName)]) {
+            document.start = keyOf(startName);
+        } else {
+            if (startName) warnings.push(`Die Startpassage "${startName}" fehlt.`);
+            document.start = document.scenes[Twee.DEFAULT_START] ? Twee.DEFAULT_START : Object.keys(document.scenes)[0];
+        }
+        return { story: Story.fromJson(document), warnings };
+    }
+
+    /**
+     * Writes a story as Twee 3 text: one passage per scene, its choices as links below its text.
+     * @param {Story} story
+     * @param {string} [ifid] - Identifier of the story for Twine, a new one is created if missing.
+     * @returns {TweeExport}
+     */
+    static stringify(story, ifid = crypto.randomUUID().toUpperCase())
+    {
+        const warnings = [];
+        const parts = [];
+
+        parts.push(`:: ${Twee.#STORY_TITLE}\n${story.meta.title || 'Unbenannte Geschichte'}\n`);
+        const storyData = { ifid };
+        if (story.root) storyData.start = story.root.key;
+        parts.push(`:: ${Twee.#STORY_DATA}\n${JSON.stringify(storyData, null, 2)}\n`);
+
+        if (story.meta.author) warnings.push('Twee kennt keine Autorenangabe, sie wird nicht exportiert.');
+        if (story.meta.language) warnings.push('Twee kennt keine Sprachangabe, sie wird nicht exportiert.');
+        if (story.variables.size > 0) {
+            warnings.push('Variablen werden nicht exportiert, sie hängen vom Story-Format in Twine ab.');
+        }
+        if (Object.entries(Story.DEFAULT_SETTINGS).some(([name, value]) => story.settings[name] !== value)) {
+            warnings.push('Die Einstellungen des Players werden nicht exportiert, in Twine legt sie das Story-Format fest.');
+        }
+        if (story.assets.size > 0) {
+            warnings.push('Bilder und Töne werden nicht exportiert, in Twine werden Medien über das Story-Format eingebunden.');
+        }
+        if (story.items.size > 0) {
+            warnings.push('Gegenstände werden nicht exportiert, ein Inventar hängt vom Story-Format in Twine ab.');
+        }
+
+        for (const [key, scene] of story.scenes.entries()) {
+            const lines = [`:: ${Twee.#escapeName(key)}`];
+            // lines starting with "::" would start a new passage
+            if (scene.text) lines.push(scene.text.replace(/^::/gm, '\\::'));
+            if (scene.choices.size > 0) lines.push('');
+            if ([scene.text, ...scene.choices.values()].some(text => TextTemplate.hasPlaceholders(text))) {
+                warnings.push(`Szene "${key}": Platzhalter wie {gold} oder {if …} werden als Text exportiert, in Twine hängen sie vom Story-Format ab.`);
+            }
+
+            for (const [next, choiceText] of scene.choices.entries()) {
+                lines.push(Twee.#createLink(key, choiceText, next, warnings));
+                if (scene.getChoiceEffects(next).length > 0) {
+                    warnings.push(`Szene "${key}", Auswahl "${choiceText}": Effekte werden nicht exportiert.`);
+                }
+                if (scene.getChoiceCondition(next)) {
+                    warnings.push(`Szene "${key}", Auswahl "${choiceText}": Bedingungen werden nicht exportiert.`);
+                }
+            }
+            parts.push(lines.join('\n') + '\n');
+        }
+        return { text: parts.join('\n'), warnings };
+    }
+
+    /**
+     * Splits Twee text at its passage headers `:: name [tags] {metadata}`.
+     * @param {string} text
+     * @returns {Array<{name: string, tags: Array<string>, text: string}>}
+     */
+    static #splitPassages(text)
+    {
+        const passages = [];
+        let current = null;
+        for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+            if (line.startsWith('::')) {
+                current = { ...Twee.#parseHeader(line.slice(2)), lines: [] };
+                passages.push(current);
+            } else if (current) {
+                current.lines.push(line.replace(/^\\::/, '::'));
+            }
+        }
+        return passages.map(({ name, tags, lines }) => ({ name, tags, text: lines.join('\n').trim() }));
+    }
+
+    /**
+     * @param {string} header - The header line without the leading "::".
+     * @returns {{name: string, tags: Array<string>}}
+     */
+    static #parseHeader(header)
+    {
+        // the name ends at the first unescaped "[" or "{"
+        let name = '';
+        let i = 0;
+        for (; i < header.length; i++) {
+            const char = header[i];
+            if (char === '\\' && i + 1 < header.length) {
+                name += header[++i];
+            } else if (char === '[' || char === '{') {
+                break;
+            } else {
+                name += char;
+            }
+        }
+        const tags = [];
+        const rest = header.slice(i);
+        const tagBlock = rest.match(/^\s*\[([^\]]*)\]/);
+        if (tagBlock) tags.push(...tagBlock[1].split(/\s+/).filter(Boolean));
+        return { name: name.trim(), tags };
+    }
+
+    /**
+     * Converts the text of a passage into a scene in the format of Scene.toJSON().
+     * Lines which contain only links become choices, links inside the text keep their label as text and become choices too.
+     * @param {{name: string, text: string}} passage
+     * @param {function(string): string} keyOf - Scene key of a passage name.
+     * @param {Array<string>} warnings
+     * @returns {Object}
+     */
+    static #parsePassageText(passage, keyOf, warnings)
+    {
+        const choices = [];
+        const addChoice = (label, target, setter) => {
+            if (setter) {
+                warnings.push(`Passage "${passage.name}": Der Setter ${setter} des Links "${label}" wird nicht übernommen.`);
+            }
+            const next = keyOf(target);
+            if (choices.some(choice => choice.next === next)) {
+                warnings.push(`Passage "${passage.name}": Mehrere Links zu "${target}", nur der erste wird übernommen.`);
+                return;
+            }
+            choices.push({ text: label, next });
+        };
+
+        const lines = [];
+        for (const line of passage.text.split('\n')) {
+            const withoutLinks = line.replace(Twee.#LINK, '').trim();
+            if (withoutLinks === '' && line.trim() !== '') {
+                for (const [, link] of line.matchAll(Twee.#LINK)) {
+                    addChoice(...Twee.#parseLink(link));
+                }
+                continue;
+            }
+            lines.push(line.replace(Twee.#LINK, (match, link) => {
+                const [label, target, setter] = Twee.#parseLink(link);
+                warnings.push(`Passage "${passage.name}": Der Link "${label}" im Text wird als Auswahl angehängt.`);
+                addChoice(label, target, setter);
+                return label;
+            }));
+        }
+
+        let text = lines.join('\n').trim();
+        if (text === '') {
+            // scenes need a text
+            text = Twee.EMPTY_TEXT;
+            warnings.push(`Passage "${passage.name}" hat keinen Text, sie bekommt den Text "${Twee.EMPTY_TEXT}".`);
+        }
+        if (/<<.*?>>|\(\w+:.*?\)/.test(text)) {
+            warnings.push(`Passage "${passage.name}": Makros des Story-Formats werden als Text übernommen.`);
+        }
+        return choices.length > 0 ? { text, choices } : { text };
+    }
+
+    /**
+     * @param {string} content - Content of [[...]].
+     * @returns {[string, string, string|undefined]} Label, target passage and the setter of SugarCube links [[link][setter]].
+     */
+    static #parseLink(content)
+    {
+        const [link, ...setters] = content.split('][');
+        const setter = setters.length > 0 ? `[${setters.join('][')}]` : undefined;
+        const [label, target] = Twee.#splitLink(link);
+        return [label, target, setter];
+    }
+
+    /**
+     * @param {string} link
+     * @returns {[string, string]} Label and target passage.
+     */
+    static #splitLink(link)
+    {
+        let index = link.indexOf('|');
+        if (index >= 0) return [link.slice(0, index).trim(), link.slice(index + 1).trim()];
+        index = link.lastIndexOf('->');
+        if (index >= 0) return [link.slice(0, index).trim(), link.slice(index + 2).trim()];
+        index = link.indexOf('<-');
+        if (index >= 0) return [link.slice(index + 2).trim(), link.slice(0, index).trim()];
+        return [link.trim(), link.trim()];
+    }
+
+    /**
+     * @param {string} sceneKey
+     * @param {string} label
+     * @param {string} target
+     * @param {Array<string>} warnings
+     * @returns {string} The link in the syntax understood by all story formats.
+     */
+    static #createLink(sceneKey, label, target, warnings)
+    {
+        let safeLabel = label.replace(/\s+/g, ' ').trim();
+        if (/\]\]|\||->|<-/.test(safeLabel)) {
+            safeLabel = safeLabel.replace(/\]\]/g, '] ]').replace(/\|/g, '/').replace(/->/g, '-').replace(/<-/g, '-');
+            warnings.push(`Szene "${sceneKey}": Der Auswahltext "${label}" enthält Link-Zeichen und wird als "${safeLabel}" exportiert.`);
+        }
+        if (target.includes(']')) {
+            warnings.push(`Szene "${sceneKey}": Links zu "${target}" sind in Twee nicht möglich, weil der Schlüssel "]" enthält.`);
+        }
+        if (safeLabel === target) return `[[${target}]]`;
+        return `[[${safeLabel}->${target}]]`;
+    }
+
+    static #escapeName(name)
+    {
+        return name.replace(/[\\[\]{}]/g, char => '\\' + char);
+    }
+}
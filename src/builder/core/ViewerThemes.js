@@ -0,0 +1,128 @@
+/**
+ * Styles of the exported viewers. The viewers take their colors, font and background image from CSS custom properties
+ * (`--viewer-text`, `--viewer-accent`, ...), so a theme is a set of values for these properties.
+ * The CSS of a theme is filled into the `{{theme}}` placeholder of the viewer templates and used for the preview in the builder.
+ * @typedef {Object} ThemeColors
+ * @property {string} text - Color of the text.
+ * @property {string} background - Color of the page.
+ * @property {string} panel - Color of the box with the scene.
+ * @property {string} border - Color of borders and lines.
+ * @property {string} accent - Color of the choices and links.
+ * @property {string} accentText - Color of the text on the choices.
+ * @property {string} muted - Color of secondary text, e.g. the breadcrumb.
+ *
+ * @typedef {Object} ViewerTheme
+ * @property {string} base - Name of the theme in ViewerThemes.THEMES the theme is derived from.
+ * @property {ThemeColors} colors
+ * @property {string} font - Key in ViewerThemes.FONTS.
+ * @property {string} backgroundImage - URL of the background image, usually a data URL, or '' for none.
+ * @property {string} css - Additional CSS of the author, e.g. for the viewer elements `#game` or `.breadcrumb`.
+ */
+export default class ViewerThemes {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    static FONTS = Object.freeze({
+        system: { label: 'Systemschrift', family: 'system-ui, sans-serif' },
+        serif: { label: 'Serifenschrift', family: 'Georgia, "Times New Roman", serif' },
+        mono: { label: 'Schreibmaschine', family: 'ui-monospace, "Courier New", monospace' }
+    });
+
+    // "default" matches the styles in the viewers, which apply if no theme is filled in
+    static THEMES = Object.freeze({
+        default: Object.freeze({ label: 'Standard', font: 'system', colors: Object.freeze({
+            text: '#0f172a', background: '#ffffff', panel: '#f1f5f9', border: '#cbd5e1',
+            accent: '#3b82f6', accentText: '#ffffff', muted: '#475569'
+        })}),
+        warm: Object.freeze({ label: 'Warm Neutral', font: 'system', colors: Object.freeze({
+            text: '#3a2f2a', background: '#faf5f1', panel: '#eee4dd', border: '#d4c4b7',
+            accent: '#b48a76', accentText: '#ffffff', muted: '#6b5a50'
+        })}),
+        dark: Object.freeze({ label: 'Dunkel', font: 'system', colors: Object.freeze({
+            text: '#e2e8f0', background: '#0f172a', panel: '#1e293b', border: '#334155',
+            accent: '#38bdf8', accentText: '#0f172a', muted: '#94a3b8'
+        })}),
+        paper: Object.freeze({ label: 'Papier', font: 'serif', colors: Object.freeze({
+            text: '#292524', background: '#f5f0e6', panel: '#fffdf8', border: '#d6cfc2',
+            accent: '#7c2d12', accentText: '#ffffff', muted: '#78716c'
+        })})
+    });
+
+    /**
+     * Derives a theme from one of the built-in themes.
+     * Colors which are no hex colors (#rrggbb) and unknown fonts are ignored with a warning.
+     * @param {string} base - Name in ViewerThemes.THEMES.
+     * @param {{colors?: Partial<ThemeColors>, font?: string, backgroundImage?: string, css?: string}} [changes]
+     * @returns {ViewerTheme|null} Null if the base theme is unknown.
+     */
+    static create(base, { colors = {}, font = undefined, backgroundImage = '', css = '' } = {})
+    {
+        const preset = ViewerThemes.THEMES[base];
+        if (!preset) {
+            console.warn(`Viewer theme ${base} not found`);
+            return null;
+        }
+        const theme = { base, colors: { ...preset.colors }, font: preset.font, backgroundImage, css };
+        for (const [name, value] of Object.entries(colors)) {
+            if (!(name in preset.colors) || !/^#[0-9a-f]{6}$/i.test(value)) {
+                console.warn(`Viewer theme: invalid color ${name} ${value}`);
+                continue;
+            }
+            theme.colors[name] = value.toLowerCase();
+        }
+        // the text on the choices stays readable if the author changes the accent color
+        if (colors.accent && colors.accentText === undefined && theme.colors.accent !== preset.colors.accent) {
+            theme.colors.accentText = ViewerThemes.#contrastColor(theme.colors.accent);
+        }
+        if (font !== undefined) {
+            if (ViewerThemes.FONTS[font]) theme.font = font;
+            else console.warn(`Viewer theme: unknown font ${font}`);
+        }
+        return theme;
+    }
+
+    /**
+     * @param {ViewerTheme} theme
+     * @param {string} [selector] - Element which gets the custom properties, the whole page by default.
+     * @param {boolean} [withCustomCss] - Appends the CSS of the author. It targets the elements of the viewers,
+     *        so it is left out for the preview in the builder.
+     * @returns {string} CSS text.
+     */
+    static toCss(theme, selector = ':root', withCustomCss = true)
+    {
+        const properties = {
+            'font': ViewerThemes.FONTS[theme.font].family,
+            'text': theme.colors.text,
+            'background': theme.colors.background,
+            'background-image': theme.backgroundImage ? `url("${ViewerThemes.#escapeCssString(theme.backgroundImage)}")` : 'none',
+            'panel': theme.colors.panel,
+            'border': theme.colors.border,
+            'accent': theme.colors.accent,
+            'accent-text': theme.colors.accentText,
+            'muted': theme.colors.muted
+        };
+        const lines = Object.entries(properties).map(([name, value]) => `    --viewer-${name}: ${value};`);
+        let css = `${selector} {\n${lines.join('\n')}\n}\n`;
+        if (withCustomCss && theme.css.trim()) css += theme.css.trim() + '\n';
+        return css;
+    }
+
+    static #escapeCssString(text)
+    {
+        return text.replace(/[\\"]/g, '\\$&').replace(/[\r\n]/g, '');
+    }
+
+    /**
+     * Black or white, whichever contrasts more with the color (relative luminance as in WCAG).
+     */
+    static #contrastColor(hex)
+    {
+        const channel = (i) => {
+            const value = parseInt(hex.slice(i, i + 2), 16) / 255;
+            return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+        };
+        const luminance = 0.2126 * channel(1) + 0.7152 * channel(3) + 0.0722 * channel(5);
+        return luminance > 0.179 ? '#000000' : '#ffffff';
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * Writes and reads zip archives in the browser, without libraries. Only what story packages need is supported:
+ * files are stored uncompressed or compressed with deflate (CompressionStream), no encryption, no Zip64, no multi-disk archives.
+ * Every file is checked against the CRC-32 stored in the archive when it is read.
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path within the archive, with "/" as separator, e.g. "assets/wald.png".
+ * @property {Uint8Array} data - Content of the file.
+ * @property {boolean} [compress] - Compress with deflate, default true. Already compressed data, e.g. images, is stored.
+ */
+export default class ZipArchive {
+    constructor() {
+        throw new Error('Static class');
+    }
+
+    static METHOD_STORE = 0;
+    static METHOD_DEFLATE = 8;
+
+    static #LOCAL_HEADER = 0x04034b50;
+    static #CENTRAL_HEADER = 0x02014b50;
+    static #END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+    // general purpose flag: the names are UTF-8
+    static #FLAG_UTF8 = 0x0800;
+    // version 2.0, the first one with deflate and folders
+    static #VERSION = 20;
+
+    /** @type {Uint32Array|null} */
+    static #crcTable = null;
+
+    /**
+     * Creates an archive of the given files.
+     * @param {Array<ZipEntry>} entries
+     * @param {Date} [date] - Modification time of the files.
+     * @returns {Promise<Uint8Array>}
+     */
+    static async create(entries, date = new Date())
+    {
+        const encoder = new TextEncoder();
+        const [time, day] = ZipArchive.#toDosTime(date);
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const name = encoder.encode(entry.name);
+            const crc = ZipArchive.crc32(entry.data);
+            let method = ZipArchive.METHOD_STORE;
+            let data = entry.data;
+            if (entry.compress !== false && typeof CompressionStream === 'function') {
+                const deflated = await ZipArchive.#transform(entry.data, new CompressionStream('deflate-raw'));
+                if (deflated.length < entry.data.length) {
+                    method = ZipArchive.METHOD_DEFLATE;
+                    data = deflated;
+                }
+            }
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, ZipArchive.#LOCAL_HEADER, true);
+            local.setUint16(4, ZipArchive.#VERSION, true);
+            local.setUint16(6, ZipArchive.#FLAG_UTF8, true);
+            local.setUint16(8, method, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, entry.data.length, true);
+            local.setUint16(26, name.length, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, ZipArchive.#CENTRAL_HEADER, true);
+            central.setUint16(4, ZipArchive.#VERSION, true);
+            central.setUint16(6, ZipArchive.#VERSION, true);
+            central.setUint16(8, ZipArchive.#FLAG_UTF8, true);
+            central.setUint16(10, method, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, entry.data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, ZipArchive.#END_OF_CENTRAL_DIRECTORY, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return ZipArchive.#concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+    }
+
+    /**
+     * Reads all files of an archive.
+     * @param {Uint8Array|ArrayBuffer} bytes
+     * @returns {Promise<Map<string, Uint8Array>>} Path -> content, without folder entries.
+     * @throws {Error} If the data is no zip archive, uses an unsupported feature or a file does not match its checksum.
+     */
+    static async read(bytes)
+    {
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const end = ZipArchive.#findEndOfCentralDirectory(view);
+        if (end < 0) throw new Error('Die Datei ist kein Zip-Archiv.');
+
+        const count = view.getUint16(end + 10, true);
+        let position = view.getUint32(end + 16, true);
+        if (count === 0xffff || position === 0xffffffff) throw new Error('Zip64-Archive werden nicht unterstützt.');
+        const decoder = new TextDecoder();
+        const files = new Map();
+        for (let i = 0; i < count; i++) {
+            if (position + 46 > data.length || view.getUint32(position, true) !== ZipArchive.#CENTRAL_HEADER) {
+                throw new Error('Das Zip-Archiv ist beschädigt.');
+            }
+            const flags = view.getUint16(position + 8, true);
+            const method = view.getUint16(position + 10, true);
+            const crc = view.getUint32(position + 16, true);
+            const compressedSize = view.getUint32(position + 20, true);
+            const size = view.getUint32(position + 24, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const localOffset = view.getUint32(position + 42, true);
+            const name = decoder.decode(data.subarray(position + 46, position + 46 + nameLength));
+            position += 46 + nameLength + extraLength + commentLength;
+
+            if (flags & 0x0001) throw new Error(`"${name}" ist verschlüsselt, verschlüsselte Zip-Archive werden nicht unterstützt.`);
+            if (name.endsWith('/')) continue;
+            if (localOffset + 30 > data.length || view.getUint32(localOffset, true) !== ZipArchive.#LOCAL_HEADER) {
+                throw new Error('Das Zip-Archiv ist beschädigt.');
+            }
+            const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            if (start + compressedSize > data.length) throw new Error(`"${name}" ist unvollständig.`);
+            const content = await ZipArchive.#inflate(name, method, data.subarray(start, start + compressedSize));
+            if (content.length !== size || ZipArchive.crc32(content) !== crc) {
+                throw new Error(`"${name}" ist beschädigt (Prüfsumme stimmt nicht).`);
+            }
+            files.set(name, content);
+        }
+        return files;
+    }
+
+    /**
+     * @param {Uint8Array} data
+     * @returns {number} CRC-32 checksum as used by zip, as unsigned number.
+     */
+    static crc32(data)
+    {
+        if (!ZipArchive.#crcTable) {
+            ZipArchive.#crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                ZipArchive.#crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (const byte of data) crc = ZipArchive.#crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static async #inflate(name, method, data)
+    {
+        if (method === ZipArchive.METHOD_STORE) return data;
+        if (method === ZipArchive.METHOD_DEFLATE && typeof DecompressionStream === 'function') {
+            try {
+                return await ZipArchive.#transform(data, new DecompressionStream('deflate-raw'));
+            } catch (e) {
+                throw new Error(`"${name}" ist beschädigt: ${e.message}`);
+            }
+        }
+        throw new Error(`"${name}" ist mit einem nicht unterstützten Verfahren komprimiert.`);
+    }
+
+    /**
+     * Passes data through a CompressionStream or DecompressionStream.
+     * @returns {Promise<Uint8Array>}
+     */
+    static async #transform(data, stream)
+    {
+        const result = await new Response(new Blob([data]).stream().pipeThrough(stream)).arrayBuffer();
+        return new Uint8Array(result);
+    }
+
+    /**
+     * @param {DataView} view
+     * @returns {number} Offset of the end of central directory record, -1 if there is none.
+     */
+    static #findEndOfCentralDirectory(view)
+    {
+        // the record is 22 bytes, followed by a comment of at most 65535 bytes
+        const last = Math.max(0, view.byteLength - 22 - 0xffff);
+        for (let i = view.byteLength - 22; i >= last; i--) {
+            if (view.getUint32(i, true) === ZipArchive.#END_OF_CENTRAL_DIRECTORY) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {[number, number]} Time and date in MS-DOS format. Zip cannot store times before 1980.
+     */
+    static #toDosTime(date)
+    {
+        const year = Math.max(date.getFullYear(), 1980);
+        return [
+            (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        ];
+    }
+
+    static #concat(parts)
+    {
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            offset += part.length;
+        }
+        return result;
+    }
+}
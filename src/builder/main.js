@@ -1,26 +1,82 @@
 import Scene from './core/Scene.js';
 import Story from "./core/Story.js";
 import SaveLoad from "./SaveLoad.js";
+import StoryPackage from "./core/StoryPackage.js";
 import AsciiTreeRenderer from './AsciiTreeRenderer.js';
 import SceneEditor from './SceneEditor.js';
 import SceneRenderer from './SceneRenderer.js';
 import Feedback from './Feedback.js';
 import TreeEditor from './TreeEditor.js';
+import GraphCanvas from './GraphCanvas.js';
+import VariableEditor from './VariableEditor.js';
+import ItemEditor from './ItemEditor.js';
+import History from './core/History.js';
+import ProblemsPanel from './ProblemsPanel.js';
+import StartSceneSelector from './StartSceneSelector.js';
+import MetaEditor from './MetaEditor.js';
+import StoryCrypto from './core/StoryCrypto.js';
+import ViewerTemplates from './ViewerTemplates.js';
+import ViewerThemePanel from './ViewerThemePanel.js';
+import AssetPanel from './AssetPanel.js';
+import AutoSave from './core/AutoSave.js';
+import SnapshotPanel from './SnapshotPanel.js';
+import ProjectLibrary from './core/ProjectLibrary.js';
+import ProjectLibraryPanel from './ProjectLibraryPanel.js';
 
-let story = new Story(Scene);
+// the views subscribe to this instance, an import replaces its content
+const story = new Story(Scene);
 let formEditor = new SceneEditor(story);
 
 function startStory()
 {
     if (!story.root) {
-        alert("Keine 'start'-Szene gefunden.");
+        alert("Keine Startszene festgelegt.");
         return;
     }
-    SceneRenderer.render(story, "start");
+    SceneRenderer.start(story);
 }
 
 /**
- * Imports a story from a JSON file.
+ * Reverts or repeats the last editing operation.
+ * @param {boolean} isRedo - True repeats the last reverted operation.
+ * @returns void
+ */
+function undoRedo(isRedo)
+{
+    const history = History.of(story);
+    const label = isRedo ? history.redo() : history.undo();
+    const status = document.getElementById("history-status");
+    if (!label) {
+        Feedback.show(isRedo ? "Nichts zum Wiederholen." : "Nichts zum Rückgängigmachen.", status, false);
+        return;
+    }
+    Feedback.show(`${isRedo ? "Wiederholt" : "Rückgängig gemacht"}: ${label}`, status, true);
+}
+
+/**
+ * Offers to continue with the draft of the last session, if it was changed after its last export
+ * and differs from the reopened project. A declined draft is kept as snapshot, because the next change overwrites it.
+ * The draft takes the data of its assets from the reopened project.
+ * @returns void
+ */
+function recoverDraft()
+{
+    const draft = AutoSave.loadDraft(localStorage, story.assets);
+    if (!draft || draft.exported) return;
+    if (JSON.stringify(draft.story.toJSON()) === JSON.stringify(story.toJSON())) return;
+
+    const question = `Es gibt einen nicht exportierten Entwurf vom ${SnapshotPanel.formatTime(draft.savedAt)} `
+        + `(${draft.story.scenes.size} Szenen). Soll er wiederhergestellt werden?`;
+    if (confirm(question)) {
+        story.replaceWith(draft.story);
+        History.of(story).clear();
+    } else {
+        AutoSave.createSnapshot(draft.story, "Verworfener Entwurf");
+    }
+}
+
+/**
+ * Imports a story from a JSON file, a story package (.tadv) or a Twee file of Twine (.twee, .tw).
  * @returns void
  */
 async function importStory() 
@@ -28,7 +84,7 @@ async function importStory()
     const fileInput = document.getElementById("json-file");
     const importStatus = document.getElementById("import-status");
     if (!fileInput.files.length) {
-        Feedback.show("Bitte zuerst eine JSON-Datei auswählen.", importStatus, false);
+        Feedback.show("Bitte zuerst eine JSON-, Paket- oder Twee-Datei auswählen.", importStatus, false);
         return;
     }
 
@@ -36,18 +92,34 @@ async function importStory()
     const fileUrl = URL.createObjectURL(file);
 
     try {
-        story = await SaveLoad.loadFromJson(fileUrl, Scene, Story);
-        if(!story){
+        let loadedStory = null;
+        let warnings = [];
+        let viewer = null;
+        if (/\.tw(ee)?$/i.test(file.name)) {
+            const imported = await SaveLoad.loadFromTwee(fileUrl);
+            if (imported) ({ story: loadedStory, warnings } = imported);
+        } else if (/\.tadv$/i.test(file.name)) {
+            const unpacked = await SaveLoad.loadFromPackage(fileUrl);
+            if (unpacked) ({ story: loadedStory, viewer } = unpacked);
+        } else {
+            loadedStory = await SaveLoad.loadFromJson(fileUrl, Scene, Story);
+        }
+        if(!loadedStory){
             importStatus.textContent = "Fehler beim Laden: Story konnte nicht geladen werden.";
             return;
         }
-        // update editor story reference
-        formEditor.story = story;
-        Feedback.show(`"${file.name}" erfolgreich geladen (${story.scenes.size} Szenen).`, importStatus, true);
-
-        AsciiTreeRenderer.generateTreeAscii(story);
-        // Nach externen Aktionen (z. B. Import) auch den Tree‑Editor aktualisieren
-        TreeEditor.render(story);
+        // the open project stays in the library, the imported story becomes a new project
+        await ProjectLibraryPanel.detach();
+        // the views are updated by the storyReplaced event
+        story.replaceWith(loadedStory);
+        History.of(story).clear();
+        if (viewer) warnings = applyViewerSettings(viewer);
+        const message = `"${file.name}" erfolgreich als neues Projekt geladen (${story.scenes.size} Szenen).`;
+        if (warnings.length > 0) {
+            Feedback.show(formatWarnings(message + " Nicht übernommen:", warnings), importStatus, true, 'set');
+        } else {
+            Feedback.show(message, importStatus, true);
+        }
         startStory();
     } catch (err) {
         Feedback.show("Fehler beim Laden: " + err.message, importStatus, false);
@@ -60,34 +132,205 @@ async function importStory()
  * Exports the current story to a JSON file.
  * @returns void
  */
-function exportToJson() 
+async function exportToJson()
 {
     if (!story) {
         Feedback.show("No story available to export.", document.getElementById("import-status"), false);
         return;
     }
-    let success = SaveLoad.saveToJson(story, "story.json");
-    if(success) Feedback.show("Story successfully exported to JSON.", document.getElementById("import-status"), true);
+    let success = await SaveLoad.saveToJson(story, SaveLoad.filenameFor(story, "json"));
+    if (success) {
+        AutoSave.markExported();
+        Feedback.show("Story successfully exported to JSON.", document.getElementById("import-status"), true);
+    }
+}
+
+/**
+ * Exports the current story with its media and the export settings to a story package (.tadv).
+ * @returns void
+ */
+async function exportToPackage()
+{
+    const status = document.getElementById("import-status");
+    try {
+        const success = await SaveLoad.saveToPackage(story, SaveLoad.filenameFor(story, StoryPackage.EXTENSION), currentViewerSettings());
+        if (success) {
+            AutoSave.markExported();
+            Feedback.show("Als Paket exportiert.", status, true);
+        }
+    } catch (err) {
+        Feedback.show("Export als Paket fehlgeschlagen: " + err.message, status, false);
+    }
+}
+
+/**
+ * Exports the current story to a Twee file for Twine and lists what Twee cannot hold.
+ * @returns void
+ */
+async function exportToTwee()
+{
+    const status = document.getElementById("import-status");
+    const warnings = await SaveLoad.saveToTwee(story, SaveLoad.filenameFor(story, "twee"));
+    if (!warnings) {
+        Feedback.show("Export als Twee fehlgeschlagen.", status, false);
+    } else if (warnings.length > 0) {
+        Feedback.show(formatWarnings("Als Twee exportiert. Nicht enthalten:", warnings), status, true, 'set');
+    } else {
+        Feedback.show("Als Twee exportiert.", status, true);
+    }
+}
+
+/**
+ * Exports the scene graph of the current story as diagram.
+ * @param {'dot'|'mermaid'} format
+ * @returns void
+ */
+async function exportDiagram(format)
+{
+    const success = format === "dot"
+        ? await SaveLoad.saveToDot(story, SaveLoad.filenameFor(story, "dot"))
+        : await SaveLoad.saveToMermaid(story, SaveLoad.filenameFor(story, "mmd"));
+    if (success) Feedback.show("Diagramm exportiert.", document.getElementById("import-status"), true);
+}
+
+/**
+ * @param {string} message
+ * @param {Array<string>} warnings
+ * @returns {string} The message followed by one line per warning.
+ */
+function formatWarnings(message, warnings)
+{
+    return [message, ...warnings.map(warning => "- " + warning)].join("\n");
 }
 
 /**
  * Exports the current story to an HTML file.
+ * @param {'none'|'obfuscated'|'password'} protection
  * @returns void
- * @param asEncrypted
  */
-function exportToHtml(asEncrypted) 
+async function exportToHtml(protection)
 {
+    const status = document.getElementById("import-status");
     if (!story) {
-        Feedback.show("No story available to export.", document.getElementById("import-status"), false);
+        Feedback.show("No story available to export.", status, false);
         return;
     }
+    const options = {
+        template: document.getElementById("export-template").value || undefined,
+        theme: ViewerThemePanel.css(),
+        saveGames: document.getElementById("export-save-games").checked
+    };
     let success = false;
-    if(asEncrypted) {
-        success = SaveLoad.saveToEncryptedHtml(story, "story.html","9oj7k&7C@b@W");
-    }else{
-        success = SaveLoad.saveToHtml(story, "story.html");
+    if (protection === "password") {
+        const password = document.getElementById("export-password").value;
+        if (password !== document.getElementById("export-password-repeat").value) {
+            Feedback.show("Die Passwörter stimmen nicht überein.", status, false);
+            return;
+        }
+        if (password.length < StoryCrypto.MIN_PASSWORD_LENGTH) {
+            Feedback.show(`Das Passwort muss mindestens ${StoryCrypto.MIN_PASSWORD_LENGTH} Zeichen lang sein.`, status, false);
+            return;
+        }
+        success = await SaveLoad.saveToPasswordHtml(story, SaveLoad.filenameFor(story, "html"), password, options);
+    } else if (protection === "obfuscated") {
+        success = await SaveLoad.saveToEncryptedHtml(story, SaveLoad.filenameFor(story, "html"), createObfuscationKey(), options);
+    } else {
+        success = await SaveLoad.saveToHtml(story, SaveLoad.filenameFor(story, "html"), options);
+    }
+    if(success) Feedback.show("Story successfully exported to HTML.", status, true);
+}
+
+/**
+ * @returns {import('./core/StoryPackage.js').ViewerSettings} The settings of the HTML export, without the password.
+ */
+function currentViewerSettings()
+{
+    return {
+        protection: document.getElementById("export-protection").value,
+        template: document.getElementById("export-template").value,
+        saveGames: document.getElementById("export-save-games").checked,
+        theme: ViewerThemePanel.current()
+    };
+}
+
+/**
+ * Sets the controls of the HTML export to the settings of a story package.
+ * @param {import('./core/StoryPackage.js').ViewerSettings} viewer
+ * @returns {Array<string>} The settings which could not be applied.
+ */
+function applyViewerSettings(viewer)
+{
+    const warnings = [];
+    const protectionSelect = document.getElementById("export-protection");
+    if (Object.hasOwn(ViewerTemplates.DEFAULTS, viewer.protection)) {
+        protectionSelect.value = viewer.protection;
+        document.getElementById("export-password-fields").hidden = viewer.protection !== "password";
+    }
+    const template = ViewerTemplates.get(viewer.template);
+    const usable = template && template.protection === protectionSelect.value;
+    if (viewer.template && !usable) {
+        // templates loaded from files are not part of the package
+        warnings.push(`Viewer-Vorlage "${viewer.template}" (bitte erneut laden)`);
+    }
+    renderTemplateSelect(protectionSelect.value, usable ? viewer.template : undefined);
+    if (typeof viewer.saveGames === "boolean") document.getElementById("export-save-games").checked = viewer.saveGames;
+    if (viewer.theme && !ViewerThemePanel.apply(viewer.theme)) warnings.push("Design des Viewers");
+    return warnings;
+}
+
+/**
+ * Fills the template selection with the viewer templates for the chosen protection.
+ * @param {'none'|'obfuscated'|'password'} protection
+ * @param {string} [selected] - Name of the template to select, the default of the protection if omitted.
+ */
+function renderTemplateSelect(protection, selected = ViewerTemplates.DEFAULTS[protection])
+{
+    const select = document.getElementById("export-template");
+    select.innerHTML = "";
+    for (const template of ViewerTemplates.list(protection)) {
+        const option = document.createElement("option");
+        option.value = template.name;
+        option.textContent = template.label;
+        option.selected = template.name === selected;
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Registers the chosen HTML file as viewer template for the chosen protection and selects it.
+ * @returns void
+ */
+async function loadTemplateFile()
+{
+    const fileInput = document.getElementById("export-template-file");
+    const status = document.getElementById("import-status");
+    if (!fileInput.files.length) return;
+
+    const file = fileInput.files[0];
+    const protection = document.getElementById("export-protection").value;
+    const name = `custom:${protection}:${file.name}`;
+    try {
+        if (!ViewerTemplates.register(name, { label: file.name, protection, source: await file.text() })) {
+            Feedback.show(`"${file.name}" ist keine Viewer-Vorlage: der Platzhalter {{storyData}} fehlt.`, status, false);
+            return;
+        }
+        renderTemplateSelect(protection, name);
+        Feedback.show(`Vorlage "${file.name}" geladen.`, status, true);
+    } catch (err) {
+        Feedback.show("Fehler beim Laden der Vorlage: " + err.message, status, false);
+    } finally {
+        fileInput.value = "";
     }
-    if(success) Feedback.show("Story successfully exported to HTML.", document.getElementById("import-status"), true);
+}
+
+/**
+ * Random key for the obfuscated export, a new one for each file.
+ * @returns {string} 32 hex digits
+ */
+function createObfuscationKey()
+{
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
 }
 
 function applyTheme(theme) 
@@ -137,6 +380,10 @@ function initializePopup()
     initPopup("edit-scene-popup", "showEditorBtn", "editor-closeBtn", "editor-add-choice-btn", "editor-submit-btn", "editor-choices-container", function() {
         SceneEditor.editScene(story);
     });
+    SceneEditor.initPreview("creator");
+    SceneEditor.initPreview("editor");
+    SceneEditor.initMedia(story, "creator");
+    SceneEditor.initMedia(story, "editor");
 }
 
 // make helper functions available for onclick to HTML file
@@ -156,12 +403,78 @@ window.addEventListener("DOMContentLoaded", () => {
         btnHtmlTree.addEventListener('click', () => TreeEditor.render(story));
     }
 
+    document.getElementById("graph-zoom-in").addEventListener("click", () => GraphCanvas.of().zoom(1.25));
+    document.getElementById("graph-zoom-out").addEventListener("click", () => GraphCanvas.of().zoom(0.8));
+    document.getElementById("graph-fit").addEventListener("click", () => GraphCanvas.of().fit());
+
     // --- JSON Import/Export Button Events ---
     document.getElementById("import-json").addEventListener("click", importStory);
     document.getElementById("export-json").addEventListener("click", exportToJson);
+    document.getElementById("export-package").addEventListener("click", exportToPackage);
+    document.getElementById("export-twee").addEventListener("click", exportToTwee);
+    document.getElementById("export-dot").addEventListener("click", () => exportDiagram("dot"));
+    document.getElementById("export-mermaid").addEventListener("click", () => exportDiagram("mermaid"));
     document.getElementById("export-html").addEventListener("click", () => {
-        const protectStory = document.getElementById("export-antiscraping-check").checked;
-        exportToHtml(protectStory);
+        exportToHtml(document.getElementById("export-protection").value);
+    });
+    document.getElementById("export-protection").addEventListener("change", (e) => {
+        document.getElementById("export-password-fields").hidden = e.target.value !== "password";
+        renderTemplateSelect(e.target.value);
+    });
+    document.getElementById("export-template-file").addEventListener("change", loadTemplateFile);
+    renderTemplateSelect(document.getElementById("export-protection").value);
+    ViewerThemePanel.init();
+
+    // --- Variables
+    document.getElementById("variable-add-btn").addEventListener("click", () => VariableEditor.addVariable(story));
+
+    // --- Items
+    document.getElementById("item-add-btn").addEventListener("click", () => ItemEditor.addItem(story));
+
+    // --- Media
+    document.getElementById("asset-file").addEventListener("change", async (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = "";
+        for (const file of files) {
+            await AssetPanel.addFile(story, file, document.getElementById("asset-status"));
+        }
+    });
+
+    // --- Views follow the changes of the story
+    AsciiTreeRenderer.observe(story);
+    TreeEditor.observe(story);
+    GraphCanvas.observe(story);
+    VariableEditor.observe(story);
+    ItemEditor.observe(story);
+    AssetPanel.observe(story);
+    SceneRenderer.observe(story);
+    ProblemsPanel.observe(story);
+    StartSceneSelector.observe(story);
+    MetaEditor.observe(story);
+
+    // --- Project library, then autosave and snapshots: the draft is compared with the reopened project
+    document.getElementById("project-new-btn").addEventListener("click", () => ProjectLibraryPanel.createProject());
+    ProjectLibrary.open()
+        .then(library => ProjectLibraryPanel.observe(story, library))
+        .catch(e => {
+            Feedback.show("Projektbibliothek nicht verfügbar: " + e.message, document.getElementById("project-status"), false, 'set');
+        })
+        .then(() => {
+            recoverDraft();
+            AutoSave.watch(story, localStorage, (saved) => {
+                if (!saved) {
+                    Feedback.show("Der Entwurf konnte nicht im Browser gespeichert werden, der Speicher ist voll.",
+                        document.getElementById("snapshot-status"), false);
+                }
+                SnapshotPanel.render(story);
+            });
+        });
+    SnapshotPanel.render(story);
+    document.getElementById("snapshot-create-btn").addEventListener("click", () => {
+        const saved = AutoSave.createSnapshot(story, "Manuell");
+        Feedback.show(saved ? "Schnappschuss angelegt." : "Schnappschuss konnte nicht gespeichert werden.",
+            document.getElementById("snapshot-status"), !!saved);
+        SnapshotPanel.render(story);
     });
 
     // --- Design
@@ -169,4 +482,22 @@ window.addEventListener("DOMContentLoaded", () => {
         applyTheme(this.value);
     });
     initializePopup();
+
+    // --- Undo / Redo
+    document.getElementById("undo-btn").addEventListener("click", () => undoRedo(false));
+    document.getElementById("redo-btn").addEventListener("click", () => undoRedo(true));
+    document.addEventListener("keydown", (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        // keep the native undo of text fields
+        if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+
+        const key = e.key.toLowerCase();
+        if (key === "z") {
+            e.preventDefault();
+            undoRedo(e.shiftKey);
+        } else if (key === "y") {
+            e.preventDefault();
+            undoRedo(true);
+        }
+    });
 });
\ No newline at end of file
@@ -0,0 +1,506 @@
+import Condition from "../builder/core/Condition.js";
+import Effects from "../builder/core/Effects.js";
+import TextTemplate from "../builder/core/TextTemplate.js";
+import MarkdownRenderer from "../builder/MarkdownRenderer.js";
+
+/**
+ * Player of the exported stories, shared by all viewer templates: shows the scenes with their media, choices,
+ * inventory and navigation, and keeps the save games of the reader.
+ * The engine works on the story document of Story.toJSON(). Effects, conditions, placeholders and Markdown are those
+ * of the builder, so the exported stories behave like the play test.
+ *
+ * ViewerTemplates inserts this module and the modules it imports as one script `{{engine}}` into the templates,
+ * where it defines the global `ViewerEngine`.
+ * A template only reads or decrypts the story and starts it:
+ * `new ViewerEngine(story, document.getElementById("game"), OPTIONS).start();`
+ *
+ * @typedef {Object} PathEntry
+ * @property {string} key - Key of the scene.
+ * @property {Object<string, number|boolean|string>} variables - Variable values when the scene was entered.
+ * @property {Object<string, number>} inventory - Item id -> count when the scene was entered.
+ * @property {Array<string>} visited - Keys of the scenes visited until then.
+ *
+ * @typedef {Object} SaveGame
+ * @property {number} version - ViewerEngine.SAVE_VERSION.
+ * @property {string} story - Identity of the story the save was made for.
+ * @property {string} savedAt - ISO date.
+ * @property {Array<PathEntry>} path - The scenes shown until the save.
+ */
+export default class ViewerEngine {
+    static SAVE_VERSION = 1;
+
+    /**
+     * @param {import('../builder/core/StoryFormat.js').StoryDocument} story
+     * @param {HTMLElement} container - Element the scenes are shown in.
+     * @param {{saveGames?: boolean}} [options] - Export options, `saveGames: false` keeps no save games.
+     */
+    constructor(story, container, options = {})
+    {
+        this.story = story;
+        this.container = container;
+        this.options = options || {};
+        this.variables = Object.assign({}, story.variables);
+        // item id -> count, the items the player carries
+        this.inventory = {};
+        this.visited = new Set();
+        // scenes shown since the start, the current scene last
+        /** @type {Array<PathEntry>} */
+        this.path = [];
+        // localStorage key of the saves of this story, null if the browser does not allow storing data
+        this.saveKey = null;
+        // the panel of save games stays open while reading on
+        this.savesOpen = false;
+    }
+
+    /**
+     * Shows title and language of the story and offers to continue where the reader stopped last time,
+     * if that was after the first scene.
+     */
+    start()
+    {
+        this.#applyMeta();
+        this.saveKey = this.#openSaveStorage();
+        const save = this.saveKey ? this.#readSaves().current : null;
+        if (!this.#isValidSave(save) || save.path.length < 2) {
+            this.restart();
+            return;
+        }
+        this.container.innerHTML = '';
+        const info = document.createElement('p');
+        info.textContent = 'Du hast diese Geschichte schon begonnen (' + ViewerEngine.#describeSave(save) + ').';
+        this.container.appendChild(info);
+
+        const proceed = document.createElement('button');
+        proceed.textContent = 'Weiterlesen';
+        proceed.addEventListener('click', () => this.#loadSave(save));
+        const again = document.createElement('button');
+        again.textContent = 'Neu beginnen';
+        again.addEventListener('click', () => this.restart());
+        this.container.append(proceed, again);
+    }
+
+    /**
+     * Starts the story again at its start scene, with the initial variables and an empty inventory.
+     */
+    restart()
+    {
+        this.variables = Object.assign({}, this.story.variables);
+        this.inventory = {};
+        this.visited.clear();
+        this.path.length = 0;
+        this.#enterScene(this.story.start);
+    }
+
+    /**
+     * Goes back to an earlier scene of the path, with the variables, inventory and visited scenes at that time.
+     * @param {number} index - Index in the path.
+     */
+    goBack(index)
+    {
+        if (!this.#canGoBack() || index < 0 || index >= this.path.length - 1) return;
+        this.path.length = index + 1;
+        this.#restoreEntry(this.path[index]);
+    }
+
+    /**
+     * Remembers a scene after a choice in the path, with the state for going back to it.
+     * @param {string} key
+     */
+    #enterScene(key)
+    {
+        if (!this.story.scenes[key]) return;
+        this.visited.add(key);
+        this.path.push({ key, variables: Object.assign({}, this.variables), inventory: Object.assign({}, this.inventory), visited: Array.from(this.visited) });
+        this.#showScene(key);
+    }
+
+    #restoreEntry(entry)
+    {
+        this.variables = Object.assign({}, entry.variables);
+        // saves made before there was an inventory have none
+        this.inventory = Object.assign({}, entry.inventory);
+        this.visited.clear();
+        entry.visited.forEach(key => this.visited.add(key));
+        this.#showScene(entry.key);
+    }
+
+    // "hardcore" stories do not allow going back
+    #canGoBack()
+    {
+        return !this.story.settings || this.story.settings.backtracking !== false;
+    }
+
+    #showScene(key)
+    {
+        const scene = this.story.scenes[key];
+        if (!scene) return;
+
+        const container = this.container;
+        container.innerHTML = '';
+        this.#autoSave();
+        this.#renderNavigation();
+
+        const title = document.createElement('h2');
+        title.textContent = key;
+        container.appendChild(title);
+
+        const image = this.#findAsset(scene.image, 'image');
+        if (image) {
+            const img = document.createElement('img');
+            img.src = image.data;
+            img.alt = '';
+            container.appendChild(img);
+        }
+
+        const text = document.createElement('div');
+        text.className = 'text';
+        text.appendChild(MarkdownRenderer.render(TextTemplate.render(scene.text, this)));
+        container.appendChild(text);
+
+        const sound = this.#findAsset(scene.audio, 'audio');
+        if (sound) {
+            const audio = document.createElement('audio');
+            audio.src = sound.data;
+            audio.controls = true;
+            audio.loop = true;
+            audio.autoplay = true;
+            container.appendChild(audio);
+        }
+
+        for (const choice of scene.choices || []) {
+            const available = this.#isAvailable(choice);
+            if (!available && !choice.showDisabled) continue;
+
+            // the export does not validate the story, so a choice may lead to a scene which does not exist
+            const missing = !this.story.scenes[choice.next];
+            const button = document.createElement('button');
+            button.appendChild(MarkdownRenderer.renderInline(TextTemplate.render(choice.text, this), false));
+            button.disabled = !available || missing;
+            if (missing) button.title = "Szene '" + choice.next + "' nicht gefunden.";
+            button.addEventListener('click', () => {
+                if (!this.story.scenes[choice.next]) return;
+                Effects.apply(this.variables, choice.effects, this.inventory);
+                this.#enterScene(choice.next);
+            });
+            container.appendChild(button);
+            container.appendChild(document.createElement('br'));
+        }
+        this.#renderInventory();
+    }
+
+    // media of the scenes are stored in the story as data URLs
+    #findAsset(name, type)
+    {
+        const asset = name && this.story.assets ? this.story.assets[name] : null;
+        return asset && asset.type === type ? asset : null;
+    }
+
+    // items the player carries, with their name and description from the story
+    #renderInventory()
+    {
+        const ids = Object.keys(this.inventory).filter(id => this.inventory[id] > 0);
+        if (ids.length === 0) return;
+        const panel = document.createElement('section');
+        panel.className = 'inventory';
+        panel.setAttribute('aria-label', 'Inventar');
+        const title = document.createElement('strong');
+        title.textContent = 'Inventar';
+        const list = document.createElement('ul');
+        for (const id of ids) {
+            const item = this.story.items && this.story.items[id];
+            const count = this.inventory[id];
+            const entry = document.createElement('li');
+            entry.textContent = (item ? item.name : id) + (count > 1 ? ' (' + count + ')' : '');
+            if (item && item.description) {
+                const description = document.createElement('span');
+                description.className = 'description';
+                description.textContent = item.description;
+                entry.appendChild(description);
+            }
+            list.appendChild(entry);
+        }
+        panel.append(title, list);
+        this.container.appendChild(panel);
+    }
+
+    // path of scenes so far and buttons for going back and starting again
+    #renderNavigation()
+    {
+        const navigation = document.createElement('nav');
+        navigation.className = 'navigation';
+        const path = this.path;
+
+        if (!this.story.settings || this.story.settings.breadcrumb !== false) {
+            const breadcrumb = document.createElement('ol');
+            breadcrumb.className = 'breadcrumb';
+            path.forEach((entry, index) => {
+                const item = document.createElement('li');
+                if (this.#canGoBack() && index < path.length - 1) {
+                    const link = document.createElement('a');
+                    link.href = '#';
+                    link.textContent = entry.key;
+                    link.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        this.goBack(index);
+                    });
+                    item.appendChild(link);
+                } else {
+                    item.textContent = entry.key;
+                }
+                breadcrumb.appendChild(item);
+            });
+            navigation.appendChild(breadcrumb);
+        }
+
+        if (this.#canGoBack()) {
+            const back = document.createElement('button');
+            back.textContent = 'Zurück';
+            back.disabled = path.length < 2;
+            back.addEventListener('click', () => this.goBack(path.length - 2));
+            navigation.appendChild(back);
+        }
+        const again = document.createElement('button');
+        again.textContent = 'Neu starten';
+        again.addEventListener('click', () => {
+            if (path.length < 2 || confirm('Die Geschichte von vorn beginnen?')) this.restart();
+        });
+        navigation.appendChild(again);
+        this.container.appendChild(navigation);
+
+        if (this.saveKey) {
+            const panel = this.#createSavePanel();
+            const toggle = document.createElement('button');
+            toggle.textContent = 'Spielstände';
+            toggle.setAttribute('aria-expanded', String(this.savesOpen));
+            toggle.addEventListener('click', () => {
+                this.savesOpen = !this.savesOpen;
+                panel.hidden = !this.savesOpen;
+                toggle.setAttribute('aria-expanded', String(this.savesOpen));
+            });
+            navigation.appendChild(toggle);
+            this.container.appendChild(panel);
+        }
+    }
+
+    #isAvailable(choice)
+    {
+        if (!choice.condition) return true;
+        try {
+            // the engine is the context of the condition: variables, visited scenes and inventory
+            return Condition.test(choice.condition, this);
+        } catch (e) {
+            console.error(e);
+            return false;
+        }
+    }
+
+    // --- save games
+
+    // FNV-1a hash, short enough for a storage key
+    static #hashText(text)
+    {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16);
+    }
+
+    // stories are told apart by title and author, so saves survive a new export; untitled stories by their scenes
+    #storyIdentity()
+    {
+        const meta = this.story.meta || {};
+        return ViewerEngine.#hashText(meta.title ? meta.title + '\n' + (meta.author || '') : JSON.stringify(this.story.scenes));
+    }
+
+    #openSaveStorage()
+    {
+        if (this.options.saveGames === false) return null;
+        try {
+            const key = 'tadv.saves.' + this.#storyIdentity();
+            localStorage.setItem(key + '.test', '1');
+            localStorage.removeItem(key + '.test');
+            return key;
+        } catch (e) {
+            console.error('Save games are not available:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Slot names are entered by the reader, so the slots are kept in a Map: a name like "__proto__" must not touch an object's prototype.
+     * @returns {{current: SaveGame|null, slots: Map<string, SaveGame>}} The save of the last position and the named saves.
+     */
+    #readSaves()
+    {
+        try {
+            const saves = JSON.parse(localStorage.getItem(this.saveKey));
+            if (saves && typeof saves === 'object') {
+                const slots = saves.slots && typeof saves.slots === 'object' ? Object.entries(saves.slots) : [];
+                return { current: saves.current || null, slots: new Map(slots) };
+            }
+        } catch (e) {
+            console.error('Save games could not be read:', e);
+        }
+        return { current: null, slots: new Map() };
+    }
+
+    #writeSaves(saves)
+    {
+        try {
+            // Object.fromEntries defines own properties, so every name is stored, "__proto__" as well
+            localStorage.setItem(this.saveKey, JSON.stringify({ current: saves.current, slots: Object.fromEntries(saves.slots) }));
+            return true;
+        } catch (e) {
+            console.error('Save games could not be written:', e);
+            return false;
+        }
+    }
+
+    /**
+     * @returns {SaveGame}
+     */
+    #createSave()
+    {
+        return { version: ViewerEngine.SAVE_VERSION, story: this.#storyIdentity(), savedAt: new Date().toISOString(), path: this.path.slice() };
+    }
+
+    // a save fits if it was made for this story and all of its scenes still exist
+    #isValidSave(save)
+    {
+        return !!save && save.version === ViewerEngine.SAVE_VERSION && save.story === this.#storyIdentity()
+            && Array.isArray(save.path) && save.path.length > 0
+            && save.path.every(entry => entry && this.story.scenes[entry.key] && entry.variables && Array.isArray(entry.visited));
+    }
+
+    #loadSave(save)
+    {
+        this.path.length = 0;
+        save.path.forEach(entry => this.path.push(entry));
+        this.#restoreEntry(this.path[this.path.length - 1]);
+    }
+
+    // the position is saved after every scene, so the story can be continued after closing the tab
+    #autoSave()
+    {
+        if (!this.saveKey) return;
+        const saves = this.#readSaves();
+        saves.current = this.#createSave();
+        this.#writeSaves(saves);
+    }
+
+    static #describeSave(save)
+    {
+        return save.path[save.path.length - 1].key + ', ' + new Date(save.savedAt).toLocaleString();
+    }
+
+    // save strings move a save to another browser: base64 of the UTF-8 encoded JSON
+    static #encodeSave(save)
+    {
+        const bytes = new TextEncoder().encode(JSON.stringify(save));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    static #decodeSave(text)
+    {
+        try {
+            const bytes = Uint8Array.from(atob(text.trim()), c => c.charCodeAt(0));
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // named saves and save strings; "hardcore" stories only keep the automatic save, loading would be going back
+    #createSavePanel()
+    {
+        const panel = document.createElement('div');
+        panel.className = 'saves';
+        panel.hidden = !this.savesOpen;
+
+        if (!this.#canGoBack()) {
+            const note = document.createElement('p');
+            note.textContent = 'In dieser Geschichte wird nur die aktuelle Stelle automatisch gespeichert.';
+            panel.appendChild(note);
+            return panel;
+        }
+
+        const saves = this.#readSaves();
+        const list = document.createElement('ul');
+        for (const [name, save] of saves.slots) {
+            const valid = this.#isValidSave(save);
+            const item = document.createElement('li');
+            item.append(name + ' (' + (valid ? ViewerEngine.#describeSave(save) : 'passt nicht mehr zur Geschichte') + ') ');
+            const load = document.createElement('button');
+            load.textContent = 'Laden';
+            load.disabled = !valid;
+            load.addEventListener('click', () => this.#loadSave(save));
+            const remove = document.createElement('button');
+            remove.textContent = 'Löschen';
+            remove.addEventListener('click', () => {
+                if (!confirm('Spielstand "' + name + '" löschen?')) return;
+                const current = this.#readSaves();
+                current.slots.delete(name);
+                this.#writeSaves(current);
+                item.remove();
+            });
+            item.append(load, ' ', remove);
+            list.appendChild(item);
+        }
+        panel.appendChild(list);
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.placeholder = 'Name des Spielstands';
+        nameInput.setAttribute('aria-label', 'Name des Spielstands');
+        const save = document.createElement('button');
+        save.textContent = 'Speichern';
+        save.addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            if (!name) return;
+            const current = this.#readSaves();
+            if (current.slots.has(name) && !confirm('Spielstand "' + name + '" überschreiben?')) return;
+            current.slots.set(name, this.#createSave());
+            if (this.#writeSaves(current)) {
+                this.#showScene(this.path[this.path.length - 1].key);
+            } else {
+                alert('Der Spielstand konnte nicht gespeichert werden.');
+            }
+        });
+        panel.append(nameInput, save);
+
+        const transfer = document.createElement('textarea');
+        transfer.setAttribute('aria-label', 'Spielstand als Text');
+        transfer.placeholder = 'Spielstand als Text, zum Übertragen in einen anderen Browser';
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Als Text exportieren';
+        exportButton.addEventListener('click', () => {
+            transfer.value = ViewerEngine.#encodeSave(this.#createSave());
+            transfer.select();
+        });
+        const importButton = document.createElement('button');
+        importButton.textContent = 'Text importieren';
+        importButton.addEventListener('click', () => {
+            const imported = ViewerEngine.#decodeSave(transfer.value);
+            if (!this.#isValidSave(imported)) {
+                alert('Der Text ist kein Spielstand dieser Geschichte.');
+                return;
+            }
+            this.#loadSave(imported);
+        });
+        panel.append(transfer, exportButton, importButton);
+        return panel;
+    }
+
+    // shows title and language of the story
+    #applyMeta()
+    {
+        const meta = this.story.meta;
+        if (!meta) return;
+        if (meta.title) document.title = meta.title;
+        if (meta.language) document.documentElement.lang = meta.language;
+    }
+}
@@ -0,0 +1,163 @@
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+import AutoSave from "../src/builder/core/AutoSave.js";
+
+// Storage in memory, optionally full after a number of characters
+class MemoryStorage {
+    constructor(capacity = Infinity)
+    {
+        this.items = new Map();
+        this.capacity = capacity;
+    }
+    getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+    setItem(key, value)
+    {
+        const used = [...this.items].reduce((sum, [k, v]) => sum + (k === key ? 0 : v.length), 0);
+        if (used + value.length > this.capacity) throw new Error("QuotaExceededError");
+        this.items.set(key, String(value));
+    }
+    removeItem(key) { this.items.delete(key); }
+}
+
+describe("Test AutoSave", () => {
+    let story;
+    let storage;
+
+    beforeEach(() => {
+        story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang"));
+        storage = new MemoryStorage();
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(2024, 0, 1, 12, 0));
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    it("should save a draft on every change", () => {
+        const onSaved = jasmine.createSpy("onSaved");
+        const stop = AutoSave.watch(story, storage, onSaved);
+
+        story.addScene(new Scene("A", "Text A"));
+        story.setMeta({ title: "Titel" });
+
+        const draft = AutoSave.loadDraft(storage);
+        expect(draft.exported).toBe(false);
+        expect([...draft.story.scenes.keys()]).toEqual(["start", "A"]);
+        expect(draft.story.meta.title).toBe("Titel");
+        expect(onSaved).toHaveBeenCalledTimes(2);
+
+        stop();
+        story.addScene(new Scene("B", "Text B"));
+        expect(AutoSave.loadDraft(storage).story.scenes.has("B")).toBe(false);
+    });
+
+    it("should remember exported drafts until the next change", () => {
+        AutoSave.watch(story, storage);
+        story.addScene(new Scene("A", "Text A"));
+
+        expect(AutoSave.markExported(storage)).toBe(true);
+        expect(AutoSave.loadDraft(storage).exported).toBe(true);
+
+        story.addScene(new Scene("B", "Text B"));
+        expect(AutoSave.loadDraft(storage).exported).toBe(false);
+    });
+
+    it("should return null without a readable draft", () => {
+        expect(AutoSave.loadDraft(storage)).toBeNull();
+        expect(AutoSave.markExported(storage)).toBe(false);
+
+        storage.setItem(AutoSave.DRAFT_KEY, "{kaputt");
+        expect(AutoSave.loadDraft(storage)).toBeNull();
+
+        AutoSave.saveDraft(story, storage);
+        AutoSave.clearDraft(storage);
+        expect(AutoSave.loadDraft(storage)).toBeNull();
+    });
+
+    it("should take automatic snapshots at most every interval", () => {
+        AutoSave.watch(story, storage);
+
+        story.addScene(new Scene("A", "Text A"));
+        story.addScene(new Scene("B", "Text B"));
+        expect(AutoSave.listSnapshots(storage).length).toBe(1);
+
+        jasmine.clock().tick(AutoSave.SNAPSHOT_INTERVAL);
+        story.addScene(new Scene("C", "Text C"));
+
+        const snapshots = AutoSave.listSnapshots(storage);
+        expect(snapshots.length).toBe(2);
+        expect(snapshots[0].savedAt - snapshots[1].savedAt).toBe(AutoSave.SNAPSHOT_INTERVAL);
+        expect(snapshots[0].label).toBe("Automatisch");
+    });
+
+    it("should load and remove snapshots", () => {
+        const first = AutoSave.createSnapshot(story, "Erster", storage);
+        story.addScene(new Scene("A", "Text A"));
+        const second = AutoSave.createSnapshot(story, "Zweiter", storage);
+
+        expect(AutoSave.listSnapshots(storage).map(s => s.label)).toEqual(["Zweiter", "Erster"]);
+        expect([...AutoSave.loadSnapshot(first.id, storage).scenes.keys()]).toEqual(["start"]);
+        expect([...AutoSave.loadSnapshot(second.id, storage).scenes.keys()]).toEqual(["start", "A"]);
+
+        expect(AutoSave.removeSnapshot(first.id, storage)).toBe(true);
+        expect(AutoSave.removeSnapshot(first.id, storage)).toBe(false);
+        expect(AutoSave.loadSnapshot(first.id, storage)).toBeNull();
+    });
+
+    it("should keep at most MAX_SNAPSHOTS snapshots", () => {
+        for (let i = 0; i < AutoSave.MAX_SNAPSHOTS + 3; i++) {
+            AutoSave.createSnapshot(story, `Nr. ${i}`, storage);
+        }
+        const snapshots = AutoSave.listSnapshots(storage);
+        expect(snapshots.length).toBe(AutoSave.MAX_SNAPSHOTS);
+        expect(snapshots[0].label).toBe(`Nr. ${AutoSave.MAX_SNAPSHOTS + 2}`);
+    });
+
+    it("should drop the oldest snapshots if the storage is full", () => {
+        const size = JSON.stringify([{ id: 1, savedAt: Date.now(), label: "Nr. 0", document: story.toJSON() }]).length;
+        storage = new MemoryStorage(size * 1.5);
+
+        AutoSave.createSnapshot(story, "Nr. 0", storage);
+        AutoSave.createSnapshot(story, "Nr. 1", storage);
+        const third = AutoSave.createSnapshot(story, "Nr. 2", storage);
+
+        expect(third).not.toBeNull();
+        expect(AutoSave.listSnapshots(storage).map(s => s.label)).toEqual(["Nr. 2"]);
+    });
+
+    it("should store assets without their data and take it from the story in the builder", () => {
+        const image = { type: "image", data: "data:image/png;base64,iVBORw0KGgo=" };
+        story.setAsset("wald.png", image);
+        story.setSceneMedia("start", { image: "wald.png" });
+        AutoSave.saveDraft(story, storage);
+        const snapshot = AutoSave.createSnapshot(story, "Mit Bild", storage);
+
+        expect(storage.getItem(AutoSave.DRAFT_KEY)).not.toContain("base64");
+        expect(storage.getItem(AutoSave.SNAPSHOTS_KEY)).not.toContain("base64");
+        expect(AutoSave.loadDraft(storage, story.assets).story.assets.get("wald.png")).toEqual(image);
+        expect(AutoSave.loadSnapshot(snapshot.id, storage, story.assets).assets.get("wald.png")).toEqual(image);
+
+        const withoutAssets = AutoSave.loadDraft(storage).story;
+        expect(withoutAssets.assets.size).toBe(0);
+        expect(withoutAssets.getScene("start").image).toBe("wald.png");
+    });
+
+    it("should report drafts which cannot be stored to the watcher", () => {
+        storage = new MemoryStorage(10);
+        const onSaved = jasmine.createSpy("onSaved");
+        AutoSave.watch(story, storage, onSaved);
+
+        story.addScene(new Scene("A", "Text A"));
+
+        expect(onSaved).toHaveBeenCalledWith(false);
+    });
+
+    it("should report a draft which does not fit into the storage", () => {
+        storage = new MemoryStorage(10);
+
+        expect(AutoSave.saveDraft(story, storage)).toBe(false);
+        expect(AutoSave.createSnapshot(story, "Zu groß", storage)).toBeNull();
+    });
+});
@@ -0,0 +1,117 @@
+import Scene from "../src/builder/core/Scene.js";
+import Condition from "../src/builder/core/Condition.js";
+
+describe("Test Condition.test method", () => {
+    const context = { variables: { gold: 12, metGuard: false, name: "Erik" }, visited: new Set(["start", "trautesheim"]) };
+
+    it("should compare variables with literals", () => {
+        expect(Condition.test("gold >= 10", context)).toBe(true);
+        expect(Condition.test("gold < 10", context)).toBe(false);
+        expect(Condition.test("name == \"Erik\"", context)).toBe(true);
+        expect(Condition.test("name != 'Erik'", context)).toBe(false);
+    });
+
+    it("should combine expressions with &&, || and !", () => {
+        expect(Condition.test("gold >= 10 && !metGuard", context)).toBe(true);
+        expect(Condition.test("metGuard || gold > 100", context)).toBe(false);
+        expect(Condition.test("!(metGuard || gold > 100)", context)).toBe(true);
+    });
+
+    it("should check visited scenes", () => {
+        expect(Condition.test("visited(trautesheim)", context)).toBe(true);
+        expect(Condition.test("visited(\"autofahrt\")", context)).toBe(false);
+        expect(Condition.test("visited(küchenrenovierung) || visited(start)", context)).toBe(true);
+    });
+
+    it("should treat unknown variables as false", () => {
+        expect(Condition.test("hasKey", context)).toBe(false);
+        expect(Condition.test("!hasKey", context)).toBe(true);
+    });
+
+    it("should not read inherited properties as variables", () => {
+        expect(Condition.test("constructor", context)).toBe(false);
+        expect(Condition.test("!toString", context)).toBe(true);
+    });
+
+    it("should check the items of the inventory", () => {
+        const withItems = { ...context, inventory: { lampe: 1, pfeil: 0 } };
+        expect(Condition.test("has(lampe) && gold > 10", withItems)).toBe(true);
+        expect(Condition.test("has(pfeil)", withItems)).toBe(false);
+        expect(Condition.test("has(toString)", withItems)).toBe(false);
+        expect(Condition.test("has(schlüssel)", { ...context, inventory: { "schlüssel": 1 } })).toBe(true);
+        expect(Condition.test("has(lampe)", context)).toBe(false);
+    });
+});
+
+describe("Test Condition.parse method", () => {
+    it("should reject malformed expressions", () => {
+        expect(() => Condition.parse("gold >=")).toThrowError(/Ende/);
+        expect(() => Condition.parse("(gold > 1")).toThrowError(/"\)" erwartet/);
+        expect(() => Condition.parse("gold > 1 1")).toThrowError(/Unerwartetes "1"/);
+        expect(() => Condition.parse("alert(1)")).toThrowError(/Unbekannte Funktion/);
+        expect(() => Condition.parse("gold; drop")).toThrowError(/Unerwartetes Zeichen/);
+        expect(() => Condition.parse("")).toThrowError(/leer/);
+    });
+
+    it("should return null from validate for valid expressions", () => {
+        expect(Condition.validate("visited(start) && gold == 3")).toBeNull();
+        expect(Condition.validate("gold ==")).toEqual(jasmine.any(String));
+    });
+});
+
+describe("Test choice conditions of scenes", () => {
+    it("should serialize conditions in toJSON and read them in fromJson", () => {
+        const scene = new Scene("tor", "Ein Wächter steht vor dem Tor.");
+        scene.addChoice("Bestechen", "stadt");
+        scene.setChoiceCondition("stadt", "gold >= 10", true);
+        scene.addChoice("Umkehren", "start");
+
+        const json = scene.toJSON();
+        expect(json.choices[0]).toEqual({ text: "Bestechen", next: "stadt", condition: "gold >= 10", showDisabled: true });
+        expect(json.choices[1].condition).toBeUndefined();
+
+        const copy = Scene.fromJson("tor", json);
+        expect(copy.getChoiceCondition("stadt")).toEqual({ expression: "gold >= 10", showDisabled: true });
+        expect(copy.getChoiceCondition("start")).toBeNull();
+    });
+
+    it("should reject malformed conditions in fromJson with scene and choice", () => {
+        const json = { text: "Text", choices: [{ text: "Weiter", next: "B", condition: "gold >=" }] };
+        expect(() => Scene.fromJson("A", json)).toThrowError(/Szene "A", Entscheidung "B": ungültige Bedingung/);
+    });
+
+    it("should remove the condition together with its choice", () => {
+        const scene = new Scene("A", "Text");
+        scene.addChoice("to B", "B");
+        scene.setChoiceCondition("B", "visited(A)");
+        scene.removeChoice("B");
+
+        expect(scene.conditions.size).toBe(0);
+    });
+});
+
+describe("Test Condition.renameScene method", () => {
+    it("should rewrite the key in visited calls and keep the rest", () => {
+        expect(Condition.renameScene("visited(keller)  &&  gold > 2 || visited('keller')", "keller", "gewölbe"))
+            .toBe("visited(gewölbe)  &&  gold > 2 || visited(gewölbe)");
+    });
+
+    it("should not rewrite variables or other keys", () => {
+        expect(Condition.renameScene("keller == 1 && visited(kellertreppe)", "keller", "gewölbe"))
+            .toBe("keller == 1 && visited(kellertreppe)");
+    });
+
+    it("should quote keys which are no valid names", () => {
+        expect(Condition.renameScene("visited(A)", "A", "Szene 2")).toBe("visited(\"Szene 2\")");
+        expect(Condition.test(Condition.renameScene("visited(A)", "A", "Szene 2"), { visited: new Set(["Szene 2"]) })).toBe(true);
+    });
+
+    it("should not rewrite items with the same name", () => {
+        expect(Condition.renameScene("has(keller) || visited(keller)", "keller", "gewölbe"))
+            .toBe("has(keller) || visited(gewölbe)");
+    });
+
+    it("should keep malformed expressions unchanged", () => {
+        expect(Condition.renameScene("visited(A", "A", "B")).toBe("visited(A");
+    });
+});
@@ -0,0 +1,166 @@
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+import Effects from "../src/builder/core/Effects.js";
+
+describe("Test Effects.parse method", () => {
+    it("should parse set, increment and toggle effects", () => {
+        const effects = Effects.parse("hasKey = true; gold += 10; gold -= 2; toggle lampOn; name = \"Erik\"");
+
+        expect(effects).toEqual([
+            { type: Effects.TYPES.SET, variable: "hasKey", value: true },
+            { type: Effects.TYPES.INCREMENT, variable: "gold", value: 10 },
+            { type: Effects.TYPES.INCREMENT, variable: "gold", value: -2 },
+            { type: Effects.TYPES.TOGGLE, variable: "lampOn" },
+            { type: Effects.TYPES.SET, variable: "name", value: "Erik" }
+        ]);
+    });
+
+    it("should return an empty list for empty text", () => {
+        expect(Effects.parse("  ")).toEqual([]);
+    });
+
+    it("should throw for invalid effects", () => {
+        expect(() => Effects.parse("gold ++")).toThrowError(/gültiger Effekt/);
+        expect(() => Effects.parse("gold += viel")).toThrowError(/Zahl/);
+        expect(() => Effects.parse("1gold = 3")).toThrowError(/Variablenname/);
+    });
+
+    it("should stringify effects so they can be parsed again", () => {
+        const text = "hasKey = true; gold += 10; gold -= 2; toggle lampOn; name = \"Erik\"";
+        expect(Effects.stringify(Effects.parse(text))).toBe(text);
+    });
+
+    it("should parse give and take effects with an optional amount", () => {
+        expect(Effects.parse("give lampe; take pfeil 3")).toEqual([
+            { type: Effects.TYPES.GIVE, item: "lampe" },
+            { type: Effects.TYPES.TAKE, item: "pfeil", amount: 3 }
+        ]);
+        expect(Effects.stringify(Effects.parse("give lampe; take pfeil 3; give pfeil 1"))).toBe("give lampe; take pfeil 3; give pfeil");
+    });
+
+    it("should keep variables named give or take", () => {
+        expect(Effects.parse("give = 2; take += 1")).toEqual([
+            { type: Effects.TYPES.SET, variable: "give", value: 2 },
+            { type: Effects.TYPES.INCREMENT, variable: "take", value: 1 }
+        ]);
+    });
+
+    it("should accept the names conditions accept", () => {
+        expect(Effects.parse("größe += 2; give schlüssel")).toEqual([
+            { type: Effects.TYPES.INCREMENT, variable: "größe", value: 2 },
+            { type: Effects.TYPES.GIVE, item: "schlüssel" }
+        ]);
+        expect(Effects.isValidVariableName("2schlüssel")).toBe(false);
+    });
+
+    it("should throw for invalid items and amounts", () => {
+        expect(() => Effects.parse("give alte-lampe")).toThrowError(/gültiger Gegenstand/);
+        expect(() => Effects.parse("take pfeil 0")).toThrowError(/Anzahl/);
+        expect(() => Effects.parse("take pfeil viele")).toThrowError(/Anzahl/);
+        expect(Effects.isValid({ type: Effects.TYPES.GIVE, item: "pfeil", amount: 1.5 })).toBe(false);
+    });
+});
+
+describe("Test Effects.apply method", () => {
+    it("should apply effects in order", () => {
+        const state = { gold: 5, hasKey: false };
+        Effects.apply(state, Effects.parse("gold += 10; toggle hasKey; mood = \"froh\""));
+
+        expect(state).toEqual({ gold: 15, hasKey: true, mood: "froh" });
+    });
+
+    it("should treat missing variables as 0 or false", () => {
+        const state = {};
+        Effects.apply(state, Effects.parse("gold += 3; toggle lampOn"));
+
+        expect(state).toEqual({ gold: 3, lampOn: true });
+    });
+
+    it("should give and take items", () => {
+        const state = { gold: 1 };
+        const inventory = { pfeil: 2 };
+        Effects.apply(state, Effects.parse("give lampe; give pfeil 3; take pfeil; gold += 1"), inventory);
+
+        expect(inventory).toEqual({ lampe: 1, pfeil: 4 });
+        expect(state).toEqual({ gold: 2 });
+    });
+
+    it("should remove items which are taken completely", () => {
+        const inventory = { pfeil: 2, lampe: 1 };
+        Effects.apply({}, Effects.parse("take pfeil 5; take lampe; take seil"), inventory);
+
+        expect(inventory).toEqual({});
+    });
+
+    it("should skip item effects without inventory", () => {
+        const state = {};
+        Effects.apply(state, Effects.parse("give lampe; gold += 1"));
+
+        expect(state).toEqual({ gold: 1 });
+    });
+});
+
+describe("Test choice effects of scenes", () => {
+    it("should serialize effects in toJSON and read them in fromJson", () => {
+        const scene = new Scene("start", "Vor dem Haus");
+        scene.addChoice("Schlüssel nehmen", "flur", Effects.parse("hasKey = true"));
+        scene.addChoice("Gehen", "straße");
+
+        const json = scene.toJSON();
+        expect(json.choices[0].effects).toEqual([{ type: "set", variable: "hasKey", value: true }]);
+        expect(json.choices[1].effects).toBeUndefined();
+
+        const copy = Scene.fromJson("start", json);
+        expect(copy.getChoiceEffects("flur")).toEqual(scene.getChoiceEffects("flur"));
+        expect(copy.getChoiceEffects("straße")).toEqual([]);
+    });
+
+    it("should reject malformed effects in fromJson", () => {
+        const json = { text: "Text", choices: [{ text: "Weiter", next: "B", effects: [{ type: "explode", variable: "x" }] }] };
+        expect(() => Scene.fromJson("A", json)).toThrowError(/Szene "A", Entscheidung "B"/);
+    });
+
+    it("should drop effects of removed choices when editing", () => {
+        const scene = new Scene("A", "Text");
+        scene.addChoice("to B", "B", Effects.parse("gold += 1"));
+        scene.updateContent(null, new Map([["C", "to C"]]));
+
+        expect(scene.effects.size).toBe(0);
+    });
+});
+
+describe("Test story variables", () => {
+    let story;
+
+    beforeEach(() => {
+        story = new Story(Scene);
+    });
+
+    it("should declare variables with initial values", () => {
+        expect(story.setVariable("gold", 10)).toBe(true);
+        expect(story.setVariable("hasKey", false)).toBe(true);
+        expect(story.getInitialState()).toEqual({ gold: 10, hasKey: false });
+    });
+
+    it("should reject invalid names and values", () => {
+        expect(story.setVariable("has key", true)).toBe(false);
+        expect(story.setVariable("gold", null)).toBe(false);
+        expect(story.variables.size).toBe(0);
+    });
+
+    it("should store variables in the story JSON", () => {
+        story.addScene(new Scene("start", "Anfang"));
+        story.setVariable("gold", 10);
+
+        const json = story.toJSON();
+        expect(json.variables).toEqual({ gold: 10 });
+
+        const copy = Story.fromJson(json);
+        expect(copy.variables.get("gold")).toBe(10);
+        expect(copy.scenes.size).toBe(1);
+    });
+
+    it("should not accept reserved scene keys", () => {
+        expect(story.addScene(new Scene("$variables", "Text"))).toBe(false);
+    });
+});
@@ -0,0 +1,66 @@
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+import GraphExport from "../src/builder/core/GraphExport.js";
+
+describe("Test GraphExport", () => {
+    let story;
+
+    const add = (key, text, choices = []) => {
+        story.addScene(new Scene(key, text, null, new Map(choices.map(([choiceText, next]) => [next, choiceText]))), false);
+    };
+
+    beforeEach(() => {
+        story = new Story(Scene);
+        add("start", "Anfang", [["Zum Flur", "flur"]]);
+        add("flur", "Flur", [["Zurück", "start"], ["Keller \"unten\"", "keller"], ["Tür", "fehlt"]]);
+        add("keller", "Ende");
+        story.getScene("flur").setChoiceCondition("keller", "hasKey");
+        story.setMeta({ title: "Haus" });
+    });
+
+    it("should mark start, endings, missing scenes and cycles", () => {
+        const { nodes, edges } = GraphExport.analyze(story);
+
+        expect(nodes).toEqual([
+            { key: "start", isStart: true, isEnding: false, isMissing: false, inCycle: true },
+            { key: "flur", isStart: false, isEnding: false, isMissing: false, inCycle: true },
+            { key: "keller", isStart: false, isEnding: true, isMissing: false, inCycle: false },
+            { key: "fehlt", isStart: false, isEnding: false, isMissing: true, inCycle: false }
+        ]);
+        expect(edges.map(e => [e.from, e.to, e.inCycle])).toEqual([
+            ["start", "flur", true], ["flur", "start", true], ["flur", "keller", false], ["flur", "fehlt", false]
+        ]);
+        expect(edges[2].label).toBe("Keller \"unten\"\n[hasKey]");
+    });
+
+    it("should write DOT with labelled and styled edges", () => {
+        const dot = GraphExport.toDot(story);
+
+        expect(dot).toMatch(/^digraph "Haus" \{/);
+        expect(dot).toContain(`"start" [label="start", fillcolor="${GraphExport.COLORS.START}", color="${GraphExport.COLORS.CYCLE}", penwidth=2, style="rounded,filled,bold"];`);
+        expect(dot).toContain(`"keller" [label="keller", fillcolor="${GraphExport.COLORS.ENDING}", peripheries=2, style="rounded,filled"];`);
+        expect(dot).toContain(`"fehlt" [label="fehlt (fehlt)", color="${GraphExport.COLORS.MISSING}", fontcolor="${GraphExport.COLORS.MISSING}", style="rounded,dashed"];`);
+        expect(dot).toContain('"flur" -> "keller" [label="Keller \\"unten\\"\\n[hasKey]"];');
+        expect(dot).toContain(`"flur" -> "start" [label="Zurück", color="${GraphExport.COLORS.CYCLE}", penwidth=2];`);
+    });
+
+    it("should write a Mermaid flowchart with classes for the node kinds", () => {
+        const mermaid = GraphExport.toMermaid(story).split("\n");
+
+        expect(mermaid[0]).toBe("flowchart TD");
+        expect(mermaid).toContain('    n0(["start"])');
+        expect(mermaid).toContain('    n2[["keller"]]');
+        expect(mermaid).toContain('    n3["fehlt (fehlt)"]');
+        expect(mermaid).toContain('    n1 -->|"Keller #quot;unten#quot;<br>[hasKey]"| n2');
+        expect(mermaid).toContain("    class n0 start");
+        expect(mermaid).toContain("    class n0,n1 cycle");
+        expect(mermaid).toContain(`    linkStyle 0,1 stroke:${GraphExport.COLORS.CYCLE},stroke-width:2px`);
+    });
+
+    it("should export an empty story", () => {
+        story = new Story(Scene);
+
+        expect(GraphExport.toDot(story)).toContain('digraph "story" {');
+        expect(GraphExport.toMermaid(story)).not.toContain("class ");
+    });
+});
@@ -0,0 +1,77 @@
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+import GraphLayout from "../src/builder/core/GraphLayout.js";
+
+describe("Test GraphLayout", () => {
+    let story;
+
+    const add = (key, text, choices = []) => {
+        story.addScene(new Scene(key, text, null, new Map(choices.map(([choiceText, next]) => [next, choiceText]))), false);
+    };
+    const rowOf = (layout, layer) => [...layout.nodes.values()].filter(n => n.layer === layer).sort((a, b) => a.x - b.x).map(n => n.key);
+
+    beforeEach(() => {
+        story = new Story(Scene);
+    });
+
+    it("should return an empty layout for an empty story", () => {
+        const layout = GraphLayout.layout(story);
+
+        expect(layout.nodes.size).toBe(0);
+        expect(layout.edges).toEqual([]);
+        expect(layout.width).toBe(0);
+        expect(layout.height).toBe(0);
+    });
+
+    it("should place scenes in rows by their distance from the start scene", () => {
+        add("start", "Anfang", [["Links", "A"], ["Rechts", "B"]]);
+        add("A", "A", [["Weiter", "C"]]);
+        add("B", "B", [["Weiter", "C"], ["Fehlt", "X"]]);
+        add("C", "Ende");
+        add("einsam", "Nicht erreichbar");
+
+        const layout = GraphLayout.layout(story);
+
+        expect(rowOf(layout, 0)).toEqual(["start", "einsam"]);
+        expect(rowOf(layout, 1)).toEqual(["A", "B"]);
+        expect(rowOf(layout, 2)).toEqual(["C", "X"]);
+        expect(layout.nodes.get("X").isMissing).toBe(true);
+        expect(layout.nodes.get("A").y).toBe(GraphLayout.NODE_HEIGHT + GraphLayout.VERTICAL_GAP);
+        expect(layout.height).toBe(3 * GraphLayout.NODE_HEIGHT + 2 * GraphLayout.VERTICAL_GAP);
+    });
+
+    it("should order a row by the positions of the scenes leading to it", () => {
+        add("start", "Anfang", [["Links", "L"], ["Rechts", "R"]]);
+        add("R", "R", [["Weiter", "R1"]]);
+        add("L", "L", [["Weiter", "L1"]]);
+        // L1 is added before R1, but R1 follows R, which is left of L
+        add("L1", "L1");
+        add("R1", "R1");
+
+        const layout = GraphLayout.layout(story);
+
+        expect(rowOf(layout, 1)).toEqual(["R", "L"]);
+        expect(rowOf(layout, 2)).toEqual(["R1", "L1"]);
+        expect(layout.nodes.get("R1").x).toBe(layout.nodes.get("R").x);
+    });
+
+    it("should route arrows down straight and arrows back up at the side", () => {
+        add("start", "Anfang", [["Weiter", "A"]]);
+        add("A", "A", [["Zurück", "start"], ["Warten", "A"]]);
+
+        const layout = GraphLayout.layout(story);
+        const [down, up, loop] = layout.edges;
+        const start = layout.nodes.get("start");
+        const a = layout.nodes.get("A");
+
+        expect(down.isBackEdge).toBe(false);
+        expect(down.points[0]).toEqual({ x: start.x + start.width / 2, y: start.y + start.height });
+        expect(down.points[3]).toEqual({ x: a.x + a.width / 2, y: a.y });
+        expect(up.isBackEdge).toBe(true);
+        expect(up.inCycle).toBe(true);
+        expect(up.points[3]).toEqual({ x: start.x + start.width, y: start.y + start.height / 2 });
+        expect(loop.from).toBe("A");
+        expect(loop.to).toBe("A");
+        expect(loop.labelAt.x).toBeGreaterThan(a.x + a.width);
+    });
+});
@@ -0,0 +1,91 @@
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+import History from "../src/builder/core/History.js";
+
+describe("Test History", () => {
+    let story;
+    let history;
+
+    beforeEach(() => {
+        story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang"));
+        history = new History(story);
+    });
+
+    it("should undo and redo adding a scene", () => {
+        history.execute("Szene anlegen", s => s.addScene(new Scene("A", "Text A", null, new Map([["B", "to B"]]))));
+        expect(story.scenes.has("A")).toBe(true);
+
+        expect(history.undo()).toBe("Szene anlegen");
+        expect(story.scenes.has("A")).toBe(false);
+        expect(story.getScene("start").choices.size).toBe(0);
+        expect(story.getReferrers("A")).toEqual([]);
+
+        expect(history.redo()).toBe("Szene anlegen");
+        expect(story.getScene("start").choices.has("A")).toBe(true);
+        expect(story.getScene("A").parent).toBe(story.getScene("start"));
+    });
+
+    it("should restore removed descendants, referrers and parents on undo", () => {
+        story.addScene(new Scene("A", "Text A"));
+        story.addScene(new Scene("B", "Text B"), false);
+        story.addChoice("A", "to B", "B");
+        story.addScene(new Scene("C", "Text C"), false);
+        story.addChoice("B", "to C", "C");
+
+        history.execute("Szene löschen", s => s.removeScene("A"));
+        expect(story.scenes.size).toBe(1);
+
+        history.undo();
+        expect([...story.scenes.keys()]).toEqual(["start", "A", "B", "C"]);
+        expect(story.getScene("B").parent).toBe(story.getScene("A"));
+        expect(story.getScene("C").parent).toBe(story.getScene("B"));
+        expect(story.getReferrers("A")).toEqual(["start"]);
+        expect(story.root).toBe(story.getScene("start"));
+    });
+
+    it("should restore variables on undo", () => {
+        history.execute("Variable speichern", s => s.setVariable("gold", 10));
+        history.execute("Variable speichern", s => s.setVariable("gold", 20));
+
+        history.undo();
+        expect(story.variables.get("gold")).toBe(10);
+        history.undo();
+        expect(story.variables.has("gold")).toBe(false);
+    });
+
+    it("should not record operations which changed nothing", () => {
+        history.execute("Szene anlegen", s => s.addScene(new Scene("start", "Doppelt")));
+
+        expect(history.canUndo()).toBe(false);
+        expect(history.undo()).toBeNull();
+    });
+
+    it("should clear the redo stack when a new operation is executed", () => {
+        history.execute("Szene anlegen", s => s.addScene(new Scene("A", "Text A")));
+        history.undo();
+        expect(history.canRedo()).toBe(true);
+
+        history.execute("Szene anlegen", s => s.addScene(new Scene("B", "Text B")));
+        expect(history.canRedo()).toBe(false);
+        expect(history.redo()).toBeNull();
+    });
+
+    it("should forget the oldest operations beyond the limit", () => {
+        history = new History(story, 2);
+        for (const key of ["A", "B", "C"]) {
+            history.execute("Szene anlegen", s => s.addScene(new Scene(key, key)));
+        }
+
+        expect(history.undoStack.length).toBe(2);
+        history.undo();
+        history.undo();
+        expect(history.undo()).toBeNull();
+        expect([...story.scenes.keys()]).toEqual(["start", "A"]);
+    });
+
+    it("should return the same history for the same story", () => {
+        expect(History.of(story)).toBe(History.of(story));
+        expect(History.of(story)).not.toBe(History.of(new Story(Scene)));
+    });
+});
@@ -0,0 +1,81 @@
+import Markdown from "../src/builder/core/Markdown.js";
+import MarkdownRenderer from "../src/builder/MarkdownRenderer.js";
+
+const text = (value) => ({ type: "text", text: value });
+
+describe("Markdown", () => {
+    it("splits paragraphs at empty lines and keeps single line breaks", () => {
+        expect(Markdown.parse("Erste Zeile\nzweite Zeile\n\n\nNeuer Absatz")).toEqual([
+            { type: "paragraph", children: [text("Erste Zeile"), { type: "break" }, text("zweite Zeile")] },
+            { type: "paragraph", children: [text("Neuer Absatz")] }
+        ]);
+        expect(Markdown.parse("")).toEqual([]);
+    });
+
+    it("parses emphasis, strong text and code", () => {
+        expect(Markdown.parseInline("Ein *leiser* und **lauter** Ruf mit `code`")).toEqual([
+            text("Ein "),
+            { type: "em", children: [text("leiser")] },
+            text(" und "),
+            { type: "strong", children: [text("lauter")] },
+            text(" Ruf mit "),
+            { type: "code", text: "code" }
+        ]);
+        expect(Markdown.parseInline("__sehr *laut*__")).toEqual([
+            { type: "strong", children: [text("sehr "), { type: "em", children: [text("laut")] }] }
+        ]);
+    });
+
+    it("keeps underscores within words and escaped characters as text", () => {
+        expect(Markdown.parseInline("hat_schluessel_gefunden")).toEqual([text("hat_schluessel_gefunden")]);
+        expect(Markdown.parseInline("2 * 3 = 6 und \\*kein\\* Stern")).toEqual([text("2 * 3 = 6 und *kein* Stern")]);
+    });
+
+    it("parses lists with continued items", () => {
+        expect(Markdown.parse("Im Rucksack:\n- Seil\n* Lampe\n  mit Öl\n3. erster\n4. zweiter")).toEqual([
+            { type: "paragraph", children: [text("Im Rucksack:")] },
+            { type: "list", ordered: false, start: 1, items: [[text("Seil")], [text("Lampe"), { type: "break" }, text("mit Öl")]] },
+            { type: "list", ordered: true, start: 3, items: [[text("erster")], [text("zweiter")]] }
+        ]);
+    });
+
+    it("keeps only links with safe urls", () => {
+        expect(Markdown.parseInline("[Karte](https://example.org/karte) [rel](karte.html#nord)")).toEqual([
+            { type: "link", href: "https://example.org/karte", children: [text("Karte")] },
+            text(" "),
+            { type: "link", href: "karte.html#nord", children: [text("rel")] }
+        ]);
+        expect(Markdown.parseInline("[Klick](javascript:alert(1))")).toEqual([text("[Klick](javascript:alert(1))")]);
+        expect(Markdown.parseInline("[Klick](JavaScript:alert)")).toEqual([text("Klick")]);
+        expect(Markdown.isSafeUrl("mailto:autor@example.org")).toBe(true);
+        expect(Markdown.isSafeUrl("data:text/html,<script>")).toBe(false);
+        expect(Markdown.isSafeUrl("java\u0000script:alert")).toBe(false);
+    });
+});
+
+describe("MarkdownRenderer", () => {
+    const html = (fragment) => {
+        const container = document.createElement("div");
+        container.appendChild(fragment);
+        return container.innerHTML;
+    };
+
+    it("renders paragraphs, lists and links", () => {
+        expect(html(MarkdownRenderer.render("Ein *Text*\nmit Umbruch\n\n- a\n- [b](https://example.org)")))
+            .toBe('<p>Ein <em>Text</em><br>mit Umbruch</p>'
+                + '<ul><li>a</li><li><a href="https://example.org" target="_blank" rel="noopener noreferrer">b</a></li></ul>');
+    });
+
+    it("inserts HTML of the text as text", () => {
+        const container = document.createElement("div");
+        container.appendChild(MarkdownRenderer.render('<img src=x onerror="alert(1)"> **<b>fett</b>**'));
+
+        expect(container.querySelector("img, b")).toBeNull();
+        expect(container.querySelector("strong").textContent).toBe("<b>fett</b>");
+    });
+
+    it("renders links in choices as text", () => {
+        expect(html(MarkdownRenderer.renderInline("Zur [Karte](https://example.org) *gehen*", false)))
+            .toBe("Zur Karte <em>gehen</em>");
+    });
+});
@@ -0,0 +1,86 @@
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+import ProjectLibrary from "../src/builder/core/ProjectLibrary.js";
+
+describe("Test ProjectLibrary", () => {
+    const DB_NAME = "tadv-library-test";
+    let library;
+    let story;
+
+    beforeEach(async () => {
+        library = await ProjectLibrary.open(DB_NAME);
+        story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang"));
+        story.setMeta({ title: "Die Scherbe" });
+    });
+
+    afterEach(async () => {
+        library.close();
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(DB_NAME);
+            request.onsuccess = resolve;
+            request.onerror = () => reject(request.error);
+        });
+    });
+
+    it("should create, list and load projects", async () => {
+        const id = await library.create(story);
+
+        const projects = await library.list();
+        expect(projects.length).toBe(1);
+        expect(projects[0]).toEqual({ id, title: "Die Scherbe", sceneCount: 1, modifiedAt: jasmine.any(Number) });
+
+        const loaded = await library.load(id);
+        expect([...loaded.scenes.keys()]).toEqual(["start"]);
+        expect(loaded.meta.title).toBe("Die Scherbe");
+    });
+
+    it("should use a default title for stories without title", async () => {
+        story.setMeta({ title: "" });
+        await library.create(story);
+
+        expect((await library.list())[0].title).toBe(ProjectLibrary.DEFAULT_TITLE);
+    });
+
+    it("should save changes and list the last changed project first", async () => {
+        const first = await library.create(story);
+        const second = await library.create(new Story(Scene));
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        story.addScene(new Scene("A", "Text A"));
+        expect(await library.save(first, story)).toBe(true);
+
+        const projects = await library.list();
+        expect(projects.map(p => p.id)).toEqual([first, second]);
+        expect(projects[0].sceneCount).toBe(2);
+        expect((await library.load(first)).scenes.has("A")).toBe(true);
+    });
+
+    it("should duplicate and rename projects", async () => {
+        const id = await library.create(story);
+
+        const copy = await library.duplicate(id);
+        expect(copy).not.toBe(id);
+        expect(await library.rename(id, " Das Original ")).toBe(true);
+
+        const titles = (await library.list()).map(p => p.title).sort();
+        expect(titles).toEqual(["Das Original", "Die Scherbe (Kopie)"]);
+        expect((await library.load(id)).meta.title).toBe("Das Original");
+        expect((await library.load(copy)).scenes.has("start")).toBe(true);
+    });
+
+    it("should remove projects", async () => {
+        const id = await library.create(story);
+
+        expect(await library.remove(id)).toBe(true);
+        expect(await library.list()).toEqual([]);
+        expect(await library.remove(id)).toBe(false);
+    });
+
+    it("should report missing projects", async () => {
+        expect(await library.load(42)).toBeNull();
+        expect(await library.save(42, story)).toBe(false);
+        expect(await library.duplicate(42)).toBeNull();
+        expect(await library.rename(42, "Titel")).toBe(false);
+    });
+});
@@ -1,6 +1,7 @@
 import Scene from "../src/builder/core/Scene.js";
 import Story from "../src/builder/core/Story.js";
 import SaveLoad from "../src/builder/SaveLoad.js";
+import ViewerTemplates from "../src/builder/ViewerTemplates.js";
 
 
 const ERIK_STORY_DATA = [
@@ -39,6 +40,24 @@ describe("Test import", () => {
                 "Die Lichter blitzen und es gibt so viel zu entdecken. " +
                 "Freude und Aufregung erfüllen ihn, als er in seine neue Freiheit eintaucht.");
     })
+
+    it("load a story with converging paths without adding choices", async () => {
+        let story = await SaveLoad.loadFromJson("../examples/(NotC)DieScherbe.json");
+
+        expect(story.scenes.size).toBe(11);
+        // the file has no $start and "start" comes after the numeric keys
+        expect(story.root.key).toBe("start");
+        expect(Array.from(story.getScene("2").choices.keys())).toEqual(["5", "6", "7"]);
+        expect(story.getReferrers("6")).toEqual(["2", "3", "4", "5", "7"]);
+        expect(Story.hasCircle(story)).toBe(false);
+    })
+
+    it("load a story with loops", async () => {
+        let story = await SaveLoad.loadFromJson("../examples/(Cir)DieTore.json");
+
+        expect(story.getReferrers("start")).toEqual(["2", "3"]);
+        expect(Story.hasCircle(story)).toBe(true);
+    })
 })
 
 describe("Test export", () => {
@@ -86,4 +105,78 @@ describe("Test export", () => {
         });
         let saved = await SaveLoad.saveToEncryptedHtml(story, "encrypted-story.html", "9oj7k&7C@b@W");
     })
-})
\ No newline at end of file
+})
+
+describe("Test export with viewer templates", () => {
+    const SOURCE = '<html lang="{{language}}"><title>{{title}}</title><style>{{theme}}</style>'
+        + '<script>const story = {{storyData}}; const OPTIONS = {{options}}; const START = {{startScene}};</script></html>';
+
+    let story;
+    beforeEach(() => {
+        ViewerTemplates.register("test", { protection: "none", source: SOURCE });
+        spyOn(URL, "createObjectURL").and.returnValue("blob:test");
+        spyOn(window.HTMLAnchorElement.prototype, "click");
+
+        story = new Story(Scene);
+        story.addScene(new Scene("start", "Ein Text mit </script> darin", null));
+        story.setMeta({ title: "Tom & Jerry", language: "en" });
+    });
+
+    afterEach(() => {
+        ViewerTemplates.unregister("test");
+    });
+
+    const exportedHtml = () => URL.createObjectURL.calls.mostRecent().args[0].text();
+
+    it("fills the template with the story and the export options", async () => {
+        const saved = await SaveLoad.saveToHtml(story, "story.html", { template: "test", theme: "body { color: red; }", saveGames: false });
+        expect(saved).toBe(true);
+
+        const html = await exportedHtml();
+        expect(html).toContain('<html lang="en"><title>Tom &amp; Jerry</title>');
+        expect(html).toContain("<style>body { color: red; }</style>");
+        expect(html).toContain('const OPTIONS = {"saveGames":false}; const START = "start";');
+        expect(html).not.toContain("{{");
+    });
+
+    it("keeps the story text from ending the script", async () => {
+        await SaveLoad.saveToHtml(story, "story.html", { template: "test" });
+
+        const html = await exportedHtml();
+        expect(html.split("</script>").length).toBe(2);
+        const storyData = html.match(/const story = (.*); const OPTIONS/)[1];
+        expect(JSON.parse(storyData).scenes.start.text).toBe("Ein Text mit </script> darin");
+    });
+
+    it("rejects a template of another protection", async () => {
+        const saved = await SaveLoad.saveToEncryptedHtml(story, "story.html", "k3y", { template: "test" });
+
+        expect(saved).toBe(false);
+        expect(URL.createObjectURL).not.toHaveBeenCalled();
+    });
+})
+describe("Test export to story packages", () => {
+    it("saves a story as package and loads it again", async () => {
+        const createObjectURL = URL.createObjectURL.bind(URL);
+        spyOn(URL, "createObjectURL").and.callFake(createObjectURL);
+        spyOn(URL, "revokeObjectURL");
+        spyOn(window.HTMLAnchorElement.prototype, "click");
+        const story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang", null));
+        story.setAsset("wald.png", { type: "image", data: "data:image/png;base64,iVBORw0KGgo=" });
+        story.setSceneMedia("start", { image: "wald.png" });
+
+        expect(await SaveLoad.saveToPackage(story, "story.tadv", { saveGames: false })).toBe(true);
+        const url = URL.createObjectURL.calls.mostRecent().returnValue;
+        const loaded = await SaveLoad.loadFromPackage(url);
+        URL.revokeObjectURL.and.callThrough()(url);
+
+        expect(loaded.story.toJSON()).toEqual(story.toJSON());
+        expect(loaded.viewer).toEqual({ saveGames: false });
+    });
+
+    it("returns null for files which cannot be loaded", async () => {
+        expect(await SaveLoad.loadFromPackage(null)).toBeNull();
+        expect(await SaveLoad.saveToPackage(null, "story.tadv")).toBe(false);
+    });
+});
@@ -0,0 +1,100 @@
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+import SceneRenderer from "../src/builder/SceneRenderer.js";
+
+describe("SceneRenderer history", () => {
+    const AREA = "scene-renderer-test";
+    let story;
+    let area;
+
+    const button = (label) => Array.from(area.querySelectorAll("button")).find(b => b.textContent === label);
+    const variables = () => area.querySelector(".play-variables").textContent;
+    const inventory = () => Array.from(area.querySelectorAll(".play-inventory li")).map(li => li.firstChild.textContent);
+
+    beforeEach(() => {
+        story = new Story();
+        story.setVariable("gold", 2);
+        story.setItem("lampe", { name: "Lampe", description: "" });
+        story.addScene(new Scene("start", "Vor der Höhle.{if visited(hoehle)} Schon einmal hier.{/if}", null, new Map([["hoehle", "Hinein"]])));
+        story.addScene(new Scene("hoehle", "In der Höhle.", null, new Map([["ende", "Weiter"]])), false);
+        story.addScene(new Scene("ende", "Am Ende."), false);
+        story.getScene("start").setChoiceEffects("hoehle", [{ type: "give", item: "lampe" }, { type: "increment", variable: "gold", value: 3 }]);
+        story.getScene("hoehle").setChoiceEffects("ende", [{ type: "increment", variable: "gold", value: 1 }]);
+
+        area = document.createElement("div");
+        area.id = AREA;
+        document.body.appendChild(area);
+        SceneRenderer.start(story, undefined, AREA);
+        button("Hinein").click();
+        button("Weiter").click();
+    });
+
+    afterEach(() => {
+        area.remove();
+    });
+
+    it("goes back with the variables, inventory and visited scenes of the earlier scene", () => {
+        expect(variables()).toBe("Variablen: gold = 6");
+
+        expect(SceneRenderer.back(story, AREA)).toBe(true);
+        expect(SceneRenderer.getPath(AREA)).toEqual(["start", "hoehle"]);
+        expect(variables()).toBe("Variablen: gold = 5");
+        expect(inventory()).toEqual(["Lampe"]);
+
+        expect(SceneRenderer.back(story, AREA)).toBe(true);
+        expect(SceneRenderer.getPath(AREA)).toEqual(["start"]);
+        expect(variables()).toBe("Variablen: gold = 2");
+        expect(inventory()).toEqual([]);
+        expect(area.querySelector(".play-text").textContent.trim()).toBe("Vor der Höhle.");
+
+        expect(SceneRenderer.back(story, AREA)).toBe(false);
+    });
+
+    it("does not go back if the story does not allow it", () => {
+        story.setSettings({ backtracking: false });
+        SceneRenderer.refresh(story, AREA);
+
+        expect(button("Zurück")).toBeUndefined();
+        expect(area.querySelector(".play-breadcrumb a")).toBeNull();
+        expect(SceneRenderer.back(story, AREA)).toBe(false);
+        expect(SceneRenderer.back(story, AREA, 0)).toBe(false);
+        expect(SceneRenderer.getPath(AREA)).toEqual(["start", "hoehle", "ende"]);
+    });
+
+    it("cuts the path at a scene clicked in the breadcrumb", () => {
+        const links = area.querySelectorAll(".play-breadcrumb a");
+        expect(Array.from(links).map(link => link.textContent)).toEqual(["start", "hoehle"]);
+
+        links[1].dispatchEvent(new window.MouseEvent("click", { bubbles: true, cancelable: true }));
+
+        expect(SceneRenderer.getPath(AREA)).toEqual(["start", "hoehle"]);
+        expect(variables()).toBe("Variablen: gold = 5");
+        expect(SceneRenderer.back(story, AREA, 1)).toBe(false);
+    });
+
+    it("restarts at the scene where the story was started", () => {
+        SceneRenderer.start(story, "hoehle", AREA);
+        button("Weiter").click();
+
+        button("Neu starten").click();
+
+        expect(SceneRenderer.getPath(AREA)).toEqual(["hoehle"]);
+        expect(variables()).toBe("Variablen: gold = 2");
+        expect(inventory()).toEqual([]);
+    });
+
+    it("follows a scene rename in the path", () => {
+        SceneRenderer.observe(story, AREA);
+        story.renameScene("hoehle", "grotte");
+
+        expect(SceneRenderer.getPath(AREA)).toEqual(["start", "grotte", "ende"]);
+        expect(area.querySelector(".play-breadcrumb li:nth-child(2)").textContent).toBe("grotte");
+
+        story.editScene("ende", "Am Ende.{if visited(grotte)} Durch die Grotte.{/if}", new Map());
+        expect(area.querySelector(".play-text").textContent.trim()).toBe("Am Ende. Durch die Grotte.");
+
+        expect(SceneRenderer.back(story, AREA)).toBe(true);
+        expect(SceneRenderer.getPath(AREA)).toEqual(["start", "grotte"]);
+        expect(area.querySelector(".play-text").textContent.trim()).toBe("In der Höhle.");
+    });
+});
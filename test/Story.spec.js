@@ -1,5 +1,6 @@
 import Scene from "../src/builder/core/Scene.js";
 import Story from "../src/builder/core/Story.js";
+import History from "../src/builder/core/History.js";
 
 describe("Test getSceneDepth method", () => {
     let story;
@@ -315,4 +316,604 @@ describe("Test changeSceneParent method", () => {
         expect(sceneA.choices.get("C")).toBe("to C");
         expect(sceneB.choices).not.toContain("C");
     });
-});
\ No newline at end of file
+
+    it("should keep effects and condition of the moved choice", () => {
+        const story = Story.fromJson({
+            format: "tadv-story",
+            version: 1,
+            start: "A",
+            variables: { gold: 0 },
+            scenes: {
+                A: { text: "a", choices: [{ text: "to B", next: "B" }] },
+                B: { text: "b", choices: [{ text: "to C", next: "C", effects: [{ type: "increment", variable: "gold", value: 1 }],
+                    condition: "gold > 0", showDisabled: true }] },
+                C: { text: "c" }
+            }
+        });
+
+        expect(story.changeSceneParent("C", "A")).toBe(true);
+
+        const sceneA = story.getScene("A");
+        expect(sceneA.getChoiceEffects("C")).toEqual([{ type: "increment", variable: "gold", value: 1 }]);
+        expect(sceneA.getChoiceCondition("C")).toEqual({ expression: "gold > 0", showDisabled: true });
+        expect(story.getScene("B").choices.size).toBe(0);
+    });
+
+    it("should not move the start scene", () => {
+        const sceneA = new Scene("A", "Root Scene");
+        const sceneB = new Scene("B", "Child Scene");
+        sceneA.addChoice("to B", "B");
+        story.addScene(sceneA);
+        story.addScene(sceneB);
+        sceneB.addChoice("back", "A");
+        story.rebuildReferrers();
+
+        expect(story.changeSceneParent("A", "B")).toBe(false);
+        expect(sceneA.parent).toBe(null);
+        expect(sceneB.choices.get("A")).toBe("back");
+    });
+
+    it("should not move a scene below itself or its descendants", () => {
+        const sceneA = new Scene("A", "Root Scene");
+        const sceneB = new Scene("B", "Child Scene");
+        const sceneC = new Scene("C", "Grandchild Scene");
+        sceneA.addChoice("to B", "B");
+        sceneB.addChoice("to C", "C");
+        story.addScene(sceneA);
+        story.addScene(sceneB);
+        story.addScene(sceneC);
+
+        expect(story.changeSceneParent("B", "B")).toBe(false);
+        expect(story.changeSceneParent("B", "C")).toBe(false);
+        expect(sceneB.parent).toBe(sceneA);
+        expect(sceneA.choices.get("B")).toBe("to B");
+        expect(sceneC.choices.size).toBe(0);
+    });
+
+    it("should move the choice of the given old parent", () => {
+        const story = Story.fromJson({
+            format: "tadv-story",
+            version: 1,
+            start: "A",
+            scenes: {
+                A: { text: "a", choices: [{ text: "to B", next: "B" }, { text: "to C", next: "C" }] },
+                B: { text: "b", choices: [{ text: "B to D", next: "D" }] },
+                C: { text: "c", choices: [{ text: "C to D", next: "D" }] },
+                D: { text: "d" },
+                E: { text: "e" }
+            }
+        });
+
+        expect(story.changeSceneParent("D", "E", "C")).toBe(true);
+
+        expect(story.getScene("C").choices.has("D")).toBe(false);
+        expect(story.getScene("B").choices.get("D")).toBe("B to D");
+        expect(story.getScene("E").choices.get("D")).toBe("C to D");
+        expect(story.changeSceneParent("D", "A", "C")).toBe(false);
+    });
+
+    it("should not move a choice to a scene which already leads to the scene", () => {
+        const story = Story.fromJson({
+            format: "tadv-story",
+            version: 1,
+            start: "A",
+            scenes: {
+                A: { text: "a", choices: [{ text: "to B", next: "B" }, { text: "to C", next: "C" }] },
+                B: { text: "b", choices: [{ text: "to C", next: "C" }] },
+                C: { text: "c" }
+            }
+        });
+
+        expect(story.changeSceneParent("C", "B", "A")).toBe(false);
+        expect(story.getScene("A").choices.has("C")).toBe(true);
+    });
+
+    it("should detach a scene from a missing new parent so it can be undone", () => {
+        const story = Story.fromJson({
+            format: "tadv-story",
+            version: 1,
+            start: "A",
+            scenes: { A: { text: "a", choices: [{ text: "to B", next: "B" }] }, B: { text: "b" } }
+        });
+        const history = new History(story);
+
+        expect(history.execute("Szene verschieben", s => s.changeSceneParent("B", "Z"))).toBe(true);
+        expect(story.getScene("B").parent).toBe(null);
+        expect(story.getScene("A").choices.has("B")).toBe(false);
+
+        history.undo();
+        expect(story.getScene("B").parent).toBe(story.getScene("A"));
+        expect(story.getScene("A").choices.get("B")).toBe("to B");
+    });
+
+    it("should not change a scene without parent for a missing new parent", () => {
+        const story = Story.fromJson({ format: "tadv-story", version: 1, start: "A", scenes: { A: { text: "a" }, B: { text: "b" } } });
+        const listener = jasmine.createSpy("listener");
+        story.subscribe(Story.EVENTS.PARENT_CHANGED, listener);
+
+        expect(story.changeSceneParent("B", "Z")).toBe(false);
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
+
+describe("Test moveChoice method", () => {
+    let story;
+
+    beforeEach(() => {
+        story = Story.fromJson({
+            format: "tadv-story",
+            version: 1,
+            start: "A",
+            scenes: {
+                A: { text: "a", choices: [
+                    { text: "first", next: "B" },
+                    { text: "second", next: "C", condition: "visited('B')" },
+                    { text: "third", next: "D" }
+                ] },
+                B: { text: "b" }, C: { text: "c" }, D: { text: "d" }
+            }
+        });
+    });
+
+    it("should reorder the choices of a scene", () => {
+        expect(story.moveChoice("A", "D", 0)).toBe(true);
+        expect(story.getScene("A").getAllChoices().map(c => c.next)).toEqual(["D", "B", "C"]);
+
+        expect(story.moveChoice("A", "D", 5)).toBe(true);
+        expect(Array.from(story.getScene("A").choices.keys())).toEqual(["B", "C", "D"]);
+        expect(story.getScene("A").getChoiceCondition("C").expression).toBe("visited('B')");
+    });
+
+    it("should keep the order in the saved story", () => {
+        story.moveChoice("A", "C", 0);
+        const json = JSON.parse(JSON.stringify(story));
+        expect(json.scenes.A.choices.map(c => c.text)).toEqual(["second", "first", "third"]);
+    });
+
+    it("should emit sceneEdited", () => {
+        const listener = jasmine.createSpy("listener");
+        story.subscribe(Story.EVENTS.SCENE_EDITED, listener);
+
+        story.moveChoice("A", "B", 1);
+        expect(listener).toHaveBeenCalledWith(jasmine.objectContaining({ type: Story.EVENTS.SCENE_EDITED, key: "A" }));
+    });
+
+    it("should return false for missing choices and unchanged positions", () => {
+        expect(story.moveChoice("A", "X", 0)).toBe(false);
+        expect(story.moveChoice("X", "B", 0)).toBe(false);
+        expect(story.moveChoice("A", "B", 0)).toBe(false);
+    });
+});
+
+describe("Test story graph with converging paths", () => {
+    let story;
+
+    beforeEach(() => {
+        // A -> B -> D, A -> C -> D, D -> E
+        story = new Story(Scene);
+        const sceneA = new Scene("A", "Root Scene");
+        const sceneB = new Scene("B", "Left");
+        const sceneC = new Scene("C", "Right");
+        const sceneD = new Scene("D", "Merge");
+        const sceneE = new Scene("E", "End");
+        sceneA.addChoice("links", "B");
+        sceneA.addChoice("rechts", "C");
+        sceneB.addChoice("weiter", "D");
+        sceneC.addChoice("weiter", "D");
+        sceneD.addChoice("ende", "E");
+        [sceneA, sceneB, sceneC, sceneD, sceneE].forEach(scene => story.addScene(scene));
+    });
+
+    it("should index all referrers of a scene", () => {
+        expect(story.getReferrers("D")).toEqual(["B", "C"]);
+        expect(story.getReferrers("A")).toEqual([]);
+    });
+
+    it("should update referrers when choices are edited", () => {
+        story.editScene("C", null, new Map([["E", "abkürzen"]]));
+
+        expect(story.getReferrers("D")).toEqual(["B"]);
+        expect(story.getReferrers("E")).toEqual(["D", "C"]);
+    });
+
+    it("should not report converging paths as circle", () => {
+        expect(Story.hasCircle(story)).toBe(false);
+    });
+
+    it("should return the shortest distance from the root as depth", () => {
+        story.editScene("A", null, new Map([["B", "links"], ["C", "rechts"], ["E", "direkt"]]));
+
+        expect(Story.getSceneDepth(story.scenes, story.getScene("D"), story.root)).toBe(2);
+        expect(Story.getSceneDepth(story.scenes, story.getScene("E"), story.root)).toBe(1);
+    });
+
+    it("should keep descendants which are reachable on another path when removing a scene", () => {
+        story.removeScene("B");
+
+        expect(story.getScene("B")).toBeNull();
+        expect(story.getScene("D")).not.toBeNull();
+        expect(story.getScene("E")).not.toBeNull();
+        expect(story.root.choices.has("B")).toBe(false);
+        expect(story.getReferrers("D")).toEqual(["C"]);
+        expect(story.getScene("D").parent.key).toBe("C");
+    });
+
+    it("should remove orphaned descendants when removing a scene", () => {
+        story.removeScene("B");
+        story.removeScene("C");
+
+        expect(Array.from(story.scenes.keys())).toEqual(["A"]);
+        expect(story.root.choices.size).toBe(0);
+    });
+
+    it("should remove orphaned loops when removing a scene", () => {
+        story.editScene("E", null, new Map([["D", "zurück"]])); // loop D -> E -> D
+        story.removeScene("B");
+        story.removeScene("C");
+
+        expect(Array.from(story.scenes.keys())).toEqual(["A"]);
+    });
+
+    it("should keep the root when a loop leads back to it", () => {
+        story.editScene("E", null, new Map([["A", "nochmal"]]));
+        story.removeScene("B");
+
+        expect(story.root.key).toBe("A");
+        expect(story.scenes.size).toBe(4);
+    });
+});
+
+describe("Test story events", () => {
+    let story;
+    let events;
+
+    beforeEach(() => {
+        story = new Story(Scene);
+        events = [];
+        story.subscribeAll(Object.values(Story.EVENTS), event => events.push(event));
+    });
+
+    it("should emit sceneAdded, sceneEdited and sceneRemoved", () => {
+        story.addScene(new Scene("start", "Anfang"));
+        story.addScene(new Scene("A", "Text A"));
+        story.editScene("A", "Neuer Text", new Map());
+        story.removeScene("A");
+
+        expect(events.map(e => [e.type, e.key])).toEqual([
+            [Story.EVENTS.SCENE_ADDED, "start"],
+            [Story.EVENTS.SCENE_ADDED, "A"],
+            [Story.EVENTS.SCENE_EDITED, "A"],
+            [Story.EVENTS.SCENE_REMOVED, "A"]
+        ]);
+        expect(events[3].removed).toEqual(["A"]);
+        expect(events[3].story).toBe(story);
+    });
+
+    it("should not emit events for failed or unchanged operations", () => {
+        story.addScene(new Scene("start", "Anfang"));
+        events = [];
+
+        story.addScene(new Scene("start", "Doppelt"));
+        story.editScene("start", "Anfang", new Map());
+        story.removeScene("Z");
+        story.setVariable("1gold", 3);
+
+        expect(events).toEqual([]);
+    });
+
+    it("should emit parentChanged with the old and new parent", () => {
+        story.addScene(new Scene("start", "Anfang"));
+        story.addScene(new Scene("A", "Text A"));
+        story.addScene(new Scene("B", "Text B"));
+        events = [];
+
+        story.changeSceneParent("B", "A");
+
+        expect(events.length).toBe(1);
+        expect(events[0]).toEqual(jasmine.objectContaining({
+            type: Story.EVENTS.PARENT_CHANGED, key: "B", oldParent: "start", newParent: "A"
+        }));
+    });
+
+    it("should emit storyReplaced when the content is replaced", () => {
+        const other = new Story(Scene);
+        other.addScene(new Scene("start", "Andere Story"));
+        other.setVariable("gold", 5);
+
+        story.replaceWith(other);
+
+        expect(events.map(e => e.type)).toEqual([Story.EVENTS.STORY_REPLACED]);
+        expect(story.getScene("start").text).toBe("Andere Story");
+        expect(story.variables.get("gold")).toBe(5);
+        expect(story.getScene("start")).not.toBe(other.getScene("start"));
+    });
+
+    it("should not call listeners after unsubscribing", () => {
+        const listener = jasmine.createSpy("listener");
+        const unsubscribe = story.subscribe(Story.EVENTS.VARIABLE_CHANGED, listener);
+        story.setVariable("gold", 1);
+        unsubscribe();
+        story.setVariable("gold", 2);
+        expect(story.unsubscribe(Story.EVENTS.VARIABLE_CHANGED, listener)).toBe(false);
+
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it("should keep calling listeners if one of them fails", () => {
+        const listener = jasmine.createSpy("listener");
+        story.subscribe(Story.EVENTS.SCENE_ADDED, () => { throw new Error("kaputt"); });
+        story.subscribe(Story.EVENTS.SCENE_ADDED, listener);
+
+        expect(story.addScene(new Scene("start", "Anfang"))).toBe(true);
+        expect(listener).toHaveBeenCalled();
+    });
+});
+
+describe("Test getScenesDFS with missing scenes", () => {
+    it("should only return choices to missing scenes if requested", () => {
+        const story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang", null, new Map([["Z", "ins Leere"], ["A", "weiter"]])));
+        story.addScene(new Scene("A", "Text A"), false);
+
+        expect(Story.getScenesDFS(story).map(ref => ref.key)).toEqual(["start", "A"]);
+        const withMissing = Story.getScenesDFS(story, story.root, true);
+        expect(withMissing.map(ref => [ref.key, ref.depth])).toEqual([["start", 0], ["Z", 1], ["A", 1]]);
+        expect(withMissing[1].scene).toBeNull();
+    });
+});
+
+describe("Test renameScene method", () => {
+    let story;
+
+    beforeEach(() => {
+        story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang", null, new Map([["küche", "Zur Küche"], ["flur", "Zum Flur"]])));
+        story.addScene(new Scene("küche", "Küche", null, new Map([["flur", "Weiter"]])), false);
+        story.addScene(new Scene("flur", "Flur", null, new Map([["start", "Zurück"]])), false);
+        story.getScene("flur").setChoiceCondition("start", "visited(küche) && !visited(\"flur\")");
+        story.getScene("start").setChoiceEffects("küche", [{ type: "increment", variable: "schritte", value: 1 }]);
+    });
+
+    it("should rename the scene and keep its position", () => {
+        const kitchen = story.getScene("küche");
+
+        expect(story.renameScene("küche", "küchenrenovierung")).toBe(true);
+
+        expect([...story.scenes.keys()]).toEqual(["start", "küchenrenovierung", "flur"]);
+        expect(story.getScene("küchenrenovierung")).toBe(kitchen);
+        expect(kitchen.key).toBe("küchenrenovierung");
+        expect(story.getScene("küche")).toBeNull();
+    });
+
+    it("should rewrite choices, effects, referrers and conditions", () => {
+        story.renameScene("küche", "küchenrenovierung");
+        story.renameScene("flur", "gang");
+        const start = story.getScene("start");
+
+        expect([...start.choices]).toEqual([["küchenrenovierung", "Zur Küche"], ["gang", "Zum Flur"]]);
+        expect(start.getChoiceEffects("küchenrenovierung").length).toBe(1);
+        expect(story.getReferrers("gang")).toEqual(["start", "küchenrenovierung"]);
+        expect(story.getReferrers("flur")).toEqual([]);
+        expect(story.getScene("gang").parent).toBe(start);
+        expect(story.getScene("gang").getChoiceCondition("start").expression)
+            .toBe("visited(küchenrenovierung) && !visited(gang)");
+    });
+
+    it("should rename the root scene", () => {
+        expect(story.renameScene("start", "anfang")).toBe(true);
+        expect(story.root.key).toBe("anfang");
+        expect(story.getScene("flur").choices.has("anfang")).toBe(true);
+    });
+
+    it("should reject missing scenes, taken, empty and reserved keys", () => {
+        expect(story.renameScene("Z", "neu")).toBe(false);
+        expect(story.renameScene("küche", "flur")).toBe(false);
+        expect(story.renameScene("küche", " ")).toBe(false);
+        expect(story.renameScene("küche", "$variables")).toBe(false);
+        expect(story.getScene("küche")).not.toBeNull();
+    });
+
+    it("should connect choices which pointed to the missing new key", () => {
+        story.addScene(new Scene("keller", "Keller", null, new Map([["dachboden", "Nach oben"]])));
+        story.renameScene("küche", "dachboden");
+
+        expect(story.getReferrers("dachboden")).toEqual(["start", "keller"]);
+    });
+
+    it("should emit sceneRenamed with the old key", () => {
+        const listener = jasmine.createSpy("listener");
+        story.subscribe(Story.EVENTS.SCENE_RENAMED, listener);
+        story.renameScene("küche", "küchenrenovierung");
+
+        expect(listener).toHaveBeenCalledWith(jasmine.objectContaining({ key: "küchenrenovierung", oldKey: "küche" }));
+    });
+});
+
+describe("Test start scene", () => {
+    let story;
+
+    beforeEach(() => {
+        story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang"));
+        story.addScene(new Scene("prolog", "Vorher"));
+    });
+
+    it("should change the start scene", () => {
+        const listener = jasmine.createSpy("listener");
+        story.subscribe(Story.EVENTS.START_CHANGED, listener);
+
+        expect(story.setStartScene("prolog")).toBe(true);
+        expect(story.root.key).toBe("prolog");
+        expect(listener).toHaveBeenCalledWith(jasmine.objectContaining({ key: "prolog", oldKey: "start" }));
+
+        expect(story.setStartScene("prolog")).toBe(false);
+        expect(story.setStartScene("Z")).toBe(false);
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it("should store the start scene in the JSON", () => {
+        story.setStartScene("prolog");
+        const json = story.toJSON();
+        expect(json.start).toBe("prolog");
+
+        expect(Story.fromJson(json).root.key).toBe("prolog");
+    });
+
+    it("should start files without $start at the scene 'start'", () => {
+        const json = { "1": { text: "Eins" }, "start": { text: "Anfang", choices: [{ text: "weiter", next: "1" }] } };
+        const loaded = Story.fromJson(json);
+
+        expect(Object.keys(json)[0]).toBe("1");
+        expect(loaded.root.key).toBe("start");
+        expect(loaded.getScene("1").parent).toBe(loaded.root);
+    });
+
+    it("should start files without $start and 'start' scene at the first scene", () => {
+        expect(Story.fromJson({ a: { text: "A" }, b: { text: "B" } }).root.key).toBe("a");
+        expect(Story.fromJson({ $start: "Z", a: { text: "A" }, start: { text: "S" } }).root.key).toBe("start");
+    });
+});
+
+describe("Test assets", () => {
+    const image = { type: "image", data: "data:image/png;base64,iVBORw0KGgo=" };
+    const audio = { type: "audio", data: "data:audio/mpeg;base64,SUQz" };
+    let story;
+
+    beforeEach(() => {
+        story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang"));
+        story.addScene(new Scene("wald", "Im Wald"));
+    });
+
+    it("should only accept base64 data URLs of the given type", () => {
+        expect(story.setAsset("wald.png", image)).toBe(true);
+        expect(story.setAsset("regen.mp3", audio)).toBe(true);
+
+        expect(story.setAsset("falsch.png", { type: "audio", data: image.data })).toBe(false);
+        expect(story.setAsset("extern.png", { type: "image", data: "https://example.org/wald.png" })).toBe(false);
+        expect(story.setAsset("skript.png", { type: "image", data: "data:image/svg+xml,<svg onload=alert(1)>" })).toBe(false);
+        expect(story.setAsset("video.mp4", { type: "video", data: "data:video/mp4;base64,AAAA" })).toBe(false);
+        expect(story.setAsset(" ", image)).toBe(false);
+        expect(Array.from(story.assets.keys())).toEqual(["wald.png", "regen.mp3"]);
+    });
+
+    it("should number names which are already used", () => {
+        story.setAsset("wald.png", image);
+        story.setAsset("wald (2).png", image);
+        story.setAsset("regen", audio);
+
+        expect(story.uniqueAssetName("wald.png")).toBe("wald (3).png");
+        expect(story.uniqueAssetName("regen")).toBe("regen (2)");
+        expect(story.uniqueAssetName("see.png")).toBe("see.png");
+    });
+
+    it("should set images and sounds of scenes only to assets of that type", () => {
+        story.setAsset("wald.png", image);
+        story.setAsset("regen.mp3", audio);
+        const listener = jasmine.createSpy("listener");
+        story.subscribe(Story.EVENTS.SCENE_EDITED, listener);
+
+        expect(story.setSceneMedia("wald", { image: "wald.png", audio: "regen.mp3" })).toBe(true);
+        expect(story.setSceneMedia("wald", { image: "wald.png" })).toBe(false);
+        expect(story.setSceneMedia("wald", { image: "regen.mp3" })).toBe(false);
+        expect(story.setSceneMedia("start", { image: "fehlt.png" })).toBe(false);
+        expect(story.setSceneMedia("Z", { image: "wald.png" })).toBe(false);
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(story.getAssetUsers("wald.png")).toEqual(["wald"]);
+
+        expect(story.setSceneMedia("wald", { audio: null })).toBe(true);
+        expect(story.scenes.get("wald").image).toBe("wald.png");
+        expect(story.scenes.get("wald").audio).toBeNull();
+    });
+
+    it("should remove the asset from the scenes when it is removed", () => {
+        story.setAsset("wald.png", image);
+        story.setSceneMedia("start", { image: "wald.png" });
+        story.setSceneMedia("wald", { image: "wald.png" });
+        const listener = jasmine.createSpy("listener");
+        story.subscribe(Story.EVENTS.ASSET_CHANGED, listener);
+
+        expect(story.removeAsset("wald.png")).toBe(true);
+        expect(story.removeAsset("wald.png")).toBe(false);
+        expect(story.scenes.get("start").image).toBeNull();
+        expect(story.scenes.get("wald").image).toBeNull();
+        expect(listener).toHaveBeenCalledOnceWith(jasmine.objectContaining({ name: "wald.png" }));
+    });
+
+    it("should keep assets and the media of scenes in snapshots", () => {
+        story.setAsset("wald.png", image);
+        story.setSceneMedia("wald", { image: "wald.png" });
+        const snapshot = story.createSnapshot();
+
+        story.removeAsset("wald.png");
+        story.restoreSnapshot(snapshot);
+
+        expect(story.assets.get("wald.png")).toEqual(image);
+        expect(story.scenes.get("wald").image).toBe("wald.png");
+    });
+});
+
+describe("Test items", () => {
+    let story;
+
+    beforeEach(() => {
+        story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang"));
+    });
+
+    it("should define items with name and description", () => {
+        const listener = jasmine.createSpy("listener");
+        story.subscribe(Story.EVENTS.ITEM_CHANGED, listener);
+
+        expect(story.setItem("lampe", { name: " Alte Öllampe ", description: "Rußt ein wenig." })).toBe(true);
+        expect(story.setItem("seil", { name: "Seil" })).toBe(true);
+        expect(story.setItem("schlüssel", { name: "Schlüssel" })).toBe(true);
+        expect(story.items.get("lampe")).toEqual({ name: "Alte Öllampe", description: "Rußt ein wenig." });
+        expect(story.items.get("seil")).toEqual({ name: "Seil", description: "" });
+        expect(listener).toHaveBeenCalledWith(jasmine.objectContaining({ name: "lampe" }));
+    });
+
+    it("should reject invalid ids and items", () => {
+        expect(story.setItem("alte lampe", { name: "Lampe" })).toBe(false);
+        expect(story.setItem("lampe", { name: " " })).toBe(false);
+        expect(story.setItem("lampe", { name: "Lampe", description: 3 })).toBe(false);
+        expect(story.items.size).toBe(0);
+    });
+
+    it("should remove items", () => {
+        story.setItem("lampe", { name: "Lampe" });
+
+        expect(story.removeItem("lampe")).toBe(true);
+        expect(story.removeItem("lampe")).toBe(false);
+        expect(story.items.size).toBe(0);
+    });
+
+    it("should store items in the story JSON only if there are any", () => {
+        expect(story.toJSON().items).toBeUndefined();
+        story.setItem("lampe", { name: "Lampe", description: "Hell" });
+
+        const json = story.toJSON();
+        expect(json.items).toEqual({ lampe: { name: "Lampe", description: "Hell" } });
+
+        const copy = Story.fromJson(JSON.parse(JSON.stringify(json)));
+        expect(copy.items.get("lampe")).toEqual({ name: "Lampe", description: "Hell" });
+    });
+
+    it("should skip invalid items when loading", () => {
+        const json = story.toJSON();
+        json.items = { lampe: { name: "Lampe" }, "kaputt!": { name: "Kaputt" }, leer: {} };
+
+        const copy = Story.fromJson(json);
+        expect(Array.from(copy.items.keys())).toEqual(["lampe"]);
+    });
+
+    it("should keep items in snapshots", () => {
+        story.setItem("lampe", { name: "Lampe" });
+        const snapshot = story.createSnapshot();
+
+        story.removeItem("lampe");
+        story.restoreSnapshot(snapshot);
+
+        expect(story.items.get("lampe")).toEqual({ name: "Lampe", description: "" });
+    });
+});
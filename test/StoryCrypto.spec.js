@@ -0,0 +1,55 @@
+import StoryCrypto from "../src/builder/core/StoryCrypto.js";
+
+// few iterations keep the tests fast, exports use StoryCrypto.DEFAULT_ITERATIONS
+const ITERATIONS = 1000;
+
+describe("Test StoryCrypto encryption", () => {
+    it("should decrypt an encrypted text with the same password", async () => {
+        const text = JSON.stringify({ start: "start", scenes: { start: { text: "Grüße aus dem Keller 🗝" } } });
+
+        const payload = await StoryCrypto.encrypt(text, "geheim123", ITERATIONS);
+
+        expect(payload.algorithm).toBe(StoryCrypto.ALGORITHM);
+        expect(payload.kdf).toBe(StoryCrypto.KDF);
+        expect(payload.iterations).toBe(ITERATIONS);
+        expect(payload.data).not.toContain("Keller");
+        expect(await StoryCrypto.decrypt(payload, "geheim123")).toBe(text);
+    });
+
+    it("should use a new salt and IV for each encryption", async () => {
+        const first = await StoryCrypto.encrypt("Text", "geheim123", ITERATIONS);
+        const second = await StoryCrypto.encrypt("Text", "geheim123", ITERATIONS);
+
+        expect(first.salt).not.toBe(second.salt);
+        expect(first.iv).not.toBe(second.iv);
+        expect(first.data).not.toBe(second.data);
+    });
+
+    it("should reject passwords shorter than the minimum length", async () => {
+        const tooShort = "x".repeat(StoryCrypto.MIN_PASSWORD_LENGTH - 1);
+
+        await expectAsync(StoryCrypto.encrypt("Text", tooShort, ITERATIONS)).toBeRejectedWithError(/mindestens/);
+    });
+
+    it("should fail with a wrong password", async () => {
+        const payload = await StoryCrypto.encrypt("Text", "geheim123", ITERATIONS);
+
+        await expectAsync(StoryCrypto.decrypt(payload, "geheim124")).toBeRejectedWithError(/Falsches Passwort/);
+    });
+
+    it("should fail if the encrypted data was changed", async () => {
+        const payload = await StoryCrypto.encrypt("Text", "geheim123", ITERATIONS);
+        const bytes = Uint8Array.from(atob(payload.data), char => char.charCodeAt(0));
+        bytes[0] ^= 1;
+        const tampered = { ...payload, data: btoa(String.fromCharCode(...bytes)) };
+
+        await expectAsync(StoryCrypto.decrypt(tampered, "geheim123")).toBeRejectedWithError(/beschädigte Daten/);
+    });
+
+    it("should refuse payloads of other algorithms", async () => {
+        const payload = await StoryCrypto.encrypt("Text", "geheim123", ITERATIONS);
+
+        await expectAsync(StoryCrypto.decrypt({ ...payload, algorithm: "XOR" }, "geheim123"))
+            .toBeRejectedWithError(/Unbekanntes/);
+    });
+});
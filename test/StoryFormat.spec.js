@@ -0,0 +1,145 @@
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+import StoryFormat from "../src/builder/core/StoryFormat.js";
+import SaveLoad from "../src/builder/SaveLoad.js";
+
+describe("Test StoryFormat.migrate method", () => {
+    it("should wrap a flat story file", () => {
+        const flat = {
+            $variables: { gold: 3 },
+            "2": { text: "Zwei" },
+            start: { text: "Anfang", choices: [{ text: "weiter", next: "2" }] }
+        };
+        const copy = JSON.parse(JSON.stringify(flat));
+
+        const document = StoryFormat.migrate(flat);
+
+        expect(document).toEqual({
+            format: StoryFormat.FORMAT,
+            version: StoryFormat.VERSION,
+            meta: { title: "", author: "", language: "" },
+            start: "start",
+            variables: { gold: 3 },
+            scenes: { "2": flat["2"], start: flat.start }
+        });
+        expect(flat).toEqual(copy);
+    });
+
+    it("should keep the start scene of flat files with $start", () => {
+        const document = StoryFormat.migrate({ $start: "b", a: { text: "A" }, b: { text: "B" } });
+
+        expect(document.start).toBe("b");
+        expect(Object.keys(document.scenes)).toEqual(["a", "b"]);
+    });
+
+    it("should detect the version of a file", () => {
+        expect(StoryFormat.getVersion({ start: { text: "Anfang" } })).toBe(0);
+        expect(StoryFormat.getVersion({ format: StoryFormat.FORMAT, version: 1, scenes: {} })).toBe(1);
+    });
+
+    it("should reject other formats, invalid and newer versions", () => {
+        expect(() => StoryFormat.migrate({ format: "twine", version: 1 })).toThrowError(/Unbekanntes Dateiformat/);
+        expect(() => StoryFormat.migrate({ format: StoryFormat.FORMAT, version: "1" })).toThrowError(/Ungültige Formatversion/);
+        expect(() => StoryFormat.migrate({ format: StoryFormat.FORMAT, version: StoryFormat.VERSION + 1 }))
+            .toThrowError(/neuere Version/);
+    });
+});
+
+describe("Test versioned story documents", () => {
+    it("should write the wrapped format with metadata", () => {
+        const story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang"));
+        story.setMeta({ title: "Eriks Eigenheim", author: "Erik", unknown: "x", language: 3 });
+
+        const json = story.toJSON();
+
+        expect(json.format).toBe(StoryFormat.FORMAT);
+        expect(json.version).toBe(StoryFormat.VERSION);
+        expect(json.meta).toEqual({ title: "Eriks Eigenheim", author: "Erik", language: "" });
+        expect(json.start).toBe("start");
+        expect(json.scenes.start).toEqual({ text: "Anfang" });
+        expect(Story.fromJson(json).meta.title).toBe("Eriks Eigenheim");
+    });
+
+    it("should emit metaChanged only for changes", () => {
+        const story = new Story(Scene);
+        const listener = jasmine.createSpy("listener");
+        story.subscribe(Story.EVENTS.META_CHANGED, listener);
+
+        expect(story.setMeta({ title: "Titel" })).toBe(true);
+        expect(story.setMeta({ title: "Titel" })).toBe(false);
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it("should write and read the settings of the player", () => {
+        const story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang"));
+        expect(story.toJSON().settings).toEqual(Story.DEFAULT_SETTINGS);
+
+        expect(story.setSettings({ backtracking: false, breadcrumb: "nein", unknown: true })).toBe(true);
+        expect(story.settings).toEqual({ backtracking: false, breadcrumb: true });
+
+        const copy = Story.fromJson(JSON.parse(JSON.stringify(story)));
+        expect(copy.settings).toEqual({ backtracking: false, breadcrumb: true });
+    });
+
+    it("should use the default settings for documents without settings", () => {
+        const story = Story.fromJson({ format: StoryFormat.FORMAT, version: 1, start: "start", scenes: { start: { text: "Anfang" } } });
+
+        expect(story.settings).toEqual({ backtracking: true, breadcrumb: true });
+    });
+
+    it("should emit settingsChanged only for changes and keep settings in snapshots", () => {
+        const story = new Story(Scene);
+        const listener = jasmine.createSpy("listener");
+        story.subscribe(Story.EVENTS.SETTINGS_CHANGED, listener);
+
+        const snapshot = story.createSnapshot();
+        expect(story.setSettings({ breadcrumb: false })).toBe(true);
+        expect(story.setSettings({ breadcrumb: false })).toBe(false);
+        expect(listener).toHaveBeenCalledTimes(1);
+
+        story.restoreSnapshot(snapshot);
+        expect(story.settings.breadcrumb).toBe(true);
+    });
+
+    it("should write and read assets and the media of scenes", () => {
+        const story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang"));
+        expect(story.toJSON().assets).toBeUndefined();
+        expect(story.toJSON().scenes.start).toEqual({ text: "Anfang" });
+
+        story.setAsset("wald.png", { type: "image", data: "data:image/png;base64,iVBORw0KGgo=" });
+        story.setAsset("regen.mp3", { type: "audio", data: "data:audio/mpeg;base64,SUQz" });
+        story.setSceneMedia("start", { image: "wald.png", audio: "regen.mp3" });
+        const json = JSON.parse(JSON.stringify(story));
+        expect(json.scenes.start).toEqual({ text: "Anfang", image: "wald.png", audio: "regen.mp3" });
+
+        const copy = Story.fromJson(json);
+        expect(copy.assets.get("regen.mp3")).toEqual({ type: "audio", data: "data:audio/mpeg;base64,SUQz" });
+        expect(copy.toJSON()).toEqual(json);
+    });
+
+    it("should skip invalid assets when loading", () => {
+        const story = Story.fromJson({
+            format: StoryFormat.FORMAT, version: 1, start: "start",
+            assets: { "ok.png": { type: "image", data: "data:image/png;base64,AAAA" }, "x.png": { type: "image", data: "x" } },
+            scenes: { start: { text: "Anfang", image: "x.png" } }
+        });
+
+        expect(Array.from(story.assets.keys())).toEqual(["ok.png"]);
+        expect(story.root.image).toBe("x.png");
+    });
+
+    it("should load all example files and keep them unchanged when saved again", async () => {
+        const files = ["EriksEigenheim.json", "(NotC)DieScherbe.json", "(Cir)DieTore.json", "(halbfertig)Skandal.json"];
+        for (const file of files) {
+            const story = await SaveLoad.loadFromJson(`../examples/${file}`);
+            expect(story).withContext(file).not.toBeNull();
+
+            const json = JSON.parse(JSON.stringify(story.toJSON()));
+            expect(json.start).withContext(file).toBe("start");
+            expect(Story.fromJson(json).toJSON()).withContext(file).toEqual(json);
+        }
+    });
+});
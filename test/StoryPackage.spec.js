@@ -0,0 +1,155 @@
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+import StoryPackage from "../src/builder/core/StoryPackage.js";
+import ZipArchive from "../src/builder/core/ZipArchive.js";
+import ViewerThemes from "../src/builder/core/ViewerThemes.js";
+
+const encode = (text) => new TextEncoder().encode(text);
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+describe("ZipArchive", () => {
+    it("reads the files it wrote, compressed and stored", async () => {
+        const text = "Es war einmal ".repeat(100);
+        const bytes = await ZipArchive.create([
+            { name: "story.json", data: encode(text) },
+            { name: "assets/wäld.png", data: new Uint8Array([137, 80, 78, 71]), compress: false }
+        ]);
+        const files = await ZipArchive.read(bytes);
+
+        expect(Array.from(files.keys())).toEqual(["story.json", "assets/wäld.png"]);
+        expect(decode(files.get("story.json"))).toBe(text);
+        expect(Array.from(files.get("assets/wäld.png"))).toEqual([137, 80, 78, 71]);
+        expect(bytes.length).toBeLessThan(text.length);
+    });
+
+    it("computes the CRC-32 of zip", () => {
+        expect(ZipArchive.crc32(encode("123456789"))).toBe(0xcbf43926);
+        expect(ZipArchive.crc32(new Uint8Array(0))).toBe(0);
+    });
+
+    it("rejects data which is no archive or was changed", async () => {
+        await expectAsync(ZipArchive.read(encode("kein Zip"))).toBeRejectedWithError("Die Datei ist kein Zip-Archiv.");
+
+        const bytes = await ZipArchive.create([{ name: "a.txt", data: encode("Anfang"), compress: false }]);
+        bytes[30 + "a.txt".length] ^= 1;
+        await expectAsync(ZipArchive.read(bytes)).toBeRejectedWithError('"a.txt" ist beschädigt (Prüfsumme stimmt nicht).');
+    });
+});
+
+describe("StoryPackage", () => {
+    const IMAGE = { type: "image", data: "data:image/png;base64,iVBORw0KGgo=" };
+    const AUDIO = { type: "audio", data: "data:audio/mpeg;base64,SUQzBAA=" };
+    let story;
+
+    beforeEach(() => {
+        story = new Story(Scene);
+        story.addScene(new Scene("start", "Im Wald", null, new Map([["see", "Zum See"]])), false);
+        story.addScene(new Scene("see", "Am See"), false);
+        story.setMeta({ title: "Der Wald" });
+        story.setAsset("Wald bei Nacht.png", IMAGE);
+        story.setAsset("regen.mp3", AUDIO);
+        story.setSceneMedia("start", { image: "Wald bei Nacht.png", audio: "regen.mp3" });
+    });
+
+    /**
+     * Changes the files of a package with the given function and writes it again.
+     */
+    const repack = async (bytes, change) => {
+        const files = await ZipArchive.read(bytes);
+        change(files);
+        return ZipArchive.create(Array.from(files, ([name, data]) => ({ name, data })));
+    };
+
+    it("writes manifest, story and one file per asset", async () => {
+        const files = await ZipArchive.read(await StoryPackage.pack(story));
+        const manifest = JSON.parse(decode(files.get(StoryPackage.MANIFEST)));
+
+        expect(Array.from(files.keys())).toEqual(["manifest.json", "story.json", "assets/Wald_bei_Nacht.png", "assets/regen.mp3"]);
+        expect(manifest.format).toBe(StoryPackage.FORMAT);
+        expect(manifest.version).toBe(StoryPackage.VERSION);
+        expect(manifest.title).toBe("Der Wald");
+        expect(manifest.assets["Wald bei Nacht.png"]).toEqual({ type: "image", mimeType: "image/png", path: "assets/Wald_bei_Nacht.png" });
+        expect(manifest.files["assets/regen.mp3"].size).toBe(5);
+        expect(manifest.files["story.json"].sha256).toMatch(/^[0-9a-f]{64}$/);
+        expect(JSON.parse(decode(files.get("story.json"))).assets).toBeUndefined();
+    });
+
+    it("reads the story with its assets again", async () => {
+        const { story: copy, viewer } = await StoryPackage.unpack(await StoryPackage.pack(story));
+
+        expect(copy.toJSON()).toEqual(story.toJSON());
+        expect(copy.assets.get("regen.mp3")).toEqual(AUDIO);
+        expect(viewer).toBeNull();
+    });
+
+    it("keeps the viewer settings with the background image as file", async () => {
+        const theme = ViewerThemes.create("dark", { backgroundImage: IMAGE.data, css: "#game { max-width: 600px; }" });
+        const bytes = await StoryPackage.pack(story, { protection: "password", template: "password", saveGames: false, theme });
+
+        const files = await ZipArchive.read(bytes);
+        expect(files.has("viewer/background.png")).toBe(true);
+        const { viewer } = await StoryPackage.unpack(bytes);
+        expect(viewer).toEqual({ protection: "password", template: "password", saveGames: false, theme });
+    });
+
+    it("does not write stories whose scenes refer to missing assets", async () => {
+        story.scenes.get("see").setMedia({ audio: "wellen.mp3" });
+
+        await expectAsync(StoryPackage.pack(story))
+            .toBeRejectedWithError('Szene "see": Ton "wellen.mp3" fehlt in den Medien der Geschichte.');
+    });
+
+    it("names the missing asset of an incomplete package", async () => {
+        const bytes = await repack(await StoryPackage.pack(story), files => files.delete("assets/regen.mp3"));
+
+        await expectAsync(StoryPackage.unpack(bytes)).toBeRejectedWithError('Die Datei "assets/regen.mp3" fehlt im Paket.');
+    });
+
+    it("names the missing asset of a scene", async () => {
+        const bytes = await repack(await StoryPackage.pack(story), files => {
+            const manifest = JSON.parse(decode(files.get(StoryPackage.MANIFEST)));
+            delete manifest.assets["regen.mp3"];
+            files.set(StoryPackage.MANIFEST, encode(JSON.stringify(manifest)));
+        });
+
+        await expectAsync(StoryPackage.unpack(bytes))
+            .toBeRejectedWithError('Szene "start": Ton "regen.mp3" fehlt in den Medien der Geschichte.');
+    });
+
+    it("detects changed files", async () => {
+        const bytes = await repack(await StoryPackage.pack(story), files => {
+            files.set(StoryPackage.STORY, encode(decode(files.get(StoryPackage.STORY)).replace("Am See", "Im See")));
+        });
+
+        await expectAsync(StoryPackage.unpack(bytes)).toBeRejectedWithError('Die Datei "story.json" ist beschädigt (Prüfsumme stimmt nicht).');
+    });
+
+    it("rejects files without checksum", async () => {
+        const withoutStory = await repack(await StoryPackage.pack(story), files => {
+            const manifest = JSON.parse(decode(files.get(StoryPackage.MANIFEST)));
+            delete manifest.files[StoryPackage.STORY];
+            files.set(StoryPackage.MANIFEST, encode(JSON.stringify(manifest)));
+        });
+        await expectAsync(StoryPackage.unpack(withoutStory))
+            .toBeRejectedWithError('Die Datei "story.json" fehlt in der Liste der Prüfsummen.');
+
+        const withoutAsset = await repack(await StoryPackage.pack(story), files => {
+            const manifest = JSON.parse(decode(files.get(StoryPackage.MANIFEST)));
+            delete manifest.files["assets/regen.mp3"];
+            files.set(StoryPackage.MANIFEST, encode(JSON.stringify(manifest)));
+        });
+        await expectAsync(StoryPackage.unpack(withoutAsset))
+            .toBeRejectedWithError('Die Datei "assets/regen.mp3" fehlt in der Liste der Prüfsummen.');
+    });
+
+    it("rejects other archives and newer versions", async () => {
+        const other = await ZipArchive.create([{ name: "readme.txt", data: encode("Hallo") }]);
+        await expectAsync(StoryPackage.unpack(other)).toBeRejectedWithError("Die Datei ist kein tadv-Paket.");
+
+        const newer = await repack(await StoryPackage.pack(story), files => {
+            const manifest = JSON.parse(decode(files.get(StoryPackage.MANIFEST)));
+            files.set(StoryPackage.MANIFEST, encode(JSON.stringify({ ...manifest, version: StoryPackage.VERSION + 1 })));
+        });
+        await expectAsync(StoryPackage.unpack(newer)).toBeRejectedWithError(/Version 2/);
+    });
+});
@@ -0,0 +1,168 @@
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+import StoryValidator from "../src/builder/core/StoryValidator.js";
+import Effects from "../src/builder/core/Effects.js";
+import SaveLoad from "../src/builder/SaveLoad.js";
+
+describe("Test StoryValidator", () => {
+    let story;
+
+    /**
+     * Adds a scene with choices given as [text, next] pairs, without creating extra choices.
+     */
+    const add = (key, text, choices = []) => {
+        story.addScene(new Scene(key, text, null, new Map(choices.map(([choiceText, next]) => [next, choiceText]))), false);
+    };
+    const ofType = (type) => StoryValidator.validate(story).filter(d => d.type === type);
+
+    beforeEach(() => {
+        story = new Story(Scene);
+    });
+
+    it("should report nothing for an empty story", () => {
+        expect(StoryValidator.validate(story)).toEqual([]);
+    });
+
+    it("should only report the ending of a well-formed story", () => {
+        add("start", "Anfang", [["Weiter", "A"]]);
+        add("A", "Ende");
+
+        expect(StoryValidator.validate(story)).toEqual([{
+            severity: StoryValidator.SEVERITY.INFO, type: StoryValidator.TYPES.ENDING,
+            sceneKey: "A", choice: null, message: jasmine.any(String)
+        }]);
+    });
+
+    it("should report choices leading to missing scenes", () => {
+        add("start", "Anfang", [["Weiter", "A"], ["Verloren", "Z"]]);
+        add("A", "Ende");
+
+        const dangling = ofType(StoryValidator.TYPES.DANGLING_CHOICE);
+        expect(dangling.length).toBe(1);
+        expect(dangling[0]).toEqual(jasmine.objectContaining({ severity: "error", sceneKey: "start", choice: "Z" }));
+    });
+
+    it("should report scenes not reachable from the start scene", () => {
+        add("start", "Anfang", [["Weiter", "A"]]);
+        add("A", "Ende");
+        add("B", "Vergessen", [["Weiter", "A"]]);
+
+        expect(ofType(StoryValidator.TYPES.UNREACHABLE).map(d => d.sceneKey)).toEqual(["B"]);
+    });
+
+    it("should report duplicate choice labels and empty texts", () => {
+        add("start", "  ", [["Tür", "A"], [" tür ", "B"], ["", "C"]]);
+        add("A", "A");
+        add("B", "B");
+        add("C", "C");
+
+        const duplicates = ofType(StoryValidator.TYPES.DUPLICATE_LABEL);
+        expect(duplicates.length).toBe(1);
+        expect(duplicates[0].choice).toBe("B");
+
+        const empty = ofType(StoryValidator.TYPES.EMPTY_TEXT);
+        expect(empty.map(d => [d.sceneKey, d.choice])).toEqual([["start", null], ["start", "C"]]);
+    });
+
+    it("should report scenes whose choices all have conditions", () => {
+        add("start", "Anfang", [["Tür öffnen", "A"]]);
+        add("A", "Ende");
+        story.getScene("start").setChoiceCondition("A", "hasKey");
+
+        expect(ofType(StoryValidator.TYPES.DEAD_END).map(d => d.sceneKey)).toEqual(["start"]);
+    });
+
+    it("should report cycles without exit, but not cycles with exit", () => {
+        add("start", "Anfang", [["Links", "A"], ["Rechts", "C"]]);
+        add("A", "Flur", [["Weiter", "B"], ["Hinaus", "E"]]);
+        add("B", "Zimmer", [["Zurück", "A"]]);
+        add("C", "Labyrinth", [["Weiter", "D"]]);
+        add("D", "Labyrinth", [["Weiter", "C"]]);
+        add("E", "Ende");
+
+        const traps = ofType(StoryValidator.TYPES.TRAP_CYCLE);
+        expect(traps.length).toBe(1);
+        expect(traps[0].sceneKey).toBe("C");
+        expect(traps[0].message).toContain("C, D");
+    });
+
+    it("should report a scene whose only choice leads back to itself", () => {
+        add("start", "Anfang", [["Warten", "start"]]);
+
+        expect(ofType(StoryValidator.TYPES.TRAP_CYCLE).map(d => d.sceneKey)).toEqual(["start"]);
+    });
+
+    it("should warn about images and sounds missing from the assets", () => {
+        story.setAsset("wald.png", { type: "image", data: "data:image/png;base64,AAAA" });
+        add("start", "Anfang", [["Weiter", "A"]]);
+        add("A", "Ende");
+        story.scenes.get("start").setMedia({ image: "wald.png", audio: "regen.mp3" });
+        story.scenes.get("A").setMedia({ image: "see.png" });
+
+        const missing = ofType(StoryValidator.TYPES.MISSING_ASSET);
+        expect(missing.map(d => [d.sceneKey, d.severity])).toEqual([
+            ["start", StoryValidator.SEVERITY.WARNING], ["A", StoryValidator.SEVERITY.WARNING]]);
+        expect(missing[0].message).toContain('"regen.mp3"');
+    });
+
+    it("should report malformed placeholders in scene and choice texts", () => {
+        add("start", "Du hast {gold Münzen", [["{if reich}Kaufen", "A"]]);
+        add("A", "Ende mit {gold}");
+
+        const errors = ofType(StoryValidator.TYPES.TEMPLATE_ERROR);
+        expect(errors.map(d => [d.sceneKey, d.choice, d.severity])).toEqual([
+            ["start", null, StoryValidator.SEVERITY.ERROR], ["start", "A", StoryValidator.SEVERITY.ERROR]]);
+        expect(errors[0].message).toBe('Szenentext: Die Klammer "{" an Position 9 wird nicht geschlossen.');
+    });
+
+    it("should report items which are not defined", () => {
+        add("start", "Anfang", [["Nehmen", "A"], ["Leuchten", "B"]]);
+        add("A", "Ende");
+        add("B", "Ende");
+        story.scenes.get("start").setChoiceEffects("A", Effects.parse("give lampe; take seil"));
+        story.scenes.get("start").setChoiceCondition("B", "!has(lampe) || has(fackel)");
+        story.setItem("lampe", { name: "Lampe" });
+
+        const unknown = ofType(StoryValidator.TYPES.UNKNOWN_ITEM);
+        expect(unknown.map(d => [d.sceneKey, d.choice, d.severity])).toEqual([
+            ["start", "A", StoryValidator.SEVERITY.WARNING], ["start", "B", StoryValidator.SEVERITY.WARNING]]);
+        expect(unknown[0].message).toContain('"seil"');
+        expect(unknown[1].message).toContain('"fackel"');
+    });
+
+    it("should find cycles with and without exit, including self loops", () => {
+        add("start", "Anfang", [["Weiter", "A"], ["Warten", "start"]]);
+        add("A", "A", [["Weiter", "B"]]);
+        add("B", "B", [["Zurück", "A"], ["Ende", "C"], ["Fehlt", "X"]]);
+        add("C", "Ende");
+
+        const cycles = StoryValidator.findCycles(story).map(cycle => cycle.sort());
+
+        expect(cycles.sort()).toEqual([["A", "B"], ["start"]]);
+    });
+
+    it("should report a missing start scene and order errors first", () => {
+        add("start", "Anfang", [["Weiter", "Z"]]);
+        story.root = null;
+
+        const severities = StoryValidator.validate(story).map(d => d.severity);
+        expect(ofType(StoryValidator.TYPES.NO_START).length).toBe(1);
+        expect(severities).toEqual([...severities].sort((a, b) =>
+            ["error", "warning", "info"].indexOf(a) - ["error", "warning", "info"].indexOf(b)));
+    });
+
+    it("should report no errors for the finished example stories", async () => {
+        for (const file of ["EriksEigenheim.json", "(Cir)DieTore.json"]) {
+            const loaded = await SaveLoad.loadFromJson(`../examples/${file}`);
+            const errors = StoryValidator.validate(loaded).filter(d => d.severity === StoryValidator.SEVERITY.ERROR);
+            expect(errors).withContext(file).toEqual([]);
+        }
+    });
+
+    it("should report the missing scenes of the unfinished example story", async () => {
+        const loaded = await SaveLoad.loadFromJson("../examples/(halbfertig)Skandal.json");
+        const dangling = StoryValidator.validate(loaded).filter(d => d.type === StoryValidator.TYPES.DANGLING_CHOICE);
+
+        expect(dangling.map(d => d.choice)).toEqual(["selbstbetrug", "alltäglichkeit"]);
+    });
+});
@@ -0,0 +1,71 @@
+import TextTemplate from "../src/builder/core/TextTemplate.js";
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+
+describe("TextTemplate", () => {
+    const context = { variables: { gold: 12, hasKey: true, name: "Erik", leer: "" }, visited: new Set(["start"]) };
+
+    it("inserts the values of variables", () => {
+        expect(TextTemplate.render("Du hast {gold} Münzen, { name }.", context)).toBe("Du hast 12 Münzen, Erik.");
+        expect(TextTemplate.render("Schlüssel: {hasKey}, unbekannt: [{silber}]", context)).toBe("Schlüssel: true, unbekannt: []");
+        expect(TextTemplate.render("{constructor}", context)).toBe("");
+    });
+
+    it("shows the first part whose condition is fulfilled", () => {
+        const source = "{if gold > 20}Reich.{elseif hasKey && visited(start)}Die Tür ist offen.{else}Verschlossen.{/if}";
+
+        expect(TextTemplate.render(source, context)).toBe("Die Tür ist offen.");
+        expect(TextTemplate.render(source, { variables: { gold: 30 }, visited: new Set() })).toBe("Reich.");
+        expect(TextTemplate.render(source, { variables: {}, visited: new Set() })).toBe("Verschlossen.");
+        expect(TextTemplate.render("{if !hasKey}Zu.{/if}Ende", context)).toBe("Ende");
+    });
+
+    it("renders nested conditional parts with placeholders", () => {
+        const source = "{if hasKey}Offen{if gold >= 10}, und du hast {gold} Münzen{else}, aber kein Geld{/if}.{/if}";
+
+        expect(TextTemplate.render(source, context)).toBe("Offen, und du hast 12 Münzen.");
+        expect(TextTemplate.render(source, { variables: { hasKey: true, gold: 2 }, visited: new Set() })).toBe("Offen, aber kein Geld.");
+        expect(TextTemplate.render(source, { variables: {}, visited: new Set() })).toBe("");
+    });
+
+    it("keeps escaped braces and braces in conditions", () => {
+        expect(TextTemplate.render("\\{gold\\} ist {gold}", context)).toBe("{gold} ist 12");
+        expect(TextTemplate.render('{if name != "}"}ok{/if} }', context)).toBe("ok }");
+    });
+
+    it("reports malformed placeholders with their position", () => {
+        expect(TextTemplate.validate("Du hast {gold Münzen")).toBe('Die Klammer "{" an Position 9 wird nicht geschlossen.');
+        expect(TextTemplate.validate("{if hasKey}offen")).toBe('"{if …}" an Position 1 wird nicht mit "{/if}" geschlossen.');
+        expect(TextTemplate.validate("zu{/if}")).toBe('Zu "{/if}" an Position 3 gibt es kein "{if …}".');
+        expect(TextTemplate.validate("{if a}x{else}y{elseif b}z{/if}")).toBe('"{elseif b}" an Position 15 steht nicht nach "{if …}".');
+        expect(TextTemplate.validate("{gold + 1}")).toBe('Unbekannter Platzhalter "{gold + 1}" an Position 1.');
+        expect(TextTemplate.validate("{if gold >}x{/if}")).toMatch(/^Bedingung von "\{if gold >\}" an Position 1: /);
+        expect(TextTemplate.validate("{if}x{/if}")).toBe('Bedingung von "{if}" an Position 1: Die Bedingung ist leer.');
+        expect(TextTemplate.validate("Kein Platzhalter }")).toBeNull();
+    });
+
+    it("returns malformed texts unchanged", () => {
+        expect(TextTemplate.render("{if hasKey}offen", context)).toBe("{if hasKey}offen");
+    });
+
+    it("tells whether a text contains placeholders", () => {
+        expect(TextTemplate.hasPlaceholders("Nur **Text** mit \\{ Klammer")).toBe(false);
+        expect(TextTemplate.hasPlaceholders("{gold} Münzen")).toBe(true);
+        expect(TextTemplate.hasPlaceholders("{kaputt")).toBe(true);
+    });
+
+    it("rewrites renamed scenes in conditions", () => {
+        expect(TextTemplate.renameScene("{if visited(alt)}A{elseif  visited(alt) }B{/if} {alt}", "alt", "neu"))
+            .toBe("{if visited(neu)}A{elseif  visited(neu) }B{/if} {alt}");
+    });
+
+    it("rewrites the texts of scenes when a scene is renamed", () => {
+        const story = new Story(Scene);
+        story.addScene(new Scene("start", "{if visited(keller)}Zurück.{/if}", null, new Map([["keller", "{if !visited(keller)}Runter{/if}"]])), false);
+        story.addScene(new Scene("keller", "Dunkel"), false);
+
+        expect(story.renameScene("keller", "gewölbe")).toBe(true);
+        expect(story.getScene("start").text).toBe("{if visited(gewölbe)}Zurück.{/if}");
+        expect(story.getScene("start").choices.get("gewölbe")).toBe("{if !visited(gewölbe)}Runter{/if}");
+    });
+});
@@ -0,0 +1,191 @@
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+import Twee from "../src/builder/core/Twee.js";
+
+describe("Test Twee.parse method", () => {
+    const TWEE = [
+        ":: StoryTitle",
+        "Der Keller",
+        "",
+        ":: StoryData",
+        "{",
+        '  "ifid": "D674C58C-DEFA-4F70-B7A2-27742230C0FC",',
+        '  "start": "Treppe"',
+        "}",
+        "",
+        ":: Flur {\"position\":\"100,200\"}",
+        "Ein langer Flur.",
+        "[[Zurück->Treppe]]",
+        "",
+        ":: Treppe [dunkel] {\"position\":\"100,100\"}",
+        "Du stehst auf der Treppe.",
+        "",
+        "[[Flur]] [[Nach unten|Keller]]",
+        "[[Keller<-Hinunterspringen]]",
+        "",
+        ":: Keller",
+        "Es ist dunkel. Geh in den [[Flur]] zurück.",
+        ""
+    ].join("\n");
+
+    it("should build scenes and choices from passages and links", () => {
+        const { story } = Twee.parse(TWEE);
+
+        expect(story.meta.title).toBe("Der Keller");
+        expect(story.root.key).toBe("Treppe");
+        expect([...story.scenes.keys()]).toEqual(["Flur", "Treppe", "Keller"]);
+        expect(story.getScene("Treppe").text).toBe("Du stehst auf der Treppe.");
+        expect([...story.getScene("Treppe").choices.entries()]).toEqual([["Flur", "Flur"], ["Keller", "Nach unten"]]);
+        expect([...story.getScene("Flur").choices.entries()]).toEqual([["Treppe", "Zurück"]]);
+    });
+
+    it("should report what cannot be represented", () => {
+        const { story, warnings } = Twee.parse(TWEE);
+
+        expect(warnings).toContain('Passage "Treppe": Tags (dunkel) werden nicht übernommen.');
+        expect(warnings).toContain('Passage "Treppe": Mehrere Links zu "Keller", nur der erste wird übernommen.');
+        expect(warnings).toContain('Passage "Keller": Der Link "Flur" im Text wird als Auswahl angehängt.');
+        expect(story.getScene("Keller").text).toBe("Es ist dunkel. Geh in den Flur zurück.");
+        expect([...story.getScene("Keller").choices.keys()]).toEqual(["Flur"]);
+    });
+
+    it("should report code passages, setters and macros", () => {
+        const { story, warnings } = Twee.parse([
+            ":: Start",
+            "<<set $gold to 1>>Hallo",
+            "[[Weiter|Ende][$gold to 2]]",
+            ":: Ende",
+            "Ende",
+            ":: Script [script]",
+            "window.x = 1;"
+        ].join("\n"));
+
+        expect([...story.scenes.keys()]).toEqual(["Start", "Ende"]);
+        expect(story.root.key).toBe("Start");
+        expect(warnings).toContain('Passage "Script" enthält Code (script) und wird nicht übernommen.');
+        expect(warnings).toContain('Passage "Start": Der Setter [$gold to 2] des Links "Weiter" wird nicht übernommen.');
+        expect(warnings).toContain('Passage "Start": Makros des Story-Formats werden als Text übernommen.');
+    });
+
+    it("should rename passages with reserved names", () => {
+        const { story, warnings } = Twee.parse(":: Start\n[[Geld->$money]]\n:: $money\nGeld!");
+
+        expect(story.getScene("_money").text).toBe("Geld!");
+        expect(story.getScene("Start").choices.has("_money")).toBe(true);
+        expect(story.getScene("Start").text).toBe(Twee.EMPTY_TEXT);
+        expect(warnings.length).toBe(2);
+    });
+
+    it("should not rename reserved passages to names of other passages", () => {
+        const { story, warnings } = Twee.parse(":: Start\n[[$money]] [[_money]]\n:: $money\nGeld!\n:: _money\nKeins.");
+
+        expect(story.getScene("_money").text).toBe("Keins.");
+        expect(story.getScene("_money-2").text).toBe("Geld!");
+        expect(story.getScene("Start").choices.has("_money-2")).toBe(true);
+        expect(warnings).toContain('Passage "$money": Namen mit "$" sind reserviert, die Szene heißt "_money-2".');
+    });
+
+    it("should unescape passage names and lines starting with ::", () => {
+        const { story } = Twee.parse(":: Raum \\[1\\]\n\\:: kein Kopf");
+
+        expect(story.getScene("Raum [1]").text).toBe(":: kein Kopf");
+    });
+
+    it("should return no story without passages", () => {
+        const { story, warnings } = Twee.parse("nur Text");
+
+        expect(story).toBeNull();
+        expect(warnings).toEqual(["Der Text enthält keine Passagen."]);
+    });
+});
+
+describe("Test Twee.stringify method", () => {
+    let story;
+
+    beforeEach(() => {
+        story = new Story(Scene);
+        story.addScene(new Scene("start", "Anfang\n:: kein Kopf"));
+        story.addScene(new Scene("Raum {1}", "Ein Raum"));
+        story.getScene("start").updateChoiceText("Raum {1}", "Hinein");
+        story.setMeta({ title: "Test" });
+    });
+
+    it("should write passages with links", () => {
+        const { text, warnings } = Twee.stringify(story, "IFID");
+
+        expect(text).toBe([
+            ":: StoryTitle",
+            "Test",
+            "",
+            ":: StoryData",
+            "{",
+            '  "ifid": "IFID",',
+            '  "start": "start"',
+            "}",
+            "",
+            ":: start",
+            "Anfang",
+            "\\:: kein Kopf",
+            "",
+            "[[Hinein->Raum {1}]]",
+            "",
+            ":: Raum \\{1\\}",
+            "Ein Raum",
+            ""
+        ].join("\n"));
+        expect(warnings).toEqual([]);
+    });
+
+    it("should read its own output", () => {
+        const { story: copy, warnings } = Twee.parse(Twee.stringify(story).text);
+
+        expect(warnings).toEqual([]);
+        expect(copy.toJSON()).toEqual(story.toJSON());
+    });
+
+    it("should report data which Twee cannot hold", () => {
+        story.setMeta({ author: "Anna" });
+        story.setVariable("gold", 1);
+        story.getScene("start").setChoiceEffects("Raum {1}", [{ type: "increment", variable: "gold", value: 1 }]);
+        story.getScene("start").setChoiceCondition("Raum {1}", "gold > 0");
+        story.getScene("start").updateChoiceText("Raum {1}", "rein -> raus");
+
+        const { text, warnings } = Twee.stringify(story);
+
+        expect(text).toContain("[[rein - raus->Raum {1}]]");
+        expect(warnings.length).toBe(5);
+    });
+
+    it("should report placeholders, which are written as text", () => {
+        story.getScene("start").updateContent("Du hast {gold} Münzen");
+
+        const { text, warnings } = Twee.stringify(story);
+
+        expect(text).toContain("Du hast {gold} Münzen");
+        expect(warnings).toEqual(['Szene "start": Platzhalter wie {gold} oder {if …} werden als Text exportiert, in Twine hängen sie vom Story-Format ab.']);
+    });
+
+    it("should report items, which Twee cannot hold", () => {
+        story.setItem("lampe", { name: "Lampe" });
+
+        const { warnings } = Twee.stringify(story);
+
+        expect(warnings).toEqual(['Gegenstände werden nicht exportiert, ein Inventar hängt vom Story-Format in Twine ab.']);
+    });
+
+    it("should report changed player settings", () => {
+        story.setSettings({ backtracking: false });
+
+        const { warnings } = Twee.stringify(story);
+
+        expect(warnings).toEqual(['Die Einstellungen des Players werden nicht exportiert, in Twine legt sie das Story-Format fest.']);
+    });
+
+    it("should report links to keys with brackets", () => {
+        story.addScene(new Scene("Raum [2]", "Noch ein Raum"));
+
+        const { warnings } = Twee.stringify(story);
+
+        expect(warnings).toEqual(['Szene "start": Links zu "Raum [2]" sind in Twee nicht möglich, weil der Schlüssel "]" enthält.']);
+    });
+});
@@ -0,0 +1,216 @@
+import Scene from "../src/builder/core/Scene.js";
+import Story from "../src/builder/core/Story.js";
+import ViewerEngine from "../src/viewers/ViewerEngine.js";
+
+describe("ViewerEngine", () => {
+    let story;
+    let container;
+    let title;
+
+    const text = () => container.querySelector(".text").textContent.trim();
+    const button = (label) => Array.from(container.querySelectorAll("button")).find(b => b.textContent === label);
+    const clearSaves = () => {
+        for (const key of Object.keys(localStorage)) {
+            if (key.startsWith("tadv.saves.")) localStorage.removeItem(key);
+        }
+    };
+
+    beforeEach(() => {
+        const builder = new Story();
+        builder.setMeta({ title: "Höhlentest", language: "de" });
+        builder.setVariable("gold", 2);
+        builder.setItem("lampe", { name: "Alte Lampe", description: "Rußt." });
+        builder.addScene(new Scene("start", "Du hast **{gold}** Münzen.{if has(lampe)} Es ist hell.{/if}",
+            null, new Map([["hoehle", "Lampe nehmen"], ["ende", "Hinein ({gold})"]])));
+        builder.addScene(new Scene("hoehle", "In der Höhle.", null, new Map([["ende", "Weiter"]])), false);
+        builder.addScene(new Scene("ende", "- eins\n- zwei"), false);
+        builder.getScene("start").setChoiceEffects("hoehle", [{ type: "give", item: "lampe" }, { type: "increment", variable: "gold", value: 3 }]);
+        builder.getScene("start").setChoiceCondition("ende", "has(lampe) || constructor", true);
+        story = builder.toJSON();
+
+        container = document.createElement("div");
+        document.body.appendChild(container);
+        title = document.title;
+    });
+
+    afterEach(() => {
+        container.remove();
+        document.title = title;
+        clearSaves();
+    });
+
+    it("plays a story with the effects, conditions, placeholders and Markdown of the builder", () => {
+        new ViewerEngine(story, container, { saveGames: false }).start();
+
+        expect(document.title).toBe("Höhlentest");
+        expect(text()).toBe("Du hast 2 Münzen.");
+        expect(container.querySelector(".text strong").textContent).toBe("2");
+        expect(button("Hinein (2)").disabled).toBe(true);
+
+        button("Lampe nehmen").click();
+        expect(text()).toBe("In der Höhle.");
+        expect(container.querySelector(".inventory li").textContent).toBe("Alte LampeRußt.");
+
+        button("Weiter").click();
+        expect(container.querySelectorAll(".text li").length).toBe(2);
+    });
+
+    it("does not apply the effects of a choice leading to a missing scene", () => {
+        story.scenes.start.choices.push({ text: "Ins Nichts", next: "nirgends", effects: [{ type: "increment", variable: "gold", value: 10 }] });
+        const engine = new ViewerEngine(story, container, { saveGames: false });
+        engine.start();
+
+        const broken = button("Ins Nichts");
+        expect(broken.disabled).toBe(true);
+        expect(broken.title).toBe("Szene 'nirgends' nicht gefunden.");
+        broken.disabled = false;
+        broken.click();
+        broken.click();
+
+        expect(engine.variables.gold).toBe(2);
+        expect(engine.path.map(entry => entry.key)).toEqual(["start"]);
+    });
+
+    it("goes back with the state of the earlier scene", () => {
+        const engine = new ViewerEngine(story, container, { saveGames: false });
+        engine.start();
+        button("Lampe nehmen").click();
+
+        button("Zurück").click();
+
+        expect(engine.path.map(entry => entry.key)).toEqual(["start"]);
+        expect(engine.inventory).toEqual({});
+        expect(text()).toBe("Du hast 2 Münzen.");
+        expect(button("Hinein (2)").disabled).toBe(true);
+    });
+
+    it("offers to continue where the reader stopped", () => {
+        new ViewerEngine(story, container).start();
+        button("Lampe nehmen").click();
+
+        const engine = new ViewerEngine(story, container);
+        engine.start();
+        expect(container.textContent).toContain("Du hast diese Geschichte schon begonnen (hoehle,");
+
+        button("Weiterlesen").click();
+        expect(text()).toBe("In der Höhle.");
+        expect(engine.variables.gold).toBe(5);
+        expect(engine.visited.has("start")).toBe(true);
+    });
+
+    describe("save games", () => {
+        const slots = () => Array.from(container.querySelectorAll(".saves li")).map(li => li.firstChild.textContent);
+        const stored = () => JSON.parse(localStorage.getItem(Object.keys(localStorage).find(key => key.startsWith("tadv.saves."))));
+        const saveAs = (name) => {
+            container.querySelector(".saves input").value = name;
+            button("Speichern").click();
+        };
+        const encode = (save) => btoa(String.fromCharCode(...new TextEncoder().encode(JSON.stringify(save))));
+        const decode = (text) => JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(text), c => c.charCodeAt(0))));
+        const exportSave = () => {
+            button("Als Text exportieren").click();
+            return container.querySelector(".saves textarea").value;
+        };
+        const importSave = (text) => {
+            container.querySelector(".saves textarea").value = text;
+            button("Text importieren").click();
+        };
+
+        it("saves, loads, overwrites and deletes named saves", () => {
+            const confirm = spyOn(globalThis, "confirm").and.returnValue(true);
+            const engine = new ViewerEngine(story, container);
+            engine.start();
+            button("Lampe nehmen").click();
+
+            saveAs("Höhle");
+            expect(slots()).toEqual([jasmine.stringMatching(/^Höhle \(hoehle, /)]);
+            expect(confirm).not.toHaveBeenCalled();
+
+            button("Weiter").click();
+            button("Laden").click();
+            expect(engine.path.map(entry => entry.key)).toEqual(["start", "hoehle"]);
+            expect(engine.variables.gold).toBe(5);
+            expect(engine.inventory).toEqual({ lampe: 1 });
+
+            button("Weiter").click();
+            confirm.and.returnValue(false);
+            saveAs("Höhle");
+            expect(confirm).toHaveBeenCalledWith('Spielstand "Höhle" überschreiben?');
+            expect(stored().slots["Höhle"].path.length).toBe(2);
+
+            confirm.and.returnValue(true);
+            saveAs("Höhle");
+            expect(slots()).toEqual([jasmine.stringMatching(/^Höhle \(ende, /)]);
+            expect(stored().slots["Höhle"].path.length).toBe(3);
+
+            button("Löschen").click();
+            expect(slots()).toEqual([]);
+            expect(stored().slots).toEqual({});
+        });
+
+        it("stores slots with names of object properties", () => {
+            const confirm = spyOn(globalThis, "confirm").and.returnValue(true);
+            new ViewerEngine(story, container).start();
+            button("Lampe nehmen").click();
+
+            saveAs("__proto__");
+            saveAs("constructor");
+            expect(confirm).not.toHaveBeenCalled();
+            expect(Object.keys(stored().slots)).toEqual(["__proto__", "constructor"]);
+
+            new ViewerEngine(story, container).start();
+            button("Weiterlesen").click();
+            expect(slots()).toEqual([jasmine.stringMatching(/^__proto__ \(hoehle, /), jasmine.stringMatching(/^constructor \(hoehle, /)]);
+            container.querySelector(".saves li button:last-child").click();
+            expect(Object.keys(stored().slots)).toEqual(["constructor"]);
+        });
+
+        it("moves a save with non-ASCII text to another browser as a save string", () => {
+            story.variables.name = "Zoë 🐉";
+            const engine = new ViewerEngine(story, container);
+            engine.start();
+            button("Lampe nehmen").click();
+            const text = exportSave();
+            expect(text).toMatch(/^[A-Za-z0-9+/]+=*$/);
+            expect(decode(text).path[1].variables.name).toBe("Zoë 🐉");
+
+            clearSaves();
+            const other = new ViewerEngine(story, container);
+            other.start();
+            importSave(text);
+
+            expect(other.path.map(entry => entry.key)).toEqual(["start", "hoehle"]);
+            expect(other.variables).toEqual({ gold: 5, name: "Zoë 🐉" });
+            expect(other.inventory).toEqual({ lampe: 1 });
+        });
+
+        it("rejects save strings of another story, another version or with deleted scenes", () => {
+            const alert = spyOn(globalThis, "alert");
+            const engine = new ViewerEngine(story, container);
+            engine.start();
+            button("Lampe nehmen").click();
+            const save = decode(exportSave());
+            button("Weiter").click();
+
+            importSave(encode({ ...save, story: "0" }));
+            importSave(encode({ ...save, version: ViewerEngine.SAVE_VERSION + 1 }));
+            importSave("kein Spielstand");
+            delete story.scenes.hoehle;
+            importSave(encode(save));
+
+            expect(alert.calls.allArgs()).toEqual(Array(4).fill(["Der Text ist kein Spielstand dieser Geschichte."]));
+            expect(engine.path.map(entry => entry.key)).toEqual(["start", "hoehle", "ende"]);
+        });
+
+        it("keeps only the automatic save in hardcore stories", () => {
+            story.settings = { backtracking: false };
+            new ViewerEngine(story, container).start();
+            button("Lampe nehmen").click();
+
+            expect(container.querySelector(".saves").textContent).toBe("In dieser Geschichte wird nur die aktuelle Stelle automatisch gespeichert.");
+            expect(button("Speichern")).toBeUndefined();
+            expect(button("Als Text exportieren")).toBeUndefined();
+            expect(stored().current.path.map(entry => entry.key)).toEqual(["start", "hoehle"]);
+        });
+    });
+});
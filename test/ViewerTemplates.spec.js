@@ -0,0 +1,65 @@
+import ViewerTemplates from "../src/builder/ViewerTemplates.js";
+
+const SOURCE = "<title>{{title}}</title><script>const story = {{storyData}};</script>";
+
+describe("ViewerTemplates", () => {
+    afterEach(() => {
+        ViewerTemplates.unregister("test");
+    });
+
+    it("has a built-in default template for each protection", () => {
+        for (const protection of ViewerTemplates.PROTECTIONS) {
+            const template = ViewerTemplates.get(ViewerTemplates.DEFAULTS[protection]);
+            expect(template).not.toBeNull();
+            expect(template.protection).toBe(protection);
+        }
+    });
+
+    it("registers a template with a source", () => {
+        expect(ViewerTemplates.register("test", { label: "Test", protection: "obfuscated", source: SOURCE })).toBe(true);
+
+        const template = ViewerTemplates.get("test");
+        expect(template).toEqual(jasmine.objectContaining({ name: "test", label: "Test", protection: "obfuscated", source: SOURCE }));
+        expect(ViewerTemplates.list("obfuscated").map(t => t.name)).toContain("test");
+        expect(ViewerTemplates.list("none").map(t => t.name)).not.toContain("test");
+    });
+
+    it("rejects templates without story data placeholder, source or known protection", () => {
+        expect(ViewerTemplates.register("test", { source: "<html></html>" })).toBe(false);
+        expect(ViewerTemplates.register("test", { label: "Test" })).toBe(false);
+        expect(ViewerTemplates.register("test", { protection: "secret", source: SOURCE })).toBe(false);
+        expect(ViewerTemplates.register("", { source: SOURCE })).toBe(false);
+        expect(ViewerTemplates.get("test")).toBeNull();
+    });
+
+    it("returns copies, so the registry cannot be changed from outside", () => {
+        ViewerTemplates.register("test", { source: SOURCE });
+        ViewerTemplates.get("test").source = "changed";
+        ViewerTemplates.list()[0].label = "changed";
+
+        expect(ViewerTemplates.get("test").source).toBe(SOURCE);
+        expect(ViewerTemplates.list()[0].label).not.toBe("changed");
+    });
+
+    it("fills the known placeholders and keeps other text in braces", () => {
+        const filled = ViewerTemplates.fill("{{title}}|{{storyData}}|{{theme}}|{{custom}}", { title: "Titel", storyData: "{}" });
+
+        expect(filled).toBe("Titel|{}||{{custom}}");
+    });
+
+    it("uses a registered source without loading it", async () => {
+        ViewerTemplates.register("test", { source: SOURCE });
+
+        expect(await ViewerTemplates.loadSource("test")).toBe(SOURCE);
+    });
+
+    it("returns null for the source of an unknown template", async () => {
+        expect(await ViewerTemplates.loadSource("unknown")).toBeNull();
+    });
+
+    it("returns null if the source cannot be loaded", async () => {
+        ViewerTemplates.register("test", { url: "../viewers/missingViewer.html" });
+
+        expect(await ViewerTemplates.loadSource("test")).toBeNull();
+    });
+});
@@ -0,0 +1,58 @@
+import ViewerThemes from "../src/builder/core/ViewerThemes.js";
+
+describe("ViewerThemes", () => {
+    it("derives a theme from a built-in theme", () => {
+        const theme = ViewerThemes.create("paper");
+
+        expect(theme.base).toBe("paper");
+        expect(theme.font).toBe("serif");
+        expect(theme.colors).toEqual(ViewerThemes.THEMES.paper.colors);
+        expect(theme.backgroundImage).toBe("");
+        expect(theme.css).toBe("");
+    });
+
+    it("returns null for an unknown theme", () => {
+        expect(ViewerThemes.create("neon")).toBeNull();
+    });
+
+    it("takes changed colors and font, but ignores invalid values", () => {
+        const theme = ViewerThemes.create("default", {
+            colors: { text: "#112233", panel: "red; } body { display: none", unknown: "#000000" },
+            font: "mono"
+        });
+
+        expect(theme.colors.text).toBe("#112233");
+        expect(theme.colors.panel).toBe(ViewerThemes.THEMES.default.colors.panel);
+        expect(theme.colors.unknown).toBeUndefined();
+        expect(theme.font).toBe("mono");
+        expect(ViewerThemes.create("default", { font: "comic" }).font).toBe("system");
+    });
+
+    it("keeps the text on the choices readable when the accent color changes", () => {
+        expect(ViewerThemes.create("default", { colors: { accent: "#ffee00" } }).colors.accentText).toBe("#000000");
+        expect(ViewerThemes.create("default", { colors: { accent: "#1a1a40" } }).colors.accentText).toBe("#ffffff");
+        expect(ViewerThemes.create("dark", { colors: { accent: ViewerThemes.THEMES.dark.colors.accent } }).colors.accentText)
+            .toBe(ViewerThemes.THEMES.dark.colors.accentText);
+    });
+
+    it("writes the theme as custom properties followed by the CSS of the author", () => {
+        const theme = ViewerThemes.create("dark", { backgroundImage: 'data:image/png;base64,AAAA"', css: "#game { max-width: 600px; }" });
+        const css = ViewerThemes.toCss(theme);
+
+        expect(css).toMatch(/^:root \{\n/);
+        expect(css).toContain("    --viewer-text: #e2e8f0;\n");
+        expect(css).toContain("    --viewer-accent-text: #0f172a;\n");
+        expect(css).toContain(`    --viewer-font: ${ViewerThemes.FONTS.system.family};\n`);
+        expect(css).toContain('    --viewer-background-image: url("data:image/png;base64,AAAA\\"");\n');
+        expect(css).toMatch(/\}\n#game \{ max-width: 600px; \}\n$/);
+    });
+
+    it("leaves out the CSS of the author for the preview", () => {
+        const theme = ViewerThemes.create("warm", { css: "#game { max-width: 600px; }" });
+        const css = ViewerThemes.toCss(theme, "#play-stage", false);
+
+        expect(css).toMatch(/^#play-stage \{\n/);
+        expect(css).toContain("    --viewer-background-image: none;\n");
+        expect(css).not.toContain("#game");
+    });
+});